@@ -1,5 +1,17 @@
 import formidable from 'formidable';
 import fs from 'fs';
+import transcription from '../utils/transcription/index.js';
+import timeline from '../utils/timeline.js';
+import star from '../utils/star.js';
+import evaluator from '../utils/evaluator.js';
+import scoring from '../utils/scoring.js';
+import vocabulary from '../utils/vocabulary.js';
+import disfluency from '../utils/disfluency.js';
+import media from '../utils/media.js';
+import prosody from '../utils/prosody.js';
+import uploadConfig from '../utils/uploadConfig.js';
+import languages from '../utils/languages.js';
+import jobDescription from '../utils/jobDescription.js';
 
 export const config = {
   api: {
@@ -20,21 +32,75 @@ export default async function handler(req, res) {
         console.log('📹 Starting real video transcription analysis...');
         
         const form = formidable({
-            maxFileSize: 50 * 1024 * 1024,
-            filter: ({ mimetype }) => mimetype && mimetype.startsWith('video/'),
+            maxFileSize: uploadConfig.MAX_UPLOAD_BYTES,
+            filter: ({ mimetype, originalFilename }) => uploadConfig.isAcceptedType(mimetype, originalFilename),
         });
 
         const [fields, files] = await form.parse(req);
         const field = fields.field?.[0] || 'general';
         const videoFile = files.video?.[0];
 
+        let profile;
+        try {
+            profile = scoring.selectProfile({ profile: fields.profile?.[0], field });
+        } catch (profileError) {
+            if (videoFile && fs.existsSync(videoFile.filepath)) fs.unlinkSync(videoFile.filepath);
+            return res.status(400).json({ error: profileError.message, profiles: scoring.listProfiles().map(p => p.id) });
+        }
+
+        // A language code or "auto"; results are written in the language that is resolved
+        let language;
+        try {
+            language = languages.parseLanguage(fields.language?.[0]);
+        } catch (languageError) {
+            if (!(languageError instanceof languages.LanguageError)) throw languageError;
+            if (videoFile && fs.existsSync(videoFile.filepath)) fs.unlinkSync(videoFile.filepath);
+            return res.status(400).json({ error: 'UNSUPPORTED_LANGUAGE', message: languageError.message, languages: languages.listLanguages().map(l => l.code) });
+        }
+
+        // Job requirements (from /api/questions with a job description) add a coverage report
+        let requirements;
+        try {
+            requirements = requirementsFrom(fields.requirements?.[0], field);
+        } catch (jobError) {
+            if (!(jobError instanceof jobDescription.JobDescriptionError)) throw jobError;
+            if (videoFile && fs.existsSync(videoFile.filepath)) fs.unlinkSync(videoFile.filepath);
+            return res.status(400).json({ error: jobError.code, message: jobError.message });
+        }
+
+        // A typed answer skips transcription and goes straight to the analyzer
+        const answer = (fields.answer?.[0] || '').trim();
+        if (!videoFile && answer) {
+            const transcript = transcription.textTranscript(answer);
+            const lang = languages.resolveLanguage(language, transcript);
+            const analysis = withCoverage(await evaluator.evaluateAnalysis(analyzeRealSpeech(transcript, field, profile, lang), {
+                field,
+                text: transcript.text,
+                language: lang
+            }), requirements, transcript, field, lang);
+            return res.json({
+                analysis,
+                success: true,
+                processed: true,
+                actualVideoProcessed: false,
+                input: 'text',
+                language: lang,
+                source: 'TEXT-ANSWER-ANALYSIS',
+                speechMetrics: {
+                    wordCount: transcript.words.length,
+                    duration: 'written',
+                    confidence: 'N/A'
+                }
+            });
+        }
+
         if (!videoFile) {
             return res.status(400).json({
                 analysis: {
                     rating: 0,
-                    mistakes: [{ timestamp: '0:00', text: 'No video file uploaded' }],
-                    tips: ['Upload a video file for real transcription analysis'],
-                    summary: 'Please upload a video file'
+                    mistakes: [{ timestamp: '0:00', text: 'No video or audio file uploaded' }],
+                    tips: ['Upload a video or audio file for real transcription analysis, or send a typed answer'],
+                    summary: 'Please upload a video or audio file'
                 },
                 success: false,
                 actualVideoProcessed: false
@@ -48,19 +114,50 @@ export default async function handler(req, res) {
             field: field
         });
 
-        // Get REAL transcription using AssemblyAI
+        // Probe the container first: a recording without an audio track is rejected right away
+        let probe = null;
+        if (media.isProbeAvailable()) {
+            try {
+                probe = media.assertHasAudio(await media.probe(videoFile.filepath));
+            } catch (mediaError) {
+                if (!(mediaError instanceof media.MediaError) || !['NO_AUDIO_TRACK', 'INVALID_MEDIA'].includes(mediaError.code)) throw mediaError;
+                if (fs.existsSync(videoFile.filepath)) fs.unlinkSync(videoFile.filepath);
+                return res.status(400).json({
+                    error: mediaError.code,
+                    message: mediaError.message,
+                    success: false,
+                    actualVideoProcessed: false
+                });
+            }
+        }
+
+        // Trimmed, loudness-normalized 16 kHz WAV for the provider (the original upload without ffmpeg)
+        const audio = await prepareAudio(videoFile.filepath);
+
+        // Get REAL transcription through the shared provider chain
         console.log('🎤 Starting real transcription...');
-        const transcription = await getRealTranscription(videoFile);
-        
-        if (transcription.error) {
+        let transcript;
+        try {
+            transcript = await transcription.transcribe(audio ? audio.path : videoFile.filepath, {
+                provider: fields.provider?.[0],
+                fixture: fields.fixture?.[0],
+                language: language || undefined
+            });
+            // Put the trimmed leading silence back so times match the recording
+            if (audio) {
+                const end = audio.trim.start + transcript.duration;
+                transcript = transcription.joinTranscripts([{ transcript, offset: audio.trim.start }], Math.max((probe && probe.duration) || audio.duration, end));
+            }
+        } catch (transcriptionError) {
             console.log('❌ Transcription failed, using smart file analysis');
             // Fallback to smart file-based analysis
-            const analysis = generateSmartVideoAnalysis(field, videoFile);
+            const analysis = generateSmartVideoAnalysis(field, videoFile, probe);
             
             // Cleanup
             if (fs.existsSync(videoFile.filepath)) {
                 fs.unlinkSync(videoFile.filepath);
             }
+            removeAudio(audio);
 
             return res.json({
                 analysis: {
@@ -71,31 +168,50 @@ export default async function handler(req, res) {
                 processed: true,
                 actualVideoProcessed: false,
                 source: 'SMART-FILE-ANALYSIS',
-                transcriptionError: transcription.error
+                transcriptionError: transcriptionError.message
             });
         }
 
-        console.log('✅ Real transcription complete:', transcription.text?.substring(0, 100) + '...');
+        console.log('✅ Real transcription complete:', transcript.text.substring(0, 100) + '...');
 
-        // Analyze REAL speech content
-        const analysis = await analyzeRealSpeech(transcription, field);
+        // Analyze REAL speech content, plus delivery metrics when ffmpeg is installed
+        const lang = languages.resolveLanguage(language, transcript);
+        const heuristic = analyzeRealSpeech(transcript, field, profile, lang);
+        const videoMetrics = deliveryMetrics(audio, transcript);
+        if (videoMetrics) {
+            heuristic.videoMetrics = videoMetrics;
+            heuristic.tips = [...heuristic.tips, ...prosody.prosodyTips(videoMetrics, lang)];
+        }
+        const analysis = withCoverage(await evaluator.evaluateAnalysis(heuristic, {
+            field,
+            text: transcript.text,
+            language: lang
+        }), requirements, transcript, field, lang);
 
         // Cleanup
         if (fs.existsSync(videoFile.filepath)) {
             fs.unlinkSync(videoFile.filepath);
         }
+        removeAudio(audio);
 
         return res.json({
             analysis,
             success: true,
             processed: true,
             actualVideoProcessed: true,
+            language: lang,
             source: 'REAL-SPEECH-TRANSCRIPTION',
-            transcriptionPreview: transcription.text.substring(0, 150) + '...',
+            transcriptionProvider: transcript.provider,
+            transcriptionPreview: transcript.text.substring(0, 150) + '...',
             speechMetrics: {
-                wordCount: transcription.text.split(' ').length,
-                duration: transcription.duration || 'estimated',
-                confidence: transcription.confidence || 'N/A'
+                wordCount: transcript.text.split(' ').length,
+                duration: transcript.duration || 'estimated',
+                confidence: transcript.confidence || 'N/A'
+            },
+            media: {
+                ...(probe ? { container: probe.container, audio: probe.audio, video: probe.video } : {}),
+                trim: audio ? audio.trim : null,
+                gainDb: audio ? audio.gainDb : null
             }
         });
 
@@ -119,168 +235,107 @@ export default async function handler(req, res) {
     }
 }
 
-// Fixed version - works on Vercel
-async function getRealTranscription(videoFile) {
-    const apiKey = process.env.ASSEMBLYAI_API_KEY;
-    
-    if (!apiKey) {
-        return { error: 'No transcription API key configured' };
-    }
-
+// Decoded, trimmed and normalized audio (see media.prepareAudio); null when ffmpeg is missing or decoding fails
+async function prepareAudio(videoPath) {
+    if (!media.isAvailable()) return null;
     try {
-        console.log('🎤 Uploading video to AssemblyAI...');
-        
-        // Read file as buffer (instead of stream for Vercel compatibility)
-        const fileBuffer = fs.readFileSync(videoFile.filepath);
-        
-        // Upload video file with proper options for Vercel
-        const uploadResponse = await fetch('https://api.assemblyai.com/v2/upload', {
-            method: 'POST',
-            headers: { 
-                'Authorization': apiKey,
-                'Content-Type': 'application/octet-stream'
-            },
-            body: fileBuffer,
-            duplex: 'half' // Required for Vercel
-        });
-
-        if (!uploadResponse.ok) {
-            const errorText = await uploadResponse.text();
-            throw new Error(`Upload failed: ${uploadResponse.status} ${errorText}`);
-        }
-
-        const { upload_url } = await uploadResponse.json();
-        console.log('📤 Video uploaded, starting transcription...');
-
-        // Request transcription
-        const transcriptResponse = await fetch('https://api.assemblyai.com/v2/transcript', {
-            method: 'POST',
-            headers: {
-                'Authorization': apiKey,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                audio_url: upload_url,
-                speaker_labels: true,
-                language_code: 'en',
-                punctuate: true,
-                format_text: true
-            })
-        });
-
-        if (!transcriptResponse.ok) {
-            const errorText = await transcriptResponse.text();
-            throw new Error(`Transcription request failed: ${transcriptResponse.status} ${errorText}`);
-        }
-
-        const { id } = await transcriptResponse.json();
-        console.log('⏳ Transcription in progress, ID:', id);
-
-        // Poll for completion (with timeout)
-        let transcript;
-        let attempts = 0;
-        const maxAttempts = 100; // ~5 minutes max
-        
-        do {
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            
-            const pollingResponse = await fetch(`https://api.assemblyai.com/v2/transcript/${id}`, {
-                headers: { 'Authorization': apiKey }
-            });
-            
-            if (!pollingResponse.ok) {
-                throw new Error(`Polling failed: ${pollingResponse.status}`);
-            }
-            
-            transcript = await pollingResponse.json();
-            console.log(`📊 Transcription status: ${transcript.status} (attempt ${attempts + 1}/${maxAttempts})`);
-            
-            attempts++;
-        } while ((transcript.status === 'processing' || transcript.status === 'queued') && attempts < maxAttempts);
+        return await media.prepareAudio(videoPath);
+    } catch (error) {
+        console.warn('⚠️ Audio preparation skipped:', error.message);
+        return null;
+    }
+}
 
-        if (transcript.status === 'completed') {
-            console.log('✅ Real transcription successful!');
-            console.log('📝 Transcript preview:', transcript.text?.substring(0, 100) + '...');
-            
-            return {
-                text: transcript.text || '',
-                duration: transcript.audio_duration || 0,
-                confidence: transcript.confidence || 0,
-                segments: transcript.utterances?.map(u => ({
-                    start: u.start / 1000,
-                    end: u.end / 1000,
-                    text: u.text,
-                    speaker: u.speaker,
-                    confidence: u.confidence
-                })) || []
-            };
-        } else if (transcript.status === 'error') {
-            throw new Error(`Transcription failed: ${transcript.error || 'Unknown error'}`);
-        } else {
-            throw new Error(`Transcription timed out after ${maxAttempts} attempts`);
-        }
+function removeAudio(audio) {
+    if (!audio) return;
+    [audio.rawPath, audio.path].forEach(file => {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+}
 
+// Prosody from the untouched decoded audio track; null without it or when reading fails
+function deliveryMetrics(audio, transcript) {
+    if (!audio) return null;
+    try {
+        return prosody.analyzeProsody(media.readWav(audio.rawPath), timeline.wordsOf(transcript));
     } catch (error) {
-        console.error('❌ AssemblyAI error:', error);
-        return { 
-            error: 'Transcription service error: ' + error.message,
-            details: error.stack
-        };
+        console.warn('⚠️ Delivery metrics skipped:', error.message);
+        return null;
+    }
+}
+
+// The `requirements` form field (a JSON array), checked; [] when it was not sent
+function requirementsFrom(value, field) {
+    if (!value) return [];
+    let list;
+    try {
+        list = JSON.parse(value);
+    } catch (e) {
+        throw new jobDescription.JobDescriptionError('INVALID_REQUIREMENTS', 'requirements must be a JSON array');
     }
+    return jobDescription.normalizeRequirements(list, { field });
+}
+
+// Adds which job requirements the answer demonstrated, with tips in `language`
+function withCoverage(analysis, requirements, transcript, field, language) {
+    if (requirements.length === 0) return analysis;
+    const coverage = jobDescription.coverage(requirements, [{ index: 0, rating: analysis.rating, words: timeline.wordsOf(transcript) }], { field });
+    return { ...analysis, coverage, tips: [...analysis.tips, ...jobDescription.coverageTips(coverage, language)] };
 }
 
-// Analyze REAL speech content (like your local Cohere analysis)
-async function analyzeRealSpeech(transcription, field) {
+// Analyze REAL speech content (like your local Cohere analysis), rated by a scoring profile
+// and written in `language`
+
+function analyzeRealSpeech(transcription, field, profile, language) {
+    const vocab = scoring.vocabularyFor(profile, field, language);
+    const lang = vocab.language;
     const text = transcription.text;
     const wordCount = text.split(' ').length;
+    const words = timeline.wordsOf(transcription);
+    const speechStart = words[0] ? words[0].start : 0;
     
-    console.log('🧠 Analyzing real speech:', { wordCount, field });
+    console.log('🧠 Analyzing real speech:', { wordCount, field, profile: profile.id, language: lang });
 
     // Check for empty/minimal speech
-    if (wordCount < 5) {
+    if (wordCount < profile.gates.noSpeechWords) {
+        const { rating, breakdown } = scoring.gated(profile, 'noSpeech');
         return {
-            rating: 0,
-            mistakes: [{
-                timestamp: '0:05',
-                text: 'No meaningful speech detected - please speak clearly into the microphone'
-            }],
-            tips: [
-                'Ensure you are actually speaking during the recording',
-                'Check microphone permissions and audio levels',
-                'Speak clearly and at normal volume',
-                'Record in a quiet environment'
-            ],
-            summary: 'No speech content detected for analysis. Please record again with clear audio.'
+            rating,
+            mistakes: [timeline.makeMistake('no-speech', languages.t(lang, 'analysis.noSpeech.mistake'), [], speechStart)],
+            tips: languages.t(lang, 'analysis.noSpeech.tips'),
+            scoring: breakdown,
+            summary: languages.t(lang, 'analysis.noSpeech.summary'),
+            language: lang
         };
     }
 
-    if (wordCount < 20) {
+    if (wordCount < profile.gates.briefWords) {
+        const { rating, breakdown } = scoring.gated(profile, 'brief');
         return {
-            rating: 2,
-            mistakes: [{
-                timestamp: '0:10',
-                text: 'Response too brief - provide more detailed answers with specific examples'
-            }],
-            tips: [
-                'Elaborate on your experience with concrete examples',
-                'Use the STAR method (Situation, Task, Action, Result)',
-                'Aim for 1-2 minutes per response',
-                'Include specific technologies and metrics'
-            ],
-            summary: `Brief response detected (${wordCount} words). Expand your answers for better evaluation.`
+            rating,
+            mistakes: [timeline.makeMistake('too-brief', languages.t(lang, 'analysis.brief.mistake'), [], speechStart)],
+            tips: languages.t(lang, 'analysis.brief.tips'),
+            scoring: breakdown,
+            summary: languages.t(lang, 'analysis.brief.summary', { words: wordCount }),
+            language: lang
         };
     }
 
     // REAL content analysis
-    const technicalTerms = (text.match(/\b(javascript|react|node|python|java|database|api|system|software|code|programming|development|framework|library|algorithm|data|server|frontend|backend|fullstack|git|docker|aws|cloud|microservices|testing|debugging|deployment|scalability|performance|security|architecture|html|css|typescript|angular|vue|spring|hibernate|mysql|postgresql|mongodb|redis|kubernetes|devops|ci|cd|agile|scrum)\b/gi) || []).length;
-
-    const confidenceWords = (text.match(/\b(successfully|achieved|led|implemented|improved|optimized|designed|developed|managed|created|built|delivered|solved|experience|expertise|proficient|skilled|accomplished|responsible|contributed|collaborated|completed|established|enhanced|streamlined|automated|integrated|architected)\b/gi) || []).length;
-
-    const fillerWords = (text.match(/\b(um|uh|like|you know|actually|basically|sort of|kind of|well|so|right|okay|yeah|hmm|er|ah)\b/gi) || []).length;
-
-    const specificMetrics = (text.match(/\b(\d+%|\d+\s*(percent|times|years|months|weeks|days|users|customers|projects|team|members|million|thousand|hours|dollars|revenue|growth|reduction|increase|decrease|improvement))\b/gi) || []).length;
-
-    const questionWords = (text.match(/\b(what|how|why|when|where|which|who|could you|can you|would you|do you|have you|will you)\b/gi) || []).length;
+    const fluency = disfluency.analyzeDisfluency(words.length > 0 ? words : text, { fillers: vocab.fillers, language: lang });
+    const fillerOccurrences = disfluency.fluencyOccurrences(fluency);
+    const longPauses = timeline.findLongPauses(words);
+    const ramblingStretches = timeline.findRamblingStretches(words);
+    const starResult = star.analyzeStar(transcription, { language: lang });
+
+    const metrics = scoring.measure(text, vocab, {
+        words,
+        fillerWords: fluency.total,
+        longPauses: longPauses.length,
+        ramblingStretches: ramblingStretches.length,
+        star: starResult
+    });
+    const { technicalTerms, confidenceWords, fillerWords, specificMetrics, questionWords } = metrics;
 
     console.log('📊 Real speech analysis:', {
         wordCount,
@@ -291,105 +346,123 @@ async function analyzeRealSpeech(transcription, field) {
         questionWords
     });
 
-    // Calculate rating based on REAL speech analysis
-    let rating = 4; // Base
-    
-    if (wordCount > 50) rating += 1; // Good length
-    if (wordCount > 100) rating += 0.5; // Comprehensive
-    if (technicalTerms > 2) rating += 1; // Technical depth
-    if (technicalTerms > 5) rating += 0.5; // Strong technical vocabulary
-    if (confidenceWords > 2) rating += 1; // Confident language
-    if (confidenceWords > 4) rating += 0.5; // Very confident
-    if (specificMetrics > 0) rating += 1; // Quantifiable results
-    if (specificMetrics > 2) rating += 0.5; // Multiple metrics
-    if (fillerWords < wordCount / 20) rating += 0.5; // Clear speech
-    if (questionWords > 0) rating += 0.5; // Engagement
-    
-    // Field-specific bonuses
-    const fieldLower = field.toLowerCase();
-    if (fieldLower.includes('senior') && technicalTerms > 4) rating += 0.5;
-    if (fieldLower.includes('intern') && confidenceWords > 1) rating += 0.5;
-    if (fieldLower.includes('java') && text.toLowerCase().includes('java')) rating += 0.5;
-    
-    rating = Math.min(9, Math.max(1, Math.round(rating * 2) / 2));
+    // Rating from the profile's weighted metrics, thresholds and caps
+    const { rating, breakdown } = scoring.score(profile, metrics);
 
-    // Generate specific mistakes based on real content
+    // Generate specific mistakes based on real content, each anchored where it happened
     const mistakes = [];
     
     if (fillerWords > wordCount / 15) {
-        const fillerPercent = Math.round((fillerWords / wordCount) * 100);
-        mistakes.push({
-            timestamp: findFillerTimestamp(transcription.segments, fillerWords),
-            text: `Reduce filler words (${fillerPercent}% of speech) - practice speaking more deliberately`
-        });
+        mistakes.push(timeline.makeMistake('filler-words',
+            languages.t(lang, 'analysis.fillerWords', {
+                percent: Math.round((fillerWords / wordCount) * 100),
+                counts: disfluency.describeCounts(fluency.counts, disfluency.FLUENCY_TYPES, lang)
+            }),
+            fillerOccurrences, speechStart));
+    }
+
+    mistakes.push(...disfluency.hedgingMistakes(fluency, speechStart, lang));
+
+    if (longPauses.length > 0) {
+        mistakes.push(timeline.makeMistake('long-pause',
+            languages.t(lang, 'analysis.longPauses', {
+                count: longPauses.length,
+                seconds: Math.max(...longPauses.map(p => p.duration)).toFixed(1)
+            }),
+            longPauses, speechStart));
+    }
+
+    if (ramblingStretches.length > 0) {
+        mistakes.push(timeline.makeMistake('rambling', languages.t(lang, 'analysis.rambling'), ramblingStretches, speechStart));
     }
 
+    mistakes.push(...star.starMistakes(starResult, speechStart, words.length > 0 ? words[words.length - 1].end : speechStart, lang));
+
     if (specificMetrics === 0 && wordCount > 30) {
-        mistakes.push({
-            timestamp: '1:30',
-            text: 'Include specific metrics and quantifiable achievements in your examples'
-        });
+        mistakes.push(timeline.makeMistake('metrics', languages.t(lang, 'analysis.metricsMissing'), [], speechStart));
     }
 
+    const packName = vocab.pack.name.toLowerCase();
     if (technicalTerms < 2 && wordCount > 30) {
-        mistakes.push({
-            timestamp: '2:00',
-            text: `Use more ${field}-specific technical terminology to demonstrate expertise`
-        });
+        mistakes.push(timeline.makeMistake('technical-terms',
+            languages.t(lang, 'analysis.technicalTerms', {
+                pack: packName,
+                examples: vocabulary.suggestTerms(vocab.pack, metrics.terms.matches).join(', ')
+            }), [], speechStart));
     }
 
     if (confidenceWords < 2 && wordCount > 40) {
-        mistakes.push({
-            timestamp: '1:45',
-            text: 'Use more confident, achievement-oriented language when describing your experience'
-        });
+        mistakes.push(timeline.makeMistake('confidence', languages.t(lang, 'analysis.confidenceLow'), [], speechStart));
     }
 
     if (wordCount < 40) {
-        mistakes.push({
-            timestamp: '0:30',
-            text: 'Provide more comprehensive responses with detailed examples and context'
-        });
+        mistakes.push(timeline.makeMistake('too-brief', languages.t(lang, 'analysis.tooBrief'), [], speechStart));
     }
 
     // Generate real content-based tips
     const tips = [
-        `Real speech analysis: ${wordCount} words, ${technicalTerms} technical terms, ${confidenceWords} confidence indicators`,
-        technicalTerms > 3 ? 'Excellent technical vocabulary usage' : `Include more ${field}-specific technical concepts and terminology`,
-        confidenceWords > 2 ? 'Strong confident communication style detected' : 'Practice using more achievement-focused language',
-        specificMetrics > 0 ? 'Good use of quantifiable results' : 'Always include specific numbers and measurable outcomes',
-        fillerWords < wordCount / 25 ? 'Clear, fluent speech patterns' : 'Practice reducing filler words for more professional delivery'
+        languages.t(lang, 'analysis.realAnalysis', { words: wordCount, terms: metrics.terms.matches.length, pack: packName, confidence: confidenceWords }),
+        languages.t(lang, technicalTerms > 3 ? 'analysis.vocabularyStrong' : 'analysis.vocabularyWeak', { pack: packName }),
+        languages.t(lang, confidenceWords > 2 ? 'analysis.confidenceStrong' : 'analysis.confidenceWeak'),
+        languages.t(lang, specificMetrics > 0 ? 'analysis.metricsGood' : 'analysis.metricsWeak'),
+        languages.t(lang, fillerWords < wordCount / 25 ? 'analysis.fluentGood' : 'analysis.fluentWeak')
     ];
 
+    // STAR feedback replaces the generic closing tips when the answer is a story
+    const starTips = star.starTips(starResult, lang);
+    const summary = languages.t(lang, 'analysis.summary', {
+        words: wordCount,
+        technical: technicalTerms,
+        confidence: confidenceWords,
+        rating,
+        profile: profile.name
+    });
+
     return {
         rating,
-        mistakes: mistakes.slice(0, 3),
-        tips: tips.slice(0, 5),
-        summary: `Real speech transcription analysis: ${wordCount} words analyzed. Technical terms: ${technicalTerms}, Confidence indicators: ${confidenceWords}, Filler words: ${fillerWords}. Rating: ${rating}/10. ${rating >= 7 ? 'Strong interview performance with clear technical communication.' : rating >= 5 ? 'Good foundation with specific areas for improvement based on actual speech content.' : 'Focus on the identified areas to significantly enhance interview performance.'}`
+        mistakes: mistakes.slice(0, 5),
+        tips: [
+            ...tips.slice(0, 5 - Math.min(2, starTips.length)),
+            ...starTips.slice(0, 2),
+            ...disfluency.disfluencyTips(fluency, lang),
+            ...breakdown.caps.map(cap => languages.t(lang, 'analysis.capped', { max: cap.max, reason: cap.reason }))
+        ],
+        star: starResult,
+        disfluency: fluency,
+        scoring: breakdown,
+        vocabulary: vocabulary.report(vocab.packMatch, metrics.terms, vocab.pack),
+        summary: `${summary} ${languages.t(lang, `analysis.verdict.${rating >= 7 ? 'strong' : rating >= 5 ? 'good' : 'weak'}`)}`,
+        language: lang
     };
 }
 
-// Enhanced smart analysis fallback (when transcription fails)
-function generateSmartVideoAnalysis(field, videoFile) {
-    const fileSize = videoFile.size;
-    const fileName = videoFile.originalFilename || 'video.mp4';
-    const mimeType = videoFile.mimetype;
-    
-    // Estimate video duration more accurately
-    let estimatedDurationSeconds = 30;
-    
+// Guesses the length of a recording from its size and type (only used without ffprobe)
+function estimateDuration(fileSize, mimeType) {
     if (mimeType.includes('webm')) {
         if (fileSize > 5 * 1024 * 1024) {
-            estimatedDurationSeconds = Math.max(30, Math.min(300, fileSize / (1024 * 60)));
-        } else {
-            estimatedDurationSeconds = Math.max(10, Math.min(180, fileSize / (1024 * 100)));
+            return Math.max(30, Math.min(300, fileSize / (1024 * 60)));
         }
-    } else if (mimeType.includes('mp4')) {
-        estimatedDurationSeconds = Math.max(15, Math.min(300, fileSize / (1024 * 80)));
+        return Math.max(10, Math.min(180, fileSize / (1024 * 100)));
     }
+    if (mimeType.includes('mp4')) {
+        return Math.max(15, Math.min(300, fileSize / (1024 * 80)));
+    }
+    return 30;
+}
+
+// Enhanced smart analysis fallback (when transcription fails); `probe` is the
+// ffprobe metadata when available, otherwise the duration is estimated from the file size
+function generateSmartVideoAnalysis(field, videoFile, probe = null) {
+    const fileSize = videoFile.size;
+    const fileName = videoFile.originalFilename || 'video.mp4';
+    const mimeType = videoFile.mimetype || '';
+    
+    const durationSource = probe && probe.duration ? 'probe' : 'estimate';
+    const estimatedDurationSeconds = durationSource === 'probe' ? probe.duration : estimateDuration(fileSize, mimeType);
 
     console.log('⏱️ Smart Duration Analysis:', {
-        estimatedSeconds: estimatedDurationSeconds.toFixed(1),
+        seconds: estimatedDurationSeconds.toFixed(1),
+        source: durationSource,
         sizeMB: (fileSize / (1024 * 1024)).toFixed(1),
         type: mimeType
     });
@@ -408,7 +481,8 @@ function generateSmartVideoAnalysis(field, videoFile) {
                 'Provide specific examples and details in your answers',
                 'Ensure you are speaking clearly into the microphone'
             ],
-            summary: `Video appears to be ${estimatedDurationSeconds.toFixed(1)} seconds - too brief for interview analysis. Please record a proper response.`
+            summary: `Video ${durationSource === 'probe' ? 'is' : 'appears to be'} ${estimatedDurationSeconds.toFixed(1)} seconds - too brief for interview analysis. Please record a proper response.`,
+            durationSource
         };
     }
 
@@ -501,17 +575,7 @@ function generateSmartVideoAnalysis(field, videoFile) {
         rating,
         mistakes,
         tips,
-        summary: `Smart video analysis for ${field} position: ${durationMinutes} minutes of estimated content. Quality ratio: ${qualityRatio.toFixed(1)}MB/min. Overall performance: ${rating}/10. ${rating >= 7 ? 'Strong interview readiness with targeted improvement areas.' : rating >= 5 ? 'Good potential with specific development opportunities.' : 'Focus on building confidence and expanding response depth.'}`
+        durationSource,
+        summary: `Smart video analysis for ${field} position: ${durationMinutes} minutes of ${durationSource === 'probe' ? 'recorded' : 'estimated'} content. Quality ratio: ${qualityRatio.toFixed(1)}MB/min. Overall performance: ${rating}/10. ${rating >= 7 ? 'Strong interview readiness with targeted improvement areas.' : rating >= 5 ? 'Good potential with specific development opportunities.' : 'Focus on building confidence and expanding response depth.'}`
     };
 }
-
-function findFillerTimestamp(segments, fillerCount) {
-    if (!segments || segments.length === 0) return '1:15';
-    
-    // Find a segment that likely contains filler words
-    const midPoint = Math.floor(segments.length / 2);
-    const segment = segments[midPoint];
-    const minutes = Math.floor(segment.start / 60);
-    const seconds = Math.floor(segment.start % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-}
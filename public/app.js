@@ -1,55 +1,198 @@
 /* InterviewLabs - Smart Interview Analyzer */
 
+const ACTIVE_JOB_KEY = 'interviewlabs_active_job';
+const AUTH_TOKEN_KEY = 'interviewlabs_token';
+const JOB_POLL_INTERVAL = 2000;
+// Resumable uploads in progress, keyed by file name, size and modification time
+const UPLOAD_KEY_PREFIX = 'interviewlabs_upload:';
+const UPLOAD_RETRIES = 5;
+const UPLOAD_RETRY_DELAY = 1000; // doubled after every failed attempt
+const MAX_OCCURRENCE_CHIPS = 12;
+const REVIEW_MARK_TYPES = ['filler-words', 'hedging', 'long-pause', 'rambling'];
+const REVIEW_SEEK_LEAD = 0.5; // start playback slightly before the problem
+const STAR_PARTS = ['situation', 'task', 'action', 'result'];
+const JOB_STAGES = [
+    { id: 'uploaded', label: 'Uploaded' },
+    { id: 'extracting_audio', label: 'Extracting audio' },
+    { id: 'transcribing', label: 'Transcribing' },
+    { id: 'analyzing', label: 'Analyzing' },
+    { id: 'done', label: 'Done' }
+];
+
 class InterviewApp {
     constructor() {
         this.currentUser = null;
         this.currentField = '';
         this.questions = [];
+        // Bank metadata (type, difficulty, outline) for this.questions, when the bank supplied them
+        this.questionItems = [];
+        // Language this.questions are written in (read aloud in mock interviews)
+        this.questionLanguage = 'en';
+        // Session a follow-up round is chained to (set while practicing follow-ups)
+        this.parentSessionId = null;
+        // Job description the questions were planned from ({ title, requirements, ... }), if one was pasted
+        this.job = null;
+        // The user's uploaded resume ({ resume, profile }) from /api/profile, if there is one
+        this.resume = null;
         this.currentVideo = null;
         this.mediaRecorder = null;
         this.mediaStream = null;
         this.recordedChunks = [];
+        this.recordingStartedAt = null;
+        this.questionMarkers = [];
+        // Mock interview state while one runs, and the clips (one per answer) it recorded
+        this.interview = null;
+        this.interviewClips = [];
+        // Active Analyze tab mode, and the answers typed in "Type Answer" mode (one per question)
+        this.recordMode = 'record';
+        this.textAnswers = [];
+        this.audioTimer = null;
+        this.authToken = localStorage.getItem(AUTH_TOKEN_KEY);
+        // Replaced by the server's limits (GET /api/uploads/config) once loaded
+        this.uploadConfig = {
+            maxBytes: 100 * 1024 * 1024,
+            chunkBytes: 5 * 1024 * 1024,
+            acceptedTypes: ['video/', 'audio/'],
+            acceptedExtensions: ['.mp3', '.m4a', '.wav', '.ogg']
+        };
         
-        // Simple user storage (simulates a database)
-        this.users = JSON.parse(localStorage.getItem('interviewlabs_users') || '[]');
+        // Accounts used to live here with plaintext passwords - drop them
+        localStorage.removeItem('interviewlabs_users');
         
         this.init();
     }
 
     async init() {
         // Check authentication
-        this.checkAuth();
+        await this.checkAuth();
         
         // Setup event listeners
         this.setupEventListeners();
+        this.loadScoringProfiles();
+        this.loadLanguages();
+        this.loadUploadConfig();
         
         // Initialize app state
         if (this.currentUser) {
             this.showApp();
             this.loadUserData();
+            this.loadResume();
+            this.resumeActiveJob();
         } else {
             this.showAuth();
         }
     }
 
-    // Enhanced checkAuth with debug info
-    checkAuth() {
+    // Fills the scoring profile picker; "Auto" lets the server match the field
+    async loadScoringProfiles() {
+        const select = document.getElementById('scoringProfile');
+        if (!select) return;
+
+        try {
+            const response = await fetch('/api/scoring-profiles');
+            if (!response.ok) return;
+
+            const { profiles } = await response.json();
+            select.innerHTML = '<option value="">Auto (match my field)</option>' + profiles.map(profile =>
+                `<option value="${this.escapeHtml(profile.id)}" title="${this.escapeHtml(profile.description)}">${this.escapeHtml(profile.name)}</option>`
+            ).join('');
+        } catch (error) {
+            console.error('Could not load scoring profiles:', error);
+        }
+    }
+
+    // Fills the interview language picker; "Auto-detect" lets the server detect it from the answer
+    async loadLanguages() {
+        const select = document.getElementById('interviewLanguage');
+        if (!select) return;
+
+        try {
+            const response = await fetch('/api/languages');
+            if (!response.ok) return;
+
+            const { languages, auto } = await response.json();
+            select.innerHTML = `<option value="${this.escapeHtml(auto)}">Auto-detect</option>` + languages.map(language =>
+                `<option value="${this.escapeHtml(language.code)}" title="${this.escapeHtml(language.name)}">${this.escapeHtml(language.nativeName)}</option>`
+            ).join('');
+        } catch (error) {
+            console.error('Could not load interview languages:', error);
+        }
+    }
+
+    interviewLanguage() {
+        return document.getElementById('interviewLanguage')?.value || 'auto';
+    }
+
+    // Upload size limit and chunk size, shared with the server
+    async loadUploadConfig() {
+        try {
+            const response = await fetch('/api/uploads/config');
+            if (response.ok) this.uploadConfig = await response.json();
+        } catch (error) {
+            console.error('Could not load upload limits:', error);
+        }
+        const hint = document.getElementById('uploadLimitHint');
+        if (hint) hint.textContent = `(up to ${Math.round(this.uploadConfig.maxBytes / (1024 * 1024))}MB)`;
+    }
+
+    // Files without a type (common for voice memos) are judged by their extension
+    isAcceptedFile(file) {
+        if (file.type) return this.uploadConfig.acceptedTypes.some(type => file.type.startsWith(type));
+        const extension = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+        return (this.uploadConfig.acceptedExtensions || []).includes(extension);
+    }
+
+    // Validates the stored session token with the server
+    async checkAuth() {
         this.showUserDebugInfo();
         
-        const userData = localStorage.getItem('interviewlabs_user');
-        if (userData) {
-            try {
-                this.currentUser = JSON.parse(userData);
-                console.log('User found:', this.currentUser.email);
-            } catch (e) {
-                console.error('Invalid user data in localStorage');
-                localStorage.removeItem('interviewlabs_user');
-            }
-        } else {
-            console.log('No user found in localStorage');
+        if (!this.authToken) {
+            console.log('No session token found');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/auth/me');
+            if (!response.ok) return;
+
+            const data = await response.json();
+            this.setCurrentUser(data.user);
+            console.log('User found:', this.currentUser.email);
+        } catch (e) {
+            console.error('Could not validate session:', e);
         }
     }
 
+    setCurrentUser(user) {
+        user.sessions = [];
+        this.currentUser = user;
+        localStorage.setItem('interviewlabs_user', JSON.stringify(user));
+    }
+
+    clearSession() {
+        this.authToken = null;
+        this.currentUser = null;
+        localStorage.removeItem(AUTH_TOKEN_KEY);
+        localStorage.removeItem('interviewlabs_user');
+    }
+
+    // fetch() with the session token; a 401 sends the user back to the sign-in screen
+    async apiFetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (this.authToken) headers['Authorization'] = `Bearer ${this.authToken}`;
+
+        const response = await fetch(url, { ...options, headers, credentials: 'same-origin' });
+        if (response.status === 401) this.expireSession();
+        return response;
+    }
+
+    expireSession() {
+        if (!this.authToken) return;
+        this.clearSession();
+        this.showAuth();
+        this.showNotification('Your session has expired. Please sign in again.', 'error');
+    }
+
     // Add debug function for user info
     showUserDebugInfo() {
         const userData = localStorage.getItem('interviewlabs_user');
@@ -129,9 +272,27 @@ class InterviewApp {
         const generateBtn = document.getElementById('generateQuestionsBtn');
         if (generateBtn) generateBtn.addEventListener('click', () => this.generateQuestions());
 
+        // Job posting: typed, pasted or loaded from a text or HTML file
+        const jobText = document.getElementById('jobDescription');
+        if (jobText) jobText.addEventListener('input', () => this.updateJobDescriptionStatus());
+        const jobFile = document.getElementById('jobDescriptionFile');
+        if (jobFile) jobFile.addEventListener('change', () => this.loadJobDescriptionFile(jobFile));
+
+        // Resume: uploaded once and kept on the account
+        const resumeFile = document.getElementById('resumeFile');
+        if (resumeFile) resumeFile.addEventListener('change', () => this.uploadResume(resumeFile));
+        const removeResumeBtn = document.getElementById('removeResumeBtn');
+        if (removeResumeBtn) removeResumeBtn.addEventListener('click', () => this.removeResume());
+
         // Analyze video
         const analyzeBtn = document.getElementById('analyzeVideoBtn');
         if (analyzeBtn) analyzeBtn.addEventListener('click', () => this.analyzeVideo());
+        const cancelJobBtn = document.getElementById('cancelJobBtn');
+        if (cancelJobBtn) cancelJobBtn.addEventListener('click', () => this.cancelJob());
+
+        // Follow-up round: record answers to the follow-up questions
+        const followUpBtn = document.getElementById('recordFollowUpBtn');
+        if (followUpBtn) followUpBtn.addEventListener('click', () => this.switchTab('analyze'));
     }
 
     setupRecordingEvents() {
@@ -148,6 +309,33 @@ class InterviewApp {
         if (startRecordBtn) startRecordBtn.addEventListener('click', () => this.startRecording());
         if (stopRecordBtn) stopRecordBtn.addEventListener('click', () => this.stopRecording());
 
+        const nextQuestionBtn = document.getElementById('nextQuestionBtn');
+        if (nextQuestionBtn) nextQuestionBtn.addEventListener('click', () => this.markNextQuestion());
+
+        // Audio-only mode
+        const startAudioBtn = document.getElementById('startAudioBtn');
+        const stopAudioBtn = document.getElementById('stopAudioBtn');
+        if (startAudioBtn) startAudioBtn.addEventListener('click', () => this.startAudioRecording());
+        if (stopAudioBtn) stopAudioBtn.addEventListener('click', () => this.stopAudioRecording());
+
+        // Type-answer mode
+        const textAnswers = document.getElementById('textAnswers');
+        if (textAnswers) textAnswers.addEventListener('input', (e) => {
+            if (!e.target.dataset.index) return;
+            const index = Number(e.target.dataset.index);
+            this.textAnswers[index] = e.target.value;
+            this.updateTextAnswerCount(index);
+            this.updateAnalyzeButton();
+        });
+
+        // Mock interview mode
+        const startInterviewBtn = document.getElementById('startInterviewBtn');
+        const interviewNextBtn = document.getElementById('interviewNextBtn');
+        const endInterviewBtn = document.getElementById('endInterviewBtn');
+        if (startInterviewBtn) startInterviewBtn.addEventListener('click', () => this.startInterview());
+        if (interviewNextBtn) interviewNextBtn.addEventListener('click', () => this.nextInterviewStep());
+        if (endInterviewBtn) endInterviewBtn.addEventListener('click', () => this.finishInterview());
+
         // File upload
         const browseFileBtn = document.getElementById('browseFileBtn');
         const videoFileInput = document.getElementById('videoFileInput');
@@ -247,61 +435,43 @@ class InterviewApp {
         submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
         submitBtn.disabled = true;
 
-        // Simulate API delay
-        setTimeout(() => {
-            try {
-                if (isSignUp) {
-                    // Sign up logic
-                    const existingUser = this.users.find(u => u.email === email);
-                    if (existingUser) {
-                        this.showNotification('An account with this email already exists', 'error');
-                        return;
-                    }
-
-                    // Create new user
-                    const newUser = {
-                        id: Date.now(),
-                        name: name,
-                        email: email,
-                        password: password, // In production, hash this!
-                        joinDate: new Date().toISOString(),
-                        sessions: []
-                    };
-
-                    this.users.push(newUser);
-                    localStorage.setItem('interviewlabs_users', JSON.stringify(this.users));
-                    
-                    this.currentUser = newUser;
-                    this.showNotification('Welcome to InterviewLabs!', 'success');
-                    
+        try {
+            const response = await fetch(`/api/auth/${isSignUp ? 'register' : 'login'}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify(isSignUp ? { name, email, password } : { email, password })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                if (response.status === 409) {
+                    this.showNotification('An account with this email already exists', 'error');
+                } else if (response.status === 401) {
+                    this.showNotification('Invalid email or password', 'error');
                 } else {
-                    // Sign in logic
-                    const user = this.users.find(u => u.email === email && u.password === password);
-                    if (!user) {
-                        this.showNotification('Invalid email or password', 'error');
-                        return;
-                    }
-
-                    // Load user's sessions
-                    user.sessions = JSON.parse(localStorage.getItem(`interviewlabs_sessions_${email}`) || '[]');
-                    this.currentUser = user;
-                    this.showNotification('Welcome back to the lab!', 'success');
+                    this.showNotification(data.error || 'Authentication failed. Please try again.', 'error');
                 }
+                return;
+            }
 
-                // Save current user and show app
-                localStorage.setItem('interviewlabs_user', JSON.stringify(this.currentUser));
-                this.hideAuth();
-                this.showApp();
-                this.loadUserData();
+            this.authToken = data.token;
+            localStorage.setItem(AUTH_TOKEN_KEY, data.token);
+            this.setCurrentUser(data.user);
+            this.showNotification(isSignUp ? 'Welcome to InterviewLabs!' : 'Welcome back to the lab!', 'success');
 
-            } catch (error) {
-                console.error('Auth error:', error);
-                this.showNotification('Authentication failed. Please try again.', 'error');
-            } finally {
-                submitBtn.innerHTML = originalText;
-                submitBtn.disabled = false;
-            }
-        }, 1000);
+            this.hideAuth();
+            this.showApp();
+            this.loadUserData();
+            this.loadResume();
+
+        } catch (error) {
+            console.error('Auth error:', error);
+            this.showNotification('Authentication failed. Please try again.', 'error');
+        } finally {
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+        }
     }
 
     showAuth() {
@@ -325,9 +495,13 @@ class InterviewApp {
         if (userName && this.currentUser) userName.textContent = this.currentUser.name;
     }
 
-    logout() {
-        localStorage.removeItem('interviewlabs_user');
-        this.currentUser = null;
+    async logout() {
+        try {
+            await this.apiFetch('/api/auth/logout', { method: 'POST' });
+        } catch (e) {
+            console.warn('Logout request failed:', e);
+        }
+        this.clearSession();
         this.showAuth();
         this.showNotification('You have been logged out of the lab', 'info');
         
@@ -336,21 +510,28 @@ class InterviewApp {
         if (authForm) authForm.reset();
     }
 
-    loadUserData() {
+    // Session history lives on the server so it follows the user across devices
+    async loadUserData() {
         if (!this.currentUser) return;
         
-        const sessions = this.currentUser.sessions || [];
+        let stats = { total: 0, averageRating: 0 };
+        try {
+            const response = await this.apiFetch('/api/sessions');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            this.currentUser.sessions = data.sessions;
+            stats = data.stats;
+        } catch (error) {
+            console.error('Failed to load session history:', error);
+        }
         
         // Update stats
         const totalSessions = document.getElementById('totalSessions');
         const avgScore = document.getElementById('avgScore');
         
-        if (totalSessions) totalSessions.textContent = sessions.length;
-        
-        if (sessions.length > 0 && avgScore) {
-            const average = (sessions.reduce((acc, s) => acc + s.rating, 0) / sessions.length).toFixed(1);
-            avgScore.textContent = average;
-        }
+        if (totalSessions) totalSessions.textContent = stats.total;
+        if (avgScore) avgScore.textContent = stats.averageRating.toFixed(1);
 
         // Load history
         this.loadHistory();
@@ -381,9 +562,12 @@ class InterviewApp {
         
         const field = fieldInput.value.trim();
         const count = countSelect.value;
+        const language = this.interviewLanguage();
+        const jobDescription = (document.getElementById('jobDescription')?.value || '').trim();
+        const useResume = this.usingResume();
         
-        if (!field) {
-            this.showNotification('Please enter an interview field', 'error');
+        if (!field && !jobDescription) {
+            this.showNotification('Please enter an interview field or paste a job description', 'error');
             return;
         }
 
@@ -397,21 +581,22 @@ class InterviewApp {
 
         try {
             console.log('Making API request to /api/questions');
-            console.log('Request payload:', { field, count: parseInt(count) });
+            console.log('Request payload:', { field, count: parseInt(count), language, jobDescription: jobDescription.length, useResume });
             
-            const response = await fetch('/api/questions', {
+            const response = await this.apiFetch('/api/questions', {
                 method: 'POST',
                 headers: { 
                     'Content-Type': 'application/json',
                     'Accept': 'application/json'
                 },
-                body: JSON.stringify({ field, count: parseInt(count) })
+                body: JSON.stringify({ field, count: parseInt(count), language, ...(jobDescription ? { jobDescription } : {}), ...(useResume ? { useResume } : {}) })
             });
 
             console.log('Response status:', response.status);
             
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const problem = await response.json().catch(() => ({}));
+                throw new Error(problem.message || `HTTP ${response.status}: ${response.statusText}`);
             }
             
             const data = await response.json();
@@ -419,6 +604,13 @@ class InterviewApp {
             
             if (data.questions && data.questions.length > 0) {
                 this.questions = data.questions;
+                this.questionItems = data.items || [];
+                this.questionLanguage = data.language || 'en';
+                this.job = data.job || null;
+                // The posting's title stands in for an empty field
+                if (!this.currentField && this.job) this.currentField = this.job.title || 'General';
+                this.resetTextAnswers();
+                this.setFollowUpRound(null);
                 this.renderQuestions();
                 this.showNotification(`Generated ${data.questions.length} lab questions successfully! (${data.source})`, 'success');
             } else {
@@ -436,23 +628,172 @@ class InterviewApp {
         }
     }
 
+    updateJobDescriptionStatus() {
+        const text = document.getElementById('jobDescription')?.value || '';
+        const status = document.getElementById('jobDescriptionStatus');
+        if (status) status.textContent = text.trim() ? `${text.length.toLocaleString()} characters` : '';
+    }
+
+    // Reads a saved posting (text, Markdown or a saved job page) into the textarea; the server parses it
+    async loadJobDescriptionFile(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        try {
+            const textarea = document.getElementById('jobDescription');
+            if (textarea) textarea.value = await file.text();
+            this.updateJobDescriptionStatus();
+            this.showNotification(`Loaded ${file.name}`, 'success');
+        } catch (error) {
+            this.showNotification(`Could not read ${file.name}: ${error.message}`, 'error');
+        } finally {
+            input.value = '';
+        }
+    }
+
+    usingResume() {
+        return Boolean(this.resume && document.getElementById('useResume')?.checked);
+    }
+
+    async loadResume() {
+        try {
+            const response = await this.apiFetch('/api/profile');
+            this.resume = response.ok ? await response.json() : null;
+        } catch (error) {
+            console.error('Failed to load resume:', error);
+            this.resume = null;
+        }
+        this.updateResumeStatus();
+    }
+
+    updateResumeStatus() {
+        const status = document.getElementById('resumeStatus');
+        const toggle = document.getElementById('useResume');
+        const removeBtn = document.getElementById('removeResumeBtn');
+        const profile = this.resume && this.resume.profile;
+        if (status) {
+            status.textContent = profile ?
+                `${profile.name ? `${profile.name} - ` : ''}${profile.claims.length} claims, ${profile.skills.length} skills${this.resume.resume.filename ? ` (${this.resume.resume.filename})` : ''}` :
+                'PDF, Word (.docx) or text';
+        }
+        if (toggle) {
+            toggle.disabled = !profile;
+            toggle.checked = Boolean(profile);
+        }
+        if (removeBtn) removeBtn.classList.toggle('hidden', !profile);
+    }
+
+    // The server extracts the text and parses it; what it found is shown next to the button
+    async uploadResume(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        try {
+            const formData = new FormData();
+            formData.append('resume', file, file.name);
+            const response = await this.apiFetch('/api/profile/resume', { method: 'PUT', body: formData });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+
+            this.resume = data;
+            this.updateResumeStatus();
+            this.showNotification(`Resume loaded: ${data.profile.claims.length} claims to ask about`, 'success');
+        } catch (error) {
+            this.showNotification(`Could not read ${file.name}: ${error.message}`, 'error');
+        } finally {
+            input.value = '';
+        }
+    }
+
+    async removeResume() {
+        try {
+            const response = await this.apiFetch('/api/profile', { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`);
+            this.resume = null;
+            this.updateResumeStatus();
+            this.showNotification('Resume removed', 'info');
+        } catch (error) {
+            this.showNotification(`Could not remove the resume: ${error.message}`, 'error');
+        }
+    }
+
     renderQuestions() {
         const container = document.getElementById('questionsContainer');
         const list = document.getElementById('questionsList');
         
         if (!container || !list) return;
         
-        list.innerHTML = this.questions.map((question, index) => `
-            <div class="question-item">
-                <div class="question-number">Question ${index + 1}</div>
-                <div class="question-text">${question}</div>
-            </div>
-        `).join('');
+        list.innerHTML = this.questions.map((question, index) => {
+            const item = this.questionItems[index];
+            return `
+                <div class="question-item">
+                    <div class="question-number">
+                        ${item && item.target ? 'Follow-up' : 'Question'} ${index + 1}
+                        ${item && item.type ? `<span class="question-tag">${this.escapeHtml(item.type)}</span><span class="question-tag">difficulty ${item.difficulty}/5</span>` : ''}
+                        ${item && item.target ? `<span class="question-tag">${this.escapeHtml(item.target.replace(/-/g, ' '))}</span>` : ''}
+                    </div>
+                    <div class="question-text">${this.escapeHtml(question)}</div>
+                    ${item && item.requirement ? `<div class="question-requirement"><i class="fas fa-briefcase"></i> Probes: ${this.escapeHtml(item.requirement.text)}</div>` : ''}
+                    ${item && item.claim ? `<div class="question-requirement"><i class="fas fa-id-card"></i> From your resume${item.claim.organization ? ` (${this.escapeHtml(item.claim.organization)})` : ''}</div>` : ''}
+                    ${item && item.reason ? `<div class="question-reason">${this.escapeHtml(item.reason)}</div>` : ''}
+                    ${item && item.outline && item.outline.length > 0 ? `
+                        <details class="question-outline">
+                            <summary>What a strong answer covers</summary>
+                            <ul>${item.outline.map(point => `<li>${this.escapeHtml(point)}</li>`).join('')}</ul>
+                        </details>
+                    ` : ''}
+                    ${item && item.followUps && item.followUps.length > 0 ? `
+                        <details class="question-outline">
+                            <summary>Likely follow-ups</summary>
+                            <ul>${item.followUps.map(followUp => `<li>${this.escapeHtml(followUp)}</li>`).join('')}</ul>
+                        </details>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
 
         container.classList.remove('hidden');
     }
 
+    // Asks for follow-ups on a saved session's answers and loads them as the next round
+    async startFollowUpRound(sessionId) {
+        try {
+            const response = await this.apiFetch('/api/follow-ups', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            this.currentField = data.field || this.currentField;
+            this.questions = data.followUps.map(f => f.question);
+            this.questionItems = data.followUps;
+            this.questionLanguage = data.language || this.questionLanguage;
+            this.resetTextAnswers();
+            this.setFollowUpRound(sessionId, data.question);
+            this.switchTab('generate');
+            this.renderQuestions();
+            this.showNotification(`${data.followUps.length} follow-up questions ready (${data.source})`, 'success');
+        } catch (error) {
+            console.error('Failed to generate follow-ups:', error);
+            this.showNotification(`Could not generate follow-up questions: ${error.message}`, 'error');
+        }
+    }
+
+    // Chains the next analysis to `sessionId`; null goes back to a normal round
+    setFollowUpRound(sessionId, question = '') {
+        this.parentSessionId = sessionId;
+
+        const heading = document.getElementById('questionsHeading');
+        const banner = document.getElementById('followUpBanner');
+        const text = document.getElementById('followUpText');
+        if (heading) heading.textContent = sessionId ? 'Follow-up Questions' : 'Generated Questions';
+        if (text) text.textContent = question ? `Probing your answer to: "${question}"` : 'Probing your last answers';
+        if (banner) banner.classList.toggle('hidden', !sessionId);
+    }
+
     switchRecordMode(mode) {
+        this.recordMode = mode;
+
         // Update buttons
         document.querySelectorAll('.record-option-btn').forEach(btn => btn.classList.remove('active'));
         const targetBtn = document.querySelector(`[data-mode="${mode}"]`);
@@ -470,6 +811,119 @@ class InterviewApp {
             if (uploadArea) uploadArea.style.display = 'block';
             if (filePreview) filePreview.classList.add('hidden');
         }
+        if (mode === 'text') this.renderTextAnswers();
+        this.updateAnalyzeButton();
+    }
+
+    // Typed answers are analyzed in "Type Answer" mode; every other mode needs a recording
+    updateAnalyzeButton() {
+        const analyzeBtn = document.getElementById('analyzeVideoBtn');
+        if (!analyzeBtn || this.interview) return;
+        analyzeBtn.disabled = this.recordMode === 'text' ?
+            !this.hasTextAnswers() :
+            !this.currentVideo && this.interviewClips.length === 0;
+    }
+
+    // Phone-style voice memo: microphone only, answering the questions in order
+    async startAudioRecording() {
+        try {
+            this.mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            console.error('Microphone access failed:', error);
+            this.showNotification('Microphone access denied. Please allow microphone permissions.', 'error');
+            return;
+        }
+
+        const mimeType = ['audio/webm', 'audio/ogg', 'audio/mp4'].find(type => MediaRecorder.isTypeSupported(type)) || '';
+        this.mediaRecorder = new MediaRecorder(this.mediaStream, mimeType ? { mimeType } : undefined);
+        this.recordedChunks = [];
+        this.mediaRecorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this.recordedChunks.push(e.data);
+        };
+        this.mediaRecorder.onstop = () => {
+            const type = this.mediaRecorder.mimeType || mimeType || 'audio/webm';
+            const extension = type.includes('ogg') ? 'ogg' : type.includes('mp4') ? 'm4a' : 'webm';
+            this.currentVideo = new File(this.recordedChunks, `answer-${Date.now()}.${extension}`, { type });
+            this.interviewClips = [];
+            this.questionMarkers = [];
+
+            const preview = document.getElementById('audioPreview');
+            if (preview) {
+                preview.src = URL.createObjectURL(this.currentVideo);
+                preview.classList.remove('hidden');
+            }
+            this.updateAnalyzeButton();
+            this.showNotification('Audio recorded! Ready for lab analysis.', 'success');
+        };
+
+        this.mediaRecorder.start();
+        this.recordingStartedAt = Date.now();
+        this.audioTimer = setInterval(() => {
+            const time = document.getElementById('audioRecordTime');
+            if (time) time.textContent = this.formatTime((Date.now() - this.recordingStartedAt) / 1000);
+        }, 500);
+
+        const recorder = document.querySelector('#audioMode .audio-recorder');
+        const banner = document.getElementById('audioQuestionBanner');
+        const preview = document.getElementById('audioPreview');
+        if (recorder) recorder.classList.add('recording');
+        if (preview) preview.classList.add('hidden');
+        if (banner && this.questions.length > 0) {
+            banner.textContent = this.questions.length > 1 ?
+                `Answer the ${this.questions.length} questions in order, starting with: ${this.questions[0]}` :
+                this.questions[0];
+            banner.classList.remove('hidden');
+        }
+        document.getElementById('startAudioBtn').disabled = true;
+        document.getElementById('stopAudioBtn').disabled = false;
+    }
+
+    stopAudioRecording() {
+        if (this.mediaRecorder && this.mediaRecorder.state === 'recording') this.mediaRecorder.stop();
+        if (this.mediaStream) this.mediaStream.getTracks().forEach(track => track.stop());
+        clearInterval(this.audioTimer);
+        this.audioTimer = null;
+
+        const recorder = document.querySelector('#audioMode .audio-recorder');
+        const banner = document.getElementById('audioQuestionBanner');
+        if (recorder) recorder.classList.remove('recording');
+        if (banner) banner.classList.add('hidden');
+        document.getElementById('startAudioBtn').disabled = false;
+        document.getElementById('stopAudioBtn').disabled = true;
+    }
+
+    // One box per question (a single box without questions); typed text survives re-renders
+    renderTextAnswers() {
+        const container = document.getElementById('textAnswers');
+        if (!container) return;
+
+        const prompts = this.questions.length > 0 ? this.questions : [''];
+        container.innerHTML = prompts.map((question, i) => `
+            <div class="text-answer">
+                <label for="textAnswer${i}">${question ? `${i + 1}. ${this.escapeHtml(question)}` : 'Your answer'}</label>
+                <textarea id="textAnswer${i}" class="form-input" data-index="${i}" placeholder="Type or paste your answer...">${this.escapeHtml(this.textAnswers[i] || '')}</textarea>
+                <span class="text-answer-count" id="textAnswerCount${i}"></span>
+            </div>
+        `).join('');
+        prompts.forEach((_, i) => this.updateTextAnswerCount(i));
+    }
+
+    updateTextAnswerCount(index) {
+        const count = document.getElementById(`textAnswerCount${index}`);
+        if (!count) return;
+        const words = (this.textAnswers[index] || '').split(/\s+/).filter(Boolean).length;
+        count.textContent = `${words} word${words === 1 ? '' : 's'}`;
+    }
+
+    hasTextAnswers() {
+        return this.textAnswers.some(answer => answer && answer.trim());
+    }
+
+    // New questions mean new answers
+    resetTextAnswers() {
+        this.textAnswers = [];
+        if (this.recordMode === 'text') this.renderTextAnswers();
+        this.updateAnalyzeButton();
     }
 
     async startRecording() {
@@ -493,6 +947,7 @@ class InterviewApp {
 
             this.mediaRecorder.onstop = () => {
                 this.currentVideo = new Blob(this.recordedChunks, { type: 'video/webm' });
+                this.interviewClips = [];
                 videoPreview.srcObject = null;
                 videoPreview.src = URL.createObjectURL(this.currentVideo);
                 videoPreview.controls = true;
@@ -503,16 +958,21 @@ class InterviewApp {
             };
 
             this.mediaRecorder.start();
+            this.recordingStartedAt = Date.now();
+            this.questionMarkers = [];
 
             // Update UI
             const startBtn = document.getElementById('startRecordBtn');
             const stopBtn = document.getElementById('stopRecordBtn');
+            const nextBtn = document.getElementById('nextQuestionBtn');
             
             if (startBtn && stopBtn) {
                 startBtn.disabled = true;
                 stopBtn.disabled = false;
                 startBtn.innerHTML = '<i class="fas fa-circle" style="animation: pulse 2s infinite;"></i> Recording...';
             }
+            if (nextBtn) nextBtn.disabled = this.questions.length < 2;
+            this.updateQuestionBanner();
 
         } catch (error) {
             console.error('Camera access failed:', error);
@@ -532,35 +992,244 @@ class InterviewApp {
         // Update UI
         const startBtn = document.getElementById('startRecordBtn');
         const stopBtn = document.getElementById('stopRecordBtn');
+        const nextBtn = document.getElementById('nextQuestionBtn');
+        const banner = document.getElementById('currentQuestionBanner');
         
         if (startBtn && stopBtn) {
             startBtn.disabled = false;
             stopBtn.disabled = true;
             startBtn.innerHTML = '<i class="fas fa-circle"></i> Start Recording';
         }
+        if (nextBtn) nextBtn.disabled = true;
+        if (banner) banner.classList.add('hidden');
+    }
+
+    // Marks where the next answer starts so the server can split one video per question
+    markNextQuestion() {
+        if (!this.recordingStartedAt || this.questionMarkers.length >= this.questions.length - 1) return;
+
+        this.questionMarkers.push((Date.now() - this.recordingStartedAt) / 1000);
+        this.updateQuestionBanner();
+
+        const nextBtn = document.getElementById('nextQuestionBtn');
+        if (nextBtn && this.questionMarkers.length >= this.questions.length - 1) nextBtn.disabled = true;
+    }
+
+    updateQuestionBanner() {
+        const banner = document.getElementById('currentQuestionBanner');
+        if (!banner) return;
+
+        if (this.questions.length === 0) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        const index = this.questionMarkers.length;
+        banner.textContent = `Question ${index + 1}/${this.questions.length}: ${this.questions[index]}`;
+        banner.classList.remove('hidden');
+    }
+
+    // Mock interview: think time, then a timed answer recorded as its own clip, for each question
+    async startInterview() {
+        if (this.questions.length === 0) {
+            this.showNotification('Please generate questions first', 'error');
+            this.switchTab('generate');
+            return;
+        }
+
+        try {
+            this.mediaStream = await navigator.mediaDevices.getUserMedia({
+                video: { width: 1280, height: 720 },
+                audio: true
+            });
+        } catch (error) {
+            console.error('Camera access failed:', error);
+            this.showNotification('Camera access denied. Please allow camera permissions.', 'error');
+            return;
+        }
+
+        const preview = document.getElementById('interviewPreview');
+        if (preview) {
+            preview.srcObject = this.mediaStream;
+            preview.play().catch(() => {});
+        }
+
+        this.currentVideo = null;
+        this.questionMarkers = [];
+        this.interviewClips = [];
+        this.interview = {
+            index: 0,
+            phase: null,
+            deadline: 0,
+            thinkSeconds: Number(document.getElementById('interviewThinkTime')?.value) || 30,
+            answerSeconds: Number(document.getElementById('interviewAnswerTime')?.value) || 120,
+            speak: !!document.getElementById('interviewSpeak')?.checked && 'speechSynthesis' in window,
+            timer: setInterval(() => this.tickInterview(), 250)
+        };
+
+        this.setInterviewButtons(true);
+        const analyzeBtn = document.getElementById('analyzeVideoBtn');
+        if (analyzeBtn) analyzeBtn.disabled = true;
+        this.askInterviewQuestion();
+    }
+
+    askInterviewQuestion() {
+        const { index, speak, thinkSeconds } = this.interview;
+        if (speak) {
+            window.speechSynthesis.cancel();
+            const utterance = new SpeechSynthesisUtterance(this.questions[index]);
+            utterance.lang = this.questionLanguage;
+            window.speechSynthesis.speak(utterance);
+        }
+        this.interview.phase = 'think';
+        this.interview.deadline = Date.now() + thinkSeconds * 1000;
+        this.renderInterviewStage();
+    }
+
+    startInterviewAnswer() {
+        if (this.interview.speak) window.speechSynthesis.cancel();
+
+        const chunks = [];
+        const recorder = new MediaRecorder(this.mediaStream);
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.start();
+
+        Object.assign(this.interview, {
+            recorder,
+            chunks,
+            answerStartedAt: Date.now(),
+            phase: 'answer',
+            deadline: Date.now() + this.interview.answerSeconds * 1000
+        });
+        this.renderInterviewStage();
+    }
+
+    // Stops the current answer's recorder; resolves once its clip is stored
+    stopInterviewClip() {
+        const { recorder, chunks, answerStartedAt } = this.interview;
+        const duration = (Date.now() - answerStartedAt) / 1000;
+        this.interview.phase = 'saving';
+
+        return new Promise(resolve => {
+            recorder.onstop = () => {
+                this.interviewClips.push({ blob: new Blob(chunks, { type: 'video/webm' }), duration });
+                resolve();
+            };
+            recorder.stop();
+        });
+    }
+
+    // Think time -> answer -> next question (or the end); the button and the timers both call this
+    async nextInterviewStep() {
+        if (!this.interview) return;
+        if (this.interview.phase === 'think') return this.startInterviewAnswer();
+        if (this.interview.phase !== 'answer') return;
+
+        await this.stopInterviewClip();
+        if (!this.interview) return;
+
+        if (this.interview.index + 1 < this.questions.length) {
+            this.interview.index++;
+            this.askInterviewQuestion();
+        } else {
+            this.finishInterview();
+        }
+    }
+
+    // Auto-advances when the think or answer time runs out
+    tickInterview() {
+        if (!this.interview || !['think', 'answer'].includes(this.interview.phase)) return;
+        if (Date.now() >= this.interview.deadline) this.nextInterviewStep();
+        else this.renderInterviewStage();
+    }
+
+    // Ends the interview; ending early keeps the answers recorded so far
+    async finishInterview() {
+        if (!this.interview) return;
+        const interview = this.interview;
+        if (interview.phase === 'answer') await this.stopInterviewClip();
+
+        clearInterval(interview.timer);
+        if (interview.speak) window.speechSynthesis.cancel();
+        this.interview = null;
+
+        if (this.mediaStream) this.mediaStream.getTracks().forEach(track => track.stop());
+        const preview = document.getElementById('interviewPreview');
+        if (preview) preview.srcObject = null;
+        this.setInterviewButtons(false);
+
+        const answered = this.interviewClips.length;
+        const stage = document.getElementById('interviewStage');
+        if (stage) {
+            stage.classList.remove('answering');
+            stage.innerHTML = `<div class="interview-question">${answered} of ${this.questions.length} answers recorded</div>`;
+        }
+
+        const analyzeBtn = document.getElementById('analyzeVideoBtn');
+        if (analyzeBtn) analyzeBtn.disabled = answered === 0;
+        if (answered > 0) this.showNotification(`Interview complete! ${answered} answers ready for lab analysis.`, 'success');
+    }
+
+    setInterviewButtons(running) {
+        const startBtn = document.getElementById('startInterviewBtn');
+        const nextBtn = document.getElementById('interviewNextBtn');
+        const endBtn = document.getElementById('endInterviewBtn');
+        if (startBtn) startBtn.disabled = running;
+        if (nextBtn) nextBtn.disabled = !running;
+        if (endBtn) endBtn.disabled = !running;
+    }
+
+    renderInterviewStage() {
+        const stage = document.getElementById('interviewStage');
+        if (!stage || !this.interview) return;
+
+        const { index, phase, deadline } = this.interview;
+        const last = index + 1 >= this.questions.length;
+        const nextLabel = document.getElementById('interviewNextLabel');
+
+        if (!stage.querySelector('#interviewCountdown')) {
+            stage.innerHTML = `
+                <div id="interviewProgress" class="interview-progress"></div>
+                <div id="interviewQuestion" class="interview-question"></div>
+                <div id="interviewPhase" class="interview-phase"></div>
+                <div id="interviewCountdown" class="interview-countdown"></div>
+            `;
+        }
+        stage.classList.remove('hidden');
+        stage.classList.toggle('answering', phase === 'answer');
+        stage.querySelector('#interviewProgress').textContent = `Question ${index + 1} of ${this.questions.length}`;
+        stage.querySelector('#interviewQuestion').textContent = this.questions[index];
+        stage.querySelector('#interviewPhase').textContent = phase === 'think' ? 'Think time' : 'Answering - recording';
+        stage.querySelector('#interviewCountdown').textContent = this.formatTime(Math.ceil((deadline - Date.now()) / 1000));
+        if (nextLabel) nextLabel.textContent = phase === 'think' ? 'Start Answering' : last ? 'Finish' : 'Next Question';
     }
 
     handleFileSelect(e) {
         const file = e.target.files[0];
         if (!file) return;
 
-        if (!file.type.startsWith('video/')) {
-            this.showNotification('Please select a video file', 'error');
+        if (!this.isAcceptedFile(file)) {
+            this.showNotification('Please select a video or audio file (mp3, m4a, wav, ogg)', 'error');
             return;
         }
 
-        if (file.size > 200 * 1024 * 1024) {
-            this.showNotification('File size must be less than 200MB', 'error');
+        const maxMB = Math.round(this.uploadConfig.maxBytes / (1024 * 1024));
+        if (file.size > this.uploadConfig.maxBytes) {
+            this.showNotification(`File size must be at most ${maxMB}MB`, 'error');
             return;
         }
 
         this.currentVideo = file;
+        this.interviewClips = [];
+        this.questionMarkers = [];
         this.showFilePreview(file);
         
         const analyzeBtn = document.getElementById('analyzeVideoBtn');
         if (analyzeBtn) analyzeBtn.disabled = false;
         
-        this.showNotification('Video file loaded successfully! Ready for lab analysis.', 'success');
+        this.showNotification('File loaded successfully! Ready for lab analysis.', 'success');
     }
 
     showFilePreview(file) {
@@ -588,7 +1257,7 @@ class InterviewApp {
         e.currentTarget.classList.remove('drag-over');
         
         const file = e.dataTransfer.files[0];
-        if (file && file.type.startsWith('video/')) {
+        if (file && this.isAcceptedFile(file)) {
             const videoFileInput = document.getElementById('videoFileInput');
             if (videoFileInput) {
                 // Create new FileList
@@ -599,7 +1268,7 @@ class InterviewApp {
                 this.handleFileSelect({ target: { files: [file] } });
             }
         } else {
-            this.showNotification('Please drop a video file', 'error');
+            this.showNotification('Please drop a video or audio file', 'error');
         }
     }
 
@@ -615,7 +1284,12 @@ class InterviewApp {
 
     // FIXED analyzeVideo method - now sends actual video file data
     async analyzeVideo() {
-        if (!this.currentVideo) {
+        const typed = this.recordMode === 'text';
+        if (typed && !this.hasTextAnswers()) {
+            this.showNotification('Please type an answer first', 'error');
+            return;
+        }
+        if (!typed && !this.currentVideo && this.interviewClips.length === 0) {
             this.showNotification('Please record or upload a video first', 'error');
             return;
         }
@@ -636,21 +1310,47 @@ class InterviewApp {
 
         try {
             console.log('📹 Starting actual video analysis...');
-            console.log('Video file:', this.currentVideo);
-            console.log('Video size:', (this.currentVideo.size / (1024 * 1024)).toFixed(2), 'MB');
-            console.log('Video type:', this.currentVideo.type);
             console.log('Field:', this.currentField);
             
-            // Create FormData to send actual video file
+            // The video goes up in resumable chunks first; interview clips are small enough to post directly;
+            // typed answers need no upload at all
             const formData = new FormData();
-            formData.append('video', this.currentVideo);
+            let uploadKey = null;
+            if (typed) {
+                const answers = (this.questions.length > 0 ? this.questions : ['']).map((_, i) => this.textAnswers[i] || '');
+                console.log('Typed answers:', answers.filter(a => a.trim()).length);
+                formData.append('answers', JSON.stringify(answers));
+                formData.append('questions', JSON.stringify(this.questions));
+            } else if (this.currentVideo) {
+                console.log('Video size:', (this.currentVideo.size / (1024 * 1024)).toFixed(2), 'MB');
+                uploadKey = this.uploadKey(this.currentVideo);
+                formData.append('uploadId', await this.uploadVideo(this.currentVideo));
+                formData.append('questions', JSON.stringify(this.questions));
+                formData.append('markers', JSON.stringify(this.questionMarkers));
+            } else {
+                console.log('Interview clips:', this.interviewClips.length);
+                this.interviewClips.forEach((clip, i) => formData.append('clips', clip.blob, `answer-${i + 1}.webm`));
+                formData.append('durations', JSON.stringify(this.interviewClips.map(clip => clip.duration)));
+                formData.append('questions', JSON.stringify(this.questions.slice(0, this.interviewClips.length)));
+            }
             formData.append('field', this.currentField);
+            formData.append('profile', document.getElementById('scoringProfile')?.value || '');
+            formData.append('language', this.interviewLanguage());
+            if (this.job) {
+                formData.append('requirements', JSON.stringify(this.job.requirements.map(({ id, kind, text, required }) => ({ id, kind, text, required }))));
+                formData.append('questionRequirements', JSON.stringify(this.questions.map((_, i) => this.questionItems[i]?.requirement?.id || null)));
+            }
+            if (this.usingResume()) {
+                formData.append('useResume', 'true');
+                formData.append('questionClaims', JSON.stringify(this.questions.map((_, i) => this.questionItems[i]?.claim?.id || null)));
+            }
+            if (this.parentSessionId) formData.append('parentSessionId', this.parentSessionId);
             formData.append('hasVideo', 'true');
             
             console.log('📤 Uploading video for analysis...');
             
             // Send FormData (not JSON) to properly handle video file
-            const response = await fetch('/api/analyze', {
+            const response = await this.apiFetch('/api/analyze', {
                 method: 'POST',
                 body: formData  // No headers needed - browser sets multipart/form-data automatically
             });
@@ -658,22 +1358,17 @@ class InterviewApp {
             if (!response.ok) {
                 throw new Error(`Analysis failed: ${response.status} ${response.statusText}`);
             }
+            // The server took over the uploaded file
+            if (uploadKey) localStorage.removeItem(uploadKey);
 
             const result = await response.json();
-            console.log('✅ Video analysis completed:', result);
-            
-            if (result.analysis) {
-                this.showResults(result.analysis);
-                this.saveSession(result.analysis);
-                
-                // Show appropriate success message based on actual video processing
-                if (result.actualVideoProcessed) {
-                    this.showNotification('🎥 Video content analyzed successfully!', 'success');
-                } else {
-                    this.showNotification('⚠️ Analysis completed - upload a video file for full video analysis', 'info');
-                }
+
+            // The server queues the analysis and answers with a job id; follow it until it finishes
+            if (result.jobId) {
+                localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify({ id: result.jobId, field: this.currentField }));
+                await this.trackJob(result.jobId);
             } else {
-                throw new Error('No analysis data received');
+                this.handleAnalysisResult(result);
             }
 
         } catch (error) {
@@ -687,41 +1382,303 @@ class InterviewApp {
         }
     }
 
-    showResults(analysis) {
+    uploadKey(file) {
+        return `${UPLOAD_KEY_PREFIX}${file.name}:${file.size}:${file.lastModified || 0}`;
+    }
+
+    // Sends a file through the resumable upload protocol and resolves with its upload id.
+    // An interrupted upload of the same file continues from the offset the server confirmed
+    async uploadVideo(file) {
+        const key = this.uploadKey(file);
+        let upload = null;
+
+        const savedId = localStorage.getItem(key);
+        if (savedId) {
+            const response = await this.apiFetch(`/api/uploads/${encodeURIComponent(savedId)}`);
+            if (response.ok) upload = (await response.json()).upload;
+            else localStorage.removeItem(key);
+        }
+        if (!upload) {
+            const response = await this.apiFetch('/api/uploads', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ filename: file.name, mimetype: file.type, size: file.size })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(data.message || `Upload failed: ${response.status}`);
+            upload = data.upload;
+            localStorage.setItem(key, upload.id);
+        }
+        if (upload.status === 'complete') return upload.id;
+
+        let offset = upload.offset;
+        let failures = 0;
+        this.renderUploadProgress(offset, file.size);
+        while (offset < file.size) {
+            const chunk = file.slice(offset, offset + upload.chunkBytes);
+            try {
+                const result = await this.sendChunk(upload.id, offset, chunk, (sent) => this.renderUploadProgress(offset + sent, file.size));
+                if (result.status === 200) {
+                    offset = result.body.upload.offset;
+                    failures = 0;
+                    continue;
+                }
+                // The server already has a different offset (an earlier attempt got through): carry on from there
+                if (result.status === 409 && result.body.error === 'OFFSET_MISMATCH') {
+                    offset = result.body.offset;
+                    continue;
+                }
+                if (result.status === 401) {
+                    this.expireSession();
+                    throw new Error('Your session has expired');
+                }
+                if (result.status < 500 && result.status !== 422) {
+                    throw new Error(result.body.message || `Upload failed: ${result.status}`);
+                }
+                throw Object.assign(new Error(result.body.message || `Upload failed: ${result.status}`), { retryable: true });
+            } catch (error) {
+                if (!error.retryable) throw error;
+                failures += 1;
+                if (failures > UPLOAD_RETRIES) throw new Error(`Upload failed after ${UPLOAD_RETRIES} retries: ${error.message}`);
+                const delay = UPLOAD_RETRY_DELAY * 2 ** (failures - 1);
+                this.renderUploadProgress(offset, file.size, `Connection problem - retrying in ${Math.round(delay / 1000)}s`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                // Ask where the server got to before sending again
+                const response = await this.apiFetch(`/api/uploads/${encodeURIComponent(upload.id)}`).catch(() => null);
+                if (response && response.ok) offset = (await response.json()).upload.offset;
+            }
+        }
+
+        const response = await this.apiFetch(`/api/uploads/${encodeURIComponent(upload.id)}/finalize`, { method: 'POST' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            // A file that fails verification is gone on the server; the next attempt starts over
+            if (data.error === 'CHECKSUM_MISMATCH') localStorage.removeItem(key);
+            throw new Error(data.message || `Upload failed: ${response.status}`);
+        }
+        return upload.id;
+    }
+
+    // PUTs one chunk with XHR (fetch cannot report upload progress); resolves with { status, body }.
+    // Network failures reject with a `retryable` error
+    async sendChunk(uploadId, offset, chunk, onProgress) {
+        const headers = { 'Content-Type': 'application/octet-stream', 'Upload-Offset': String(offset) };
+        if (window.crypto && window.crypto.subtle) {
+            const digest = await window.crypto.subtle.digest('SHA-256', await chunk.arrayBuffer());
+            headers['X-Chunk-SHA256'] = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+        }
+        if (this.authToken) headers['Authorization'] = `Bearer ${this.authToken}`;
+
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('PUT', `/api/uploads/${encodeURIComponent(uploadId)}`);
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            xhr.upload.onprogress = (e) => onProgress(e.loaded);
+            xhr.onload = () => {
+                let body = {};
+                try {
+                    body = JSON.parse(xhr.responseText);
+                } catch (e) {
+                    // Proxies answer some failures with HTML
+                }
+                resolve({ status: xhr.status, body });
+            };
+            xhr.onerror = () => reject(Object.assign(new Error('Network error'), { retryable: true }));
+            xhr.ontimeout = xhr.onerror;
+            xhr.send(chunk);
+        });
+    }
+
+    renderUploadProgress(sent, total, note = '') {
+        const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+        const percent = total > 0 ? Math.min(100, Math.round(sent / total * 100)) : 0;
+        this.renderJobProgress({
+            stage: 'uploaded',
+            progress: percent,
+            message: note || `Uploading ${mb(sent)} of ${mb(total)} MB (${percent}%)`
+        });
+    }
+
+    handleAnalysisResult(result) {
+        console.log('✅ Video analysis completed:', result);
+
+        if (!result || !result.analysis) {
+            throw new Error('No analysis data received');
+        }
+
+        // Typed answers have no recording to review
+        const typed = result.input === 'text';
+        this.showResults(result.analysis, typed ? null : result.transcript, typed ? null : this.currentVideo, result.sessionId);
+        this.saveSession(result);
+        this.setFollowUpRound(null);
+        
+        // Show appropriate success message based on actual video processing
+        if (typed) {
+            this.showNotification('⌨️ Written answers analyzed successfully!', 'success');
+        } else if (result.actualVideoProcessed || result.realTranscription) {
+            this.showNotification('🎥 Video content analyzed successfully!', 'success');
+        } else {
+            this.showNotification('⚠️ Analysis completed - upload a video file for full video analysis', 'info');
+        }
+    }
+
+    // Picks up a job that was still running when the page was reloaded
+    async resumeActiveJob() {
+        let active = null;
+        try {
+            active = JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY) || 'null');
+        } catch (e) {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+        }
+        if (!active || !active.id) return;
+
+        this.currentField = active.field || this.currentField;
+        this.switchTab('analyze');
+        this.showNotification('Resuming your lab analysis in progress...', 'info');
+
+        const analyzeBtn = document.getElementById('analyzeVideoBtn');
+        if (analyzeBtn) {
+            analyzeBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing Video Content...';
+            analyzeBtn.disabled = true;
+        }
+
+        try {
+            await this.trackJob(active.id);
+        } catch (error) {
+            console.error('❌ Could not resume analysis:', error);
+            this.showNotification(`Video analysis failed: ${error.message}`, 'error');
+        } finally {
+            if (analyzeBtn) {
+                analyzeBtn.innerHTML = '<i class="fas fa-microscope"></i> Analyze Performance';
+                analyzeBtn.disabled = !this.currentVideo;
+            }
+        }
+    }
+
+    // Follows a job to completion, then shows its result; throws if the job failed
+    async trackJob(jobId) {
+        this.activeJobId = jobId;
+        this.renderJobProgress({ stage: 'uploaded', progress: 0, message: 'Upload received - starting analysis...' });
+
+        let snapshot;
+        try {
+            snapshot = await this.watchJob(jobId);
+        } finally {
+            this.activeJobId = null;
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+        }
+
+        if (snapshot.cancelled) {
+            this.hideJobProgress();
+            this.showNotification('Analysis cancelled', 'info');
+            return;
+        }
+        if (snapshot.stage === 'failed') {
+            throw new Error(snapshot.error || 'Analysis failed');
+        }
+
+        this.handleAnalysisResult(snapshot.result);
+    }
+
+    // Resolves with the finished job snapshot; uses SSE and falls back to polling
+    watchJob(jobId) {
+        return new Promise((resolve, reject) => {
+            const finish = (snapshot) => {
+                this.renderJobProgress(snapshot);
+                resolve(snapshot);
+            };
+
+            const poll = async () => {
+                try {
+                    const response = await this.apiFetch(`/api/jobs/${jobId}`);
+                    if (response.status === 404) throw new Error('Analysis job expired - please analyze again');
+                    if (!response.ok) throw new Error(`Job status failed: ${response.status}`);
+
+                    const snapshot = await response.json();
+                    if (snapshot.stage === 'done' || snapshot.stage === 'failed') return finish(snapshot);
+
+                    this.renderJobProgress(snapshot);
+                    setTimeout(poll, JOB_POLL_INTERVAL);
+                } catch (error) {
+                    this.hideJobProgress();
+                    reject(error);
+                }
+            };
+
+            if (!window.EventSource) return poll();
+
+            const source = new EventSource(`/api/jobs/${jobId}/events`);
+            source.onmessage = (e) => {
+                const snapshot = JSON.parse(e.data);
+                if (snapshot.stage === 'done' || snapshot.stage === 'failed') {
+                    source.close();
+                    finish(snapshot);
+                } else {
+                    this.renderJobProgress(snapshot);
+                }
+            };
+            source.onerror = () => {
+                console.warn('Job event stream interrupted, polling instead');
+                source.close();
+                poll();
+            };
+        });
+    }
+
+    // The job stream then reports it as cancelled, which ends trackJob
+    async cancelJob() {
+        if (!this.activeJobId) return;
+        try {
+            const response = await this.apiFetch(`/api/jobs/${this.activeJobId}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 409) throw new Error(`Cancel failed: ${response.status}`);
+        } catch (error) {
+            console.error('❌ Could not cancel analysis:', error);
+            this.showNotification(`Could not cancel the analysis: ${error.message}`, 'error');
+        }
+    }
+
+    renderJobProgress(snapshot) {
+        const container = document.getElementById('jobProgress');
+        const fill = document.getElementById('jobProgressFill');
+        const stages = document.getElementById('jobProgressStages');
+        const message = document.getElementById('jobProgressMessage');
+        if (!container) return;
+
+        const reached = new Set((snapshot.history || []).map(h => h.stage));
+        const failedAt = JOB_STAGES.findIndex(s => !reached.has(s.id));
+
+        container.classList.remove('hidden');
+        if (fill) fill.style.width = `${snapshot.progress || 0}%`;
+        if (message) message.textContent = snapshot.stage === 'failed' ? snapshot.error : snapshot.message || '';
+        const cancelBtn = document.getElementById('cancelJobBtn');
+        if (cancelBtn) cancelBtn.classList.toggle('hidden', snapshot.stage === 'done' || snapshot.stage === 'failed');
+        if (stages) {
+            stages.innerHTML = JOB_STAGES.map((stage, index) => {
+                let state = '';
+                if (snapshot.stage === 'failed' && index === failedAt) state = 'failed';
+                else if (stage.id === snapshot.stage && stage.id !== 'done') state = 'active';
+                else if (reached.has(stage.id)) state = 'complete';
+                return `<span class="job-stage ${state}">${stage.label}</span>`;
+            }).join('');
+        }
+    }
+
+    hideJobProgress() {
+        const container = document.getElementById('jobProgress');
+        if (container) container.classList.add('hidden');
+    }
+
+    showResults(analysis, transcript = null, video = null, sessionId = null) {
         const resultsSection = document.getElementById('resultsSection');
         const resultsContent = document.getElementById('resultsContent');
         
         if (!resultsSection || !resultsContent) return;
         
-        // Enhanced results display with video metrics if available
-        let videoMetricsHTML = '';
-        if (analysis.videoMetrics) {
-            videoMetricsHTML = `
-                <div class="result-card">
-                    <h3><i class="fas fa-video"></i> Video Analysis Metrics</h3>
-                    <div class="video-metrics">
-                        <div class="metric-item">
-                            <span class="metric-label">Speech Rate:</span>
-                            <span class="metric-value">${analysis.videoMetrics.speechRate} WPM</span>
-                        </div>
-                        <div class="metric-item">
-                            <span class="metric-label">Eye Contact:</span>
-                            <span class="metric-value">${analysis.videoMetrics.eyeContact}%</span>
-                        </div>
-                        <div class="metric-item">
-                            <span class="metric-label">Confidence Level:</span>
-                            <span class="metric-value">${analysis.videoMetrics.confidence}%</span>
-                        </div>
-                        <div class="metric-item">
-                            <span class="metric-label">Clarity Score:</span>
-                            <span class="metric-value">${analysis.videoMetrics.clarity}%</span>
-                        </div>
-                    </div>
-                </div>
-            `;
-        }
+        const hasReview = !!(transcript && transcript.segments && transcript.segments.length > 0);
         
         resultsContent.innerHTML = `
+            ${hasReview ? this.renderReviewPlayer(analysis, transcript, video) : ''}
+            
             <div class="result-card">
                 <h3>Overall Lab Score</h3>
                 <div class="score-display">
@@ -732,15 +1689,32 @@ class InterviewApp {
                 </div>
             </div>
             
-            ${videoMetricsHTML}
+            ${this.renderEvaluation(analysis.evaluation)}
+            
+            ${this.renderScoring(analysis)}
+            
+            ${this.renderVocabulary(analysis.vocabulary)}
+            
+            ${this.renderDisfluency(analysis.disfluency)}
+            
+            ${this.renderDeliveryMetrics(analysis.videoMetrics)}
+            
+            ${this.renderQuestionResults(analysis.questions)}
+            
+            ${this.renderStarResults(analysis)}
+            
+            ${this.renderCoverage(analysis.coverage)}
+            
+            ${this.renderResumeCheck(analysis.resumeCheck)}
             
             <div class="result-card">
                 <h3><i class="fas fa-exclamation-triangle"></i> Areas for Experimentation</h3>
                 ${analysis.mistakes && analysis.mistakes.length > 0 ? 
                     analysis.mistakes.map(mistake => `
                         <div class="issue-item">
-                            <div class="timestamp">${mistake.timestamp}</div>
+                            <div class="timestamp ${typeof mistake.time === 'number' ? 'seekable' : ''}" data-seek="${mistake.time}">${mistake.timestamp}</div>
                             <p>${mistake.text}</p>
+                            ${this.renderOccurrences(mistake.occurrences)}
                         </div>
                     `).join('') 
                     : '<p style="color: #10b981;">Excellent! No major issues detected in this lab session.</p>'
@@ -759,10 +1733,514 @@ class InterviewApp {
                     : '<p>No specific recommendations available.</p>'
                 }
             </div>
+            
+            ${sessionId ? `
+                <div class="result-card">
+                    <h3><i class="fas fa-reply"></i> Follow-up Round</h3>
+                    <p>Real interviewers probe. Get follow-up questions on your weakest answer and record a second round linked to this session.</p>
+                    <button class="generate-btn" data-follow-up-session="${this.escapeHtml(sessionId)}">Practice Follow-ups</button>
+                </div>
+            ` : ''}
         `;
 
+        const followUpBtn = resultsContent.querySelector('[data-follow-up-session]');
+        if (followUpBtn) followUpBtn.addEventListener('click', () => this.startFollowUpRound(followUpBtn.dataset.followUpSession));
+
         resultsSection.classList.remove('hidden');
         resultsSection.scrollIntoView({ behavior: 'smooth' });
+
+        if (hasReview) this.setupReviewPlayer(transcript);
+    }
+
+    // Review player: recording + transcript + timeline with the problem spans marked
+    renderReviewPlayer(analysis, transcript, video) {
+        if (this.reviewVideoUrl) URL.revokeObjectURL(this.reviewVideoUrl);
+        this.reviewVideoUrl = video ? URL.createObjectURL(video) : null;
+
+        const duration = transcript.duration || transcript.segments[transcript.segments.length - 1].end || 1;
+        const starSentences = this.collectStarSentences(analysis);
+        const starPartAt = (time) => {
+            const sentence = starSentences.find(s => time >= s.start && time <= s.end);
+            return sentence ? ` star-${sentence.part}` : '';
+        };
+        const marks = this.collectProblemSpans(analysis).map(span => `
+            <div class="timeline-mark mark-${span.type}"
+                 style="left: ${Math.min(100, span.start / duration * 100)}%; width: ${Math.max(0.6, (span.end - span.start) / duration * 100)}%;"
+                 data-seek="${span.start}" title="${this.escapeHtml(`${span.timestamp} ${span.text}`)}"></div>
+        `).join('');
+
+        return `
+            <div class="result-card review-card">
+                <h3><i class="fas fa-play-circle"></i> Review Your Answers</h3>
+                ${this.reviewVideoUrl ?
+                    `<video id="reviewVideo" class="review-video" src="${this.reviewVideoUrl}" controls playsinline></video>` :
+                    '<p class="review-note">The recording is no longer available in this browser - transcript only.</p>'}
+                <div id="reviewTimeline" class="review-timeline" data-duration="${duration}">
+                    <div id="reviewTimelineProgress" class="review-timeline-progress"></div>
+                    ${marks}
+                </div>
+                <div class="review-legend">
+                    <span class="legend-item mark-filler-words">Filler words</span>
+                    <span class="legend-item mark-hedging">Hedging</span>
+                    <span class="legend-item mark-long-pause">Long pauses</span>
+                    <span class="legend-item mark-rambling">Rambling</span>
+                    ${starSentences.length > 0 ? STAR_PARTS.map(part => `<span class="legend-item legend-star star-${part}">${part}</span>`).join('') : ''}
+                </div>
+                <div id="reviewTranscript" class="review-transcript">
+                    ${transcript.segments.map(segment => `
+                        <p class="transcript-line" data-seek="${segment.start}">
+                            <span class="transcript-time">${this.formatTime(segment.start)}</span>
+                            ${(segment.words || []).map(word => `<span class="transcript-word${starPartAt(word.start)}" data-start="${word.start}" data-end="${word.end}">${this.escapeHtml(word.text)}</span>`).join(' ')}
+                        </p>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Sentences labelled Situation/Task/Action/Result, for tinting the transcript
+    collectStarSentences(analysis) {
+        const results = [analysis.star, ...(analysis.questions || []).map(q => q.star)].filter(Boolean);
+        return results.reduce((acc, star) => acc.concat(star.sentences || []), []);
+    }
+
+    // Filler, pause and rambling occurrences from the overall and per-question analyses
+    collectProblemSpans(analysis) {
+        const mistakes = [...(analysis.mistakes || [])];
+        (analysis.questions || []).forEach(q => mistakes.push(...(q.mistakes || [])));
+
+        const seen = new Set();
+        const spans = [];
+        mistakes
+            .filter(m => REVIEW_MARK_TYPES.includes(m.type))
+            .forEach(m => (m.occurrences || []).forEach(o => {
+                const key = `${m.type}:${o.start}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                spans.push({ ...o, type: m.type });
+            }));
+        return spans;
+    }
+
+    setupReviewPlayer(transcript) {
+        const video = document.getElementById('reviewVideo');
+        const timeline = document.getElementById('reviewTimeline');
+        const progress = document.getElementById('reviewTimelineProgress');
+        const transcriptEl = document.getElementById('reviewTranscript');
+        const resultsContent = document.getElementById('resultsContent');
+        if (!timeline || !transcriptEl || !resultsContent) return;
+
+        const wordEls = Array.from(transcriptEl.querySelectorAll('.transcript-word'));
+        const wordTimes = wordEls.map(el => ({ start: parseFloat(el.dataset.start), end: parseFloat(el.dataset.end) }));
+        const fallbackDuration = parseFloat(timeline.dataset.duration) || transcript.duration || 1;
+        // MediaRecorder webm files often report an infinite duration
+        const duration = () => (video && Number.isFinite(video.duration) ? video.duration : fallbackDuration);
+        let activeWord = null;
+
+        // Any element with data-seek inside the results jumps the video there
+        resultsContent.onclick = (e) => {
+            const target = e.target.closest('[data-seek]');
+            if (!target) return;
+            const time = parseFloat(target.dataset.seek);
+            if (Number.isFinite(time)) this.seekReview(time);
+        };
+
+        timeline.addEventListener('click', (e) => {
+            if (e.target.closest('.timeline-mark')) return;
+            const rect = timeline.getBoundingClientRect();
+            this.seekReview(((e.clientX - rect.left) / rect.width) * duration());
+        });
+
+        if (!video) return;
+
+        video.addEventListener('timeupdate', () => {
+            const t = video.currentTime;
+            if (progress) progress.style.width = `${Math.min(100, t / duration() * 100)}%`;
+
+            // Binary search for the word being spoken
+            let lo = 0;
+            let hi = wordTimes.length - 1;
+            let index = -1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                if (wordTimes[mid].start <= t) { index = mid; lo = mid + 1; } else { hi = mid - 1; }
+            }
+            const current = index >= 0 && t <= wordTimes[index].end + 0.3 ? wordEls[index] : null;
+            if (current === activeWord) return;
+
+            if (activeWord) activeWord.classList.remove('active');
+            activeWord = current;
+            if (current) {
+                current.classList.add('active');
+                const line = current.parentElement;
+                if (line.offsetTop < transcriptEl.scrollTop || line.offsetTop > transcriptEl.scrollTop + transcriptEl.clientHeight - line.offsetHeight) {
+                    transcriptEl.scrollTop = line.offsetTop;
+                }
+            }
+        });
+    }
+
+    seekReview(time) {
+        const video = document.getElementById('reviewVideo');
+        if (!video) return;
+
+        video.currentTime = Math.max(0, time - REVIEW_SEEK_LEAD);
+        video.play().catch(() => {});
+        video.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    renderQuestionResults(questions) {
+        if (!questions || questions.length === 0) return '';
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-list-ol"></i> Question-by-Question</h3>
+                ${questions.map(q => `
+                    <div class="question-result">
+                        <div class="question-result-header">
+                            <h4>${q.index + 1}. ${this.escapeHtml(q.question)}</h4>
+                            <span class="question-result-score">${q.rating}/10</span>
+                        </div>
+                        <div class="question-result-meta">
+                            ${q.transcript ? `<span class="seekable" data-seek="${q.start}">${this.formatTime(q.start)} – ${this.formatTime(q.end)}</span>` : 'No answer detected'}
+                        </div>
+                        ${q.evaluation && q.evaluation.scores ? `
+                            <div class="rubric-inline">
+                                ${Object.entries(q.evaluation.scores).map(([key, score]) => `<span>${key} ${score}</span>`).join('')}
+                            </div>
+                        ` : ''}
+                        ${q.mistakes && q.mistakes.length > 0 ? `
+                            <ul>${q.mistakes.map(m => `<li>${this.escapeHtml(m.text)}</li>`).join('')}</ul>
+                        ` : ''}
+                        ${q.tips && q.tips.length > 0 ? `
+                            <ul>${q.tips.slice(0, 2).map(t => `<li>${this.escapeHtml(t)}</li>`).join('')}</ul>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // STAR breakdown for every behavioral answer: status, time spent and spans per part
+    renderStarResults(analysis) {
+        const entries = [];
+        if (analysis.star) entries.push({ title: null, star: analysis.star });
+        (analysis.questions || []).forEach(q => {
+            if (q.star) entries.push({ title: `${q.index + 1}. ${q.question}`, star: q.star });
+        });
+        if (entries.length === 0) return '';
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-star"></i> STAR Structure</h3>
+                ${entries.map(({ title, star }) => `
+                    <div class="star-answer">
+                        ${title ? `<h4>${this.escapeHtml(title)}</h4>` : ''}
+                        ${STAR_PARTS.map(part => {
+                            const info = star.parts[part];
+                            return `
+                                <div class="star-row">
+                                    <span class="star-label star-${part}">${info.label}</span>
+                                    <span class="star-status status-${info.status}">${info.status === 'ok' ? 'Covered' : info.status === 'thin' ? 'Thin' : 'Missing'}</span>
+                                    <div class="star-bar"><div class="star-fill star-${part}" style="width: ${info.timeShare}%;"></div></div>
+                                    <span class="star-time">${info.seconds}s · ${info.timeShare}%</span>
+                                </div>
+                                ${info.spans.length > 0 ? `
+                                    <div class="occurrences">
+                                        ${info.spans.map(span => `<span class="occurrence seekable" data-seek="${span.start}" title="${this.escapeHtml(span.text)}">${span.timestamp}</span>`).join('')}
+                                    </div>
+                                ` : ''}
+                            `;
+                        }).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Job requirements the answers demonstrated, only mentioned or missed, with the moments that showed them
+    renderCoverage(coverage) {
+        if (!coverage) return '';
+
+        const labels = { demonstrated: 'Demonstrated', mentioned: 'Mentioned', missing: 'Missing' };
+        const statusClass = { demonstrated: 'ok', mentioned: 'thin', missing: 'missing' };
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-briefcase"></i> Job Requirements Coverage</h3>
+                <p class="scoring-profile"><strong>${coverage.demonstrated}/${coverage.total}</strong> requirements demonstrated (${coverage.percent}%)${coverage.mentioned > 0 ? `, ${coverage.mentioned} only mentioned` : ''}.</p>
+                ${coverage.requirements.map(req => `
+                    <div class="coverage-row">
+                        <span class="star-status status-${statusClass[req.status]}">${labels[req.status]}</span>
+                        <div class="coverage-text">
+                            <span>${this.escapeHtml(req.text)}</span>
+                            ${req.required ? '' : '<span class="question-tag">nice to have</span>'}
+                            ${req.probedBy.length > 0 ? `<span class="question-tag">asked in Q${req.probedBy.map(i => i + 1).join(', Q')}</span>` : ''}
+                            ${req.evidence.filter(e => e.quote).map(e => `
+                                <div class="coverage-evidence seekable" data-seek="${e.start}" title="${this.escapeHtml(e.matched.join(', '))}">
+                                    <span class="timestamp">${e.timestamp}</span> "${this.escapeHtml(e.quote)}"
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Resume claims the answers used or contradicted, and the ones a question asked about but the answer skipped
+    renderResumeCheck(check) {
+        if (!check) return '';
+
+        const labels = { used: 'Used', contradicted: 'Contradicted', unused: 'Not used' };
+        const statusClass = { used: 'ok', contradicted: 'missing', unused: 'thin' };
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-id-card"></i> Resume Check</h3>
+                <p class="scoring-profile"><strong>${check.used + check.contradicted}/${check.total}</strong> resume claims came up${check.contradicted > 0 ? `, <strong>${check.contradicted}</strong> contradicted` : ''}.</p>
+                ${check.claims.length === 0 ? '<p>Your answers did not draw on your resume.</p>' : check.claims.map(claim => `
+                    <div class="coverage-row">
+                        <span class="star-status status-${statusClass[claim.status]}">${labels[claim.status]}</span>
+                        <div class="coverage-text">
+                            <span>${this.escapeHtml(claim.text)}</span>
+                            ${claim.questions ? `<span class="question-tag">Q${claim.questions.map(i => i + 1).join(', Q')}</span>` : ''}
+                            ${claim.said.length > 0 ? `<span class="question-tag">you said ${this.escapeHtml(claim.said.join(', '))}</span>` : ''}
+                            ${claim.occurrences.map(o => `
+                                <div class="coverage-evidence seekable" data-seek="${o.start}">
+                                    <span class="timestamp">${o.timestamp}</span> "${this.escapeHtml(o.text)}"
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // How the scoring profile arrived at the score: metric points, caps, final rating
+    renderScoring(analysis) {
+        const scoring = analysis.scoring;
+        if (!scoring) return '';
+
+        const breakdowns = scoring.aggregate ?
+            (analysis.questions || []).filter(q => q.scoring).map(q => ({ title: `${q.index + 1}. ${q.question}`, scoring: q.scoring })) :
+            [{ title: null, scoring }];
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-sliders-h"></i> Score Breakdown</h3>
+                <p class="scoring-profile">Scored with the <strong>${this.escapeHtml(scoring.profileName || scoring.profile)}</strong> profile${scoring.aggregate ? ' - overall score is the average of the questions below' : ''}.</p>
+                ${analysis.heuristicRating !== undefined ? `<p class="rubric-note">Profile score ${analysis.heuristicRating}/10, blended with the rubric evaluation into ${analysis.rating}/10.</p>` : ''}
+                ${breakdowns.map(({ title, scoring: b }) => `
+                    <details class="scoring-breakdown" ${breakdowns.length === 1 ? 'open' : ''}>
+                        <summary>${title ? this.escapeHtml(title) : 'Metrics'} <span class="scoring-total">${b.rating}/10</span></summary>
+                        ${b.gate ? `<p class="rubric-note">${this.escapeHtml(b.reason)}</p>` : `
+                            <table class="scoring-table">
+                                <tr><td>Base score</td><td></td><td class="points">${b.base}</td></tr>
+                                ${b.metrics.map(m => `
+                                    <tr class="${m.applicable ? '' : 'not-applicable'}">
+                                        <td>${this.escapeHtml(m.label)}${m.weight !== 1 ? ` <span class="weight">×${m.weight}</span>` : ''}</td>
+                                        <td>${m.applicable ? m.value : 'n/a'}</td>
+                                        <td class="points">${m.points > 0 ? '+' : ''}${m.points}</td>
+                                    </tr>
+                                `).join('')}
+                                ${b.caps.map(cap => `
+                                    <tr class="cap"><td colspan="2">Capped: ${this.escapeHtml(cap.reason)}</td><td class="points">≤ ${cap.max}</td></tr>
+                                `).join('')}
+                            </table>
+                        `}
+                    </details>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Field terms the candidate used (click to hear them) and a few worth adding
+    renderVocabulary(report) {
+        if (!report) return '';
+
+        const matchedBy = {
+            alias: `matched from your field ("${report.pack.alias}")`,
+            fuzzy: `closest match to your field ("${report.pack.alias}")`,
+            fallback: 'no specific pack matched your field'
+        }[report.pack.matchedBy] || '';
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-book"></i> Field Vocabulary</h3>
+                <p class="scoring-profile"><strong>${this.escapeHtml(report.pack.name)}</strong> pack - ${this.escapeHtml(matchedBy)}.</p>
+                ${report.matched.length > 0 ? `
+                    <div class="vocab-terms">
+                        ${report.matched.map(m => {
+                            const first = m.occurrences.find(o => typeof o.start === 'number');
+                            return `<span class="vocab-term ${first ? 'seekable' : ''}" ${first ? `data-seek="${first.start}"` : ''} title="${this.escapeHtml(m.occurrences.map(o => o.text).join(', '))}">${this.escapeHtml(m.term)}${m.count > 1 ? ` ×${m.count}` : ''}</span>`;
+                        }).join('')}
+                    </div>
+                ` : '<p class="rubric-note">No field-specific terms detected.</p>'}
+                ${report.suggestions && report.suggestions.length > 0 ? `
+                    <p class="vocab-suggestions">Worth working in: ${report.suggestions.map(t => this.escapeHtml(t)).join(', ')}</p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Fillers, discourse markers, repetitions, restarts and hedges with their timeline and trend
+    renderDisfluency(report) {
+        if (!report) return '';
+
+        const labels = {
+            filler: 'Fillers',
+            'discourse-marker': 'Discourse markers',
+            repetition: 'Repetitions',
+            restart: 'Restarts',
+            hedge: 'Hedges'
+        };
+        const trend = report.trend;
+        const trendText = trend ? {
+            improving: `Down from ${trend.previousPerHundredWords} per 100 words over your last ${trend.sessions} session(s)`,
+            worse: `Up from ${trend.previousPerHundredWords} per 100 words over your last ${trend.sessions} session(s)`,
+            steady: `About the same as your last ${trend.sessions} session(s) (${trend.previousPerHundredWords} per 100 words)`
+        }[trend.direction] : '';
+        const timed = report.occurrences.filter(o => typeof o.start === 'number');
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-comment-dots"></i> Fillers &amp; Hedging</h3>
+                <p class="scoring-profile"><strong>${report.perHundredWords}</strong> disfluencies per 100 words${trend ? ` - <span class="trend-${trend.direction}">${this.escapeHtml(trendText)}</span>` : ''}</p>
+                <div class="video-metrics">
+                    ${Object.entries(labels).map(([type, label]) => `
+                        <div class="metric-item">
+                            <span class="metric-label">${label}:</span>
+                            <span class="metric-value">${report.counts[type] || 0}</span>
+                            ${trend ? `<span class="metric-note">was ${trend.byType[type].previous} / 100 words</span>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+                ${report.terms.length > 0 ? `
+                    <div class="vocab-terms disfluency-terms">
+                        ${report.terms.slice(0, 12).map(t => `<span class="vocab-term disfluency-${t.type}" title="${labels[t.type]}">${this.escapeHtml(t.term)}${t.count > 1 ? ` ×${t.count}` : ''}</span>`).join('')}
+                    </div>
+                ` : ''}
+                ${timed.length > 0 ? `
+                    <details class="scoring-breakdown">
+                        <summary>Timeline (${timed.length})</summary>
+                        ${timed.map(o => `
+                            <div class="disfluency-event seekable" data-seek="${o.start}">
+                                <span class="transcript-time">${o.timestamp}</span> ${labels[o.type]}: "${this.escapeHtml(o.text)}"
+                            </div>
+                        `).join('')}
+                    </details>
+                ` : ''}
+                ${report.contentUses && report.contentUses.length > 0 ? `
+                    <p class="vocab-suggestions">Not counted (used as content): ${report.contentUses.map(u => `${this.escapeHtml(u.term)} ×${u.count}`).join(', ')}</p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Pace, pauses, volume and pitch measured from the audio track
+    renderDeliveryMetrics(metrics) {
+        if (!metrics) return '';
+
+        const item = (label, value, note = '') => `
+            <div class="metric-item">
+                <span class="metric-label">${label}:</span>
+                <span class="metric-value">${value}</span>
+                ${note ? `<span class="metric-note">${note}</span>` : ''}
+            </div>
+        `;
+        const timeline = metrics.wpmTimeline || [];
+        const maxWpm = Math.max(1, ...timeline.map(w => w.wpm));
+        const pauses = metrics.pauses;
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-wave-square"></i> Delivery Metrics</h3>
+                <div class="video-metrics">
+                    ${metrics.speechRate != null ? item('Speech Rate', `${metrics.speechRate} WPM`, metrics.pace) : ''}
+                    ${metrics.volume ? item('Volume Consistency', `${metrics.volume.consistency}%`, metrics.volume.rating) : ''}
+                    ${metrics.pitch ? item('Pitch Variation', `${metrics.pitch.variationSemitones} st`, metrics.pitch.monotone ? 'monotone' : 'varied') : ''}
+                    ${pauses ? item('Pauses', pauses.count, `avg ${pauses.averageSeconds}s, longest ${pauses.longestSeconds}s`) : ''}
+                    ${metrics.eyeContact != null ? item('Eye Contact', `${metrics.eyeContact}%`) : ''}
+                    ${item('Confidence Level', `${metrics.confidence}%`)}
+                    ${item('Clarity Score', `${metrics.clarity}%`, metrics.clipping && metrics.clipping.clipped ? `clipping on ${metrics.clipping.percent}%` : '')}
+                </div>
+                ${timeline.length > 1 ? `
+                    <div class="wpm-timeline" title="Words per minute over time">
+                        ${timeline.map(w => `
+                            <div class="wpm-bar ${w.pace || ''} seekable" data-seek="${w.start}" title="${w.timestamp}: ${w.wpm} WPM">
+                                <span style="height: ${Math.round(w.wpm / maxWpm * 100)}%"></span>
+                                <small>${w.timestamp}</small>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${pauses && pauses.longSilences.length > 0 ? `
+                    <p class="vocab-suggestions">Long silences: ${pauses.longSilences.map(s => `<span class="timestamp seekable" data-seek="${s.start}">${s.timestamp}</span> ${s.duration}s`).join(', ')}</p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Rubric scores from the Cohere evaluator, or a note that heuristics were used
+    renderEvaluation(evaluation) {
+        if (!evaluation) return '';
+
+        if (evaluation.source !== 'cohere') {
+            return `
+                <div class="result-card">
+                    <h3><i class="fas fa-clipboard-check"></i> Rubric Evaluation</h3>
+                    <p class="rubric-note">AI rubric scoring was unavailable for this session; the score comes from speech heuristics.</p>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-clipboard-check"></i> Rubric Evaluation</h3>
+                <div class="rubric-scores">
+                    ${(evaluation.rubric || []).map(criterion => {
+                        const score = evaluation.scores[criterion.key] || 0;
+                        return `
+                            <div class="rubric-row" title="${this.escapeHtml(criterion.description)}">
+                                <span class="rubric-label">${criterion.key}</span>
+                                <div class="rubric-bar"><div class="rubric-fill" style="width: ${score * 10}%;"></div></div>
+                                <span class="rubric-value">${score}/10</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+                ${evaluation.strengths && evaluation.strengths.length > 0 ? `
+                    <h4 class="rubric-subtitle">Strengths</h4>
+                    <ul>${evaluation.strengths.map(s => `<li>${this.escapeHtml(s)}</li>`).join('')}</ul>
+                ` : ''}
+                ${evaluation.skipped > 0 ? `<p class="rubric-note">${evaluation.skipped} answer${evaluation.skipped > 1 ? 's were' : ' was'} scored by heuristics only.</p>` : ''}
+            </div>
+        `;
+    }
+
+    // Every moment a mistake happened (each filler word, pause, rambling stretch)
+    renderOccurrences(occurrences) {
+        if (!occurrences || occurrences.length < 2) return '';
+
+        const shown = occurrences.slice(0, MAX_OCCURRENCE_CHIPS);
+        const hidden = occurrences.length - shown.length;
+        return `
+            <div class="occurrences">
+                ${shown.map(o => `<span class="occurrence seekable" data-seek="${o.start}" title="${this.escapeHtml(o.text)}">${o.timestamp}</span>`).join('')}
+                ${hidden > 0 ? `<span class="occurrence more">+${hidden} more</span>` : ''}
+            </div>
+        `;
+    }
+
+    formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
     }
 
     getScoreDescription(rating) {
@@ -772,27 +2250,29 @@ class InterviewApp {
         return 'Room for improvement. Keep experimenting in the lab!';
     }
 
-    saveSession(analysis) {
+    // The server stores analyze jobs itself; other results are posted here
+    async saveSession(result) {
         if (!this.currentUser) return;
         
-        if (!this.currentUser.sessions) {
-            this.currentUser.sessions = [];
+        if (!result.sessionId) {
+            try {
+                await this.apiFetch('/api/sessions', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        field: this.currentField,
+                        questions: this.questions,
+                        transcript: result.transcript || null,
+                        analysis: result.analysis,
+                        source: result.source || null,
+                        parentSessionId: this.parentSessionId
+                    })
+                });
+            } catch (error) {
+                console.error('Failed to save session:', error);
+                this.showNotification('Could not save this session to your history', 'error');
+            }
         }
-
-        const session = {
-            id: Date.now(),
-            date: new Date().toISOString(),
-            field: this.currentField,
-            rating: analysis.rating,
-            mistakes: analysis.mistakes ? analysis.mistakes.length : 0,
-            tips: analysis.tips ? analysis.tips.length : 0
-        };
-
-        this.currentUser.sessions.push(session);
-        
-        // Save to localStorage with InterviewLabs keys
-        localStorage.setItem('interviewlabs_user', JSON.stringify(this.currentUser));
-        localStorage.setItem(`interviewlabs_sessions_${this.currentUser.email}`, JSON.stringify(this.currentUser.sessions));
         
         this.loadUserData();
     }
@@ -813,15 +2293,60 @@ class InterviewApp {
             return;
         }
 
-        historyList.innerHTML = sessions.slice(-10).reverse().map(session => `
-            <div class="history-item">
+        historyList.innerHTML = sessions.map(session => `
+            <div class="history-item" data-session-id="${session.id}">
                 <div class="history-info">
-                    <h4>${session.field}</h4>
-                    <p>${new Date(session.date).toLocaleDateString()} • ${session.mistakes} issues • ${session.tips} recommendations</p>
+                    <h4>${this.escapeHtml(session.field || 'General')}${session.round > 1 ? ` <span class="question-tag">follow-up round ${session.round}</span>` : ''}</h4>
+                    <p>${new Date(session.createdAt).toLocaleDateString()} • ${session.questionCount ? `${session.questionCount} questions • ` : ''}${session.mistakes} issues • ${session.tips} recommendations</p>
+                </div>
+                <div class="history-actions">
+                    <div class="history-score">${session.rating}/10</div>
+                    <button class="history-delete" data-delete-session="${session.id}" title="Delete session">
+                        <i class="fas fa-trash"></i>
+                    </button>
                 </div>
-                <div class="history-score">${session.rating}/10</div>
             </div>
         `).join('');
+
+        historyList.onclick = (e) => {
+            const deleteBtn = e.target.closest('[data-delete-session]');
+            if (deleteBtn) {
+                e.stopPropagation();
+                this.deleteSession(deleteBtn.dataset.deleteSession);
+                return;
+            }
+            const item = e.target.closest('[data-session-id]');
+            if (item) this.openSession(item.dataset.sessionId);
+        };
+    }
+
+    // Reopens a past session's full report
+    async openSession(id) {
+        try {
+            const response = await this.apiFetch(`/api/sessions/${id}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const { session } = await response.json();
+            this.showResults(session.analysis, session.transcript, null, session.id);
+        } catch (error) {
+            console.error('Failed to open session:', error);
+            this.showNotification('Could not load this session', 'error');
+        }
+    }
+
+    async deleteSession(id) {
+        if (!confirm('Delete this lab session from your history?')) return;
+
+        try {
+            const response = await this.apiFetch(`/api/sessions/${id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            this.showNotification('Session deleted', 'info');
+            this.loadUserData();
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            this.showNotification('Could not delete this session', 'error');
+        }
     }
 
     showNotification(message, type = 'info') {
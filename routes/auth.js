@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/db');
+const auth = require('../utils/auth');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function startSession(res, user) {
+  const { token, expiresAt } = auth.createSession(user);
+  auth.setSessionCookie(res, token);
+  return { user: auth.publicUser(user), token, expiresAt };
+}
+
+router.post('/register', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+
+    if (!name || !email || !password) return res.status(400).json({ error: 'All fields are required' });
+    if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ error: 'Please enter a valid email address' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const users = db.collection('users');
+    if (users.findOne(u => u.email === email)) return res.status(409).json({ error: 'User already exists' });
+
+    // Checked again after the hash: a registration for the same email may have finished meanwhile.
+    // The check and the insert run without an await between them, so only one of them can win.
+    const passwordHash = await auth.hashPassword(password);
+    if (users.findOne(u => u.email === email)) return res.status(409).json({ error: 'User already exists' });
+    const user = users.insert({
+      name,
+      email,
+      passwordHash,
+      role: 'user',
+      joinDate: new Date().toISOString()
+    });
+
+    res.status(201).json(startSession(res, user));
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+
+    const user = db.collection('users').findOne(u => u.email === email);
+    if (!user || !(await auth.verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    auth.pruneSessions();
+    res.json(startSession(res, user));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/logout', auth.requireAuth, (req, res) => {
+  auth.revokeSession(req.authSession.id);
+  auth.clearSessionCookie(res);
+  res.json({ ok: true });
+});
+
+router.get('/me', auth.requireAuth, (req, res) => {
+  res.json({ user: auth.publicUser(req.user) });
+});
+
+module.exports = router;
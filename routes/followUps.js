@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const followUps = require('../utils/followUps');
+const store = require('../utils/sessionStore');
+const languages = require('../utils/languages');
+
+// The answer to probe in a stored session: the given question, otherwise the lowest-rated answer
+function answerFromSession(session, questionIndex) {
+  const answers = ((session.analysis && session.analysis.questions) || []).filter(q => q.transcript);
+  if (answers.length > 0) {
+    const chosen = questionIndex !== undefined ?
+      answers.find(q => q.index === questionIndex) :
+      [...answers].sort((a, b) => a.rating - b.rating)[0];
+    return chosen ? { question: chosen.question, answer: chosen.transcript, questionIndex: chosen.index } : null;
+  }
+  const text = session.transcript && session.transcript.segments ?
+    session.transcript.segments.map(s => s.text).join(' ').trim() : '';
+  return text ? { question: session.questions[0] || '', answer: text, questionIndex: null } : null;
+}
+
+// Body: { question, transcript, field } or { sessionId, questionIndex? } for a saved session;
+// `language` (a code or "auto") defaults to the session's language, then to detection
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  let field = typeof body.field === 'string' ? body.field.trim() : '';
+  let target;
+  let language;
+  try {
+    language = languages.parseLanguage(body.language);
+  } catch (error) {
+    if (!(error instanceof languages.LanguageError)) throw error;
+    return res.status(400).json({ error: 'UNSUPPORTED_LANGUAGE', message: error.message });
+  }
+
+  if (body.sessionId) {
+    if (!req.user) return res.status(401).json({ error: 'AUTH_REQUIRED' });
+    const session = store.getSession(req.user.id, body.sessionId);
+    if (!session) return res.status(404).json({ error: 'SESSION_NOT_FOUND' });
+    const index = body.questionIndex !== undefined ? Number(body.questionIndex) : undefined;
+    target = answerFromSession(session, index);
+    if (!target) return res.status(400).json({ error: 'The session has no transcribed answer to follow up on' });
+    field = field || session.field;
+    language = language || session.language;
+  } else {
+    if (typeof body.transcript !== 'string' || !body.transcript.trim()) {
+      return res.status(400).json({ error: 'transcript is required' });
+    }
+    target = { question: typeof body.question === 'string' ? body.question.trim() : '', answer: body.transcript.trim() };
+  }
+
+  try {
+    const lang = languages.resolveLanguage(language, { text: target.answer });
+    const result = await followUps.generateFollowUps({ question: target.question, answer: target.answer, field, language: lang });
+    res.json({
+      ...result,
+      question: target.question,
+      field,
+      language: lang,
+      ...(body.sessionId ? { sessionId: body.sessionId, questionIndex: target.questionIndex } : {})
+    });
+  } catch (error) {
+    console.error('Follow-up generation error:', error);
+    res.status(500).json({ error: 'Failed to generate follow-up questions' });
+  }
+});
+
+module.exports = router;
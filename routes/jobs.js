@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const jobs = require('../utils/jobs');
+
+const HEARTBEAT_MS = 15000;
+
+// Jobs are only visible to the account that started them
+function findOwnJob(req, res) {
+  const job = jobs.getJob(req.params.id);
+  if (!job || (job.userId && (!req.user || job.userId !== req.user.id))) {
+    res.status(404).json({ error: 'JOB_NOT_FOUND' });
+    return null;
+  }
+  return job;
+}
+
+router.get('/:id', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+  jobs.touch(job.id);
+  res.json(job);
+});
+
+// Cancels a running job: queued or running transcription stops and the job fails as cancelled
+router.delete('/:id', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+  if (!jobs.cancelJob(job.id, 'Cancelled by the user')) {
+    return res.status(409).json({ error: 'JOB_FINISHED', message: `The job already ${job.stage === 'done' ? 'finished' : 'failed'}` });
+  }
+  res.json(jobs.getJob(job.id));
+});
+
+// Server-sent events: one `data:` frame per job change, closed once the job finishes.
+// A job whose last stream closes is cancelled if nobody reconnects (see jobs.watch).
+router.get('/:id/events', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (snapshot) => {
+    res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+    if (snapshot.stage === 'done' || snapshot.stage === 'failed') close();
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  const unsubscribe = jobs.subscribe(job.id, send);
+  const unwatch = jobs.watch(job.id);
+  let closed = false;
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    unwatch();
+    res.end();
+  }
+
+  req.on('close', close);
+  send(job);
+});
+
+module.exports = router;
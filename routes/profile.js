@@ -0,0 +1,67 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const store = require('../utils/profileStore');
+const resume = require('../utils/resume');
+const documentText = require('../utils/documentText');
+
+const STATUS = {
+  EMPTY: 400,
+  TOO_LONG: 413,
+  NO_CLAIMS: 422,
+  UNSUPPORTED_FORMAT: 415,
+  UNREADABLE_DOCUMENT: 422
+};
+
+// Resumes are small; they are read in memory and never written to the uploads directory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: resume.MAX_FILE_BYTES, files: 1 } });
+
+router.get('/', (req, res) => {
+  const stored = store.getProfile(req.user.id);
+  if (!stored) return res.status(404).json({ error: 'NO_PROFILE', message: 'No resume uploaded yet' });
+  res.json(store.summary(stored));
+});
+
+// A `resume` file (.pdf, .docx, .txt or .md) as multipart, or JSON { text, filename? }
+router.put('/resume', (req, res, next) => upload.single('resume')(req, res, error => {
+  if (!error) return next();
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: 'RESUME_TOO_LARGE', message: `Resume files must be at most ${resume.MAX_FILE_BYTES} bytes`, maxBytes: resume.MAX_FILE_BYTES });
+  }
+  if (error instanceof multer.MulterError) return res.status(400).json({ error: 'INVALID_UPLOAD', message: error.message });
+  return next(error);
+}), (req, res) => {
+  try {
+    let text;
+    let format = 'text';
+    let filename = null;
+    if (req.file) {
+      ({ text, format } = documentText.extractText(req.file.buffer, { filename: req.file.originalname, mimetype: req.file.mimetype }));
+      filename = req.file.originalname;
+    } else {
+      if (typeof req.body.text !== 'string') {
+        return res.status(400).json({ error: 'EMPTY', message: 'Send a resume file or its text' });
+      }
+      text = req.body.text;
+      filename = typeof req.body.filename === 'string' ? req.body.filename : null;
+    }
+    const stored = store.saveResume(req.user.id, { text: text.trim(), filename, format });
+    console.log('📄 Resume:', { format, characters: stored.resume.characters, claims: stored.profile.claims.length });
+    res.json(store.summary(stored));
+  } catch (error) {
+    if (!(error instanceof resume.ResumeError) && !(error instanceof documentText.DocumentError)) {
+      console.error('Resume error:', error);
+      return res.status(500).json({ error: 'Server error' });
+    }
+    res.status(STATUS[error.code] || 400).json({ error: error.code, message: error.message });
+  }
+});
+
+router.delete('/', (req, res) => {
+  if (!store.deleteProfile(req.user.id)) {
+    return res.status(404).json({ error: 'NO_PROFILE', message: 'No resume uploaded yet' });
+  }
+  res.json({ ok: true });
+});
+
+module.exports = router;
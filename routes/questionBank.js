@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const bank = require('../utils/questionBank');
+
+// Validation problems come back as 400 with the individual errors
+function handle(res, fn) {
+  try {
+    return fn();
+  } catch (error) {
+    if (error instanceof bank.QuestionBankError) {
+      return res.status(400).json({ error: 'INVALID_QUESTION', message: error.message, errors: error.errors });
+    }
+    console.error('Question bank error:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+router.get('/', (req, res) => {
+  const { role, type, seniority, skill, q } = req.query;
+  const questions = bank.listQuestions({ role, type, seniority, skill, q });
+  res.json({ questions, total: questions.length });
+});
+
+router.get('/:id', (req, res) => {
+  const question = bank.getQuestion(req.params.id);
+  if (!question) return res.status(404).json({ error: 'QUESTION_NOT_FOUND' });
+  res.json({ question });
+});
+
+router.post('/', (req, res) => handle(res, () => {
+  const { set, ...question } = req.body || {};
+  res.status(201).json({ question: bank.addQuestion(question, { set: set || undefined }) });
+}));
+
+router.put('/:id', (req, res) => handle(res, () => {
+  const question = bank.updateQuestion(req.params.id, req.body || {});
+  if (!question) return res.status(404).json({ error: 'QUESTION_NOT_FOUND' });
+  res.json({ question });
+}));
+
+// Body: { questions: [...], set?, replace? }, a bank file ({ id, questions }) or a bare array
+router.post('/import', (req, res) => handle(res, () => {
+  const body = req.body || {};
+  const questions = Array.isArray(body) ? body : body.questions;
+  const set = Array.isArray(body) ? undefined : body.set || body.id;
+  res.status(201).json(bank.importQuestions(questions, { set, replace: body.replace === true }));
+}));
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const store = require('../utils/sessionStore');
+const languages = require('../utils/languages');
+
+function validSegments(segments) {
+  return Array.isArray(segments) && segments.every(s =>
+    s && typeof s === 'object' && (typeof s.text === 'string' || Array.isArray(s.words)));
+}
+
+router.get('/', (req, res) => {
+  const sessions = store.listSessions(req.user.id);
+  const rated = sessions.filter(s => s.metrics.rating > 0);
+  res.json({
+    sessions: sessions.map(store.summary),
+    stats: {
+      total: sessions.length,
+      averageRating: rated.length > 0 ?
+        Math.round(rated.reduce((acc, s) => acc + s.metrics.rating, 0) / rated.length * 10) / 10 : 0
+    }
+  });
+});
+
+router.post('/', (req, res) => {
+  const { field, questions, transcript, analysis, metrics, source, parentSessionId } = req.body || {};
+  if (!analysis || typeof analysis !== 'object' || typeof analysis.rating !== 'number') {
+    return res.status(400).json({ error: 'analysis with a numeric rating is required' });
+  }
+  if (questions !== undefined && !Array.isArray(questions)) {
+    return res.status(400).json({ error: 'questions must be an array' });
+  }
+  if (transcript != null && (typeof transcript !== 'object' || (transcript.segments !== undefined && !validSegments(transcript.segments)))) {
+    return res.status(400).json({ error: 'transcript.segments must be a list of segments with text or words' });
+  }
+
+  if (parentSessionId && !store.getSession(req.user.id, parentSessionId)) {
+    return res.status(400).json({ error: 'parentSessionId must be one of your sessions' });
+  }
+
+  // Results produced elsewhere say which language they were written in
+  const language = languages.isSupported(analysis.language) ? analysis.language : null;
+  const session = store.createSession(req.user.id, { field, questions, language, transcript, analysis, metrics, source, parentSessionId });
+  res.status(201).json({ session });
+});
+
+router.get('/:id', (req, res) => {
+  const session = store.getSession(req.user.id, req.params.id);
+  if (!session) return res.status(404).json({ error: 'SESSION_NOT_FOUND' });
+  res.json({ session, followUpSessions: store.listFollowUps(req.user.id, session.id).map(store.summary) });
+});
+
+router.delete('/:id', (req, res) => {
+  if (!store.deleteSession(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'SESSION_NOT_FOUND' });
+  }
+  res.json({ ok: true });
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const uploads = require('../utils/uploads');
+const { CHUNK_BYTES } = require('../utils/uploadConfig');
+
+const STATUS = {
+  UPLOAD_NOT_FOUND: 404,
+  INVALID_UPLOAD: 400,
+  INVALID_CHUNK: 400,
+  UPLOAD_TOO_LARGE: 413,
+  CHUNK_TOO_LARGE: 413,
+  UNSUPPORTED_TYPE: 415,
+  OFFSET_MISMATCH: 409,
+  UPLOAD_COMPLETE: 409,
+  UPLOAD_INCOMPLETE: 409,
+  CHUNK_CHECKSUM_MISMATCH: 422,
+  CHECKSUM_MISMATCH: 422
+};
+
+// Every response carries the confirmed offset in `Upload-Offset` as well as the body
+function send(res, status, upload) {
+  res.set('Upload-Offset', String(upload.offset));
+  return res.status(status).json({ upload });
+}
+
+// Upload errors come back with their code, and the current offset when there is one
+async function handle(res, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error instanceof uploads.UploadError) {
+      if (error.details.offset !== undefined) res.set('Upload-Offset', String(error.details.offset));
+      return res.status(STATUS[error.code] || 400).json({ error: error.code, message: error.message, ...error.details });
+    }
+    console.error('Upload error:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Body: { filename, mimetype, size, sha256? }
+router.post('/', (req, res) => handle(res, () => {
+  const upload = uploads.createUpload(req.user.id, req.body || {});
+  res.set('Location', `${req.baseUrl}/${upload.id}`);
+  return send(res, 201, upload);
+}));
+
+// Also answers HEAD, for clients that only want the `Upload-Offset` header
+router.get('/:id', (req, res) => handle(res, () => send(res, 200, uploads.getUpload(req.user.id, req.params.id))));
+
+// Raw chunk bytes at `Upload-Offset` (or ?offset=); `X-Chunk-SHA256` is the chunk's optional hex digest
+router.put('/:id', express.raw({ type: () => true, limit: CHUNK_BYTES }), (req, res) => handle(res, () => {
+  const offset = Number(req.get('Upload-Offset') !== undefined ? req.get('Upload-Offset') : req.query.offset);
+  const upload = uploads.appendChunk(req.user.id, req.params.id, offset, req.body, req.get('X-Chunk-SHA256') || null);
+  return send(res, 200, upload);
+}));
+
+router.post('/:id/finalize', (req, res) => handle(res, async () => {
+  return send(res, 200, await uploads.finalizeUpload(req.user.id, req.params.id));
+}));
+
+router.delete('/:id', (req, res) => handle(res, () => {
+  uploads.deleteUpload(req.user.id, req.params.id);
+  return res.status(204).end();
+}));
+
+// Oversized chunk bodies are refused by the raw parser before they reach the handler
+router.use((err, req, res, next) => {
+  if (err.type !== 'entity.too.large') return next(err);
+  res.status(413).json({ error: 'CHUNK_TOO_LARGE', message: `Chunks must be at most ${CHUNK_BYTES} bytes` });
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+/**
+ * Minimal stand-in for the Cohere v1 chat endpoint.
+ *
+ *   node scripts/mock-cohere.js [port] [mode]
+ *   COHERE_API_URL=http://localhost:4010 COHERE_API_KEY=test npm start
+ *
+ * Modes: `ok` (valid replies), `invalid-json` (prose instead of JSON),
+ * `bad-schema` (JSON with scores out of range), `repair` (bad-schema until
+ * the request is a repair prompt, then valid), `error` (HTTP 500) and
+ * `slow` (never answers within COHERE_TIMEOUT_MS). Requests whose JSON schema
+ * has `questions` get generated questions (new wording on every call), those
+ * with `followUps` a follow-up on the answer's first sentence, other JSON
+ * requests a rubric evaluation, and plain requests a numbered list.
+ * Also usable from code: `startMockCohere({ mode })` resolves with
+ * `{ url, requests, setMode, close }`.
+ */
+const http = require('http');
+
+const DEFAULT_PORT = 4010;
+const SLOW_MS = 120000;
+
+// Deterministic scores: longer answers with numbers score higher
+function rubricReply(message) {
+  const answer = (message.match(/Answer transcript: """([\s\S]*)"""/) || [])[1] || '';
+  const words = answer.split(/\s+/).filter(Boolean).length;
+  const base = Math.max(3, Math.min(8, Math.round(words / 25) + 3));
+  const hasNumbers = /\d/.test(answer);
+  return {
+    scores: {
+      relevance: base,
+      correctness: base,
+      structure: Math.max(1, base - 1),
+      depth: hasNumbers ? base : Math.max(1, base - 2),
+      communication: base
+    },
+    strengths: ['Stays on the question'],
+    improvements: [hasNumbers ? 'Tie each example back to the role' : 'Quantify the outcome of your example'],
+    summary: `Mock evaluation of a ${words}-word answer.`
+  };
+}
+
+function questionsReply(message) {
+  const count = Number((message.match(/exactly (\d+)/) || [])[1]) || 5;
+  return Array.from({ length: count }, (_, i) => `${i + 1}. Mock interview question number ${i + 1} about this role?`).join('\n');
+}
+
+const TYPES = ['technical', 'behavioral', 'system-design'];
+
+function generatedQuestionsReply(state, message) {
+  const count = Number((message.match(/exactly (\d+)/) || [])[1]) || 5;
+  const field = ((message.match(/Role \/ field: (.*)/) || [])[1] || 'this role').trim();
+  const batch = ++state.batches;
+  return {
+    questions: Array.from({ length: count }, (_, i) => ({
+      question: `Mock ${field} question ${batch}.${i + 1}: how would you approach this part of the job?`,
+      type: TYPES[i % TYPES.length],
+      difficulty: Math.min(5, 1 + i),
+      skill: `skill ${i + 1}`,
+      followUps: ['What would you do differently next time?']
+    }))
+  };
+}
+
+function followUpsReply(message) {
+  const answer = (message.match(/Answer transcript: """([\s\S]*)"""/) || [])[1] || '';
+  const quote = answer.split(/(?<=[.!?])\s+/)[0] || answer;
+  return {
+    followUps: [{
+      question: 'Mock follow-up: what was the measurable result of that?',
+      target: 'missing-metric',
+      reason: 'Mock probe of the first sentence',
+      quote
+    }]
+  };
+}
+
+function handle(state, body, res) {
+  const send = (status, payload) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  };
+  const wantsJson = body.response_format && body.response_format.type === 'json_object';
+  const schema = (wantsJson && body.response_format.schema) || {};
+  const wantsQuestions = !!(schema.properties && schema.properties.questions);
+  const wantsFollowUps = !!(schema.properties && schema.properties.followUps);
+  const isRepair = /did not match the required JSON schema/.test(body.message || '');
+
+  switch (state.mode) {
+    case 'error':
+      return send(500, { message: 'mock internal error' });
+    case 'slow':
+      return setTimeout(() => send(200, { text: '{}' }), SLOW_MS).unref();
+    case 'invalid-json':
+      return send(200, { text: 'I think this answer was quite good overall.' });
+    case 'repair':
+      if (isRepair) break;
+      // falls through
+    case 'bad-schema':
+      return send(200, {
+        text: JSON.stringify(wantsQuestions ?
+          { questions: [{ question: 'Why?', type: 'trivia', difficulty: 9 }] } :
+          { scores: { relevance: 42 }, summary: '' })
+      });
+  }
+  if (wantsFollowUps) {
+    return send(200, { text: JSON.stringify(followUpsReply(body.message || '')), finish_reason: 'COMPLETE' });
+  }
+  if (wantsQuestions) {
+    return send(200, { text: JSON.stringify(generatedQuestionsReply(state, body.message || '')), finish_reason: 'COMPLETE' });
+  }
+  return send(200, {
+    text: wantsJson ? JSON.stringify(rubricReply(body.message || '')) : questionsReply(body.message || ''),
+    finish_reason: 'COMPLETE'
+  });
+}
+
+function startMockCohere({ port = 0, mode = 'ok' } = {}) {
+  const state = { mode, requests: [], batches: 0 };
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/v1/chat') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ message: 'not found' }));
+    }
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ message: 'invalid api token' }));
+    }
+
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      let body = {};
+      try {
+        body = JSON.parse(data);
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ message: 'invalid JSON body' }));
+      }
+      state.requests.push(body);
+      handle(state, body, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests: state.requests,
+        setMode: (next) => { state.mode = next; },
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  const mode = process.argv[3] || process.env.MOCK_COHERE_MODE || 'ok';
+  startMockCohere({ port, mode }).then(({ url }) => {
+    console.log(`Mock Cohere (${mode}) listening on ${url}`);
+  });
+}
+
+module.exports = { startMockCohere };
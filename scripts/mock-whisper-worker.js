@@ -0,0 +1,104 @@
+/**
+ * Minimal stand-in for a `transcribe_whisper.py --serve` worker.
+ *
+ *   WHISPER_WORKER_COMMAND="node scripts/mock-whisper-worker.js" npm start
+ *   MOCK_WHISPER_MODE=slow WHISPER_WORKER_COMMAND="node scripts/mock-whisper-worker.js" npm start
+ *
+ * Speaks protocol version 1 on stdin/stdout (see transcribe_whisper.py) and
+ * answers every file with the transcript in fixtures/transcripts/sample.json,
+ * after a few `progress` events spread over MOCK_WHISPER_DELAY_MS (default
+ * 1000). Pings are answered right away, even mid-file. Modes
+ * (MOCK_WHISPER_MODE): `ok`, `error` (every file fails with
+ * TRANSCRIPTION_FAILED), `crash` (exits in the middle of the first file),
+ * `slow` (never finishes a file), `load-error` (the model does not load) and
+ * `old-protocol` (announces protocol 0). MOCK_WHISPER_READY_DELAY_MS (default
+ * 0) stands for the model load: like the real worker, nothing is read or
+ * answered until it is over. Files that do not exist fail with
+ * FILE_NOT_FOUND as they would with Whisper. Accepts and ignores the real
+ * worker's arguments apart from `--model`.
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const PROTOCOL_VERSION = 1;
+const PROGRESS_STEPS = 4;
+const SAMPLE = path.join(__dirname, '..', 'fixtures', 'transcripts', 'sample.json');
+
+const mode = process.env.MOCK_WHISPER_MODE || 'ok';
+const delayMs = Number(process.env.MOCK_WHISPER_DELAY_MS) || 1000;
+const readyDelayMs = Number(process.env.MOCK_WHISPER_READY_DELAY_MS) || 0;
+const modelArg = process.argv.indexOf('--model');
+const model = modelArg !== -1 ? process.argv[modelArg + 1] : 'base';
+const started = Date.now();
+
+const queue = [];
+let busy = null;
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+function error(id, code, message) {
+  send({ id, type: 'error', error: { code, message } });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function transcribe(request) {
+  if (!request.audio || !fs.existsSync(request.audio)) {
+    return error(request.id, 'FILE_NOT_FOUND', `Audio file not found: ${request.audio}`);
+  }
+  for (let step = 1; step <= PROGRESS_STEPS; step++) {
+    if (mode === 'crash' && step === 2) process.exit(3);
+    await sleep(delayMs / PROGRESS_STEPS);
+    send({ id: request.id, type: 'progress', progress: step / PROGRESS_STEPS });
+  }
+  if (mode === 'slow') await new Promise(() => {});
+  if (mode === 'error') return error(request.id, 'TRANSCRIPTION_FAILED', 'Mock transcription failure');
+
+  const result = JSON.parse(fs.readFileSync(SAMPLE, 'utf8'));
+  if (request.language) result.language = request.language;
+  send({ id: request.id, type: 'result', result });
+}
+
+// Files are handled one at a time, in arrival order
+async function drain() {
+  if (busy) return;
+  while (queue.length > 0) {
+    const request = queue.shift();
+    busy = request.id;
+    await transcribe(request);
+    busy = null;
+  }
+}
+
+function start() {
+  if (mode === 'load-error') {
+    error(null, 'MODEL_LOAD_FAILED', `Could not load model ${model}: mock failure`);
+    process.exit(3);
+  }
+  send({ type: 'ready', protocol: mode === 'old-protocol' ? 0 : PROTOCOL_VERSION, model, pid: process.pid });
+
+  readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    if (!line.trim()) return;
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (e) {
+      return error(null, 'BAD_REQUEST', 'Requests must be JSON objects, one per line');
+    }
+    if (request.type === 'ping') {
+      return send({ id: request.id, type: 'pong', protocol: PROTOCOL_VERSION, models: [model], busy, uptime: (Date.now() - started) / 1000 });
+    }
+    if (request.type !== 'transcribe') return error(request.id, 'UNKNOWN_TYPE', `Unknown request type: ${request.type}`);
+    queue.push(request);
+    drain();
+  }).on('close', async () => {
+    // Like the real worker: finish what was asked, then exit
+    while (busy || queue.length > 0) await sleep(50);
+    process.exit(0);
+  });
+}
+
+setTimeout(start, readyDelayMs);
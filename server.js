@@ -5,8 +5,28 @@ const multer = require('multer');
 const path = require('path');
 const cors = require('cors');
 const fs = require('fs');
-const { spawn } = require('child_process');
-const https = require('https');
+const { segmentAnswers } = require('./utils/segmentation');
+const jobs = require('./utils/jobs');
+const transcription = require('./utils/transcription');
+const timeline = require('./utils/timeline');
+const star = require('./utils/star');
+const scoring = require('./utils/scoring');
+const vocabulary = require('./utils/vocabulary');
+const { authenticate, requireAuth, requireAdmin } = require('./utils/auth');
+const sessionStore = require('./utils/sessionStore');
+const cohere = require('./utils/cohere');
+const evaluator = require('./utils/evaluator');
+const disfluency = require('./utils/disfluency');
+const questionBank = require('./utils/questionBank');
+const questionGenerator = require('./utils/questionGenerator');
+const media = require('./utils/media');
+const prosody = require('./utils/prosody');
+const uploadConfig = require('./utils/uploadConfig');
+const uploads = require('./utils/uploads');
+const languages = require('./utils/languages');
+const jobDescription = require('./utils/jobDescription');
+const resume = require('./utils/resume');
+const profileStore = require('./utils/profileStore');
 
 // Load environment variables
 try {
@@ -19,11 +39,22 @@ console.log('=== InterviewLabs Server Starting ===');
 console.log('Environment:', process.env.NODE_ENV || 'development');
 console.log('COHERE_API_KEY loaded:', !!process.env.COHERE_API_KEY);
 console.log('🎤 Real Whisper Transcription: ENABLED');
+
+// Languages, scoring profiles, vocabulary packs and the question bank are validated up front so a bad edit stops the deploy, not a request
+try {
+    console.log('🌐 Languages:', languages.listLanguages().map(l => l.code).join(', '));
+    console.log('📐 Scoring profiles:', Object.keys(scoring.loadProfiles()).join(', '));
+    console.log('📚 Vocabulary packs:', Object.keys(vocabulary.loadPacks()).join(', '));
+    console.log('🗂️ Question bank sets:', Object.keys(questionBank.loadBank()).join(', '));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 console.log('=====================================');
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 
 // Simple request logging
 app.use((req, res, next) => {
@@ -32,7 +63,7 @@ app.use((req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3000;
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const UPLOAD_DIR = uploadConfig.UPLOAD_DIR;
 
 // Ensure uploads directory exists
 try {
@@ -46,134 +77,68 @@ try {
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Your exact Cohere API helper (from local setup)
-async function callCohereAPI(message) {
-    return new Promise((resolve, reject) => {
-        const postData = JSON.stringify({
-            message: message,
-            model: 'command-r-08-2024',
-            max_tokens: 500,
-            temperature: 0.7,
-            stream: false
-        });
-
-        const options = {
-            hostname: 'api.cohere.com',
-            port: 443,
-            path: '/v1/chat',
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.COHERE_API_KEY}`,
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(postData)
-            }
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-                try {
-                    const response = JSON.parse(data);
-                    if (res.statusCode === 200) {
-                        resolve(response);
-                    } else {
-                        reject(new Error(`API Error: ${response.message || data}`));
-                    }
-                } catch (e) {
-                    reject(new Error(`Parse Error: ${e.message}`));
-                }
-            });
-        });
-
-        req.on('error', (e) => { reject(e); });
-        req.write(postData);
-        req.end();
-    });
+// 400 body for a `language` the server has no data for
+function unsupportedLanguage(error) {
+    return { error: 'UNSUPPORTED_LANGUAGE', message: error.message, languages: languages.listLanguages().map(l => l.code) };
 }
 
-// Your exact questions endpoint (from local setup)
-app.post('/api/questions', async (req, res) => {
+// Your exact questions endpoint (from local setup); signed-in users get questions they have not seen yet.
+// A pasted `jobDescription` (text or a job page's HTML) ties each question to the requirement it probes;
+// `useResume` asks some of the questions about the claims on the resume saved with /api/profile
+app.post('/api/questions', authenticate, async (req, res) => {
     try {
-        const field = (req.body.field || '').trim();
         const count = Math.max(1, Math.min(20, Number(req.body.count) || 7));
+        const seniority = (req.body.seniority || '').trim();
+        const posting = typeof req.body.jobDescription === 'string' ? req.body.jobDescription.trim() : '';
         
-        console.log(`Generating ${count} questions for field: ${field}`);
-        
-        if (!field) {
-            return res.status(400).json({ error: 'field is required' });
+        if (!(req.body.field || '').trim() && !posting) {
+            return res.status(400).json({ error: 'field or jobDescription is required' });
         }
-
-        // Try Cohere API first if available (your exact code)
-        if (process.env.COHERE_API_KEY && process.env.COHERE_API_KEY.trim().length > 0) {
+        let job = null;
+        if (posting) {
             try {
-                const message = `Generate exactly ${count} diverse, challenging interview questions for ${field} positions.
-
-Requirements:
-- Each question must be unique and specific to ${field}
-- Include a mix of: technical skills, problem-solving, behavioral, situational, and experience-based questions
-- Questions should be realistic and commonly asked in actual ${field} interviews
-- Vary question types: "Tell me about...", "How would you...", "Describe a time...", "What is your approach to...", etc.
-- Make questions progressively challenging
-- Each question should be 10-30 words long
-- Focus on real-world scenarios and practical skills
-
-Please format your response as a numbered list with exactly ${count} questions:
-
-1. [First question here]
-2. [Second question here]
-3. [Third question here]
-...
-${count}. [Final question here]
-
-Generate exactly ${count} interview questions for ${field}:`;
-
-                const response = await callCohereAPI(message);
-                
-                if (response && response.text) {
-                    const text = response.text.trim();
-                    const questions = [];
-                    const lines = text.split('\n');
-                    
-                    for (const line of lines) {
-                        const trimmed = line.trim();
-                        const match = trimmed.match(/^\d+[\.\)\-\s]+(.+)/);
-                        if (match && match[1] && match[1].length > 10) {
-                            let question = match[1].trim().replace(/^["""]|["""]$/g, '').replace(/\s+/g, ' ');
-                            if (!question.endsWith('?')) question += '?';
-                            if (!questions.includes(question)) questions.push(question);
-                        }
-                    }
-
-                    if (questions.length >= Math.min(3, count)) {
-                        const finalQuestions = questions.slice(0, count);
-                        return res.json({ 
-                            questions: finalQuestions, 
-                            ai: true,
-                            source: 'cohere-chat'
-                        });
-                    }
-                }
-            } catch (cohereError) {
-                console.error('Cohere Chat API call failed:', cohereError.message);
+                job = jobDescription.parseJobDescription(posting, { field: (req.body.field || '').trim() });
+            } catch (error) {
+                if (!(error instanceof jobDescription.JobDescriptionError)) throw error;
+                return res.status(400).json({ error: error.code, message: error.message });
             }
+            console.log('📄 Job description:', { title: job.title, seniority: job.seniority, requirements: job.requirements.length });
+        }
+        // Without a field the posting's title stands in for it
+        const field = (req.body.field || '').trim() || (job && job.title) || 'General';
+        
+        console.log(`Generating ${count} questions for field: ${field}`);
+        
+        if (seniority && !questionBank.SENIORITY.includes(seniority)) {
+            return res.status(400).json({ error: `seniority must be one of ${questionBank.SENIORITY.join(', ')}` });
+        }
+        let language;
+        try {
+            language = languages.parseLanguage(req.body.language);
+        } catch (error) {
+            if (!(error instanceof languages.LanguageError)) throw error;
+            return res.status(400).json(unsupportedLanguage(error));
+        }
+        let resumeProfile = null;
+        if (req.body.useResume === true || req.body.useResume === 'true') {
+            if (!req.user) return res.status(401).json({ error: 'AUTH_REQUIRED' });
+            const stored = profileStore.getProfile(req.user.id);
+            if (!stored) return res.status(400).json({ error: 'NO_PROFILE', message: 'Upload your resume before asking for questions about it' });
+            resumeProfile = stored.profile;
         }
 
-        // Your exact fallback questions (simplified)
-        const templates = [
-            `Tell me about your experience with ${field} technologies.`,
-            `How do you approach solving complex problems in ${field}?`,
-            `Describe a challenging ${field} project you worked on.`,
-            `How do you stay updated with ${field} trends and best practices?`,
-            `Tell me about a time you had to learn something new in ${field}.`,
-            `How do you handle pressure and deadlines in ${field} projects?`,
-            `Describe your collaboration style when working on ${field} teams.`
-        ];
-
-        const shuffled = [...templates].sort(() => 0.5 - Math.random());
-        const questions = shuffled.slice(0, count);
-
-        res.json({ questions, ai: false, source: 'fallback' });
+        // Generated by Cohere when configured (`source: "bank"` skips it), otherwise from the question bank
+        res.json(await questionGenerator.questionsFor({
+            field,
+            count,
+            seniority: seniority || (job ? job.seniority : undefined),
+            // Questions are asked before anything is said, so "auto" means the base language
+            language: language && language !== languages.AUTO ? language : languages.BASE_LANGUAGE,
+            userId: req.user && req.user.id,
+            source: req.body.source,
+            job,
+            resume: resumeProfile
+        }));
         
     } catch (e) {
         console.error('Questions error:', e);
@@ -181,176 +146,193 @@ Generate exactly ${count} interview questions for ${field}:`;
     }
 });
 
-// REAL Whisper transcription function (your Python script integration)
-async function transcribeWithWhisper(videoPath) {
-    return new Promise((resolve, reject) => {
-        console.log('🎤 Starting REAL Whisper transcription...');
-        console.log('📁 Video path:', videoPath);
-        
-        const outputPath = videoPath + '.json';
-        const whisperModel = process.env.WHISPER_MODEL || 'base';
-        
-        // Use your exact transcribe_whisper.py script
-        const pythonProcess = spawn('python3', [
-            path.join(__dirname, 'transcribe_whisper.py'),
-            videoPath,
-            '--model',
-            whisperModel,
-            '--output_format',
-            'json'
-        ], {
-            stdio: ['pipe', 'pipe', 'pipe'],
-            env: { ...process.env }
-        });
-        
-        let stdout = '';
-        let stderr = '';
-        
-        pythonProcess.stdout.on('data', (data) => {
-            stdout += data.toString();
-            console.log('📤 Whisper:', data.toString().trim());
-        });
-        
-        pythonProcess.stderr.on('data', (data) => {
-            stderr += data.toString();
-            console.log('📋 Whisper info:', data.toString().trim());
-        });
-        
-        pythonProcess.on('close', (code) => {
-            console.log(`🏁 Whisper process finished with code: ${code}`);
-            
-            if (code === 0) {
-                try {
-                    // Your Python script outputs JSON to stdout
-                    const transcriptionData = JSON.parse(stdout);
-                    
-                    const fullText = transcriptionData.segments ? 
-                        transcriptionData.segments.map(s => s.text).join(' ') : 
-                        transcriptionData.text || '';
-                    
-                    console.log('✅ Transcription successful!');
-                    console.log('📝 Text preview:', fullText.substring(0, 100) + '...');
-                    
-                    resolve({
-                        text: fullText.trim(),
-                        segments: transcriptionData.segments || [],
-                        duration: transcriptionData.duration || 0
-                    });
-                } catch (parseError) {
-                    console.error('❌ Failed to parse Whisper output:', parseError);
-                    console.log('Raw output:', stdout);
-                    reject(new Error('Failed to parse transcription: ' + parseError.message));
-                }
-            } else {
-                console.error('❌ Whisper failed with code', code);
-                console.error('Stderr:', stderr);
-                reject(new Error(`Whisper failed: ${stderr || 'Unknown error'}`));
-            }
-        });
-        
-        pythonProcess.on('error', (error) => {
-            console.error('❌ Failed to start Whisper:', error);
-            reject(new Error('Failed to start Whisper: ' + error.message));
-        });
-        
-        // 3-minute timeout for transcription
-        setTimeout(() => {
-            pythonProcess.kill();
-            reject(new Error('Whisper timeout (3 minutes)'));
-        }, 3 * 60 * 1000);
-    });
-}
-
-// Simple analysis based on real transcription
-function analyzeTranscription(transcription, field) {
+// Simple analysis based on real transcription, rated by a scoring profile
+// (options.profile, default: picked from the field). `question` lets
+// behavioral answers be checked for STAR structure; `star: false` skips that.
+// Mistakes, tips and summary are written in `options.language` (default English).
+// With the candidate's parsed resume (`options.resumeProfile`, and `options.claim`
+// when the question asked about one of its claims) the answer is checked against it.
+// `summaryRating` replaces the rating quoted in the summary (analyzeAnswers quotes the average).
+function analyzeTranscription(transcription, field, options = {}) {
+    const profile = options.profile || scoring.selectProfile({ field });
+    const vocab = scoring.vocabularyFor(profile, field, options.language);
+    const lang = vocab.language;
     const text = transcription.text || '';
     const wordCount = text.split(' ').filter(w => w.length > 0).length;
+    const words = timeline.wordsOf(transcription);
+    const answerStart = transcription.start != null ? transcription.start : (words[0] ? words[0].start : 0);
     
-    console.log('🧠 Analyzing real speech:', { wordCount, field });
+    console.log('🧠 Analyzing real speech:', { wordCount, field, profile: profile.id, language: lang });
 
-    if (wordCount < 5) {
+    if (wordCount < profile.gates.noSpeechWords) {
+        const { rating, breakdown } = scoring.gated(profile, 'noSpeech');
         return {
-            rating: 0,
-            mistakes: [{
-                timestamp: '0:05',
-                text: 'No speech detected - ensure microphone is working and speak clearly'
-            }],
-            tips: [
-                'Check microphone permissions in your browser',
-                'Speak clearly into the microphone during recording',
-                'Record in a quiet environment',
-                'Ensure you are actually speaking during recording'
-            ],
-            summary: 'No speech content detected. Please record again with clear audio.'
+            rating,
+            mistakes: [timeline.makeMistake('no-speech', languages.t(lang, 'analysis.noSpeech.mistake'), [], answerStart)],
+            tips: languages.t(lang, 'analysis.noSpeech.tips'),
+            scoring: breakdown,
+            summary: languages.t(lang, 'analysis.noSpeech.summary'),
+            language: lang
         };
     }
 
-    if (wordCount < 20) {
+    if (wordCount < profile.gates.briefWords) {
+        const { rating, breakdown } = scoring.gated(profile, 'brief');
         return {
-            rating: 2,
-            mistakes: [{
-                timestamp: '0:10',
-                text: 'Response too brief - provide more detailed answers with examples'
-            }],
-            tips: [
-                'Use the STAR method (Situation, Task, Action, Result)',
-                'Provide specific examples from your experience',
-                'Aim for 1-2 minutes per response',
-                'Include technical details relevant to the role'
-            ],
-            summary: `Brief response (${wordCount} words). Expand your answers for better evaluation.`
+            rating,
+            mistakes: [timeline.makeMistake('too-brief', languages.t(lang, 'analysis.brief.mistake'), [], answerStart)],
+            tips: languages.t(lang, 'analysis.brief.tips'),
+            scoring: breakdown,
+            summary: languages.t(lang, 'analysis.brief.summary', { words: wordCount }),
+            language: lang
         };
     }
 
     // Real content analysis
-    const technicalTerms = (text.match(/\b(javascript|react|node|python|java|database|api|system|software|code|programming|development|framework|library|algorithm|data|server|frontend|backend|fullstack|git|docker|aws|cloud|testing|debugging|deployment)\b/gi) || []).length;
-
-    const confidenceWords = (text.match(/\b(successfully|achieved|implemented|developed|managed|created|built|delivered|solved|experience|skilled|accomplished|responsible|led|improved|designed)\b/gi) || []).length;
+    const fluency = disfluency.analyzeDisfluency(words.length > 0 ? words : text, { fillers: vocab.fillers, language: lang });
+    const fillerOccurrences = disfluency.fluencyOccurrences(fluency);
+    const longPauses = timeline.findLongPauses(words);
+    const ramblingStretches = timeline.findRamblingStretches(words);
+    const starResult = options.star === false ? null : star.analyzeStar(transcription, { question: options.question, language: lang });
+    const answerEnd = words.length > 0 ? words[words.length - 1].end : answerStart;
+
+    const metrics = scoring.measure(text, vocab, {
+        words,
+        fillerWords: fluency.total,
+        longPauses: longPauses.length,
+        ramblingStretches: ramblingStretches.length,
+        star: starResult
+    });
+    const { technicalTerms, confidenceWords, fillerWords } = metrics;
 
-    const fillerWords = (text.match(/\b(um|uh|like|you know|actually|basically|sort of|kind of|well|so|right|okay)\b/gi) || []).length;
+    // Rating from the profile's weighted metrics, thresholds and caps
+    const { rating, breakdown } = scoring.score(profile, metrics);
 
-    // Calculate rating
-    let rating = 5; // Base for having speech
-    
-    if (wordCount > 50) rating += 1;
-    if (wordCount > 100) rating += 0.5;
-    if (technicalTerms > 2) rating += 1;
-    if (confidenceWords > 2) rating += 0.5;
-    if (fillerWords < wordCount / 20) rating += 0.5;
-    
-    rating = Math.min(9, Math.max(1, Math.round(rating * 2) / 2));
-
-    // Generate mistakes
+    // Generate mistakes, each anchored where it happened
     const mistakes = [];
     if (fillerWords > wordCount / 15) {
-        mistakes.push({
-            timestamp: '1:15',
-            text: `Reduce filler words (${Math.round(fillerWords/wordCount*100)}%) - practice speaking more deliberately`
-        });
+        mistakes.push(timeline.makeMistake('filler-words',
+            languages.t(lang, 'analysis.fillerWords', {
+                percent: Math.round(fillerWords/wordCount*100),
+                counts: disfluency.describeCounts(fluency.counts, disfluency.FLUENCY_TYPES, lang)
+            }),
+            fillerOccurrences, answerStart));
+    }
+    mistakes.push(...disfluency.hedgingMistakes(fluency, answerStart, lang));
+    if (longPauses.length > 0) {
+        mistakes.push(timeline.makeMistake('long-pause',
+            languages.t(lang, 'analysis.longPauses', {
+                count: longPauses.length,
+                seconds: Math.max(...longPauses.map(p => p.duration)).toFixed(1)
+            }),
+            longPauses, answerStart));
     }
+    if (ramblingStretches.length > 0) {
+        mistakes.push(timeline.makeMistake('rambling', languages.t(lang, 'analysis.rambling'), ramblingStretches, answerStart));
+    }
+    mistakes.push(...star.starMistakes(starResult, answerStart, answerEnd, lang));
+    const packName = vocab.pack.name.toLowerCase();
     if (technicalTerms < 2) {
-        mistakes.push({
-            timestamp: '1:30',
-            text: `Include more ${field}-specific technical terminology`
-        });
+        mistakes.push(timeline.makeMistake('technical-terms',
+            languages.t(lang, 'analysis.technicalTerms', {
+                pack: packName,
+                examples: vocabulary.suggestTerms(vocab.pack, metrics.terms.matches).join(', ')
+            }), [], answerStart));
     }
     if (wordCount < 50) {
-        mistakes.push({
-            timestamp: '0:30',
-            text: 'Provide more comprehensive responses with detailed examples'
-        });
+        mistakes.push(timeline.makeMistake('too-brief', languages.t(lang, 'analysis.tooBrief'), [], answerStart));
     }
+    // Contradicting the resume goes first so the cut below keeps it
+    const resumeResult = options.resumeProfile ?
+        resume.checkAnswer(options.resumeProfile, { words, question: options.question, claimId: options.claim, language: lang, answerStart }) : null;
+    if (resumeResult) mistakes.unshift(...resumeResult.mistakes);
 
     return {
         rating,
-        mistakes: mistakes.slice(0, 3),
+        mistakes: mistakes.slice(0, 5),
         tips: [
-            `Real analysis: ${wordCount} words, ${technicalTerms} technical terms, ${confidenceWords} confidence words`,
-            technicalTerms > 3 ? 'Excellent technical vocabulary' : 'Include more technical concepts',
-            confidenceWords > 2 ? 'Strong confident language' : 'Use more achievement-focused language',
-            'Based on your actual spoken content, not generic feedback'
+            languages.t(lang, 'analysis.realAnalysis', { words: wordCount, terms: metrics.terms.matches.length, pack: packName, confidence: confidenceWords }),
+            languages.t(lang, technicalTerms > 3 ? 'analysis.vocabularyStrong' : 'analysis.vocabularyWeak', { pack: packName }),
+            languages.t(lang, confidenceWords > 2 ? 'analysis.confidenceStrong' : 'analysis.confidenceWeak'),
+            ...breakdown.caps.map(cap => languages.t(lang, 'analysis.capped', { max: cap.max, reason: cap.reason })),
+            ...star.starTips(starResult, lang),
+            ...disfluency.disfluencyTips(fluency, lang),
+            ...(resumeResult ? resumeResult.tips : []),
+            languages.t(lang, 'analysis.basedOnSpeech')
         ],
-        summary: `Real speech analysis: ${wordCount} words analyzed. Technical depth: ${technicalTerms}, Confidence: ${confidenceWords}. Rating: ${rating}/10 based on actual speech content.`
+        star: starResult,
+        disfluency: fluency,
+        scoring: breakdown,
+        vocabulary: vocabulary.report(vocab.packMatch, metrics.terms, vocab.pack),
+        summary: languages.t(lang, 'analysis.summary', {
+            words: wordCount,
+            technical: technicalTerms,
+            confidence: confidenceWords,
+            rating: options.summaryRating !== undefined ? options.summaryRating : rating,
+            profile: profile.name
+        }),
+        ...(resumeResult ? { resumeCheck: resumeResult.check } : {}),
+        language: lang
+    };
+}
+
+// Multipart fields arrive as strings; accept a JSON array or a single value
+function parseListField(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string' || !value.trim()) return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (e) {
+        return [value];
+    }
+}
+
+// Per-question analysis for a single video that answers every question; with a parsed
+// resume each answer is checked against it (`claims`: the claim id each question asked about)
+function analyzeAnswers(transcription, field, questions, markers, profile, language, resumeProfile = null, claims = []) {
+    const answers = segmentAnswers(transcription.segments, questions, { markers });
+
+    const perQuestion = answers.map(answer => ({
+        index: answer.index,
+        question: answer.question,
+        start: answer.start,
+        end: answer.end,
+        splitBy: answer.splitBy,
+        transcript: answer.text,
+        ...analyzeTranscription({ text: answer.text, segments: answer.segments, start: answer.start }, field, {
+            question: answer.question, profile, language, resumeProfile, claim: claims[answer.index] || null
+        })
+    }));
+
+    const answered = perQuestion.filter(a => a.transcript.length > 0).length;
+    const rating = Math.round(perQuestion.reduce((acc, a) => acc + a.rating, 0) / perQuestion.length * 2) / 2;
+    // STAR structure only makes sense per answer, not across the whole recording; the
+    // summary quotes the averaged rating, not the whole-transcript one
+    const overall = analyzeTranscription(transcription, field, { star: false, profile, language, summaryRating: rating });
+
+    console.log('🧩 Answers segmented:', answers.map(a => `${a.index + 1}:${a.splitBy}`).join(' '));
+
+    // The resume report covers every answer; contradictions lead the overall mistakes
+    const resumeCheck = resumeProfile ? resume.summarize(resumeProfile, perQuestion.map(q => q.resumeCheck)) : null;
+    return {
+        ...overall,
+        ...(resumeCheck ? {
+            mistakes: [...perQuestion.flatMap(q => q.mistakes.filter(m => m.type === 'resume-contradiction')), ...overall.mistakes].slice(0, 5),
+            tips: [...overall.tips, resume.summaryTip(resumeCheck, language)],
+            resumeCheck
+        } : {}),
+        rating,
+        summary: `${languages.t(language, 'analysis.answered', { answered, total: questions.length, rating })} ${overall.summary}`,
+        // Each question carries its own metric breakdown; the overall score is their average
+        scoring: {
+            profile: profile.id,
+            profileName: profile.name,
+            aggregate: 'average',
+            ratings: perQuestion.map(q => q.rating),
+            rating
+        },
+        questions: perQuestion
     };
 }
 
@@ -366,95 +348,391 @@ const storage = multer.diskStorage({
 
 const upload = multer({ 
     storage, 
-    limits: { fileSize: 100 * 1024 * 1024 }, // 100MB
+    limits: { fileSize: uploadConfig.MAX_UPLOAD_BYTES },
     fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('video/')) {
+        if (uploadConfig.isAcceptedType(file.mimetype, file.originalname)) {
             cb(null, true);
         } else {
-            cb(new Error('Only video files allowed'));
+            cb(Object.assign(new Error('Only video or audio files (mp3, m4a, wav, ogg) allowed'), { code: 'UNSUPPORTED_TYPE' }));
         }
     }
 });
 
-// Your exact video analysis endpoint with REAL Whisper
-app.post('/api/analyze', upload.single('video'), async (req, res) => {
+// Interview mode uploads one clip per question; questions are capped at 20 as well
+const MAX_CLIPS = 20;
+// Longest typed answer accepted, in characters
+const MAX_ANSWER_CHARS = 20000;
+
+function removeUpload(filePath) {
+    try {
+        if (filePath && fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    } catch (cleanupError) {
+        console.warn('Cleanup error:', cleanupError.message);
+    }
+}
+
+// Timed transcript for the results review player (no provider-specific fields)
+function reviewTranscript(transcript) {
+    return {
+        duration: transcript.duration,
+        wordTimings: transcript.wordTimings,
+        segments: transcript.segments.map(s => ({
+            start: s.start,
+            end: s.end,
+            text: s.text,
+            words: s.words.map(w => ({ text: w.text, start: w.start, end: w.end }))
+        }))
+    };
+}
+
+// Pace, pauses, volume, pitch and clipping from the decoded audio ([{ path, offset }] per clip);
+// null if a WAV cannot be read
+function deliveryMetrics(audioClips, transcript) {
+    try {
+        const audio = media.concatWavs(audioClips.map(clip => ({ ...media.readWav(clip.path), offset: clip.offset })));
+        return prosody.analyzeProsody(audio, timeline.wordsOf(transcript));
+    } catch (error) {
+        console.warn('⚠️ Delivery metrics failed:', error.message);
+        return null;
+    }
+}
+
+// Background pipeline for one uploaded video or audio file, one clip per question from
+// interview mode ([{ path, duration }]), or typed answers (`answers`, no clips);
+// `input` is "video", "audio" or "text". `language` is a code, "auto" or null (the
+// provider's default, then detection). Job `requirements` (with the one each question
+// probes in `questionRequirements`) add a coverage report. A parsed `resumeProfile` (with the claim
+// each question asked about in `questionClaims`) checks the answers against the resume. Progress is
+// reported through the job
+async function runAnalysisJob(jobId, { userId, clips, answers = [], input, field, questions, markers, provider, fixture, profile, language, requirements = [], questionRequirements = [], resumeProfile = null, questionClaims = [], parentSessionId }) {
+    const prepared = [];
+    // Aborted when the job is cancelled or abandoned; checked between steps
+    const signal = jobs.signalFor(jobId);
+    const stopIfCancelled = () => {
+        if (signal.aborted) throw new Error('Analysis cancelled');
+    };
+    try {
+        // Decode each clip to 16 kHz mono WAV: a trimmed, loudness-normalized copy for
+        // transcription and the untouched one for delivery metrics. Without ffmpeg the
+        // provider gets the original upload and delivery metrics are skipped
+        if (clips.length === 0) {
+            // Typed answers: nothing to decode or transcribe
+        } else if (media.isAvailable()) {
+            jobs.updateJob(jobId, 'extracting_audio', 'Extracting and normalizing the audio track');
+            for (const clip of clips) {
+                try {
+                    prepared.push(await media.prepareAudio(clip.path));
+                } catch (error) {
+                    console.warn('⚠️ Audio extraction failed, transcribing the original upload:', error.message);
+                    prepared.push(null);
+                }
+                stopIfCancelled();
+            }
+        } else {
+            jobs.updateJob(jobId, 'extracting_audio', 'ffmpeg not available - skipping delivery metrics');
+        }
+
+        // REAL transcription through the provider chain (Whisper first by default), one clip at a time
+        const parts = [];
+        let offset = 0;
+        for (const [i, clip] of clips.entries()) {
+            const label = clips.length > 1 ? `Transcribing answer ${i + 1}/${clips.length}` : 'Transcribing speech';
+            jobs.updateJob(jobId, 'transcribing', label, i / clips.length);
+            // Whisper workers are shared: report the place in their queue until one is free
+            const onQueue = position => (position > 0 ?
+                jobs.setQueuePosition(jobId, position, `Waiting for a transcription worker (position ${position} in the queue)`) :
+                jobs.updateJob(jobId, 'transcribing', label, i / clips.length));
+            // Worker progress moves the bar through the transcribing stage, clip by clip
+            const onProgress = fraction => jobs.updateJob(jobId, 'transcribing', `${label} (${Math.round(fraction * 100)}%)`, (i + fraction) / clips.length);
+            const audio = prepared[i];
+            let part = await transcription.transcribe(audio ? audio.path : clip.path, { provider, fixture, language: language || undefined, signal, onQueue, onProgress });
+            // Put the trimmed leading silence back so times match the recording
+            if (audio) {
+                const end = audio.trim.start + part.duration;
+                part = transcription.joinTranscripts([{ transcript: part, offset: audio.trim.start }], Math.max(clip.duration || audio.duration, end));
+            }
+            parts.push({ transcript: part, offset });
+            // The recorder's clip length, unless the transcript runs longer
+            offset += Math.max(clip.duration || 0, part.duration);
+        }
+        for (const text of answers) {
+            const part = transcription.textTranscript(text);
+            parts.push({ transcript: part, offset });
+            offset += part.duration;
+        }
+
+        // Clips are laid end to end; each one starts the next question's answer
+        const transcript = parts.length === 1 ? parts[0].transcript : transcription.joinTranscripts(parts, offset);
+        const answerMarkers = parts.length > 1 ? parts.slice(1).map(p => p.offset) : markers;
+
+        // Analyze real speech content in the interview language, one answer per question when the list was sent
+        const lang = languages.resolveLanguage(language, transcript);
+        jobs.updateJob(jobId, 'analyzing', 'Analyzing your answers');
+        const heuristic = questions.length > 0 ?
+            analyzeAnswers(transcript, field, questions, answerMarkers, profile, lang, resumeProfile, questionClaims) :
+            analyzeTranscription(transcript, field, { profile, language: lang, resumeProfile });
+        if (resumeProfile && questions.length === 0 && heuristic.resumeCheck) {
+            heuristic.resumeCheck = resume.summarize(resumeProfile, [heuristic.resumeCheck]);
+            heuristic.tips = [...heuristic.tips, resume.summaryTip(heuristic.resumeCheck, lang)];
+        }
+
+        // Fillers and hedges compared with the user's earlier sessions
+        if (heuristic.disfluency) {
+            const previous = sessionStore.listSessions(userId).map(s => s.analysis && s.analysis.disfluency);
+            heuristic.disfluency.trend = disfluency.trend(heuristic.disfluency, previous);
+            heuristic.tips = [...heuristic.tips, ...disfluency.trendTips(heuristic.disfluency.trend, lang)];
+        }
+
+        const videoMetrics = clips.length > 0 && prepared.length === clips.length && prepared.every(Boolean) ?
+            deliveryMetrics(prepared.map((audio, i) => ({ path: audio.rawPath, offset: parts[i].offset })), transcript) : null;
+        if (videoMetrics) {
+            heuristic.videoMetrics = videoMetrics;
+            heuristic.tips = [...heuristic.tips, ...prosody.prosodyTips(videoMetrics, lang)];
+        }
+
+        // Rubric scoring with Cohere; keeps the heuristic result if the model is unavailable
+        stopIfCancelled();
+        if (cohere.isEnabled()) jobs.updateJob(jobId, 'analyzing', 'Scoring answers against the rubric');
+        const analysis = await evaluator.evaluateAnalysis(heuristic, { field, text: transcript.text, language: lang });
+
+        // Which job requirements the answers demonstrated, judged with the final per-answer ratings
+        if (requirements.length > 0) {
+            const words = timeline.wordsOf(transcript);
+            const answered = analysis.questions && analysis.questions.length > 0 ?
+                analysis.questions.map(q => ({ index: q.index, rating: q.rating, words: words.filter(w => w.start >= q.start && w.start < q.end) })) :
+                [{ index: 0, rating: analysis.rating, words }];
+            analysis.coverage = jobDescription.coverage(requirements, answered, { questionRequirements, field });
+            analysis.tips = [...analysis.tips, ...jobDescription.coverageTips(analysis.coverage, lang)];
+        }
+
+        console.log('🎯 Analysis complete:', { jobId, rating: analysis.rating, language: lang, evaluation: analysis.evaluation.source });
+
+        // Keep the full report in the user's history
+        stopIfCancelled();
+        const timedTranscript = reviewTranscript(transcript);
+        const session = sessionStore.createSession(userId, {
+            field,
+            questions,
+            language: lang,
+            transcript: timedTranscript,
+            analysis,
+            metrics: {
+                input,
+                provider: transcript.provider,
+                profile: profile.id,
+                clips: clips.length,
+                media: clips.map((clip, i) => ({
+                    ...clip.media,
+                    trim: prepared[i] ? prepared[i].trim : null,
+                    gainDb: prepared[i] ? prepared[i].gainDb : null
+                }))
+            },
+            source: clips.length > 1 ? 'interview' : 'analyze',
+            parentSessionId
+        });
+
+        jobs.completeJob(jobId, {
+            sessionId: session.id,
+            parentSessionId: session.parentSessionId,
+            round: session.round,
+            analysis,
+            input,
+            language: lang,
+            realTranscription: input !== 'text',
+            transcriptionProvider: transcript.provider,
+            transcriptionPreview: transcript.text.substring(0, 200) + '...',
+            transcript: timedTranscript,
+            wordCount: transcript.text.split(' ').length,
+            source: `REAL-${transcript.provider.toUpperCase()}-ANALYSIS`
+        });
+    } catch (error) {
+        if (signal.aborted) {
+            console.log('🛑 Analysis job cancelled:', jobId);
+        } else {
+            console.error('❌ Analysis job failed:', jobId, error.message);
+            jobs.failJob(jobId, error);
+        }
+    } finally {
+        clips.forEach(clip => removeUpload(clip.path));
+        prepared.filter(Boolean).forEach(audio => {
+            removeUpload(audio.rawPath);
+            removeUpload(audio.path);
+        });
+    }
+}
+
+// Your exact video analysis endpoint with REAL Whisper - returns a job id right away
+// Interview mode sends `clips` (one per question, in order, with `durations` in seconds) instead of `video`;
+// a video sent through the resumable /api/uploads protocol is referenced by `uploadId` instead.
+// `video` may also be an audio file. Typed answers come as `answers` (one per question) or a
+// single `answer`, as JSON or form fields, and skip transcription. `language` (a code or "auto")
+// sets the transcription language and the language the results are written in. `requirements`
+// (from /api/questions with a job description) and `questionRequirements` (the requirement id
+// each question probes) add a report of which requirements the answers demonstrated. `useResume`
+// checks the answers against the resume saved with /api/profile, with `questionClaims` (the claim id
+// each question asked about, from /api/questions with `useResume`)
+// Uploads are probed first: files without an audio track are rejected before a job starts
+app.post('/api/analyze', requireAuth, upload.fields([{ name: 'video', maxCount: 1 }, { name: 'clips', maxCount: MAX_CLIPS }]), async (req, res) => {
     console.log('=== REAL VIDEO ANALYSIS START ===');
     
+    const files = [...((req.files && req.files.video) || []), ...((req.files && req.files.clips) || [])];
+    const discardUploads = () => files.forEach(file => removeUpload(file.path));
     try {
         const field = (req.body.field || '').trim();
+        const questions = parseListField(req.body.questions)
+            .filter(q => typeof q === 'string' && q.trim().length > 0);
+        const markers = parseListField(req.body.markers);
+        const provider = (req.body.provider || '').trim();
+        const fixture = (req.body.fixture || '').trim();
+        // A follow-up round is chained to the session whose answers it probes
+        const parentSessionId = (req.body.parentSessionId || '').trim() || null;
         
-        if (!req.file) {
-            return res.status(400).json({ error: 'Video file is required' });
+        const uploadId = (req.body.uploadId || '').trim();
+        const clipFiles = (req.files && req.files.clips) || [];
+        const durations = parseListField(req.body.durations).map(Number);
+        const answers = typeof req.body.answer === 'string' && req.body.answer.trim() ? [req.body.answer] :
+            parseListField(req.body.answers).map(a => (typeof a === 'string' ? a : ''));
+        let video = req.files && req.files.video ? req.files.video[0] : null;
+
+        if ([video, uploadId, clipFiles.length > 0, answers.length > 0].filter(Boolean).length > 1) {
+            discardUploads();
+            return res.status(400).json({ error: 'Send either one video or audio file, an uploadId, interview clips or typed answers, not more than one' });
+        }
+        if (answers.length > 0) {
+            if (answers.every(a => !a.trim())) {
+                return res.status(400).json({ error: 'Type an answer before analyzing' });
+            }
+            if (answers.length > 1 && answers.length !== questions.length) {
+                return res.status(400).json({ error: `Typed answers need one answer per question (${answers.length} answers, ${questions.length} questions)` });
+            }
+            if (answers.some(a => a.length > MAX_ANSWER_CHARS)) {
+                return res.status(400).json({ error: `Answers must be at most ${MAX_ANSWER_CHARS} characters` });
+            }
+        }
+        if (uploadId) {
+            try {
+                video = uploads.completedUpload(req.user.id, uploadId);
+            } catch (error) {
+                if (!(error instanceof uploads.UploadError)) throw error;
+                return res.status(error.code === 'UPLOAD_NOT_FOUND' ? 404 : 409).json({ error: error.code, message: error.message });
+            }
+        }
+        if (!video && clipFiles.length === 0 && answers.length === 0) {
+            return res.status(400).json({ error: 'A video or audio file, or a typed answer, is required' });
+        }
+        if (clipFiles.length > 0 && clipFiles.length !== questions.length) {
+            discardUploads();
+            return res.status(400).json({ error: `Interview mode needs one clip per question (${clipFiles.length} clips, ${questions.length} questions)` });
         }
 
-        console.log('📹 Video uploaded:', {
-            filename: req.file.filename,
-            size: `${Math.round(req.file.size / (1024 * 1024) * 10) / 10}MB`
-        });
+        if (parentSessionId && !sessionStore.getSession(req.user.id, parentSessionId)) {
+            discardUploads();
+            return res.status(400).json({ error: 'parentSessionId must be one of your sessions' });
+        }
 
-        const videoPath = req.file.path;
-        
+        let profile;
         try {
-            // REAL Whisper transcription using your Python script
-            const transcription = await transcribeWithWhisper(videoPath);
-            
-            // Analyze real speech content
-            const analysis = analyzeTranscription(transcription, field);
+            profile = scoring.selectProfile({ profile: (req.body.profile || '').trim(), field });
+        } catch (error) {
+            discardUploads();
+            return res.status(400).json({ error: error.message, profiles: scoring.listProfiles().map(p => p.id) });
+        }
 
-            console.log('🎯 Analysis complete:', { rating: analysis.rating });
+        let language;
+        try {
+            language = languages.parseLanguage(req.body.language);
+        } catch (error) {
+            if (!(error instanceof languages.LanguageError)) throw error;
+            discardUploads();
+            return res.status(400).json(unsupportedLanguage(error));
+        }
 
-            // Cleanup
-            try {
-                if (fs.existsSync(videoPath)) {
-                    fs.unlinkSync(videoPath);
-                }
-            } catch (cleanupError) {
-                console.warn('Cleanup error:', cleanupError.message);
-            }
+        let requirements;
+        const questionRequirements = parseListField(req.body.questionRequirements).map(id => (typeof id === 'string' && id ? id : null));
+        try {
+            const sent = parseListField(req.body.requirements);
+            requirements = sent.length > 0 ? jobDescription.normalizeRequirements(sent, { field }) : [];
+        } catch (error) {
+            if (!(error instanceof jobDescription.JobDescriptionError)) throw error;
+            discardUploads();
+            return res.status(400).json({ error: error.code, message: error.message });
+        }
+        if (questionRequirements.some(id => id && !requirements.some(r => r.id === id))) {
+            discardUploads();
+            return res.status(400).json({ error: 'INVALID_REQUIREMENTS', message: 'questionRequirements must name ids from requirements' });
+        }
 
-            res.json({
-                analysis,
-                realTranscription: true,
-                transcriptionPreview: transcription.text.substring(0, 200) + '...',
-                wordCount: transcription.text.split(' ').length,
-                source: 'REAL-WHISPER-ANALYSIS'
-            });
+        let resumeProfile = null;
+        const questionClaims = parseListField(req.body.questionClaims).map(id => (typeof id === 'string' && id ? id : null));
+        if (req.body.useResume === true || req.body.useResume === 'true') {
+            const stored = profileStore.getProfile(req.user.id);
+            if (!stored) {
+                discardUploads();
+                return res.status(400).json({ error: 'NO_PROFILE', message: 'Upload your resume before checking answers against it' });
+            }
+            resumeProfile = stored.profile;
+        }
+        if (questionClaims.some(id => id && !(resumeProfile && resumeProfile.claims.some(c => c.id === id)))) {
+            discardUploads();
+            return res.status(400).json({ error: 'INVALID_CLAIMS', message: 'questionClaims must name claims from your resume (send useResume as well)' });
+        }
 
-        } catch (transcriptionError) {
-            console.error('❌ Transcription failed:', transcriptionError.message);
-            
-            // Cleanup on error
+        // Container metadata replaces the recorder's reported durations when ffprobe is installed
+        const mediaFiles = video ? [video] : clipFiles;
+        const probes = [];
+        if (media.isProbeAvailable()) {
             try {
-                if (fs.existsSync(videoPath)) {
-                    fs.unlinkSync(videoPath);
-                }
-            } catch (cleanupError) {
-                console.warn('Cleanup error:', cleanupError.message);
+                for (const file of mediaFiles) probes.push(media.assertHasAudio(await media.probe(file.path)));
+            } catch (error) {
+                if (!(error instanceof media.MediaError) || !['NO_AUDIO_TRACK', 'INVALID_MEDIA'].includes(error.code)) throw error;
+                discardUploads();
+                if (uploadId) uploads.deleteUpload(req.user.id, uploadId);
+                return res.status(400).json({ error: error.code, message: error.message });
             }
+        }
 
-            res.json({
-                analysis: {
-                    rating: 0,
-                    mistakes: [{ timestamp: '0:00', text: 'Audio processing failed - please ensure clear speech and good audio quality' }],
-                    tips: ['Check microphone settings', 'Record in quiet environment', 'Speak clearly', 'Try a shorter video'],
-                    summary: `Transcription failed: ${transcriptionError.message}. Please try again.`
-                },
-                realTranscription: false,
-                error: transcriptionError.message
+        // Audio-only when the probe found no picture (or, without ffprobe, by the uploaded type)
+        const input = answers.length > 0 ? 'text' :
+            (probes.length > 0 ? probes.every(p => !p.hasVideo) : mediaFiles.every(file => String(file.mimetype).startsWith('audio/'))) ? 'audio' : 'video';
+
+        const clips = mediaFiles.map((file, i) => {
+            const probe = probes[i] || null;
+            const reported = video ? null : durations[i];
+            return {
+                path: file.path,
+                duration: probe && probe.duration ? probe.duration :
+                    Number.isFinite(reported) && reported > 0 ? reported : null,
+                media: probe ? { duration: probe.duration, container: probe.container, audio: probe.audio, video: probe.video } : null
+            };
+        });
+
+        if (input === 'text') {
+            console.log('⌨️ Typed answers:', { answers: answers.length, characters: answers.reduce((acc, a) => acc + a.length, 0) });
+        } else {
+            console.log(input === 'audio' ? '🎙️ Audio uploaded:' : '📹 Video uploaded:', {
+                files: mediaFiles.map(file => file.filename),
+                size: `${Math.round(mediaFiles.reduce((acc, file) => acc + file.size, 0) / (1024 * 1024) * 10) / 10}MB`
             });
         }
+
+        // The job owns the assembled file from here on and removes it when done
+        if (uploadId) uploads.releaseUpload(uploadId);
+
+        const job = jobs.createJob({ userId: req.user.id, field, questionCount: questions.length, profile: profile.id });
+        runAnalysisJob(job.id, { userId: req.user.id, clips, answers, input, field, questions, markers, provider, fixture, profile, language, requirements, questionRequirements, resumeProfile, questionClaims, parentSessionId });
+
+        res.status(202).json({
+            jobId: job.id,
+            stage: job.stage,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`
+        });
         
     } catch (error) {
         console.error('❌ Analysis error:', error);
-        
-        // Cleanup on error
-        if (req.file && req.file.path) {
-            try {
-                fs.unlinkSync(req.file.path);
-            } catch (cleanupError) {
-                console.warn('Cleanup error:', cleanupError.message);
-            }
-        }
+        discardUploads();
         
         res.status(500).json({ 
             error: 'Analysis failed',
@@ -463,64 +741,46 @@ app.post('/api/analyze', upload.single('video'), async (req, res) => {
     }
 });
 
-// Your exact auth endpoints (simplified for Render)
-const users = new Map();
-
-app.post('/api/auth/register', async (req, res) => {
-    try {
-        const { name, email, password } = req.body;
-        
-        if (!name || !email || !password) {
-            return res.status(400).json({ error: 'All fields are required' });
-        }
-        
-        if (users.has(email)) {
-            return res.status(400).json({ error: 'User already exists' });
-        }
-        
-        const user = {
-            id: Date.now(),
-            name,
-            email,
-            password, // In production, hash this!
-            joinDate: new Date().toISOString(),
-            sessions: []
-        };
-        
-        users.set(email, user);
-        
-        const { password: _, ...userResponse } = user;
-        res.json({ user: userResponse });
-        
-    } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ error: 'Server error' });
-    }
+app.use('/api/jobs', requireAuth, require('./routes/jobs'));
+// Size limits and chunk size for the client; resumable uploads themselves need an account
+app.get('/api/uploads/config', (req, res) => {
+    res.json(uploadConfig.clientConfig());
+});
+app.use('/api/uploads', requireAuth, require('./routes/uploads'));
+// Follow-ups for a posted answer, or for a saved session when signed in
+app.use('/api/follow-ups', authenticate, require('./routes/followUps'));
+app.use('/api/question-bank', requireAdmin, require('./routes/questionBank'));
+app.use('/api/sessions', requireAuth, require('./routes/sessions'));
+// The signed-in user's resume, parsed into the claims questions and answer checks use
+app.use('/api/profile', requireAuth, require('./routes/profile'));
+
+// Accounts: hashed passwords in the embedded store, signed session tokens
+app.use('/api/auth', require('./routes/auth'));
+
+// Scoring profiles a request can pick with the `profile` field
+app.get('/api/scoring-profiles', (req, res) => {
+    res.json({ profiles: scoring.listProfiles() });
 });
 
-app.post('/api/auth/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
-        
-        const user = users.get(email);
-        if (!user || user.password !== password) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-        
-        const { password: _, ...userResponse } = user;
-        res.json({ user: userResponse });
-        
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Server error' });
-    }
+// Interview languages a request can pick with the `language` field ("auto" detects it)
+app.get('/api/languages', (req, res) => {
+    res.json({ languages: languages.listLanguages(), auto: languages.AUTO });
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
+// Health check; running Whisper workers are pinged, none are started for it
+app.get('/api/health', async (req, res) => {
+    const whisperWorkers = transcription.providers.whisper;
     res.json({ 
         status: 'ok',
         whisper: 'enabled',
+        transcription: {
+            chain: transcription.providerChain(),
+            available: transcription.availableProviders(),
+            whisperWorkers: { ...whisperWorkers.stats(), ping: await whisperWorkers.ping({ timeoutMs: 1000 }) }
+        },
+        media: { ffmpeg: media.isAvailable(), ffprobe: media.isProbeAvailable() },
+        evaluation: cohere.isEnabled() ? { provider: 'cohere', model: cohere.model() } : { provider: 'heuristic' },
+        questionGeneration: questionGenerator.stats(),
         timestamp: new Date().toISOString()
     });
 });
@@ -532,13 +792,41 @@ app.get('/', (req, res) => {
 
 // Error handling
 app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: 'UPLOAD_TOO_LARGE', message: err.message, maxBytes: uploadConfig.MAX_UPLOAD_BYTES });
+    }
+    if (err.code === 'UNSUPPORTED_TYPE') {
+        return res.status(415).json({ error: 'UNSUPPORTED_TYPE', message: err.message });
+    }
     console.error('Error:', err);
     res.status(500).json({ error: 'Server error', message: err.message });
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 InterviewLabs running on port ${PORT}`);
     console.log('🎤 Real Whisper transcription: ENABLED');
     console.log('🎯 Exact local setup replicated on Render!');
 });
+
+// Clean shutdown (Render sends SIGTERM on deploys): stop taking connections, let running
+// transcriptions finish within SHUTDOWN_GRACE_MS and stop the Whisper workers
+const SHUTDOWN_GRACE_MS = Number(process.env.SHUTDOWN_GRACE_MS) || 10000;
+let shuttingDown = false;
+
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`🛑 ${signal} received - shutting down`);
+    server.close();
+    setTimeout(() => process.exit(1), SHUTDOWN_GRACE_MS + 5000).unref();
+    transcription.shutdown({ graceMs: SHUTDOWN_GRACE_MS })
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Shutdown error:', error);
+            process.exit(1);
+        });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
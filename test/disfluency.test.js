@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeDisfluency } = require('../utils/disfluency');
+
+const found = (text) => analyzeDisfluency(text).occurrences.map(o => [o.type, o.term]);
+
+test('a repeated word is not also counted as part of a hedge', () => {
+  assert.deepStrictEqual(found('I I think we should ship it.'), [['repetition', 'i']]);
+  const report = analyzeDisfluency('I I think we should ship it.');
+  assert.strictEqual(report.counts.hedge, 0);
+  assert.strictEqual(report.counts.repetition, 1);
+});
+
+test('hedges outside a repetition still count', () => {
+  assert.deepStrictEqual(found('I think we should ship it.'), [['hedge', 'i think']]);
+  assert.deepStrictEqual(found('I guess it was fine, I I guess.'), [['hedge', 'i guess'], ['repetition', 'i']]);
+});
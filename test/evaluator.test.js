@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockCohere } = require('../scripts/mock-cohere');
+const { RUBRIC, EvaluationError, evaluateAnalysis, validateEvaluation, extractJson } = require('../utils/evaluator');
+
+const SCORES = { relevance: 8, correctness: 7.6, structure: 6, depth: 5, communication: 9 };
+const LONG_ANSWER = 'I led the migration of our billing service to Kubernetes over three months. ' +
+  'We split the monolith into four services, added canary releases and cut deploy time from 40 minutes to 6, ' +
+  'which let the team ship twice a day instead of once a week.';
+
+const roundHalf = value => Math.round(value * 2) / 2;
+
+test('validateEvaluation normalizes a valid reply', () => {
+  const evaluation = validateEvaluation({
+    scores: SCORES,
+    strengths: ['Clear', ' ', 'Concrete', 'Short', 'Extra'],
+    improvements: ['Quantify more'],
+    summary: '  Solid answer.  '
+  });
+  assert.strictEqual(evaluation.scores.correctness, 8);
+  assert.deepStrictEqual(evaluation.strengths, ['Clear', 'Concrete', 'Short']);
+  assert.strictEqual(evaluation.summary, 'Solid answer.');
+  assert.strictEqual(evaluation.overall, roundHalf(RUBRIC.reduce((acc, c) => acc + evaluation.scores[c.key] * c.weight, 0)));
+});
+
+test('validateEvaluation rejects out-of-range or missing scores and a missing summary', () => {
+  const reply = (patch) => ({ scores: SCORES, strengths: [], improvements: [], summary: 'Fine.', ...patch });
+  assert.throws(() => validateEvaluation(reply({ scores: { ...SCORES, depth: 11 } })), EvaluationError);
+  assert.throws(() => validateEvaluation(reply({ scores: { ...SCORES, relevance: 0 } })), EvaluationError);
+  assert.throws(() => validateEvaluation(reply({ scores: { relevance: 8 } })), /Score "correctness"/);
+  assert.throws(() => validateEvaluation(reply({ scores: undefined })), /"scores" is missing/);
+  assert.throws(() => validateEvaluation(reply({ summary: '  ' })), /"summary" is missing/);
+  assert.throws(() => validateEvaluation(reply({ summary: undefined })), /"summary" is missing/);
+});
+
+test('extractJson reads fenced and prose-wrapped replies', () => {
+  assert.deepStrictEqual(extractJson('```json\n{"summary": "ok"}\n```'), { summary: 'ok' });
+  assert.deepStrictEqual(extractJson('Here is my evaluation: {"scores": {"depth": 4}} Hope it helps.'), { scores: { depth: 4 } });
+  assert.throws(() => extractJson('I think this answer was quite good overall.'), /no JSON object/);
+  assert.throws(() => extractJson('{"summary": "ok",}'), /not valid JSON/);
+});
+
+test.describe('evaluateAnalysis against the mock Cohere server', () => {
+  let mock;
+  const saved = {};
+
+  test.before(async () => {
+    mock = await startMockCohere();
+    for (const key of ['COHERE_API_KEY', 'COHERE_API_URL']) saved[key] = process.env[key];
+    process.env.COHERE_API_KEY = 'test';
+    process.env.COHERE_API_URL = mock.url;
+  });
+
+  test.after(async () => {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+    await mock.close();
+  });
+
+  const analysis = () => ({
+    rating: 5,
+    tips: ['Heuristic tip'],
+    questions: [
+      { question: 'Tell me about a migration you led.', transcript: LONG_ANSWER, rating: 6, tips: [], summary: '' },
+      { question: 'Why this company?', transcript: 'I like the product.', rating: 3, tips: [], summary: '' }
+    ]
+  });
+
+  test('averages the per-question ratings and scores the evaluated answers', async () => {
+    mock.setMode('ok');
+    const result = await evaluateAnalysis(analysis(), { field: 'Backend Engineer' });
+    const [long, short] = result.questions;
+
+    assert.strictEqual(long.evaluation.source, 'cohere');
+    assert.strictEqual(long.heuristicRating, 6);
+    assert.strictEqual(long.rating, roundHalf(0.7 * long.evaluation.overall + 0.3 * 6));
+    assert.strictEqual(short.evaluation.source, 'heuristic');
+    assert.strictEqual(short.rating, 3);
+
+    assert.strictEqual(result.rating, roundHalf((long.rating + short.rating) / 2));
+    assert.strictEqual(result.heuristicRating, 5);
+    assert.deepStrictEqual(result.evaluation.scores, Object.fromEntries(RUBRIC.map(c => [c.key, long.evaluation.scores[c.key]])));
+    assert.deepStrictEqual([result.evaluation.evaluated, result.evaluation.skipped], [1, 1]);
+    assert.strictEqual(result.tips[result.tips.length - 1], 'Heuristic tip');
+  });
+
+  test('keeps the heuristic scores when every reply fails', async () => {
+    for (const mode of ['error', 'bad-schema', 'invalid-json']) {
+      mock.setMode(mode);
+      const result = await evaluateAnalysis(analysis(), { field: 'Backend Engineer' });
+      assert.strictEqual(result.rating, 5, mode);
+      assert.strictEqual(result.evaluation.source, 'heuristic', mode);
+      assert.deepStrictEqual(result.questions.map(q => q.rating), [6, 3], mode);
+    }
+  });
+
+  test('a single answer falls back with the reason the reply was rejected', async () => {
+    mock.setMode('bad-schema');
+    const result = await evaluateAnalysis({ rating: 4, tips: [] }, { text: LONG_ANSWER, question: 'Tell me about a migration.' });
+    assert.strictEqual(result.rating, 4);
+    assert.strictEqual(result.evaluation.source, 'heuristic');
+    assert.match(result.evaluation.reason, /Score "relevance"/);
+  });
+});
+
+test('without a key the analysis is returned with its heuristic scores', async () => {
+  const key = process.env.COHERE_API_KEY;
+  delete process.env.COHERE_API_KEY;
+  try {
+    const result = await evaluateAnalysis({ rating: 7, tips: [] }, { text: LONG_ANSWER });
+    assert.strictEqual(result.rating, 7);
+    assert.deepStrictEqual([result.evaluation.source, result.evaluation.reason], ['heuristic', 'COHERE_DISABLED']);
+  } finally {
+    if (key !== undefined) process.env.COHERE_API_KEY = key;
+  }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createPool } = require('../utils/transcription/pool');
+const { createWhisperClient } = require('../utils/transcription/whisperClient');
+
+const WORKER = path.join(__dirname, '..', 'scripts', 'mock-whisper-worker.js');
+const AUDIO = path.join(__dirname, '..', 'fixtures', 'transcripts', 'sample.json');
+
+// A pool of stub workers; the nth worker started gets the MOCK_WHISPER_* settings in `envs[n]`
+function stubPool(envs = [], options = {}) {
+  let started = 0;
+  const createWorker = ({ onExit }) => {
+    const env = { MOCK_WHISPER_DELAY_MS: '40', MOCK_WHISPER_MODE: 'ok', MOCK_WHISPER_READY_DELAY_MS: '0', ...(envs[started++] || {}) };
+    const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+    Object.assign(process.env, env);
+    try {
+      return createWhisperClient({ command: process.execPath, args: [WORKER, '--serve'], onExit });
+    } finally {
+      Object.entries(saved).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      });
+    }
+  };
+  const pool = createPool({ name: 'Whisper', createWorker, ...options });
+  return { pool, started: () => started };
+}
+
+test('queues requests beyond the pool size and reports their position', async () => {
+  const { pool, started } = stubPool([], { size: 1 });
+  try {
+    const positions = [];
+    const results = await Promise.all([
+      pool.run(AUDIO),
+      pool.run(AUDIO, { onQueue: position => positions.push(position) })
+    ]);
+    assert.ok(results.every(result => result.segments.length > 0));
+    assert.deepStrictEqual(positions, [1, 0]);
+    assert.strictEqual(started(), 1);
+  } finally {
+    await pool.shutdown({ graceMs: 500 });
+  }
+});
+
+test('a worker stuck loading is killed and replaced after the startup timeout', async () => {
+  const { pool, started } = stubPool([{ MOCK_WHISPER_READY_DELAY_MS: '60000' }], { size: 1, startupTimeoutMs: 300 });
+  try {
+    const first = pool.run(AUDIO);
+    const second = pool.run(AUDIO);
+    const [pinged] = await pool.ping({ timeoutMs: 100 });
+    assert.deepStrictEqual({ ok: pinged.ok, starting: pinged.starting }, { ok: false, starting: true });
+    await assert.rejects(first, { name: 'PoolError', code: 'STARTUP_TIMEOUT' });
+    assert.ok((await second).segments.length > 0);
+    assert.strictEqual(started(), 2);
+  } finally {
+    await pool.shutdown({ graceMs: 500 });
+  }
+});
+
+test('a request over its timeout fails and its worker is replaced', async () => {
+  const { pool, started } = stubPool([{ MOCK_WHISPER_MODE: 'slow' }], { size: 1, timeoutMs: 300 });
+  try {
+    await assert.rejects(pool.run(AUDIO), { code: 'TIMEOUT' });
+    assert.ok((await pool.run(AUDIO)).segments.length > 0);
+    assert.strictEqual(started(), 2);
+  } finally {
+    await pool.shutdown({ graceMs: 500 });
+  }
+});
+
+test('an aborted request is cancelled', async () => {
+  const { pool } = stubPool([{ MOCK_WHISPER_MODE: 'slow' }], { size: 1 });
+  try {
+    const controller = new AbortController();
+    const running = pool.run(AUDIO, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(running, { code: 'CANCELLED' });
+  } finally {
+    await pool.shutdown({ graceMs: 500 });
+  }
+});
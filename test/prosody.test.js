@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeProsody } = require('../utils/prosody');
+
+const RATE = 16000;
+
+// Six seconds of 1.1s voiced stretches with short near-silent gaps; `hz` is the pitch at time t
+function voice(hz) {
+  const samples = new Int16Array(RATE * 6);
+  let phase = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / RATE;
+    phase += 2 * Math.PI * hz(t) / RATE;
+    samples[i] = t % 1.5 < 1.1 ? Math.round(8000 * Math.sin(phase)) : (i % 7) - 3;
+  }
+  return { samples, sampleRate: RATE };
+}
+
+test('a flat tone has about 0 semitones of variation and is monotone', () => {
+  for (const hz of [110, 150, 220, 300]) {
+    const { pitch } = analyzeProsody(voice(() => hz));
+    assert.ok(Math.abs(pitch.medianHz - hz) <= 2, `${hz} Hz read as ${pitch.medianHz} Hz`);
+    assert.ok(pitch.variationSemitones < 0.2, `${hz} Hz varied by ${pitch.variationSemitones} semitones`);
+    assert.strictEqual(pitch.monotone, true);
+  }
+});
+
+test('a tone gliding over an octave is not monotone', () => {
+  const { pitch } = analyzeProsody(voice(t => 120 * 2 ** (t / 6)));
+  assert.ok(pitch.variationSemitones > 2, `variation ${pitch.variationSemitones}`);
+  assert.strictEqual(pitch.monotone, false);
+});
+
+test('44.1 kHz audio reports the same pitch', () => {
+  const samples = new Int16Array(44100 * 6);
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / 44100;
+    samples[i] = t % 1.5 < 1.1 ? Math.round(8000 * Math.sin(2 * Math.PI * 200 * t)) : 0;
+  }
+  const { pitch } = analyzeProsody({ samples, sampleRate: 44100 });
+  assert.ok(Math.abs(pitch.medianHz - 200) <= 2, `read as ${pitch.medianHz} Hz`);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { lemmatize, selectPack, matchTerms } = require('../utils/vocabulary');
+
+function sameLemma(...words) {
+  const lemmas = words.map(lemmatize);
+  assert.ok(lemmas.every(lemma => lemma === lemmas[0]), `${words.join(', ')} -> ${lemmas.join(', ')}`);
+}
+
+test('-ing and -ed forms meet their base form, silent e included', () => {
+  sameLemma('use', 'using', 'used', 'uses');
+  sameLemma('manage', 'managing', 'managed');
+  sameLemma('cache', 'caching', 'cached');
+  sameLemma('plan', 'planned', 'planning');
+  sameLemma('try', 'tried', 'trying', 'tries');
+});
+
+test('-ment nouns meet their verb', () => {
+  sameLemma('deploy', 'deployment', 'deployments', 'deployed');
+  sameLemma('manage', 'management');
+});
+
+test('short words keep endings that are not suffixes', () => {
+  assert.strictEqual(lemmatize('thing'), 'thing');
+  assert.strictEqual(lemmatize('red'), 'red');
+  assert.strictEqual(lemmatize('need'), 'need');
+  assert.strictEqual(lemmatize('comment'), 'comment');
+});
+
+test('occurrences quote the spoken words without trailing punctuation', () => {
+  const { pack } = selectPack('Software Engineer');
+  const words = [
+    { text: 'We', start: 0, end: 0.2 },
+    { text: 'automated', start: 0.2, end: 0.6 },
+    { text: 'deployments,', start: 0.6, end: 1.2 },
+    { text: 'mostly.', start: 1.2, end: 1.5 }
+  ];
+  const match = matchTerms(words, pack).matches.find(m => m.term === 'deployment');
+  assert.ok(match, 'deployments counts for deployment');
+  assert.deepStrictEqual(match.occurrences, [{ start: 0.6, end: 1.2, text: 'deployments' }]);
+});
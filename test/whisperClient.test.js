@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createWhisperClient } = require('../utils/transcription/whisperClient');
+
+const WORKER = path.join(__dirname, '..', 'scripts', 'mock-whisper-worker.js');
+const AUDIO = path.join(__dirname, '..', 'fixtures', 'transcripts', 'sample.json');
+
+// The stub reads its MOCK_WHISPER_* settings from the environment it is spawned with
+function withEnv(env, fn) {
+  const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  Object.assign(process.env, env);
+  try {
+    return fn();
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+}
+
+function startWorker(env = {}, { onExit } = {}) {
+  return withEnv({ MOCK_WHISPER_DELAY_MS: '40', MOCK_WHISPER_MODE: 'ok', MOCK_WHISPER_READY_DELAY_MS: '0', ...env }, () =>
+    createWhisperClient({ command: process.execPath, args: [WORKER, '--serve', '--model', 'tiny'], onExit }));
+}
+
+test('announces ready, streams progress and resolves with the transcript', async () => {
+  const client = startWorker();
+  try {
+    const info = await client.ready;
+    assert.strictEqual(info.model, 'tiny');
+    const progress = [];
+    const result = await client.transcribe(AUDIO, { language: 'de', onProgress: fraction => progress.push(fraction) });
+    assert.deepStrictEqual(progress, [0.25, 0.5, 0.75, 1]);
+    assert.strictEqual(result.language, 'de');
+    assert.ok(result.segments.length > 0);
+    assert.strictEqual(client.pending, 0);
+  } finally {
+    client.kill();
+  }
+});
+
+test('answers pings with the loaded models', async () => {
+  const client = startWorker();
+  try {
+    await client.ready;
+    const pong = await client.ping();
+    assert.deepStrictEqual(pong.models, ['tiny']);
+    assert.strictEqual(pong.busy, null);
+  } finally {
+    client.kill();
+  }
+});
+
+test('rejects requests with the worker\'s structured error codes', async () => {
+  const client = startWorker({ MOCK_WHISPER_MODE: 'error' });
+  try {
+    await assert.rejects(client.transcribe('/no/such/file.wav'), { name: 'WhisperError', code: 'FILE_NOT_FOUND' });
+    await assert.rejects(client.transcribe(AUDIO), { code: 'TRANSCRIPTION_FAILED' });
+  } finally {
+    client.kill();
+  }
+});
+
+test('a worker that exits rejects its pending requests after calling onExit', async () => {
+  const order = [];
+  const client = startWorker({ MOCK_WHISPER_MODE: 'crash' }, { onExit: () => order.push('exit') });
+  await assert.rejects(client.transcribe(AUDIO).finally(() => order.push('rejected')), { code: 'WORKER_EXITED' });
+  assert.deepStrictEqual(order, ['exit', 'rejected']);
+  assert.ok(client.exited);
+  await assert.rejects(client.ping(), { code: 'WORKER_EXITED' });
+});
+
+test('startup failures reject ready', async () => {
+  await assert.rejects(startWorker({ MOCK_WHISPER_MODE: 'load-error' }).ready, { code: 'MODEL_LOAD_FAILED' });
+  await assert.rejects(startWorker({ MOCK_WHISPER_MODE: 'old-protocol' }).ready, { code: 'PROTOCOL_MISMATCH' });
+});
+
+test('a ping that times out does not stay pending', async () => {
+  const client = startWorker({ MOCK_WHISPER_READY_DELAY_MS: '2000' });
+  try {
+    await assert.rejects(client.ping({ timeoutMs: 100 }), { code: 'PING_TIMEOUT' });
+    await assert.rejects(client.ping({ timeoutMs: 100 }), { code: 'PING_TIMEOUT' });
+    assert.strictEqual(client.pending, 0);
+  } finally {
+    client.kill();
+  }
+});
@@ -1,46 +1,257 @@
-
 #!/usr/bin/env python3
-import sys, json, os
-# This script uses the whisper package. Ensure you have installed it:
-# pip install -U openai-whisper
-try:
-    import whisper
-except Exception as e:
-    print("Missing whisper package. Install with: pip install -U openai-whisper", file=sys.stderr)
-    sys.exit(2)
-
-def format_timestamp(s):
-    # seconds to HH:MM:SS, with integer seconds
-    h = int(s // 3600)
-    m = int((s % 3600) // 60)
-    sec = int(s % 60)
-    return f"{h:02d}:{m:02d}:{sec:02d}"
+"""Transcribe audio with Whisper, once from the command line or as a long-lived worker.
 
-def main():
-    if len(sys.argv) < 2:
-        print("Usage: transcribe_whisper.py <audio_path> [--output <json_out>]", file=sys.stderr)
-        sys.exit(1)
-    audio = sys.argv[1]
-    out = audio + ".json"
-    if "--output" in sys.argv:
+One-shot:  transcribe_whisper.py <audio> [--output out.json] [--model base] [--language en]
+Worker:    transcribe_whisper.py --serve [--model base]
+
+Worker protocol (version 1): one JSON object per line on stdin and stdout.
+
+  -> {"id", "type": "transcribe", "audio", "model"?, "language"?, "wordTimestamps"?}
+  -> {"id", "type": "ping"}
+  <- {"type": "ready", "protocol", "model", "pid"}                 once the default model is loaded
+  <- {"id", "type": "progress", "progress"}                        0..1 while a file is transcribed
+  <- {"id", "type": "result", "result"}                            the transcript (see transcribe_file)
+  <- {"id", "type": "pong", "protocol", "models", "busy", "uptime"} answered even mid-file
+  <- {"id", "type": "error", "error": {"code", "message"}}         id is null for startup errors
+
+Files are transcribed one at a time, in the order they arrive. A missing
+"language" (or "auto") lets Whisper detect it. Everything else the worker
+prints, including Whisper's own output, goes to stderr.
+"""
+import sys, json, os, argparse, threading, queue, time
+
+PROTOCOL_VERSION = 1
+# The default model stays loaded; at most this many others are kept next to it
+EXTRA_MODELS = 1
+PROGRESS_STEP = 0.05
+
+whisper = None
+
+
+class RequestError(Exception):
+    def __init__(self, code, message):
+        super().__init__(message)
+        self.code = code
+
+
+def import_whisper():
+    # This script uses the whisper package. Ensure you have installed it:
+    # pip install -U openai-whisper
+    global whisper
+    try:
+        import whisper as module
+    except Exception:
+        raise RequestError("WHISPER_NOT_INSTALLED", "Missing whisper package. Install with: pip install -U openai-whisper")
+    whisper = module
+
+
+class Models:
+    # Models load on the main loop while the reader thread answers pings from `names`;
+    # the lock covers the bookkeeping only, so a ping never waits for a model to load
+    def __init__(self, default):
+        self.default = default
+        self.loaded = {}
+        self.used = []
+        self.lock = threading.Lock()
+
+    def names(self):
+        with self.lock:
+            return list(self.loaded)
+
+    def get(self, name=None):
+        name = name or self.default
+        with self.lock:
+            model = self.loaded.get(name)
+        if model is None:
+            if name not in whisper.available_models():
+                raise RequestError("UNKNOWN_MODEL", "Unknown Whisper model: %s" % name)
+            try:
+                model = whisper.load_model(name)
+            except Exception as e:
+                raise RequestError("MODEL_LOAD_FAILED", "Could not load model %s: %s" % (name, e))
+        with self.lock:
+            self.loaded[name] = model
+            # Least recently used extra models are dropped first
+            self.used = [n for n in self.used if n != name] + [name]
+            extras = [n for n in self.used if n != self.default]
+            while len(extras) > EXTRA_MODELS:
+                stale = extras.pop(0)
+                self.loaded.pop(stale, None)
+                self.used.remove(stale)
+        return model
+
+
+def check_language(language):
+    if language in (None, "", "auto"):
+        return None
+    from whisper.tokenizer import LANGUAGES, TO_LANGUAGE_CODE
+    code = str(language).lower()
+    code = TO_LANGUAGE_CODE.get(code, code)
+    if code not in LANGUAGES:
+        raise RequestError("UNSUPPORTED_LANGUAGE", "Whisper does not support language: %s" % language)
+    return code
+
+
+def with_progress(on_progress, run):
+    # Whisper reports progress through a tqdm bar over the audio frames; count its updates
+    import whisper.transcribe as transcribe_module
+    base = transcribe_module.tqdm.tqdm
+
+    class Progress(base):
+        def __init__(self, *args, **kwargs):
+            super().__init__(*args, **kwargs)
+            self.done = 0
+            self.reported = 0.0
+
+        def update(self, n=1):
+            self.done += n
+            total = getattr(self, "total", None)
+            if total:
+                fraction = min(1.0, self.done / total)
+                if fraction - self.reported >= PROGRESS_STEP or (fraction >= 1.0 and self.reported < 1.0):
+                    self.reported = fraction
+                    on_progress(round(fraction, 3))
+            return super().update(n)
+
+    transcribe_module.tqdm.tqdm = Progress
+    try:
+        return run()
+    finally:
+        transcribe_module.tqdm.tqdm = base
+
+
+def transcribe_file(m, audio, language="en", word_timestamps=True, on_progress=None):
+    if not os.path.isfile(audio):
+        raise RequestError("FILE_NOT_FOUND", "Audio file not found: %s" % audio)
+    run = lambda: m.transcribe(audio, language=language, verbose=None, word_timestamps=word_timestamps)
+    try:
+        result = with_progress(on_progress, run) if on_progress else run()
+    except Exception as e:
+        raise RequestError("TRANSCRIPTION_FAILED", str(e))
+    # Times stay in float seconds; the Node side normalizes every provider the same way
+    segments = []
+    for seg in result.get("segments", []):
+        words = [
+            { "word": w["word"].strip(), "start": w["start"], "end": w["end"], "probability": w.get("probability") }
+            for w in seg.get("words", [])
+        ]
+        segments.append({ "start": seg["start"], "end": seg["end"], "text": seg["text"].strip(), "words": words })
+    return {
+        "text": result.get("text", ""),
+        "language": result.get("language", language),
+        "duration": segments[-1]["end"] if segments else 0,
+        "segments": segments
+    }
+
+
+def serve(default_model):
+    replies = sys.stdout
+    sys.stdout = sys.stderr
+    lock = threading.Lock()
+    started = time.time()
+    state = { "busy": None, "models": None }
+
+    def send(message):
+        with lock:
+            replies.write(json.dumps(message) + "\n")
+            replies.flush()
+
+    def error(request_id, code, message):
+        send({ "id": request_id, "type": "error", "error": { "code": code, "message": message } })
+
+    try:
+        import_whisper()
+        state["models"] = Models(default_model)
+        state["models"].get()
+    except RequestError as e:
+        error(None, e.code, str(e))
+        sys.exit(2 if e.code == "WHISPER_NOT_INSTALLED" else 3)
+    send({ "type": "ready", "protocol": PROTOCOL_VERSION, "model": default_model, "pid": os.getpid() })
+
+    # Requests are read on their own thread so pings are answered while a file is transcribed
+    work = queue.Queue()
+
+    def read():
+        for line in sys.stdin:
+            if not line.strip():
+                continue
+            try:
+                request = json.loads(line)
+                if not isinstance(request, dict):
+                    raise ValueError("not an object")
+            except ValueError:
+                error(None, "BAD_REQUEST", "Requests must be JSON objects, one per line")
+                continue
+            kind = request.get("type")
+            if kind == "ping":
+                send({
+                    "id": request.get("id"),
+                    "type": "pong",
+                    "protocol": PROTOCOL_VERSION,
+                    "models": state["models"].names(),
+                    "busy": state["busy"],
+                    "uptime": round(time.time() - started, 1)
+                })
+            elif kind == "transcribe":
+                work.put(request)
+            else:
+                error(request.get("id"), "UNKNOWN_TYPE", "Unknown request type: %s" % kind)
+        work.put(None)
+
+    threading.Thread(target=read, daemon=True).start()
+
+    while True:
+        request = work.get()
+        if request is None:
+            break
+        request_id = request.get("id")
+        state["busy"] = request_id
         try:
-            out = sys.argv[sys.argv.index("--output")+1]
-        except:
-            pass
-    model = os.environ.get("WHISPER_MODEL", "base")
+            audio = request.get("audio")
+            if not isinstance(audio, str) or not audio:
+                raise RequestError("BAD_REQUEST", "transcribe needs an \"audio\" path")
+            result = transcribe_file(
+                state["models"].get(request.get("model")),
+                audio,
+                language=check_language(request.get("language")),
+                word_timestamps=request.get("wordTimestamps", True) is not False,
+                on_progress=lambda fraction: send({ "id": request_id, "type": "progress", "progress": fraction })
+            )
+            send({ "id": request_id, "type": "result", "result": result })
+        except RequestError as e:
+            error(request_id, e.code, str(e))
+        except Exception as e:
+            error(request_id, "INTERNAL_ERROR", str(e))
+        finally:
+            state["busy"] = None
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Transcribe an audio/video file with Whisper")
+    parser.add_argument("audio", nargs="?")
+    parser.add_argument("--output", help="JSON output path (default: <audio>.json)")
+    parser.add_argument("--model", default=os.environ.get("WHISPER_MODEL", "base"))
+    parser.add_argument("--language", default="en", help="language code, or \"auto\" to detect it")
+    parser.add_argument("--serve", action="store_true", help="run as a worker speaking the line protocol on stdin/stdout")
+    args = parser.parse_args()
+
+    if args.serve:
+        serve(args.model)
+        return
+    if not args.audio:
+        parser.error("an audio file is required unless --serve is given")
+
+    out = args.output or args.audio + ".json"
     try:
-        m = whisper.load_model(model)
-        result = m.transcribe(audio, language='en', verbose=False)
-        segments = []
-        for seg in result.get("segments", []):
-            segments.append({ "start": format_timestamp(seg["start"]), "end": format_timestamp(seg["end"]), "text": seg["text"].strip() })
-        out_json = { "text": result.get("text",""), "segments": segments }
+        import_whisper()
+        out_json = transcribe_file(Models(args.model).get(), args.audio, language=check_language(args.language))
         with open(out, "w", encoding="utf8") as f:
             json.dump(out_json, f, indent=2)
         print("Transcription written to", out)
-    except Exception as e:
-        print("Transcription error: " + str(e), file=sys.stderr)
-        sys.exit(3)
+    except RequestError as e:
+        print("Transcription error (%s): %s" % (e.code, e), file=sys.stderr)
+        sys.exit(2 if e.code == "WHISPER_NOT_INSTALLED" else 3)
+
 
 if __name__ == "__main__":
     main()
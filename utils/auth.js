@@ -0,0 +1,189 @@
+/**
+ * Accounts and sessions: scrypt password hashes and HMAC-signed session tokens.
+ *
+ * A token is `<base64url payload>.<base64url signature>` where the payload
+ * names a row in the `authSessions` collection. Logging out revokes that
+ * row, so a token stops working even before it expires. Tokens are accepted
+ * from an `Authorization: Bearer` header or the session cookie (EventSource
+ * cannot send headers).
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+const COOKIE_NAME = 'il_session';
+const SCRYPT_KEYLEN = 64;
+
+let secret = null;
+
+// AUTH_SECRET, or a random secret generated once and kept next to the data files
+function getSecret() {
+  if (secret) return secret;
+  if (process.env.AUTH_SECRET) {
+    secret = process.env.AUTH_SECRET;
+    return secret;
+  }
+  const secretPath = path.join(db.DATA_DIR, '.auth-secret');
+  try {
+    secret = fs.readFileSync(secretPath, 'utf8').trim();
+  } catch (e) {
+    secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(db.DATA_DIR, { recursive: true });
+    fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+  }
+  return secret;
+}
+
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => {
+      if (err) return resolve(false);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+    });
+  });
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+function createSession(user) {
+  const now = Date.now();
+  const session = db.collection('authSessions').insert({
+    userId: user.id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString(),
+    revoked: false
+  });
+  const payload = Buffer.from(JSON.stringify({ sid: session.id, uid: user.id, exp: now + SESSION_TTL_MS })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: session.expiresAt };
+}
+
+// Returns { session, user } for a valid token, otherwise null.
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!claims.exp || claims.exp < Date.now()) return null;
+
+  const session = db.collection('authSessions').get(claims.sid);
+  if (!session || session.revoked || session.userId !== claims.uid) return null;
+
+  const user = db.collection('users').get(claims.uid);
+  return user ? { session, user } : null;
+}
+
+function revokeSession(sessionId) {
+  return db.collection('authSessions').update(sessionId, { revoked: true, revokedAt: new Date().toISOString() });
+}
+
+// Drops expired and revoked sessions so the collection does not grow forever
+function pruneSessions() {
+  const now = new Date().toISOString();
+  return db.collection('authSessions').removeWhere(s => s.revoked || s.expiresAt < now);
+}
+
+function parseCookies(header) {
+  return String(header || '').split(';').reduce((acc, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) acc[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    return acc;
+  }, {});
+}
+
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return parseCookies(req.headers.cookie)[COOKIE_NAME] || null;
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_MS
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(COOKIE_NAME);
+}
+
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+// Sets req.user / req.authSession when a valid token is present.
+function authenticate(req, res, next) {
+  const auth = verifyToken(tokenFromRequest(req));
+  if (auth) {
+    req.user = auth.user;
+    req.authSession = auth.session;
+  }
+  next();
+}
+
+function requireAuth(req, res, next) {
+  authenticate(req, res, () => {
+    if (!req.user) return res.status(401).json({ error: 'AUTH_REQUIRED' });
+    next();
+  });
+}
+
+// Admins have role "admin" or an email listed in ADMIN_EMAILS (comma-separated)
+function isAdmin(user) {
+  if (!user) return false;
+  const emails = String(process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+  return user.role === 'admin' || emails.includes(String(user.email).toLowerCase());
+}
+
+function requireAdmin(req, res, next) {
+  requireAuth(req, res, () => {
+    if (!isAdmin(req.user)) return res.status(403).json({ error: 'ADMIN_REQUIRED' });
+    next();
+  });
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createSession,
+  verifyToken,
+  revokeSession,
+  pruneSessions,
+  setSessionCookie,
+  clearSessionCookie,
+  publicUser,
+  authenticate,
+  requireAuth,
+  isAdmin,
+  requireAdmin
+};
@@ -1,47 +1,75 @@
 /**
- * Cohere initialization with graceful fallback.
+ * Cohere Chat API client with graceful fallback.
+ *
+ * Talks to the v1 chat endpoint over fetch. COHERE_API_URL points the client
+ * at another host (for example scripts/mock-cohere.js), so the AI paths run
+ * without network access or a real key.
  */
-const Cohere = require('cohere-ai');
-let cohere = null;
-let enabled = false;
+const DEFAULT_API_URL = 'https://api.cohere.com';
+const DEFAULT_MODEL = 'command-r-08-2024';
+const TIMEOUT_MS = Number(process.env.COHERE_TIMEOUT_MS) || 30000;
+
+function apiKey() {
+  return (process.env.COHERE_API_KEY || '').trim();
+}
+
+function isEnabled() {
+  return apiKey().length > 0;
+}
+
+function model() {
+  return process.env.COHERE_MODEL || DEFAULT_MODEL;
+}
 
 function initCohere() {
-  const key = process.env.COHERE_API_KEY;
-  if (!key) {
+  if (!isEnabled()) {
     console.warn('COHERE_API_KEY not found; AI features disabled.');
-    return { cohere: null, enabled: false };
+    return { enabled: false };
   }
-  Cohere.init(key);
-  cohere = Cohere;
-  enabled = true;
   console.log('Cohere initialized');
-  return { cohere, enabled };
+  return { enabled: true };
 }
 
-async function genQuestionsWithCohere(field, count=7) {
-  if (!enabled) throw new Error('COHERE_DISABLED');
-  const prompt = [
-    { role: 'system', content: 'You are an expert interview coach. Reply ONLY with a JSON array of strings.' },
-    { role: 'user', content: `Generate ${count} concise, role-specific interview questions for the field: "${field}".`}
-  ];
-  const resp = await Cohere.chat({
-    model: process.env.COHERE_MODEL || 'command-r',
-    messages: prompt,
-    temperature: 0.4,
-  });
-  const text = resp?.text || '';
-  let jsonText = text.trim();
-  const start = jsonText.indexOf('[');
-  const end = jsonText.lastIndexOf(']');
-  if (start !== -1 && end !== -1 && end > start) {
-    jsonText = jsonText.slice(start, end+1);
-  }
-  let arr = [];
-  try { arr = JSON.parse(jsonText); } catch {
-    arr = jsonText.split(/\n+/).map(s => s.replace(/^\d+\.|^-\s*/, '').trim()).filter(Boolean);
+// One chat turn; resolves with the raw API response ({ text, ... })
+async function chat(message, { preamble, temperature = 0.3, maxTokens = 500, responseFormat, timeoutMs = TIMEOUT_MS } = {}) {
+  if (!isEnabled()) throw new Error('COHERE_DISABLED');
+
+  const body = { message, model: model(), max_tokens: maxTokens, temperature, stream: false };
+  if (preamble) body.preamble = preamble;
+  if (responseFormat) body.response_format = responseFormat;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(`${(process.env.COHERE_API_URL || DEFAULT_API_URL).replace(/\/$/, '')}/v1/chat`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey()}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    const data = await response.text();
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (e) {
+      throw new Error(`Parse Error: ${e.message}`);
+    }
+    if (!response.ok) {
+      const error = new Error(`API Error: ${parsed.message || data}`);
+      error.status = response.status;
+      throw error;
+    }
+    return parsed;
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error(`Cohere request timed out after ${timeoutMs}ms`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
   }
-  arr = arr.filter(x => typeof x === 'string' && x.length > 0).slice(0, count);
-  return arr;
 }
 
-module.exports = { initCohere, genQuestionsWithCohere, get cohere() { return cohere; }, get enabled(){ return enabled; } };
+module.exports = { initCohere, chat, isEnabled, model, get enabled(){ return isEnabled(); } };
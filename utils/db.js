@@ -0,0 +1,118 @@
+/**
+ * Embedded file-based document store.
+ *
+ * Each collection is a JSON file under DATA_DIR (default ./storage) holding
+ * an array of documents with string `id`s. Collections are loaded on first
+ * use and every write rewrites the file atomically (temp file + rename), so
+ * the store survives restarts without any external service. Writes made
+ * inside `batch(fn)` are saved once, when `fn` returns.
+ */
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'storage');
+
+const collections = new Map();
+
+function ensureDataDir() {
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+function filePath(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+function load(name) {
+  try {
+    const raw = fs.readFileSync(filePath(name), 'utf8');
+    const docs = JSON.parse(raw);
+    return Array.isArray(docs) ? docs : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Could not load ${name} collection:`, error.message);
+    return [];
+  }
+}
+
+function persist(name, docs) {
+  ensureDataDir();
+  const target = filePath(name);
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(docs, null, 2));
+  fs.renameSync(tmp, target);
+}
+
+function createCollection(name) {
+  const docs = load(name);
+  let batching = false;
+  let dirty = false;
+  const save = () => {
+    if (batching) dirty = true;
+    else persist(name, docs);
+  };
+
+  return {
+    all() {
+      return docs.slice();
+    },
+    find(predicate) {
+      return docs.filter(predicate);
+    },
+    findOne(predicate) {
+      return docs.find(predicate) || null;
+    },
+    get(id) {
+      return docs.find(d => d.id === id) || null;
+    },
+    insert(doc) {
+      const record = { id: doc.id || uuidv4(), ...doc };
+      docs.push(record);
+      save();
+      return record;
+    },
+    update(id, patch) {
+      const doc = docs.find(d => d.id === id);
+      if (!doc) return null;
+      Object.assign(doc, patch);
+      save();
+      return doc;
+    },
+    remove(id) {
+      const index = docs.findIndex(d => d.id === id);
+      if (index === -1) return false;
+      docs.splice(index, 1);
+      save();
+      return true;
+    },
+    removeWhere(predicate) {
+      let removed = 0;
+      for (let i = docs.length - 1; i >= 0; i--) {
+        if (predicate(docs[i])) {
+          docs.splice(i, 1);
+          removed++;
+        }
+      }
+      if (removed > 0) save();
+      return removed;
+    },
+    batch(fn) {
+      if (batching) return fn();
+      batching = true;
+      dirty = false;
+      try {
+        return fn();
+      } finally {
+        batching = false;
+        if (dirty) persist(name, docs);
+      }
+    }
+  };
+}
+
+function collection(name) {
+  if (!/^[\w-]+$/.test(name)) throw new Error(`Invalid collection name: ${name}`);
+  if (!collections.has(name)) collections.set(name, createCollection(name));
+  return collections.get(name);
+}
+
+module.exports = { collection, DATA_DIR };
@@ -0,0 +1,304 @@
+/**
+ * Disfluency and hedging analysis.
+ *
+ * Words that are only sometimes fillers ("so", "like", "well", "right",
+ * "actually", "you know") count as discourse markers only when their context
+ * says so: "So, um, I started…" is a marker, "so that we could" and "I'd like
+ * to" are not. Pure filler sounds ("um", "uh", the profile's `fillers`
+ * vocabulary) always count, and immediate repetitions ("I I think") and
+ * restarts ("we— we did", "I was, I went") are found on the word sequence.
+ * Hedges ("I guess", "maybe", "kind of") are reported separately because
+ * they weaken claims rather than fluency.
+ *
+ * The lexicons come from the interview language (utils/languages.js). The
+ * context rules for individual markers and "I was, I went" restarts are
+ * English; in other languages a marker counts at the edge of a clause.
+ */
+const { formatTimestamp, makeMistake } = require('./timeline');
+const languages = require('./languages');
+
+const TYPES = ['filler', 'discourse-marker', 'repetition', 'restart', 'hedge'];
+// Everything except hedges counts toward the filler-word metric
+const FLUENCY_TYPES = ['filler', 'discourse-marker', 'repetition', 'restart'];
+
+// English context rules. "what kind of", "this sort of" name a type instead of hedging
+const DETERMINERS = new Set(['a', 'the', 'what', 'which', 'this', 'that', 'these', 'those', 'any', 'some', 'every', 'same', 'one', 'different', 'another', 'each', 'my', 'our', 'their', 'its']);
+const LIKE_CONTENT_BEFORE = new Set([
+  'i', "i'd", 'you', "you'd", 'we', "we'd", 'they', "they'd", 'would', 'do', 'did', "don't", "didn't", 'really', 'also',
+  'look', 'looks', 'looked', 'seem', 'seems', 'seemed', 'sound', 'sounds', 'sounded', 'feel', 'feels', 'felt',
+  'something', 'things', 'stuff', 'just', 'exactly', 'much', 'more', 'most', 'tools', 'languages', 'companies'
+]);
+const SO_CONTENT_AFTER = new Set(['much', 'many', 'far', 'that', 'long', 'good', 'often', 'few', 'little', 'called', 'quickly', 'important', 'hard', 'easy']);
+const SO_CONTENT_BEFORE = new Set(['do', 'did', 'doing', 'done', 'or', 'think', 'hope', 'not', 'even', 'and']);
+const WELL_CONTENT_AFTER = new Set(['known', 'defined', 'designed', 'documented', 'tested', 'structured', 'established', 'suited', 'received', 'as']);
+const RIGHT_CONTENT_BEFORE = new Set(['the', 'a', "that's", "you're", 'is', 'was', 'all', 'on', 'to', 'exactly', 'just', 'be']);
+const YOU_KNOW_CONTENT_AFTER = new Set(['how', 'what', 'that', 'the', 'where', 'why', 'when', 'if', 'whether', 'who', 'which', 'about']);
+const YOU_KNOW_CONTENT_BEFORE = new Set(['do', 'did', "don't", "didn't", 'if', 'to', 'let', 'would', 'might']);
+const PRONOUNS = new Set(['i', 'we', 'you', 'they', 'he', 'she']);
+// "I was, I went": a subject and auxiliary abandoned for a new clause
+const AUXILIARIES = new Set(['was', 'were', 'am', 'is', 'are', 'had', 'have', 'did', 'do', 'will', 'would', 'can', 'could', 'should', "didn't", "don't", "wasn't"]);
+
+// A gap at least this long acts like punctuation
+const BOUNDARY_GAP_SECONDS = 0.5;
+const RESTART_GAP_SECONDS = 0.3;
+// Hedging becomes a mistake at this rate (and at least HEDGE_MIN_COUNT hedges)
+const HEDGES_PER_HUNDRED_WORDS = 2;
+const HEDGE_MIN_COUNT = 3;
+// Trend direction needs at least this change in disfluencies per 100 words
+const TREND_THRESHOLD = 0.5;
+const TREND_SESSIONS = 5;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+function token(text) {
+  return languages.fold(text).replace(/[‘’]/g, "'").replace(/^[^\p{L}\p{M}\p{N}']+|[^\p{L}\p{M}\p{N}']+$/gu, '');
+}
+
+function toWords(input) {
+  if (typeof input === 'string') return input.split(/\s+/).filter(Boolean).map(text => ({ text }));
+  return input || [];
+}
+
+function phraseList(phrases) {
+  return phrases.map(p => p.split(/\s+/).map(token)).sort((a, b) => b.length - a.length);
+}
+
+// Tokenized lexicons per language code
+const lexicons = new Map();
+
+function lexiconFor(language) {
+  if (!lexicons.has(language.code)) {
+    const lexicon = language.lexicon;
+    lexicons.set(language.code, {
+      fillerSounds: lexicon.fillerSounds,
+      hedges: phraseList(lexicon.hedges),
+      markers: phraseList(lexicon.discourseMarkers),
+      allowedDoubles: new Set((lexicon.allowedDoubles || []).map(token))
+    });
+  }
+  return lexicons.get(language.code);
+}
+
+/**
+ * Classifies every disfluency in an answer. `input` is the timed transcript
+ * words ({ text, start, end }) or plain text; `fillers` extends the
+ * language's filler sounds (a profile's `fillers` vocabulary). Words listed
+ * there that are really discourse markers or hedges still get the context
+ * rules. `language` is the interview language code (default English).
+ */
+function analyzeDisfluency(input, { fillers = [], language } = {}) {
+  const lang = languages.getLanguage(language);
+  const english = lang.code === languages.BASE_LANGUAGE;
+  const lexicon = lexiconFor(lang);
+  const words = toWords(input);
+  const tokens = words.map(w => token(w.text));
+  const wordCount = tokens.filter(Boolean).length;
+  const fillerPhrases = phraseList([...new Set([...lexicon.fillerSounds, ...fillers.map(f => languages.fold(f))])]);
+
+  const occurrences = [];
+  const contentUses = new Map();
+  let previousDisfluent = -1;
+  // Last word of the latest repetition: "I I think" is a repetition, not also an "I think" hedge
+  let repeatedUntil = -1;
+
+  const gapBefore = (i) => (i > 0 && typeof words[i].start === 'number' ? words[i].start - words[i - 1].end : 0);
+  const punctuatedAfter = (i) => /[.!?,;:।]$/.test(String(words[i].text).trim());
+  const dashed = (i) => /[-–—]$/.test(String(words[i].text).trim()) && tokens[i];
+  const initial = (i) => i === 0 || punctuatedAfter(i - 1) || gapBefore(i) >= BOUNDARY_GAP_SECONDS || previousDisfluent === i - 1;
+  const final = (end) => end === words.length - 1 || punctuatedAfter(end) || gapBefore(end + 1) >= BOUNDARY_GAP_SECONDS;
+  const matchAt = (i, phrases) => phrases.find(p => p.every((t, k) => tokens[i + k] === t));
+
+  const add = (type, term, from, to) => {
+    const first = words[from];
+    const last = words[to];
+    occurrences.push({
+      type,
+      term,
+      ...(typeof first.start === 'number' ? { start: first.start, end: last.end, timestamp: formatTimestamp(first.start) } : {}),
+      text: words.slice(from, to + 1).map(w => w.text).join(' ')
+    });
+    previousDisfluent = to;
+  };
+
+  const isMarker = (phrase, i, end) => {
+    const before = tokens[i - 1];
+    const after = tokens[end + 1];
+    const edge = initial(i) || final(end);
+    if (!english) return edge || punctuatedAfter(end) || previousDisfluent === i - 1;
+    switch (phrase) {
+      case 'you know': return !YOU_KNOW_CONTENT_AFTER.has(after) && !YOU_KNOW_CONTENT_BEFORE.has(before);
+      case 'i mean': return edge;
+      case 'like': return !LIKE_CONTENT_BEFORE.has(before) && after !== 'to';
+      case 'so': return edge && !SO_CONTENT_AFTER.has(after) && !SO_CONTENT_BEFORE.has(before);
+      case 'well': return initial(i) && !WELL_CONTENT_AFTER.has(after);
+      // Almost never carry meaning in spoken answers
+      case 'basically':
+      case 'literally': return true;
+      case 'right': return !RIGHT_CONTENT_BEFORE.has(before) && (final(end) || (initial(i) && punctuatedAfter(end)));
+      default: return edge || punctuatedAfter(end) || previousDisfluent === i - 1;
+    }
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    if (!tokens[i]) continue;
+
+    // Cut-off word: "we— we did"
+    if (dashed(i)) {
+      add('restart', tokens[i], i, Math.min(i + 1, words.length - 1));
+      i = Math.min(i + 1, words.length - 1);
+      continue;
+    }
+
+    // Immediate repetition of one to three words: "I I think", "we did we did"
+    const repeated = [3, 2, 1].find(n => {
+      const first = tokens.slice(i, i + n);
+      const second = tokens.slice(i + n, i + 2 * n);
+      return second.length === n && first.every(Boolean) && first.join(' ') === second.join(' ') &&
+        !(n === 1 && (lexicon.allowedDoubles.has(first[0]) || /^\d+$/.test(first[0])));
+    });
+    if (repeated) {
+      add('repetition', tokens.slice(i, i + repeated).join(' '), i, i + 2 * repeated - 1);
+      repeatedUntil = i + 2 * repeated - 1;
+      i += repeated - 1;
+      continue;
+    }
+
+    // Abandoned clause: "I was, I went" (a comma or short pause before the new start)
+    if (english && PRONOUNS.has(tokens[i]) && AUXILIARIES.has(tokens[i + 1]) && tokens[i + 2] === tokens[i] &&
+        (punctuatedAfter(i + 1) || gapBefore(i + 2) >= RESTART_GAP_SECONDS) && tokens[i + 3] && tokens[i + 3] !== tokens[i + 1]) {
+      add('restart', tokens.slice(i, i + 2).join(' '), i, i + 1);
+      i += 1;
+      continue;
+    }
+
+    const hedge = i > repeatedUntil && matchAt(i, lexicon.hedges);
+    if (hedge) {
+      const end = i + hedge.length - 1;
+      const phrase = hedge.join(' ');
+      if (english && /^(kind|sort) of$/.test(phrase) && DETERMINERS.has(tokens[i - 1])) {
+        contentUses.set(phrase, (contentUses.get(phrase) || 0) + 1);
+      } else {
+        add('hedge', phrase, i, end);
+      }
+      i = end;
+      continue;
+    }
+
+    const marker = matchAt(i, lexicon.markers);
+    if (marker) {
+      const end = i + marker.length - 1;
+      const phrase = marker.join(' ');
+      if (isMarker(phrase, i, end)) add('discourse-marker', phrase, i, end);
+      else contentUses.set(phrase, (contentUses.get(phrase) || 0) + 1);
+      i = end;
+      continue;
+    }
+
+    const filler = matchAt(i, fillerPhrases);
+    if (filler) {
+      add('filler', filler.join(' '), i, i + filler.length - 1);
+      i += filler.length - 1;
+    }
+  }
+
+  const counts = Object.fromEntries(TYPES.map(type => [type, occurrences.filter(o => o.type === type).length]));
+  const total = FLUENCY_TYPES.reduce((acc, type) => acc + counts[type], 0);
+  const terms = new Map();
+  occurrences.forEach(o => {
+    const key = `${o.type}:${o.term}`;
+    terms.set(key, { type: o.type, term: o.term, count: ((terms.get(key) || {}).count || 0) + 1 });
+  });
+
+  return {
+    language: lang.code,
+    wordCount,
+    total,
+    perHundredWords: wordCount > 0 ? round(total / wordCount * 100) : 0,
+    hedgesPerHundredWords: wordCount > 0 ? round(counts.hedge / wordCount * 100) : 0,
+    counts,
+    terms: [...terms.values()].sort((a, b) => b.count - a.count),
+    contentUses: [...contentUses.entries()].map(([term, count]) => ({ term, count })),
+    occurrences
+  };
+}
+
+// Occurrences that count against fluency (what the filler-words mistake points at)
+function fluencyOccurrences(report) {
+  return report.occurrences.filter(o => FLUENCY_TYPES.includes(o.type));
+}
+
+function hedgeOccurrences(report) {
+  return report.occurrences.filter(o => o.type === 'hedge');
+}
+
+// A hedging mistake pointing at every hedge, when there are enough of them
+function hedgingMistakes(report, answerStart = 0, language) {
+  if (report.counts.hedge < HEDGE_MIN_COUNT || report.hedgesPerHundredWords < HEDGES_PER_HUNDRED_WORDS) return [];
+  const examples = report.terms.filter(t => t.type === 'hedge').slice(0, 2).map(t => `"${t.term}"`).join(', ');
+  return [makeMistake('hedging',
+    languages.t(language, 'fluency.hedgingMistake', { count: report.counts.hedge, examples }),
+    hedgeOccurrences(report), answerStart)];
+}
+
+const per100 = (count, words) => (words > 0 ? count / words * 100 : 0);
+
+/**
+ * Compares a report with earlier ones in the same language (newest first;
+ * only the last TREND_SESSIONS are used). Returns null without history,
+ * otherwise the previous averages per 100 words, the change and a direction.
+ */
+function trend(current, previous) {
+  const language = current.language || languages.BASE_LANGUAGE;
+  const history = previous
+    .filter(r => r && r.wordCount > 0 && (r.language || languages.BASE_LANGUAGE) === language)
+    .slice(0, TREND_SESSIONS);
+  if (history.length === 0) return null;
+
+  const words = history.reduce((acc, r) => acc + r.wordCount, 0);
+  const byType = Object.fromEntries(TYPES.map(type => [type, {
+    previous: round(per100(history.reduce((acc, r) => acc + (r.counts[type] || 0), 0), words)),
+    current: round(per100(current.counts[type], current.wordCount))
+  }]));
+  const previousRate = round(per100(history.reduce((acc, r) => acc + r.total, 0), words));
+  const change = round(current.perHundredWords - previousRate);
+
+  return {
+    sessions: history.length,
+    previousPerHundredWords: previousRate,
+    currentPerHundredWords: current.perHundredWords,
+    change,
+    direction: change <= -TREND_THRESHOLD ? 'improving' : change >= TREND_THRESHOLD ? 'worse' : 'steady',
+    byType
+  };
+}
+
+function describeCounts(counts, types = TYPES, language) {
+  return types.filter(type => counts[type] > 0)
+    .map(type => languages.t(language, `fluency.types.${type}`, { count: counts[type] }))
+    .join(', ');
+}
+
+function disfluencyTips(report, language) {
+  if (!report) return [];
+  const tips = [];
+  if (report.total > 0) {
+    tips.push(languages.t(language, 'fluency.fluencyTip', { counts: describeCounts(report.counts, FLUENCY_TYPES, language), rate: report.perHundredWords }));
+  }
+  if (report.counts.hedge > 0) {
+    const top = report.terms.filter(t => t.type === 'hedge').slice(0, 3).map(t => `"${t.term}"`).join(', ');
+    tips.push(languages.t(language, 'fluency.hedgingTip', { count: report.counts.hedge, examples: top }));
+  }
+  return tips;
+}
+
+function trendTips(result, language) {
+  if (!result) return [];
+  const compared = languages.t(language, 'fluency.trend.compared', {
+    current: result.currentPerHundredWords,
+    previous: result.previousPerHundredWords,
+    count: result.sessions
+  });
+  return [languages.t(language, `fluency.trend.${result.direction}`, { compared })];
+}
+
+module.exports = { TYPES, FLUENCY_TYPES, analyzeDisfluency, fluencyOccurrences, hedgeOccurrences, hedgingMistakes, trend, describeCounts, disfluencyTips, trendTips };
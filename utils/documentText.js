@@ -0,0 +1,471 @@
+/**
+ * Plain text from uploaded documents: plain text and Markdown, Word (.docx)
+ * and PDF, read in-process with zlib and no other dependencies.
+ *
+ * A .docx is a ZIP archive; its paragraphs come from word/document.xml,
+ * list paragraphs as "- " bullets. PDF text is taken from the pages' content
+ * streams in page order: Flate-compressed and uncompressed streams, object
+ * streams, literal and hex strings, and ToUnicode maps for fonts that embed
+ * their own encoding. Scanned PDFs (images only) and encrypted PDFs have no
+ * readable text and are rejected, as are formats other than these.
+ */
+const zlib = require('zlib');
+const path = require('path');
+
+// Largest decompressed part read from a document, so a small file cannot inflate without bound
+const MAX_INFLATED_BYTES = 20 * 1024 * 1024;
+const FORMATS = {
+  text: { extensions: ['.txt', '.md', '.markdown'], types: ['text/plain', 'text/markdown'] },
+  docx: { extensions: ['.docx'], types: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  pdf: { extensions: ['.pdf'], types: ['application/pdf'] }
+};
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+// A TJ offset below this (in thousandths of a text unit) is a gap between words
+const TJ_SPACE = -200;
+
+class DocumentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'DocumentError';
+    this.code = code;
+  }
+}
+
+// 'text', 'docx' or 'pdf' from the file's content, extension or type; null when unsupported
+function formatOf(buffer, { filename = '', mimetype = '' } = {}) {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  const extension = path.extname(filename).toLowerCase();
+  const type = String(mimetype).split(';')[0].trim().toLowerCase();
+  const format = Object.keys(FORMATS).find(name => FORMATS[name].extensions.includes(extension) || FORMATS[name].types.includes(type));
+  // A .docx is a ZIP archive; anything else (including a file too short to hold the signature) is not one
+  if (format === 'docx' && (buffer.length < 4 || buffer.readUInt32LE(0) !== 0x04034b50)) return null;
+  return format || null;
+}
+
+function inflate(data, raw = false) {
+  const options = { maxOutputLength: MAX_INFLATED_BYTES, finishFlush: zlib.constants.Z_SYNC_FLUSH };
+  return raw ? zlib.inflateRawSync(data, options) : zlib.inflateSync(data, options);
+}
+
+// ---- DOCX ----
+
+// The entries of a ZIP archive's central directory: { name, method, size, offset }
+function zipEntries(buffer) {
+  const searchFrom = Math.max(0, buffer.length - 22 - 0xffff);
+  let end = -1;
+  for (let i = buffer.length - 22; i >= searchFrom; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new DocumentError('UNREADABLE_DOCUMENT', 'The .docx file is not a valid ZIP archive');
+
+  const entries = [];
+  const count = buffer.readUInt16LE(end + 10);
+  let at = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < count && at + 46 <= buffer.length; i++) {
+    if (buffer.readUInt32LE(at) !== 0x02014b50) break;
+    const nameLength = buffer.readUInt16LE(at + 28);
+    entries.push({
+      method: buffer.readUInt16LE(at + 10),
+      size: buffer.readUInt32LE(at + 20),
+      offset: buffer.readUInt32LE(at + 42),
+      name: buffer.subarray(at + 46, at + 46 + nameLength).toString('utf8')
+    });
+    at += 46 + nameLength + buffer.readUInt16LE(at + 30) + buffer.readUInt16LE(at + 32);
+  }
+  return entries;
+}
+
+function zipEntry(buffer, entry) {
+  if (buffer.readUInt32LE(entry.offset) !== 0x04034b50) throw new DocumentError('UNREADABLE_DOCUMENT', `Damaged ZIP entry ${entry.name}`);
+  const start = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+  const data = buffer.subarray(start, start + entry.size);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return inflate(data, true);
+  throw new DocumentError('UNREADABLE_DOCUMENT', `Unsupported ZIP compression method ${entry.method}`);
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] !== '#') return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : match;
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+    return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+}
+
+function docxText(buffer) {
+  const entry = zipEntries(buffer).find(e => e.name === 'word/document.xml');
+  if (!entry) throw new DocumentError('UNREADABLE_DOCUMENT', 'The .docx file has no word/document.xml');
+  const xml = zipEntry(buffer, entry).toString('utf8');
+
+  return xml.split(/<\/w:p>/).map(paragraph => {
+    const text = decodeXml(paragraph
+      .replace(/<w:(instrText|delText)\b[^>]*>[\s\S]*?<\/w:\1>/g, '')
+      .replace(/<w:tab\b[^>]*\/>/g, '\t')
+      .replace(/<w:(br|cr)\b[^>]*\/>/g, '\n')
+      .replace(/<[^>]+>/g, '')).trim();
+    return text && /<w:numPr>/.test(paragraph) ? `- ${text}` : text;
+  }).join('\n');
+}
+
+// ---- PDF ----
+
+// Every indirect object: number -> { dict, stream (Buffer or null) }, including those packed in object streams
+function pdfObjects(buffer) {
+  const source = buffer.toString('latin1');
+  const objects = new Map();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = header.exec(source))) {
+    const start = match.index + match[0].length;
+    const endObj = source.indexOf('endobj', start);
+    const streamAt = source.indexOf('stream', start);
+    if (streamAt === -1 || (endObj !== -1 && streamAt > endObj)) {
+      objects.set(Number(match[1]), { dict: source.slice(start, endObj === -1 ? undefined : endObj), stream: null });
+      if (endObj === -1) break;
+      header.lastIndex = endObj;
+      continue;
+    }
+    const dict = source.slice(start, streamAt);
+    let dataStart = streamAt + 'stream'.length;
+    if (source[dataStart] === '\r') dataStart++;
+    if (source[dataStart] === '\n') dataStart++;
+    const length = dict.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+    let dataEnd = length ? dataStart + Number(length[1]) : -1;
+    if (dataEnd === -1 || !/^\s*endstream/.test(source.slice(dataEnd, dataEnd + 20))) {
+      dataEnd = source.indexOf('endstream', dataStart);
+      if (dataEnd === -1) break;
+    }
+    objects.set(Number(match[1]), { dict, stream: buffer.subarray(dataStart, dataEnd) });
+    header.lastIndex = dataEnd;
+  }
+
+  // Compressed object streams: "num offset" pairs, then the objects from /First
+  [...objects.values()].filter(o => o.stream && /\/Type\s*\/ObjStm\b/.test(o.dict)).forEach(container => {
+    const data = decodeStream(container);
+    if (!data) return;
+    const text = data.toString('latin1');
+    const first = Number((container.dict.match(/\/First\s+(\d+)/) || [])[1]);
+    const count = Number((container.dict.match(/\/N\s+(\d+)/) || [])[1]);
+    if (!Number.isFinite(first) || !Number.isFinite(count)) return;
+    const pairs = text.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < count; i++) {
+      const number = pairs[i * 2];
+      const from = first + pairs[i * 2 + 1];
+      const to = i + 1 < count ? first + pairs[i * 2 + 3] : text.length;
+      if (!objects.has(number)) objects.set(number, { dict: text.slice(from, to), stream: null });
+    }
+  });
+  return objects;
+}
+
+// A stream's bytes with its filter undone; null for filters text never uses (images and the like)
+function decodeStream(object) {
+  const filter = (object.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [])[1] || '';
+  const filters = filter.match(/\/\w+/g) || [];
+  try {
+    if (filters.length === 0) return object.stream;
+    if (filters.length === 1 && filters[0] === '/FlateDecode') return inflate(object.stream);
+  } catch (error) {
+    return null;
+  }
+  return null;
+}
+
+// The value of `key` in a dictionary: a nested << >> dictionary, [ ] array, reference or plain token
+function dictValue(dict, key) {
+  const at = dict.search(new RegExp(`/${key}(?![\\w])`));
+  if (at === -1) return null;
+  let i = at + key.length + 1;
+  while (/\s/.test(dict[i])) i++;
+  const open = dict.startsWith('<<', i) ? '<<' : dict[i] === '[' ? '[' : null;
+  if (!open) {
+    const ref = dict.slice(i).match(/^(\d+)\s+\d+\s+R/);
+    if (ref) return { ref: Number(ref[1]) };
+    return (dict.slice(i).match(/^[^\s/<>[\]]+|^\/[^\s/<>[\]]+/) || [''])[0];
+  }
+  const close = open === '<<' ? '>>' : ']';
+  let depth = 0;
+  for (let j = i; j < dict.length; j++) {
+    if (dict.startsWith(open, j)) {
+      depth++;
+      j += open.length - 1;
+    } else if (dict.startsWith(close, j)) {
+      depth--;
+      if (depth === 0) return dict.slice(i, j + close.length);
+      j += close.length - 1;
+    }
+  }
+  return null;
+}
+
+function resolve(objects, value) {
+  if (value && typeof value === 'object' && value.ref !== undefined) {
+    const object = objects.get(value.ref);
+    return object ? object.dict.trim() : null;
+  }
+  return value;
+}
+
+function refs(text) {
+  return [...String(text || '').matchAll(/(\d+)\s+\d+\s+R/g)].map(m => Number(m[1]));
+}
+
+function utf16(hex) {
+  const bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode(bytes.readUInt16BE(i));
+  return text;
+}
+
+// A ToUnicode CMap: { width: bytes per code, map: code -> text }
+function parseCMap(text) {
+  const map = new Map();
+  const space = text.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+  const width = space ? Math.max(1, space[1].length / 2) : 2;
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/gi)) {
+    for (const pair of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) map.set(parseInt(pair[1], 16), utf16(pair[2]));
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/gi)) {
+    for (const range of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+      const low = parseInt(range[1], 16);
+      const high = Math.min(parseInt(range[2], 16), low + 0xffff);
+      if (range[3][0] === '[') {
+        [...range[3].matchAll(/<([0-9a-f]*)>/gi)].forEach((dst, k) => map.set(low + k, utf16(dst[1])));
+      } else {
+        const start = range[3].slice(1, -1);
+        const base = utf16(start);
+        for (let code = low; code <= high; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - low));
+        }
+      }
+    }
+  }
+  return { width, map };
+}
+
+// Font resource name -> CMap (or null) for a resources dictionary
+function fontMaps(objects, resources, cmaps) {
+  const fonts = new Map();
+  const fontDict = resolve(objects, dictValue(resources || '', 'Font'));
+  if (!fontDict) return fonts;
+  for (const entry of fontDict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+    const font = objects.get(Number(entry[2]));
+    const toUnicode = font ? dictValue(font.dict, 'ToUnicode') : null;
+    const ref = toUnicode && toUnicode.ref;
+    if (ref !== undefined && !cmaps.has(ref)) {
+      const object = objects.get(ref);
+      const data = object && object.stream ? decodeStream(object) : null;
+      cmaps.set(ref, data ? parseCMap(data.toString('latin1')) : null);
+    }
+    fonts.set(entry[1], ref !== undefined ? cmaps.get(ref) : null);
+  }
+  return fonts;
+}
+
+// Pages in reading order with their content and resources, inherited resources included
+function pdfPages(objects) {
+  const catalog = [...objects.values()].find(o => /\/Type\s*\/Catalog\b/.test(o.dict));
+  const root = catalog && dictValue(catalog.dict, 'Pages');
+  const pages = [];
+  const seen = new Set();
+  const walk = (number, inherited) => {
+    const node = objects.get(number);
+    if (!node || seen.has(number)) return;
+    seen.add(number);
+    const resources = resolve(objects, dictValue(node.dict, 'Resources')) || inherited;
+    if (/\/Type\s*\/Pages\b/.test(node.dict)) {
+      refs(dictValue(node.dict, 'Kids')).forEach(kid => walk(kid, resources));
+    } else {
+      const contents = dictValue(node.dict, 'Contents');
+      const streams = contents && contents.ref !== undefined ? [contents.ref] : refs(contents);
+      pages.push({ streams, resources });
+    }
+  };
+  if (root && root.ref !== undefined) walk(root.ref, null);
+  return pages;
+}
+
+// Bytes of a literal string body, with escapes undone
+function literalBytes(body) {
+  const bytes = [];
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c !== '\\') {
+      bytes.push(c.charCodeAt(0) & 0xff);
+      continue;
+    }
+    const next = body[++i];
+    if (/[0-7]/.test(next)) {
+      let octal = next;
+      while (octal.length < 3 && /[0-7]/.test(body[i + 1])) octal += body[++i];
+      bytes.push(parseInt(octal, 8) & 0xff);
+    } else if (next === '\r' || next === '\n') {
+      if (next === '\r' && body[i + 1] === '\n') i++;
+    } else {
+      bytes.push({ n: 10, r: 13, t: 9, b: 8, f: 12 }[next] !== undefined ? { n: 10, r: 13, t: 9, b: 8, f: 12 }[next] : next.charCodeAt(0));
+    }
+  }
+  return bytes;
+}
+
+function decodeBytes(bytes, cmap) {
+  if (!cmap) return bytes.filter(b => b >= 32 || b === 9).map(b => String.fromCharCode(b)).join('');
+  let text = '';
+  for (let i = 0; i + cmap.width <= bytes.length; i += cmap.width) {
+    let code = 0;
+    for (let k = 0; k < cmap.width; k++) code = code * 256 + bytes[i + k];
+    text += cmap.map.has(code) ? cmap.map.get(code) : '';
+  }
+  return text;
+}
+
+// Text shown by one content stream; lines break where the text moves down
+function contentText(content, fonts) {
+  let out = '';
+  let cmap = null;
+  const operands = [];
+  let lastY = null;
+  const newline = () => {
+    if (out && !out.endsWith('\n')) out += '\n';
+  };
+  const space = () => {
+    if (out && !/\s$/.test(out)) out += ' ';
+  };
+  const show = (item) => {
+    if (typeof item === 'number') {
+      if (item < TJ_SPACE) space();
+    } else if (item && item.bytes) {
+      out += decodeBytes(item.bytes, cmap);
+    }
+  };
+
+  let i = 0;
+  while (i < content.length) {
+    const c = content[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '%') {
+      while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (c === '(') {
+      let depth = 1;
+      let j = i + 1;
+      for (; j < content.length && depth > 0; j++) {
+        if (content[j] === '\\') j++;
+        else if (content[j] === '(') depth++;
+        else if (content[j] === ')') depth--;
+      }
+      operands.push({ bytes: literalBytes(content.slice(i + 1, j - 1)) });
+      i = j;
+    } else if (c === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      const hex = content.slice(i + 1, end === -1 ? undefined : end).replace(/\s+/g, '');
+      operands.push({ bytes: [...Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex')] });
+      i = end === -1 ? content.length : end + 1;
+    } else if (c === '[') {
+      operands.push('[');
+      i++;
+    } else if (c === ']') {
+      const start = operands.lastIndexOf('[');
+      const items = start === -1 ? [] : operands.splice(start);
+      operands.push({ array: items.slice(1) });
+      i++;
+    } else if (c === '<' || c === '>') {
+      i += 2;
+    } else {
+      const token = content.slice(i).match(/^(\/[^\s/<>[\]()%]*|[^\s/<>[\]()%]+)/)[0];
+      i += token.length;
+      if (token[0] === '/' || /^[-+.\d]/.test(token)) {
+        operands.push(token[0] === '/' ? token : Number(token));
+        continue;
+      }
+      const args = operands.splice(0);
+      switch (token) {
+        case 'Tf':
+          cmap = fonts.get(String(args[0]).slice(1)) || null;
+          break;
+        case 'Tj':
+          show(args[args.length - 1]);
+          break;
+        case "'":
+        case '"':
+          newline();
+          show(args[args.length - 1]);
+          break;
+        case 'TJ':
+          ((args[args.length - 1] || {}).array || []).forEach(show);
+          break;
+        case 'Td':
+        case 'TD':
+          if (Math.abs(Number(args[1]) || 0) > 0.01) newline();
+          else if ((Number(args[0]) || 0) > 0) space();
+          break;
+        case 'T*':
+          newline();
+          break;
+        case 'Tm': {
+          const y = Number(args[5]);
+          if (lastY !== null && Math.abs(y - lastY) > 0.01) newline();
+          else space();
+          lastY = y;
+          break;
+        }
+        case 'ET':
+          space();
+          break;
+        default:
+          break;
+      }
+    }
+  }
+  return out;
+}
+
+function pdfText(buffer) {
+  const objects = pdfObjects(buffer);
+  if ([...objects.values()].some(o => /\/Encrypt\b/.test(o.dict)) || /\/Encrypt\s+\d+\s+\d+\s+R/.test(buffer.subarray(-2048).toString('latin1'))) {
+    throw new DocumentError('UNREADABLE_DOCUMENT', 'Encrypted PDFs cannot be read - save an unprotected copy or paste the text');
+  }
+  const cmaps = new Map();
+  return pdfPages(objects).map(page => {
+    const fonts = fontMaps(objects, page.resources, cmaps);
+    return page.streams.map(number => {
+      const object = objects.get(number);
+      const data = object && object.stream ? decodeStream(object) : null;
+      return data ? contentText(data.toString('latin1'), fonts) : '';
+    }).join('\n');
+  }).join('\n');
+}
+
+/**
+ * The text of an uploaded document (a Buffer) named `filename` with type
+ * `mimetype`: lines trimmed, runs of blank lines collapsed and ligatures
+ * unfolded. Throws a DocumentError: UNSUPPORTED_FORMAT for other formats,
+ * UNREADABLE_DOCUMENT when the file is damaged, encrypted or has no text.
+ */
+function extractText(buffer, { filename, mimetype } = {}) {
+  const format = formatOf(buffer, { filename, mimetype });
+  if (!format) throw new DocumentError('UNSUPPORTED_FORMAT', 'Upload a .pdf, .docx, .txt or .md file');
+
+  let text;
+  try {
+    text = format === 'pdf' ? pdfText(buffer) : format === 'docx' ? docxText(buffer) : buffer.toString('utf8').replace(/^\uFEFF/, '');
+  } catch (error) {
+    if (error instanceof DocumentError) throw error;
+    throw new DocumentError('UNREADABLE_DOCUMENT', `The ${format} file could not be read: ${error.message}`);
+  }
+
+  const clean = text.normalize('NFKC')
+    .split(/\r?\n/).map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (!/\p{L}/u.test(clean)) {
+    throw new DocumentError('UNREADABLE_DOCUMENT', format === 'pdf' ?
+      'No text found in the PDF - it may be a scan; paste the text instead' :
+      'No text found in the file');
+  }
+  return { text: clean, format };
+}
+
+module.exports = { DocumentError, extractText };
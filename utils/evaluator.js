@@ -0,0 +1,210 @@
+/**
+ * Rubric evaluation of answers with Cohere.
+ *
+ * Each question and its transcribed answer are scored 1-10 on every RUBRIC
+ * criterion. The model must reply with JSON matching RESPONSE_SCHEMA; replies
+ * that fail validation are treated like an unavailable model, and the answer
+ * keeps its heuristic result. A valid evaluation is blended into the
+ * heuristic rating and its improvements lead the tips.
+ */
+const cohere = require('./cohere');
+const languages = require('./languages');
+
+const RUBRIC = [
+  { key: 'relevance', weight: 0.25, description: 'Answers the question that was asked and stays on topic' },
+  { key: 'correctness', weight: 0.25, description: 'Claims, terminology and technical details are accurate for the field' },
+  { key: 'structure', weight: 0.2, description: 'Clear beginning, middle and end; situation, action and result are easy to follow' },
+  { key: 'depth', weight: 0.15, description: 'Concrete examples, trade-offs, specifics and measurable outcomes' },
+  { key: 'communication', weight: 0.15, description: 'Concise, confident, professional wording' }
+];
+
+// Share of the final rating taken from the rubric; the rest is the heuristic score
+const MODEL_WEIGHT = 0.7;
+// Answers shorter than this keep their heuristic result (nothing to evaluate)
+const MIN_ANSWER_WORDS = 20;
+const MAX_LIST_ITEMS = 3;
+
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['scores', 'strengths', 'improvements', 'summary'],
+  properties: {
+    scores: {
+      type: 'object',
+      required: RUBRIC.map(c => c.key),
+      properties: Object.fromEntries(RUBRIC.map(c => [c.key, { type: 'integer' }]))
+    },
+    strengths: { type: 'array', items: { type: 'string' } },
+    improvements: { type: 'array', items: { type: 'string' } },
+    summary: { type: 'string' }
+  }
+};
+
+const PREAMBLE = `You are a strict, fair interview coach grading one transcribed spoken answer.
+Score each criterion from 1 (poor) to 10 (excellent):
+${RUBRIC.map(c => `- ${c.key}: ${c.description}`).join('\n')}
+The transcript comes from speech recognition; ignore transcription glitches and filler words when judging content.
+Reply ONLY with a JSON object: {"scores": {${RUBRIC.map(c => `"${c.key}": n`).join(', ')}}, "strengths": [..], "improvements": [..], "summary": ".."}.
+Give at most ${MAX_LIST_ITEMS} short strengths and ${MAX_LIST_ITEMS} short, actionable improvements, and a one or two sentence summary.`;
+
+class EvaluationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EvaluationError';
+  }
+}
+
+function roundHalf(value) {
+  return Math.round(value * 2) / 2;
+}
+
+// Pulls the JSON object out of a reply that may be wrapped in prose or code fences
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new EvaluationError('Model reply contains no JSON object');
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (e) {
+    throw new EvaluationError(`Model reply is not valid JSON: ${e.message}`);
+  }
+}
+
+function stringList(value, name) {
+  if (!Array.isArray(value)) throw new EvaluationError(`"${name}" must be an array`);
+  return value
+    .filter(item => typeof item === 'string' && item.trim().length > 0)
+    .map(item => item.trim())
+    .slice(0, MAX_LIST_ITEMS);
+}
+
+// Checks a parsed reply against RESPONSE_SCHEMA and normalizes it
+function validateEvaluation(reply) {
+  if (!reply || typeof reply !== 'object') throw new EvaluationError('Evaluation must be an object');
+  if (!reply.scores || typeof reply.scores !== 'object') throw new EvaluationError('"scores" is missing');
+
+  const scores = {};
+  for (const { key } of RUBRIC) {
+    const score = Number(reply.scores[key]);
+    if (!Number.isFinite(score) || score < 1 || score > 10) {
+      throw new EvaluationError(`Score "${key}" must be a number from 1 to 10`);
+    }
+    scores[key] = Math.round(score);
+  }
+  if (typeof reply.summary !== 'string' || !reply.summary.trim()) throw new EvaluationError('"summary" is missing');
+
+  return {
+    scores,
+    overall: roundHalf(RUBRIC.reduce((acc, c) => acc + scores[c.key] * c.weight, 0)),
+    strengths: stringList(reply.strengths, 'strengths'),
+    improvements: stringList(reply.improvements, 'improvements'),
+    summary: reply.summary.trim()
+  };
+}
+
+async function evaluateAnswer({ question, answer, field, language }) {
+  const lines = [
+    `Role / field: ${field || 'general'}`,
+    `Question: ${question || 'General interview response (no specific question given)'}`,
+    `Answer transcript: """${answer}"""`
+  ];
+  // Strengths, improvements and summary are shown next to feedback in the interview language
+  if (language && language !== languages.BASE_LANGUAGE) {
+    const { name, nativeName } = languages.getLanguage(language);
+    lines.push(`The interview is in ${name}: write strengths, improvements and the summary in ${name} (${nativeName}).`);
+  }
+  const message = lines.join('\n');
+
+  const response = await cohere.chat(message, {
+    preamble: PREAMBLE,
+    temperature: 0.2,
+    maxTokens: 600,
+    responseFormat: { type: 'json_object', schema: RESPONSE_SCHEMA }
+  });
+  return validateEvaluation(extractJson(String((response && response.text) || '')));
+}
+
+function wordCount(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+// Blends one evaluation into a heuristic result ({ rating, tips, summary, ... })
+function mergeEvaluation(result, evaluation) {
+  return {
+    ...result,
+    rating: roundHalf(MODEL_WEIGHT * evaluation.overall + (1 - MODEL_WEIGHT) * result.rating),
+    heuristicRating: result.rating,
+    tips: [...evaluation.improvements, ...(result.tips || [])],
+    summary: `${evaluation.summary} ${result.summary || ''}`.trim(),
+    evaluation: { source: 'cohere', ...evaluation }
+  };
+}
+
+// Evaluates one answer, keeping the heuristic result when the model cannot be used
+async function evaluateResult(result, { question, answer, field, language }) {
+  if (wordCount(answer) < MIN_ANSWER_WORDS) {
+    return { ...result, evaluation: { source: 'heuristic', reason: 'Answer too short to evaluate' } };
+  }
+  try {
+    return mergeEvaluation(result, await evaluateAnswer({ question, answer, field, language }));
+  } catch (error) {
+    console.warn('⚠️ Rubric evaluation failed, keeping heuristic score:', error.message);
+    return { ...result, evaluation: { source: 'heuristic', reason: error.message } };
+  }
+}
+
+function averageScores(evaluations) {
+  return Object.fromEntries(RUBRIC.map(c => [
+    c.key,
+    Math.round(evaluations.reduce((acc, e) => acc + e.scores[c.key], 0) / evaluations.length * 10) / 10
+  ]));
+}
+
+/**
+ * Runs the rubric over a heuristic analysis. Per-question analyses evaluate
+ * each answer; otherwise `text` is evaluated as one answer to `question`.
+ * Model feedback is written in `language` (default English). Always resolves: without a key, or when every call fails, the analysis
+ * comes back with its heuristic scores and `evaluation.source: 'heuristic'`.
+ */
+async function evaluateAnalysis(analysis, { field, question, text, language } = {}) {
+  const rubric = RUBRIC.map(({ key, weight, description }) => ({ key, weight, description }));
+
+  if (!cohere.isEnabled()) {
+    return { ...analysis, evaluation: { source: 'heuristic', reason: 'COHERE_DISABLED', rubric } };
+  }
+
+  if (!Array.isArray(analysis.questions) || analysis.questions.length === 0) {
+    const evaluated = await evaluateResult(analysis, { question, answer: text, field, language });
+    return { ...evaluated, evaluation: { ...evaluated.evaluation, model: cohere.model(), rubric } };
+  }
+
+  const questions = [];
+  for (const q of analysis.questions) {
+    questions.push(await evaluateResult(q, { question: q.question, answer: q.transcript, field, language }));
+  }
+
+  const evaluations = questions.filter(q => q.evaluation.source === 'cohere').map(q => q.evaluation);
+  if (evaluations.length === 0) {
+    return { ...analysis, questions, evaluation: { source: 'heuristic', reason: 'No answer could be evaluated', rubric } };
+  }
+
+  const rating = roundHalf(questions.reduce((acc, q) => acc + q.rating, 0) / questions.length);
+  const scores = averageScores(evaluations);
+  return {
+    ...analysis,
+    rating,
+    heuristicRating: analysis.rating,
+    questions,
+    tips: [...new Set(evaluations.flatMap(e => e.improvements))].slice(0, MAX_LIST_ITEMS).concat(analysis.tips || []),
+    evaluation: {
+      source: 'cohere',
+      model: cohere.model(),
+      rubric,
+      scores,
+      overall: roundHalf(RUBRIC.reduce((acc, c) => acc + scores[c.key] * c.weight, 0)),
+      evaluated: evaluations.length,
+      skipped: questions.length - evaluations.length
+    }
+  };
+}
+
+module.exports = { RUBRIC, RESPONSE_SCHEMA, EvaluationError, evaluateAnswer, evaluateAnalysis, validateEvaluation, extractJson };
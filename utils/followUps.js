@@ -0,0 +1,239 @@
+/**
+ * Adaptive follow-up questions for one answer.
+ *
+ * Like a real interviewer, each follow-up probes a weak spot in what the
+ * candidate just said: a vague claim, an outcome without a number, or a
+ * technical choice left unexplained. Cohere writes them when configured
+ * (replies are validated like rubric evaluations); otherwise, or when the
+ * reply is unusable, the rule-based generator below scans the transcript.
+ * The metric, choice and vague-claim rules read English; in other languages
+ * the rules only check for "we" without "I" (pronouns from the language
+ * file) and otherwise ask the reflection question.
+ */
+const cohere = require('./cohere');
+const languages = require('./languages');
+
+const TARGETS = ['vague-claim', 'missing-metric', 'unexplained-choice'];
+const MAX_FOLLOW_UPS = 3;
+const MAX_QUOTE_LENGTH = 120;
+
+const OUTCOME = /\b(improv|reduc|increas|decreas|faster|slower|sav(?:e|ed|ing)|gr[eo]w|boost|cut|lower|rais|doubl|halv|better|optimi[sz]|speed(?:ed)? up|sped up)\w*/i;
+const NUMBER = /\d|\b(percent|half|twice|double|triple|one|two|three|four|five|six|seven|eight|nine|ten|hundred|thousand|million|billion)\b/i;
+const CHOICE = /\b(used|use|chose|choose|picked|went with|switched to|moved to|migrated to|adopted|opted for|decided to use|decided on)\s+/i;
+const REASON = /\b(because|since|so that|due to|in order to|the reason|which meant|trade-?offs?|instead of|rather than|compared to|why)\b/i;
+const VAGUE = /\b(a lot|lots of|many things|various|stuff|things like that|and so on|etc|some things|pretty much|helped (?:with|out)|was involved in|was responsible for|successful(?:ly)?|significant(?:ly)?|huge|great results|really well|went (?:really |very )?well|made (?:it|things) better)\b/i;
+// Words that end the noun phrase after a choice verb ("we chose Kafka for the queue")
+const PHRASE_STOP = new Set(['for', 'to', 'and', 'but', 'because', 'since', 'in', 'on', 'with', 'so', 'as', 'at', 'when', 'which', 'that', 'instead', 'rather', 'over', 'it', 'them', 'this']);
+const DETERMINERS = new Set(['a', 'an', 'the', 'our', 'my', 'their', 'some']);
+
+const PREAMBLE = `You are an experienced interviewer deciding how to probe a candidate's spoken answer.
+Write 1-${MAX_FOLLOW_UPS} short follow-up questions. Each targets one weakness in the answer:
+- vague-claim: a general or unsupported claim, or "we" with no personal contribution
+- missing-metric: an outcome or improvement stated without numbers
+- unexplained-choice: a technical or strategic choice made without saying why
+Quote the words from the answer each follow-up is about. The transcript comes from speech recognition; ignore transcription glitches.
+Reply ONLY with a JSON object: {"followUps": [{"question": "..", "target": "${TARGETS.join('|')}", "reason": "..", "quote": ".."}]}.`;
+
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['followUps'],
+  properties: {
+    followUps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['question', 'target', 'reason'],
+        properties: {
+          question: { type: 'string' },
+          target: { type: 'string', enum: TARGETS },
+          reason: { type: 'string' },
+          quote: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+class FollowUpError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FollowUpError';
+  }
+}
+
+function sentencesOf(text) {
+  return String(text || '').split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(s => s.split(/\s+/).length >= 3);
+}
+
+function quoteOf(sentence) {
+  const clean = sentence.replace(/\s+/g, ' ').trim();
+  if (clean.length <= MAX_QUOTE_LENGTH) return clean;
+  return `${clean.slice(0, MAX_QUOTE_LENGTH).replace(/\s+\S*$/, '')}…`;
+}
+
+// "we chose the Kafka event bus for ..." -> "Kafka event bus"
+function choiceOf(sentence) {
+  const match = sentence.match(CHOICE);
+  if (!match) return null;
+  const words = sentence.slice(match.index + match[0].length).split(/\s+/);
+  const phrase = [];
+  for (const raw of words) {
+    const word = raw.replace(/[^\w.+#-]/g, '');
+    const lower = word.toLowerCase();
+    if (!word || PHRASE_STOP.has(lower)) break;
+    if (phrase.length === 0 && DETERMINERS.has(lower)) continue;
+    phrase.push(word);
+    if (phrase.length === 3 || /[,.;:!?]$/.test(raw)) break;
+  }
+  return phrase.length > 0 ? phrase.join(' ') : null;
+}
+
+function countWords(text, words) {
+  return (languages.fold(text).match(languages.phrasePattern(words, 'gu')) || []).length;
+}
+
+/**
+ * Rule-based follow-ups: one per weakness found in the answer, at most one
+ * per target before repeating a target, in the order the candidate said
+ * them. Falls back to a "reflection" question when nothing stands out.
+ * Questions are written in `language` (default English).
+ */
+function ruleFollowUps(answer, language) {
+  const lang = languages.getLanguage(language);
+  const sentences = lang.code === languages.BASE_LANGUAGE ? sentencesOf(answer) : [];
+  const found = [];
+
+  sentences.forEach((sentence, i) => {
+    const next = sentences[i + 1] || '';
+    if (OUTCOME.test(sentence) && !NUMBER.test(sentence)) {
+      found.push({
+        question: `You said "${quoteOf(sentence)}" How did you measure that, and what were the numbers before and after?`,
+        target: 'missing-metric',
+        reason: 'An outcome was described without a number',
+        quote: quoteOf(sentence)
+      });
+    }
+    const choice = choiceOf(sentence);
+    if (choice && !REASON.test(sentence) && !REASON.test(next)) {
+      found.push({
+        question: `Why did you go with ${choice}? What alternatives did you consider, and what trade-offs did you accept?`,
+        target: 'unexplained-choice',
+        reason: `The choice of ${choice} was not explained`,
+        quote: quoteOf(sentence)
+      });
+    }
+    if (VAGUE.test(sentence)) {
+      found.push({
+        question: `You said "${quoteOf(sentence)}" What exactly did you do there, step by step?`,
+        target: 'vague-claim',
+        reason: 'The claim stays general',
+        quote: quoteOf(sentence)
+      });
+    }
+  });
+
+  // "We" everywhere and hardly any "I": ask for the candidate's own part
+  const we = countWords(answer, lang.lexicon.pronouns.plural);
+  const me = countWords(answer, lang.lexicon.pronouns.singular);
+  if (we >= 3 && me * 3 < we) {
+    found.unshift({
+      question: languages.t(lang.code, 'followUps.contribution'),
+      target: 'vague-claim',
+      reason: languages.t(lang.code, 'followUps.contributionReason'),
+      quote: null
+    });
+  }
+
+  // One per target first, then whatever is left, keeping the spoken order
+  const picked = [];
+  TARGETS.forEach(target => {
+    const first = found.find(f => f.target === target);
+    if (first) picked.push(first);
+  });
+  found.forEach(f => { if (!picked.includes(f)) picked.push(f); });
+  const followUps = picked
+    .filter((f, i, all) => all.findIndex(o => o.question === f.question) === i)
+    .slice(0, MAX_FOLLOW_UPS)
+    .sort((a, b) => found.indexOf(a) - found.indexOf(b));
+
+  if (followUps.length === 0) {
+    followUps.push({
+      question: languages.t(lang.code, 'followUps.reflection'),
+      target: 'reflection',
+      reason: languages.t(lang.code, 'followUps.reflectionReason'),
+      quote: null
+    });
+  }
+  return followUps;
+}
+
+// Pulls the JSON object out of a reply that may be wrapped in prose or code fences
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new FollowUpError('Model reply contains no JSON object');
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (e) {
+    throw new FollowUpError(`Model reply is not valid JSON: ${e.message}`);
+  }
+}
+
+// Checks a parsed reply against RESPONSE_SCHEMA and normalizes it
+function validateFollowUps(reply) {
+  if (!reply || typeof reply !== 'object' || !Array.isArray(reply.followUps)) {
+    throw new FollowUpError('Reply must be an object with a "followUps" array');
+  }
+  const followUps = reply.followUps
+    .filter(f => f && typeof f.question === 'string' && f.question.trim() && TARGETS.includes(f.target))
+    .slice(0, MAX_FOLLOW_UPS)
+    .map(f => ({
+      question: f.question.trim(),
+      target: f.target,
+      reason: typeof f.reason === 'string' ? f.reason.trim() : '',
+      quote: typeof f.quote === 'string' && f.quote.trim() ? quoteOf(f.quote) : null
+    }));
+  if (followUps.length === 0) throw new FollowUpError('Reply has no usable follow-up question');
+  return followUps;
+}
+
+async function cohereFollowUps({ question, answer, field, language }) {
+  const lines = [
+    `Role / field: ${field || 'general'}`,
+    `Question: ${question || 'General interview response (no specific question given)'}`,
+    `Answer transcript: """${answer}"""`
+  ];
+  if (language && language !== languages.BASE_LANGUAGE) {
+    const { name, nativeName } = languages.getLanguage(language);
+    lines.push(`The interview is in ${name}: write the questions and reasons in ${name} (${nativeName}); keep "target" in English.`);
+  }
+  const message = lines.join('\n');
+
+  const response = await cohere.chat(message, {
+    preamble: PREAMBLE,
+    temperature: 0.4,
+    maxTokens: 500,
+    responseFormat: { type: 'json_object', schema: RESPONSE_SCHEMA }
+  });
+  return validateFollowUps(extractJson(String((response && response.text) || '')));
+}
+
+/**
+ * Follow-ups for one answer. Always resolves: { followUps, source } where
+ * source is "cohere" (with `model`) or "rules" (with `reason` when Cohere
+ * was configured but failed). Each follow-up has question, target, reason
+ * and the quoted part of the answer it probes (or null), in `language`.
+ */
+async function generateFollowUps({ question, answer, field, language } = {}) {
+  if (cohere.isEnabled()) {
+    try {
+      return { followUps: await cohereFollowUps({ question, answer, field, language }), source: 'cohere', model: cohere.model() };
+    } catch (error) {
+      console.warn('⚠️ Follow-up generation failed, using rules:', error.message);
+      return { followUps: ruleFollowUps(answer, language), source: 'rules', reason: error.message };
+    }
+  }
+  return { followUps: ruleFollowUps(answer, language), source: 'rules' };
+}
+
+module.exports = { TARGETS, RESPONSE_SCHEMA, FollowUpError, ruleFollowUps, validateFollowUps, generateFollowUps };
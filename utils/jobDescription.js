@@ -0,0 +1,455 @@
+/**
+ * Job descriptions.
+ *
+ * A posting pasted or uploaded by the candidate (plain text, text extracted
+ * from a PDF, or the HTML of a job page) is reduced to what an interview can
+ * probe: the title, the seniority it asks for and its responsibilities and
+ * skill requirements, each with an id ("req-3"). Requirements are found
+ * under the posting's section headings ("Responsibilities", "Requirements",
+ * "Nice to have"...), falling back to its bullet points and requirement-like
+ * sentences; headings are recognized in English. Questions are then planned
+ * against the requirements - bank questions that touch a requirement are
+ * tagged with it and requirements nothing touches get a question of their
+ * own - and after the interview `coverage` reports which requirements the
+ * answers demonstrated, mentioned or missed.
+ */
+const crypto = require('crypto');
+const vocabulary = require('./vocabulary');
+const questionBank = require('./questionBank');
+const languages = require('./languages');
+const timeline = require('./timeline');
+
+// Longest posting accepted, in characters (HTML pages carry a lot of markup)
+const MAX_CHARS = 500000;
+// Text kept from a posting once markup is gone
+const MAX_TEXT_CHARS = 50000;
+const MAX_REQUIREMENTS = 12;
+const MAX_REQUIREMENT_CHARS = 300;
+const KINDS = ['responsibility', 'skill'];
+const MAX_KEYWORDS = 6;
+// An answer rated at least this demonstrates the requirements it covers; below it they are only mentioned
+const DEMONSTRATED_RATING = 6;
+// Years of experience asked for at or above which the posting is senior, at or below which it is entry level
+const SENIOR_YEARS = 5;
+const ENTRY_YEARS = 1;
+// Difficulty of the questions written for uncovered requirements, by seniority
+const DIFFICULTY = { entry: 2, mid: 3, senior: 4 };
+// Requirements listed in a tip before the rest are left out
+const TIP_REQUIREMENTS = 4;
+
+// Section headings; `kind: null` sections (company, benefits...) hold no requirements
+const SECTIONS = [
+  { kind: null, pattern: /^(about (us|the company|the team)|who we are|our (company|mission|story|values)|benefits|perks|what we offer|compensation|salary|pay range|equal (employment )?opportunit|how to apply|application process|location|why join)/i },
+  { kind: 'skill', required: false, pattern: /^(nice[ -]to[ -]haves?|preferred|bonus|pluses|desirable|good to have|extra credit)/i },
+  { kind: 'responsibility', required: true, pattern: /^((key |main |core )?responsibilit|what you('|’)?ll (do|be doing|work on|own)|what you will do|duties|the role|your role|role overview|day[ -]to[ -]day|in this role|your impact)/i },
+  { kind: 'skill', required: true, pattern: /^((minimum |basic |required |key )?(requirements|qualifications|skills)|required|what we('|’)?re looking for|what you('|’)?ll (need|bring)|what you bring|must[ -]haves?|about you|who you are|you (have|bring|are)|(skills|experience) (and|&) (experience|skills))/i }
+];
+const MAX_HEADING_WORDS = 6;
+const BULLET = /^(?:[-*•·▪◦‣–—+]|\d{1,2}[.)])\s+/;
+// Without headings, sentences like these are taken as requirements
+const REQUIREMENT_CUE = /\b(experience|proficien|knowledge|familiar|ability to|able to|skills?|degree|you will|you('|’)ll|responsible for|must|required|strong)\b/i;
+const RESPONSIBILITY_START = /^(you('|’)?ll|you will|responsible|own|lead|build|design|develop|manage|drive|work|collaborate|partner|maintain|create|support|deliver|implement|ensure|help|mentor|define|run|write|analy[sz]e|coordinate|plan|oversee|monitor|improve|report)\b/i;
+const YEARS = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?(?:years?|yrs?)/gi;
+// Words too common in postings to say anything about a requirement
+const NOISE = [
+  'experience', 'year', 'strong', 'excellent', 'good', 'great', 'solid', 'proven', 'demonstrated', 'ability', 'able',
+  'skill', 'knowledge', 'understanding', 'familiarity', 'familiar', 'proficiency', 'proficient', 'working', 'plus',
+  'including', 'etc', 'related', 'relevant', 'equivalent', 'similar', 'across', 'within', 'using', 'other', 'well',
+  'must', 'required', 'preferred', 'ideally', 'bonus', 'you', 'your', 'our', 'will', 'can', 'role', 'ensure',
+  'the', 'and', 'for', 'with', 'from', 'into', 'about', 'such', 'than', 'who', 'what', 'how', 'all', 'any', 'both',
+  'each', 'more', 'most', 'this', 'that', 'these', 'those', 'are', 'have', 'has', 'been', 'being', 'where'
+];
+// Technical names too short for the keyword length floor ("Python or Go")
+const SHORT_KEYWORDS = new Set(['go', 'r', 'c', 'c#', 'c++', 'f#', 'ui', 'ux', 'qa', 'ai', 'ml', 'bi', 'js', 'ts', 'ci', 'cd', 'db', 'os', 'ios', 'vr', 'ar']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', ldquo: '“', rdquo: '”', ndash: '–', mdash: '—', bull: '•', hellip: '…', middot: '·' };
+
+let noise = null;
+
+class JobDescriptionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'JobDescriptionError';
+    this.code = code;
+  }
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[name.toLowerCase()] !== undefined ? ENTITIES[name.toLowerCase()] : match;
+  });
+}
+
+function tagText(html, tag) {
+  const match = html.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeEntities(match[1].replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim() : '';
+}
+
+// Readable lines from a job page: list items become bullets, block elements line breaks
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|head|nav|footer|form)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|header|ul|ol|h[1-6]|tr|table|dd|dt|blockquote)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t\u00a0]+/g, ' ');
+}
+
+function isHtml(text) {
+  return /<(html|body|div|p|ul|li|h[1-6]|br|span)\b[^>]*>/i.test(text);
+}
+
+// Markdown and emphasis stripped from a line that may be a heading
+function plainLine(line) {
+  return line.replace(/^#+\s*/, '').replace(/^[*_]+|[*_]+$/g, '').trim();
+}
+
+// The section a line introduces, with any text after "Heading:" on the same line
+function headingOf(line) {
+  const plain = plainLine(line);
+  const colon = plain.indexOf(':');
+  const head = (colon === -1 ? plain : plain.slice(0, colon)).replace(/[*_]+$/, '').trim();
+  if (!head || head.split(/\s+/).length > MAX_HEADING_WORDS || /[.!?]$/.test(head)) return null;
+  const section = SECTIONS.find(s => s.pattern.test(head));
+  if (!section) return null;
+  return { section, rest: colon === -1 ? '' : plain.slice(colon + 1).trim() };
+}
+
+// A bullet or a line, split into sentences when it is a paragraph
+function itemsOf(line) {
+  return line.replace(BULLET, '').split(/(?<=[.!?;])\s+(?=[A-Z])/).map(s => s.trim()).filter(Boolean);
+}
+
+function cleanRequirement(text) {
+  let clean = plainLine(text).replace(/\s+/g, ' ').replace(/[.;:,]+$/, '').trim();
+  if (clean.length > MAX_REQUIREMENT_CHARS) clean = clean.slice(0, MAX_REQUIREMENT_CHARS).replace(/\s+\S*$/, '') + '…';
+  return clean;
+}
+
+function noiseLemmas() {
+  if (!noise) {
+    const stopwords = languages.getLanguage(languages.BASE_LANGUAGE).stopwords;
+    noise = new Set([...stopwords, ...NOISE].map(vocabulary.lemmatize));
+  }
+  return noise;
+}
+
+/**
+ * What identifies a requirement in an answer: the vocabulary terms it names
+ * (with their synonyms, from `pack` first) and up to MAX_KEYWORDS other
+ * content words, one per lemma.
+ */
+function describe(text, pack) {
+  const terms = vocabulary.termsIn(text, pack);
+  const taken = new Set([...noiseLemmas(), ...terms.flatMap(entry => entry.term.split(/[\s/-]+/).map(vocabulary.lemmatize))]);
+  const keywords = [];
+  String(text).split(/[\s/,()]+/).forEach(raw => {
+    const word = raw.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}+#]+$/gu, '');
+    const lemma = vocabulary.lemmatize(word);
+    if ((word.length < 3 && !SHORT_KEYWORDS.has(word)) || /^\d+$/.test(word) || !lemma || taken.has(lemma) || keywords.length >= MAX_KEYWORDS) return;
+    taken.add(lemma);
+    keywords.push(word);
+  });
+  return { terms, keywords };
+}
+
+function requirementFrom(id, { kind, text, required }, pack) {
+  const { terms, keywords } = describe(text, pack);
+  return { id, kind, text, required: required !== false, terms: terms.map(entry => entry.term), keywords };
+}
+
+// Requirement lines from the posting's sections, or its bullets and requirement-like sentences without them
+function requirementLines(lines) {
+  const found = [];
+  let section = null;
+  let sectioned = false;
+  lines.forEach(line => {
+    const heading = BULLET.test(line) ? null : headingOf(line);
+    if (heading) {
+      section = heading.section;
+      sectioned = sectioned || Boolean(section.kind);
+      if (heading.rest && section.kind) itemsOf(heading.rest).forEach(text => found.push({ kind: section.kind, required: section.required, text }));
+      return;
+    }
+    // A one-word bullet under a skills heading ("- Kafka") is a skill even when no pack knows it
+    const listed = section && section.kind === 'skill' && BULLET.test(line);
+    if (section && section.kind) itemsOf(line).forEach(text => found.push({ kind: section.kind, required: section.required, text, listed }));
+  });
+  if (sectioned) return found;
+
+  const bullets = lines.filter(line => BULLET.test(line));
+  const candidates = bullets.length > 0 ? bullets.flatMap(itemsOf) : lines.flatMap(itemsOf).filter(text => REQUIREMENT_CUE.test(text));
+  return candidates.map(text => ({ kind: RESPONSIBILITY_START.test(text) ? 'responsibility' : 'skill', required: true, text }));
+}
+
+function titleOf(raw, lines, html) {
+  if (html) {
+    const heading = tagText(raw, 'h1');
+    if (heading) return heading;
+    const title = tagText(raw, 'title').split(/\s[|–—-]\s/)[0].trim();
+    if (title) return title;
+  }
+  for (const line of lines) {
+    const labelled = line.match(/^(?:job title|title|position|role)\s*:\s*(.+)$/i);
+    if (labelled) return plainLine(labelled[1]);
+  }
+  const first = lines.find(line => !BULLET.test(line));
+  return first && !headingOf(first) && first.split(/\s+/).length <= 10 && !/[.!?]$/.test(first) ? plainLine(first) : null;
+}
+
+// Seniority from the title, otherwise from the fewest years of experience the posting asks for
+function seniorityOf(title, text) {
+  const fromTitle = title ? questionBank.inferSeniority(title) : 'mid';
+  const years = [...text.matchAll(YEARS)].map(match => Number(match[1])).filter(n => n > 0 && n < 40);
+  const asked = years.length > 0 ? Math.min(...years) : null;
+  if (fromTitle !== 'mid' || asked === null) return { seniority: fromTitle, years: asked };
+  return { seniority: asked >= SENIOR_YEARS ? 'senior' : asked <= ENTRY_YEARS ? 'entry' : 'mid', years: asked };
+}
+
+/**
+ * Parses a posting (text or HTML) into { title, role, seniority, years,
+ * requirements, skills }. Requirements are [{ id, kind: 'responsibility' |
+ * 'skill', text, required, terms, keywords }], required ones first, at most
+ * MAX_REQUIREMENTS. `field` (when the candidate gave one) picks the
+ * vocabulary pack, otherwise the title does. Throws a JobDescriptionError
+ * (TOO_LONG, NO_REQUIREMENTS).
+ */
+function parseJobDescription(raw, { field } = {}) {
+  const source = String(raw || '');
+  if (source.length > MAX_CHARS) {
+    throw new JobDescriptionError('TOO_LONG', `The job description must be at most ${MAX_CHARS} characters`);
+  }
+  const html = isHtml(source);
+  const text = (html ? htmlToText(source) : source).slice(0, MAX_TEXT_CHARS);
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  const title = titleOf(source, lines, html);
+  const { pack } = vocabulary.selectPack(field || title || '');
+  const seen = new Set();
+  const items = requirementLines(lines)
+    .map(item => ({ ...item, text: cleanRequirement(item.text) }))
+    .filter(item => {
+      const key = item.text.toLowerCase();
+      if (seen.has(key) || item.text.split(/\s+/).length < 2 && !item.listed && vocabulary.termsIn(item.text, pack).length === 0) return false;
+      seen.add(key);
+      return true;
+    });
+  // Required items keep the posting's order ahead of the nice-to-haves
+  const ordered = [...items.filter(item => item.required), ...items.filter(item => !item.required)].slice(0, MAX_REQUIREMENTS);
+  if (ordered.length === 0) {
+    throw new JobDescriptionError('NO_REQUIREMENTS', 'No responsibilities or requirements found in the job description - paste the part that lists them');
+  }
+
+  const requirements = ordered.map((item, i) => requirementFrom(`req-${i + 1}`, item, pack));
+  return {
+    title,
+    role: pack.id,
+    ...seniorityOf(title, text),
+    requirements,
+    skills: [...new Set(requirements.flatMap(r => r.terms))]
+  };
+}
+
+/**
+ * Requirements sent back by a client ([{ id, kind, text, required }], as
+ * parseJobDescription returned them), checked and described again so
+ * matching does not depend on what the client kept. Throws a
+ * JobDescriptionError (INVALID_REQUIREMENTS).
+ */
+function normalizeRequirements(list, { field } = {}) {
+  if (!Array.isArray(list) || list.length > MAX_REQUIREMENTS) {
+    throw new JobDescriptionError('INVALID_REQUIREMENTS', `requirements must be an array of at most ${MAX_REQUIREMENTS} requirements`);
+  }
+  const { pack } = vocabulary.selectPack(field || '');
+  const ids = new Set();
+  return list.map((item, i) => {
+    const at = `requirements[${i}]`;
+    if (!item || typeof item !== 'object') throw new JobDescriptionError('INVALID_REQUIREMENTS', `${at} must be an object`);
+    if (typeof item.id !== 'string' || !item.id.trim() || ids.has(item.id)) {
+      throw new JobDescriptionError('INVALID_REQUIREMENTS', `${at}.id must be a unique non-empty string`);
+    }
+    if (!KINDS.includes(item.kind)) throw new JobDescriptionError('INVALID_REQUIREMENTS', `${at}.kind must be one of ${KINDS.join(', ')}`);
+    if (typeof item.text !== 'string' || !item.text.trim() || item.text.length > MAX_REQUIREMENT_CHARS + 1) {
+      throw new JobDescriptionError('INVALID_REQUIREMENTS', `${at}.text must be a non-empty string of at most ${MAX_REQUIREMENT_CHARS} characters`);
+    }
+    ids.add(item.id);
+    return requirementFrom(item.id, { kind: item.kind, text: item.text.trim(), required: item.required }, pack);
+  });
+}
+
+// The phrases matchTerms looks for to find a requirement in an answer or a question
+function matcherFor(requirement, pack) {
+  const { terms } = describe(requirement.text, pack);
+  return vocabulary.phraseIndex([...terms, ...requirement.keywords.map(term => ({ term }))]);
+}
+
+// Requirement terms and keywords found in `words` (timed words or text)
+function hitsIn(words, requirement, matcher) {
+  const matches = vocabulary.matchTerms(words, matcher).matches;
+  return {
+    matches,
+    terms: matches.filter(m => !requirement.keywords.includes(m.term)).length,
+    keywords: matches.filter(m => requirement.keywords.includes(m.term)).length
+  };
+}
+
+// One named term, or two keywords (one when the question asked about the requirement)
+function touches(hits, requirement, probed = false) {
+  return hits.terms > 0 || hits.keywords >= Math.min(probed ? 1 : 2, requirement.keywords.length || 1);
+}
+
+function reference(requirement) {
+  return { id: requirement.id, kind: requirement.kind, text: requirement.text };
+}
+
+function questionId(text) {
+  return `jd-${crypto.createHash('sha1').update(text.toLowerCase()).digest('hex').slice(0, 12)}`;
+}
+
+// A term as the posting spells it ("JavaScript" for "javascript")
+function spelled(text, term) {
+  const match = vocabulary.matchTerms(text, vocabulary.phraseIndex([{ term }])).matches[0];
+  return match ? match.occurrences[0].text.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}+#]+$/gu, '') : term;
+}
+
+// A question of our own for a requirement no bank question touches
+function requirementQuestion(requirement, { language, seniority }) {
+  const kind = requirement.kind === 'responsibility' ? 'responsibility' : requirement.terms.length > 0 ? 'skill' : 'qualification';
+  const params = { skill: kind === 'skill' ? spelled(requirement.text, requirement.terms[0]) : '', responsibility: requirement.text, requirement: requirement.text };
+  return {
+    id: questionId(requirement.text),
+    text: languages.t(language, `jobQuestions.${kind}`, params),
+    type: kind === 'skill' ? 'technical' : 'behavioral',
+    difficulty: DIFFICULTY[seniority] || DIFFICULTY.mid,
+    skills: requirement.terms.slice(0, 3),
+    outline: languages.t(language, `jobQuestions.outline.${kind}`, params),
+    language,
+    requirement: reference(requirement)
+  };
+}
+
+/**
+ * `count` questions for a job: for each requirement in order, the
+ * candidate question (from the question bank) that touches it most, or a
+ * question written for it when none does; any places left go to the
+ * remaining candidates. `field` picks the vocabulary pack as it did for
+ * parseJobDescription. Every item carries the `requirement` it probes
+ * ({ id, kind, text }, null when it probes none), easiest first.
+ */
+function planQuestions(candidates, job, { count = 5, field, language = languages.BASE_LANGUAGE, seniority = job.seniority } = {}) {
+  const { pack } = vocabulary.selectPack(field || job.title || '');
+  const matchers = new Map(job.requirements.map(r => [r.id, matcherFor(r, pack)]));
+  const about = (question) => [question.text, ...(question.skills || []), ...(question.outline || [])].join(' ');
+  const score = (question, requirement) => {
+    const hits = hitsIn(about(question), requirement, matchers.get(requirement.id));
+    return touches(hits, requirement) ? hits.terms * 2 + hits.keywords : 0;
+  };
+
+  const items = [];
+  const used = new Set();
+  for (const requirement of job.requirements) {
+    if (items.length >= count) break;
+    const best = candidates
+      .filter(q => !used.has(q.id))
+      .map(q => ({ question: q, score: score(q, requirement) }))
+      .filter(c => c.score > 0)
+      .sort((a, b) => b.score - a.score)[0];
+    if (best) {
+      used.add(best.question.id);
+      items.push({ ...best.question, requirement: reference(requirement) });
+    } else {
+      items.push(requirementQuestion(requirement, { language, seniority }));
+    }
+  }
+  candidates.filter(q => !used.has(q.id)).slice(0, Math.max(0, count - items.length)).forEach(question => {
+    const best = job.requirements.map(r => ({ requirement: r, score: score(question, r) })).sort((a, b) => b.score - a.score)[0];
+    items.push({ ...question, requirement: best && best.score > 0 ? reference(best.requirement) : null });
+  });
+
+  return items.sort((a, b) => a.difficulty - b.difficulty);
+}
+
+// A few words either side of the first match, for the report
+function quoteAround(words, start) {
+  const index = Math.max(0, words.findIndex(w => w.start === start));
+  return words.slice(Math.max(0, index - 6), index + 9).map(w => w.text).join(' ');
+}
+
+/**
+ * Which requirements the answers demonstrated. `answers` are
+ * [{ index, rating, words }] (timed words of each answer) and
+ * `questionRequirements` the requirement id each question probed. A
+ * requirement an answer touches is demonstrated when that answer is rated
+ * DEMONSTRATED_RATING or more and only mentioned otherwise. Returns
+ * { requirements: [{ id, kind, text, required, status, probedBy, evidence }],
+ * demonstrated, mentioned, missing, total, percent }.
+ */
+function coverage(requirements, answers, { questionRequirements = [], field } = {}) {
+  const { pack } = vocabulary.selectPack(field || '');
+  const results = requirements.map(requirement => {
+    const matcher = matcherFor(requirement, pack);
+    const probedBy = questionRequirements
+      .map((id, index) => (id === requirement.id ? index : null))
+      .filter(index => index !== null);
+
+    const evidence = answers.map(answer => {
+      const hits = hitsIn(answer.words, requirement, matcher);
+      if (!touches(hits, requirement, probedBy.includes(answer.index))) return null;
+      const first = hits.matches.flatMap(m => m.occurrences).filter(o => typeof o.start === 'number').sort((a, b) => a.start - b.start)[0];
+      return {
+        questionIndex: answer.index,
+        rating: answer.rating,
+        matched: hits.matches.map(m => m.term),
+        ...(first ? { start: first.start, timestamp: timeline.formatTimestamp(first.start), quote: quoteAround(answer.words, first.start) } : {})
+      };
+    }).filter(Boolean);
+
+    const status = evidence.some(e => e.rating >= DEMONSTRATED_RATING) ? 'demonstrated' : evidence.length > 0 ? 'mentioned' : 'missing';
+    return { ...reference(requirement), required: requirement.required, status, probedBy, evidence };
+  });
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  return {
+    requirements: results,
+    demonstrated: count('demonstrated'),
+    mentioned: count('mentioned'),
+    missing: count('missing'),
+    total: results.length,
+    percent: results.length > 0 ? Math.round(count('demonstrated') / results.length * 100) : 0
+  };
+}
+
+function shortLabel(text) {
+  return text.length > 60 ? `${text.slice(0, 60).replace(/\s+\S*$/, '')}…` : text;
+}
+
+function listed(language, requirements) {
+  const list = languages.formatList(language, requirements.slice(0, TIP_REQUIREMENTS).map(r => `"${shortLabel(r.text)}"`));
+  return requirements.length > TIP_REQUIREMENTS ? `${list} (+${requirements.length - TIP_REQUIREMENTS})` : list;
+}
+
+// Coverage tips in `language`: the summary, then what was only mentioned and what was missed (required first)
+function coverageTips(report, language) {
+  const tips = [languages.t(language, 'coverage.summary', report)];
+  const byStatus = (status) => report.requirements
+    .filter(r => r.status === status)
+    .sort((a, b) => (b.required ? 1 : 0) - (a.required ? 1 : 0));
+  if (report.mentioned > 0) tips.push(languages.t(language, 'coverage.mentioned', { requirements: listed(language, byStatus('mentioned')) }));
+  if (report.missing > 0) tips.push(languages.t(language, 'coverage.missing', { requirements: listed(language, byStatus('missing')) }));
+  return tips;
+}
+
+module.exports = {
+  MAX_CHARS,
+  JobDescriptionError,
+  parseJobDescription,
+  normalizeRequirements,
+  planQuestions,
+  coverage,
+  coverageTips
+};
@@ -0,0 +1,204 @@
+/**
+ * In-memory analysis job registry with progress events.
+ *
+ * A job moves through STAGES in order and ends in `done` (with a result)
+ * or `failed` (with an error). Listeners subscribed to a job receive a
+ * snapshot after every change; finished jobs are dropped after JOB_TTL_MS.
+ *
+ * Each job carries an AbortSignal that fires when it is cancelled, either
+ * explicitly or because its client went away: once the last event stream
+ * watching a job closes, the job is cancelled unless someone watches or
+ * polls it again within JOB_ABANDON_MS (a page reload reconnects in time).
+ */
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const STAGES = ['uploaded', 'extracting_audio', 'transcribing', 'analyzing', 'done', 'failed'];
+
+const STAGE_PROGRESS = {
+  uploaded: 5,
+  extracting_audio: 15,
+  transcribing: 30,
+  analyzing: 85,
+  done: 100,
+  failed: 100
+};
+
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000;
+const JOB_ABANDON_MS = Number(process.env.JOB_ABANDON_MS) || 60 * 1000;
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+function snapshot(job) {
+  return {
+    id: job.id,
+    userId: job.meta.userId || null,
+    stage: job.stage,
+    progress: job.progress,
+    message: job.message,
+    queuePosition: job.queuePosition,
+    history: job.history,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    result: job.result,
+    error: job.error,
+    cancelled: job.cancelled
+  };
+}
+
+function isFinished(job) {
+  return job.stage === 'done' || job.stage === 'failed';
+}
+
+function emit(job) {
+  job.updatedAt = new Date().toISOString();
+  events.emit(job.id, snapshot(job));
+  if (isFinished(job)) {
+    clearTimeout(job.abandonTimer);
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  }
+}
+
+function createJob(meta = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    stage: 'uploaded',
+    progress: STAGE_PROGRESS.uploaded,
+    message: 'Upload received',
+    queuePosition: null,
+    history: [{ stage: 'uploaded', at: now }],
+    createdAt: now,
+    updatedAt: now,
+    result: null,
+    error: null,
+    cancelled: false,
+    meta,
+    controller: new AbortController(),
+    watchers: 0,
+    abandonTimer: null
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+// `fraction` (0..1) places the job part-way between this stage and the next
+function updateJob(id, stage, message, fraction = 0) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return;
+  if (!STAGES.includes(stage)) throw new Error(`Unknown job stage: ${stage}`);
+  if (job.stage !== stage) job.history.push({ stage, at: new Date().toISOString() });
+  const next = STAGE_PROGRESS[STAGES[STAGES.indexOf(stage) + 1]] || STAGE_PROGRESS[stage];
+  job.stage = stage;
+  job.progress = Math.round(STAGE_PROGRESS[stage] + Math.min(1, Math.max(0, fraction)) * (next - STAGE_PROGRESS[stage]));
+  job.message = message || job.message;
+  job.queuePosition = null;
+  emit(job);
+}
+
+// Place in the transcription queue (1 = next), reported while a job waits for a worker
+function setQueuePosition(id, position, message) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return;
+  job.queuePosition = position;
+  job.message = message || job.message;
+  emit(job);
+}
+
+function completeJob(id, result) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return;
+  job.history.push({ stage: 'done', at: new Date().toISOString() });
+  job.stage = 'done';
+  job.progress = STAGE_PROGRESS.done;
+  job.message = 'Analysis complete';
+  job.result = result;
+  emit(job);
+}
+
+function failJob(id, error) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return;
+  job.history.push({ stage: 'failed', at: new Date().toISOString() });
+  job.stage = 'failed';
+  job.progress = STAGE_PROGRESS.failed;
+  job.message = job.cancelled ? 'Analysis cancelled' : 'Analysis failed';
+  job.queuePosition = null;
+  job.error = error && error.message ? error.message : String(error);
+  emit(job);
+}
+
+// Fails the job as cancelled and aborts its signal; false when it had already finished
+function cancelJob(id, reason = 'Cancelled') {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return false;
+  job.cancelled = true;
+  failJob(id, reason);
+  job.controller.abort();
+  return true;
+}
+
+// Aborted when the job is cancelled; the pipeline passes it to long-running steps
+function signalFor(id) {
+  const job = jobs.get(id);
+  return job ? job.controller.signal : AbortSignal.abort();
+}
+
+function startAbandonTimer(job) {
+  clearTimeout(job.abandonTimer);
+  job.abandonTimer = setTimeout(() => {
+    console.log('🛑 Cancelling abandoned job:', job.id);
+    cancelJob(job.id, 'Cancelled: the client disconnected');
+  }, JOB_ABANDON_MS);
+  job.abandonTimer.unref();
+}
+
+// An event stream is watching the job; returns the function to call when it closes
+function watch(id) {
+  const job = jobs.get(id);
+  if (!job) return () => {};
+  job.watchers += 1;
+  clearTimeout(job.abandonTimer);
+  let done = false;
+  return () => {
+    if (done) return;
+    done = true;
+    job.watchers -= 1;
+    if (job.watchers === 0 && !isFinished(job)) startAbandonTimer(job);
+  };
+}
+
+// A status poll: keeps an unwatched job alive for another JOB_ABANDON_MS
+function touch(id) {
+  const job = jobs.get(id);
+  if (job && job.abandonTimer && job.watchers === 0 && !isFinished(job)) startAbandonTimer(job);
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? snapshot(job) : null;
+}
+
+// Returns an unsubscribe function.
+function subscribe(id, listener) {
+  events.on(id, listener);
+  return () => events.removeListener(id, listener);
+}
+
+module.exports = {
+  STAGES,
+  createJob,
+  updateJob,
+  setQueuePosition,
+  completeJob,
+  failJob,
+  cancelJob,
+  signalFor,
+  getJob,
+  subscribe,
+  watch,
+  touch,
+  isFinished
+};
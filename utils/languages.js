@@ -0,0 +1,263 @@
+/**
+ * Interview languages (data/languages/*.json).
+ *
+ * A language file holds what the analyzers need to work in that language:
+ * filler, hedge and discourse-marker lexicons, the words that count as
+ * confident language, numbers-with-units and questions, STAR cue phrases,
+ * stopwords for detection and a message catalog for every mistake, tip and
+ * summary the analyzers write. English is the base language: the scoring
+ * profiles' vocabularies and the STAR and follow-up rules in code are
+ * written for it, and its catalog defines the keys every other language
+ * must translate. Files are validated when first loaded and the server
+ * refuses to start on an invalid one.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const LANGUAGE_DIR = process.env.LANGUAGE_DIR || path.join(__dirname, '..', 'data', 'languages');
+const BASE_LANGUAGE = 'en';
+// Requested instead of a code: detect the language from the speech or text
+const AUTO = 'auto';
+const LEXICON_LISTS = ['fillerSounds', 'hedges', 'discourseMarkers', 'metricUnits', 'questionWords'];
+const STAR_LISTS = ['behavioralQuestion', 'narrative', 'situation', 'task', 'action', 'result'];
+// Detection needs at least this many stopwords, or this share of Devanagari letters for Hindi
+const MIN_STOPWORD_HITS = 2;
+const DEVANAGARI_SHARE = 0.3;
+
+let languages = null;
+const pluralRules = new Map();
+
+class LanguageError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'LanguageError';
+    this.errors = errors;
+  }
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+const isPlural = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) && typeof value.other === 'string';
+
+// Lowercased, composed form used for every comparison (accents and matras typed either way match)
+function fold(text) {
+  return String(text || '').normalize('NFC').toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * One regular expression matching any of `phrases` as whole words in
+ * folded text. Word edges are Unicode-aware, so "más" and "मैंने" match
+ * where \b would not.
+ */
+function phrasePattern(phrases, flags = 'u') {
+  const alternatives = [...phrases].map(fold).sort((a, b) => b.length - a.length).map(p => escapeRegExp(p).replace(/\s+/g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{M}\\p{N}_])`, flags);
+}
+
+function placeholders(text) {
+  return new Set((String(text).match(/\{(\w+)\}/g) || []).map(p => p.slice(1, -1)));
+}
+
+// A message's shape and all of its text: a string, a list of strings or plural forms
+function messageShape(value) {
+  if (typeof value === 'string') return { kind: 'a string', text: value };
+  if (isStringList(value)) return { kind: 'an array of strings', text: value.join(' ') };
+  if (isPlural(value)) return { kind: 'an object with "one" and "other"', text: Object.values(value).join(' ') };
+  return null;
+}
+
+// Catalog problems: every base key present with the same shape, and no placeholder the base does not have
+function catalogErrors(base, messages, at) {
+  const errors = [];
+  Object.entries(base).forEach(([key, expected]) => {
+    const where = `${at}.${key}`;
+    const value = messages && typeof messages === 'object' ? messages[key] : undefined;
+    if (value === undefined) return errors.push(`${where}: missing`);
+    const source = messageShape(expected);
+    if (!source) return errors.push(...catalogErrors(expected, value, where));
+
+    const translated = messageShape(value);
+    if (!translated || translated.kind !== source.kind) return errors.push(`${where}: must be ${source.kind}`);
+    const known = placeholders(source.text);
+    placeholders(translated.text).forEach(name => {
+      if (!known.has(name)) errors.push(`${where}: unknown placeholder {${name}}`);
+    });
+  });
+  return errors;
+}
+
+function validateLanguage(language, file, base) {
+  const errors = [];
+  const where = (message) => errors.push(`${file}: ${message}`);
+
+  if (language.code !== path.basename(file, '.json')) where('"code" must match the file name');
+  ['name', 'nativeName'].forEach(key => {
+    if (typeof language[key] !== 'string' || !language[key]) where(`"${key}" must be a non-empty string`);
+  });
+  if (!isStringList(language.stopwords) || language.stopwords.length === 0) where('"stopwords" must be a non-empty array of strings');
+
+  const lexicon = language.lexicon || {};
+  LEXICON_LISTS.forEach(name => {
+    if (!isStringList(lexicon[name])) where(`"lexicon.${name}" must be an array of strings`);
+  });
+  if (lexicon.allowedDoubles !== undefined && !isStringList(lexicon.allowedDoubles)) where('"lexicon.allowedDoubles" must be an array of strings');
+  const pronouns = lexicon.pronouns || {};
+  if (!isStringList(pronouns.singular) || !isStringList(pronouns.plural)) where('"lexicon.pronouns" needs "singular" and "plural" arrays of strings');
+
+  // The base language's confidence words and STAR cues live in the scoring profiles and star.js
+  if (language.code !== BASE_LANGUAGE) {
+    if (!isStringList(lexicon.confidence) || lexicon.confidence.length === 0) where('"lexicon.confidence" must be a non-empty array of strings');
+    STAR_LISTS.forEach(name => {
+      if (!isStringList((language.star || {})[name]) || language.star[name].length === 0) where(`"star.${name}" must be a non-empty array of strings`);
+    });
+  }
+
+  if (!language.messages || typeof language.messages !== 'object') {
+    where('"messages" must be an object');
+  } else if (base && language !== base) {
+    catalogErrors(base.messages, language.messages, 'messages').forEach(where);
+  }
+  return errors;
+}
+
+// Reads and validates every language in `dir`; throws LanguageError
+function loadLanguages(dir = LANGUAGE_DIR) {
+  const loaded = {};
+  const errors = [];
+  fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+    try {
+      const language = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      loaded[language.code] = { language, file };
+    } catch (e) {
+      errors.push(`${file}: ${e.message}`);
+    }
+  });
+
+  const base = loaded[BASE_LANGUAGE] ? loaded[BASE_LANGUAGE].language : null;
+  if (!base) errors.push(`A "${BASE_LANGUAGE}" language is required`);
+  Object.values(loaded).forEach(({ language, file }) => errors.push(...validateLanguage(language, file, base)));
+  if (errors.length > 0) throw new LanguageError(`Invalid languages in ${dir}`, errors);
+
+  languages = Object.fromEntries(Object.values(loaded).map(({ language }) => [language.code, language]));
+  return languages;
+}
+
+function allLanguages() {
+  return languages || loadLanguages();
+}
+
+function listLanguages() {
+  return Object.values(allLanguages()).map(({ code, name, nativeName }) => ({ code, name, nativeName }));
+}
+
+// "en_us", "es-MX" -> "en", "es"
+function normalizeCode(code) {
+  return fold(code).trim().split(/[-_]/)[0];
+}
+
+function isSupported(code) {
+  return Boolean(code) && Boolean(allLanguages()[normalizeCode(code)]);
+}
+
+// The language for `code`; the base language when it is missing or unsupported
+function getLanguage(code) {
+  const all = allLanguages();
+  return all[normalizeCode(code)] || all[BASE_LANGUAGE];
+}
+
+/**
+ * A request's `language` field: a supported code, AUTO, or null when it
+ * was not given. Anything else throws a LanguageError naming the choices.
+ */
+function parseLanguage(value) {
+  const code = typeof value === 'string' ? normalizeCode(value) : '';
+  if (!code) return null;
+  if (code === AUTO || isSupported(code)) return code;
+  throw new LanguageError(`Unsupported language "${value}" (use ${[...Object.keys(allLanguages()), AUTO].join(', ')})`);
+}
+
+/**
+ * Guesses the language of `text`: Hindi from its script, otherwise the
+ * language with the most stopwords. Returns null when there is too little
+ * evidence.
+ */
+function detectLanguage(text) {
+  const letters = fold(text).match(/\p{L}/gu) || [];
+  if (letters.length === 0) return null;
+  const devanagari = letters.filter(c => /[ऀ-ॿ]/.test(c)).length;
+  if (devanagari / letters.length >= DEVANAGARI_SHARE && isSupported('hi')) return 'hi';
+
+  const words = fold(text).split(/[^\p{L}\p{M}\p{N}']+/u).filter(Boolean);
+  const scores = Object.values(allLanguages()).map(language => {
+    const stopwords = new Set(language.stopwords.map(fold));
+    return { code: language.code, hits: words.filter(word => stopwords.has(word)).length };
+  }).sort((a, b) => b.hits - a.hits);
+  return scores[0].hits >= MIN_STOPWORD_HITS && scores[0].hits > (scores[1] ? scores[1].hits : 0) ? scores[0].code : null;
+}
+
+/**
+ * The language an analysis is written in: the requested code, otherwise
+ * (AUTO or not given) the language the transcription provider reported,
+ * otherwise the one detected from the text, otherwise the base language.
+ */
+function resolveLanguage(requested, transcript = {}) {
+  if (requested && requested !== AUTO && isSupported(requested)) return normalizeCode(requested);
+  if (isSupported(transcript.language)) return normalizeCode(transcript.language);
+  return detectLanguage(transcript.text) || BASE_LANGUAGE;
+}
+
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+}
+
+function pluralForm(code, count) {
+  if (!pluralRules.has(code)) pluralRules.set(code, new Intl.PluralRules(code));
+  return pluralRules.get(code).select(count);
+}
+
+function format(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * The catalog message `key` ("star.missing") in language `code` with
+ * `params` filled in, falling back to the base language. Plural messages
+ * pick their form from `params.count`; list messages come back as arrays.
+ */
+function t(code, key, params = {}) {
+  const language = getLanguage(code);
+  let message = lookup(language.messages, key);
+  if (message === undefined) message = lookup(getLanguage(BASE_LANGUAGE).messages, key);
+  if (message === undefined) throw new LanguageError(`Unknown message "${key}"`);
+  if (Array.isArray(message)) return message.map(line => format(line, params));
+  if (isPlural(message)) {
+    const form = pluralForm(language.code, Number(params.count) || 0);
+    return format(message[form] || message.other, params);
+  }
+  return format(message, params);
+}
+
+// "A, B and C" in the language's own words
+function formatList(code, items) {
+  return new Intl.ListFormat(getLanguage(code).code, { type: 'conjunction' }).format(items.map(String));
+}
+
+module.exports = {
+  BASE_LANGUAGE,
+  AUTO,
+  LanguageError,
+  loadLanguages,
+  listLanguages,
+  getLanguage,
+  isSupported,
+  parseLanguage,
+  detectLanguage,
+  resolveLanguage,
+  fold,
+  phrasePattern,
+  t,
+  formatList
+};
@@ -0,0 +1,348 @@
+/**
+ * Media pipeline: probe an upload with ffprobe (duration, codecs, whether
+ * it has audio), decode its audio track to 16 kHz mono 16-bit WAV with
+ * ffmpeg, and prepare that WAV for transcription: leading and trailing
+ * silence trimmed and loudness normalized. Gain and trimming happen here on
+ * the decoded samples, so the trim offset is exact and the untouched WAV is
+ * still there for delivery metrics.
+ */
+const fs = require('fs');
+const { spawn, spawnSync } = require('child_process');
+
+const FFMPEG = process.env.FFMPEG_BIN || 'ffmpeg';
+const FFPROBE = process.env.FFPROBE_BIN || 'ffprobe';
+const TIMEOUT_MS = Number(process.env.FFMPEG_TIMEOUT_MS) || 2 * 60 * 1000;
+const SAMPLE_RATE = 16000;
+const FULL_SCALE = 32768;
+
+// Frames quieter than this count as silence when trimming
+const SILENCE_DB = Number(process.env.SILENCE_THRESHOLD_DB) || -45;
+const TRIM_FRAME_SECONDS = 0.02;
+// Silence kept before the first and after the last sound, so words are not clipped
+const TRIM_PADDING_SECONDS = 0.25;
+// Loudness target (RMS of the sounding frames) and the peak the gain may not push past
+const TARGET_RMS_DB = -20;
+const PEAK_LIMIT_DB = -1;
+const MAX_GAIN_DB = 30;
+
+const availability = {};
+
+class MediaError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MediaError';
+    this.code = code;
+  }
+}
+
+function checkBinary(bin) {
+  if (!(bin in availability)) {
+    const result = spawnSync(bin, ['-version'], { stdio: 'ignore', timeout: 5000 });
+    availability[bin] = !result.error && result.status === 0;
+  }
+  return availability[bin];
+}
+
+// Whether ffmpeg / ffprobe can be started (checked once)
+function isAvailable() {
+  return checkBinary(FFMPEG);
+}
+
+function isProbeAvailable() {
+  return checkBinary(FFPROBE);
+}
+
+// Runs ffmpeg or ffprobe (`name` picks the error codes); resolves with stdout
+function run(bin, args, name = 'ffmpeg') {
+  const code = name.toUpperCase();
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (err) reject(err); else resolve(stdout);
+    };
+
+    const timer = setTimeout(() => {
+      child.kill();
+      finish(new MediaError(`${code}_TIMEOUT`, `${name} timeout (${Math.round(TIMEOUT_MS / 1000)}s)`));
+    }, TIMEOUT_MS);
+
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.on('error', (error) => {
+      finish(error.code === 'ENOENT' ?
+        new MediaError(`${code}_NOT_FOUND`, `${name} not found (set ${code}_BIN): ${error.message}`) :
+        new MediaError(`${code}_FAILED`, `Failed to start ${name}: ${error.message}`));
+    });
+    child.on('close', (exitCode) => {
+      if (exitCode !== 0) return finish(new MediaError(`${code}_FAILED`, `${name} failed: ${stderr.trim().split('\n').pop() || `exit code ${exitCode}`}`));
+      finish();
+    });
+  });
+}
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "30000/1001" -> 29.97
+function frameRate(value) {
+  const [num, den] = String(value || '').split('/').map(Number);
+  return num > 0 && den > 0 ? Math.round(num / den * 100) / 100 : null;
+}
+
+/**
+ * Container and stream metadata from ffprobe: { duration, container, size,
+ * bitRate, hasAudio, hasVideo, audio: { codec, sampleRate, channels },
+ * video: { codec, width, height, fps } } (audio/video null when absent).
+ * Rejects with INVALID_MEDIA when ffprobe cannot read the file.
+ */
+async function probe(inputPath) {
+  let output;
+  try {
+    output = await run(FFPROBE, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', inputPath], 'ffprobe');
+  } catch (error) {
+    if (error.code !== 'FFPROBE_FAILED') throw error;
+    throw new MediaError('INVALID_MEDIA', `Could not read the media file: ${error.message}`);
+  }
+
+  let info;
+  try {
+    info = JSON.parse(output);
+  } catch (e) {
+    throw new MediaError('INVALID_MEDIA', `ffprobe returned unreadable output: ${e.message}`);
+  }
+  const streams = info.streams || [];
+  const format = info.format || {};
+  const audio = streams.find(st => st.codec_type === 'audio');
+  const video = streams.find(st => st.codec_type === 'video' && !(st.disposition && st.disposition.attached_pic));
+  const durations = [format.duration, audio && audio.duration, video && video.duration].map(toNumber).filter(d => d > 0);
+
+  return {
+    duration: durations.length > 0 ? durations[0] : null,
+    container: format.format_name || null,
+    size: toNumber(format.size),
+    bitRate: toNumber(format.bit_rate),
+    hasAudio: !!audio,
+    hasVideo: !!video,
+    audio: audio ? { codec: audio.codec_name, sampleRate: toNumber(audio.sample_rate), channels: toNumber(audio.channels) } : null,
+    video: video ? { codec: video.codec_name, width: toNumber(video.width), height: toNumber(video.height), fps: frameRate(video.avg_frame_rate) } : null
+  };
+}
+
+// Rejects uploads without an audio track before any decoding or transcription
+function assertHasAudio(metadata) {
+  if (!metadata.hasAudio) {
+    throw new MediaError('NO_AUDIO_TRACK', 'The file has no audio track - record with your microphone enabled and try again');
+  }
+  return metadata;
+}
+
+// Writes `<input>.wav` (16 kHz mono PCM) and resolves with its path
+async function extractAudio(inputPath) {
+  const outputPath = `${inputPath}.wav`;
+  await run(FFMPEG, ['-hide_banner', '-loglevel', 'error', '-y', '-i', inputPath,
+    '-vn', '-ac', '1', '-ar', String(SAMPLE_RATE), '-c:a', 'pcm_s16le', outputPath]);
+  return outputPath;
+}
+
+/**
+ * Parses a 16-bit PCM WAV file. Returns { sampleRate, duration, samples }
+ * where samples is an Int16Array (mono; multi-channel audio is averaged).
+ */
+function readWav(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new MediaError('INVALID_WAV', 'Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!format) throw new MediaError('INVALID_WAV', 'WAV data chunk before fmt chunk');
+      if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new MediaError('INVALID_WAV', 'Only 16-bit PCM WAV is supported');
+      }
+      // ffmpeg writes 0xFFFFFFFF as the size when streaming; use what is there
+      const end = Math.min(buffer.length, body + size);
+      const frames = Math.floor((end - body) / (2 * format.channels));
+      const samples = new Int16Array(frames);
+      for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < format.channels; c++) sum += buffer.readInt16LE(body + (i * format.channels + c) * 2);
+        samples[i] = Math.round(sum / format.channels);
+      }
+      return { sampleRate: format.sampleRate, duration: frames / format.sampleRate, samples };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new MediaError('INVALID_WAV', 'WAV file has no data chunk');
+}
+
+// Writes mono 16-bit PCM samples as a WAV file
+function writeWav(filePath, { sampleRate, samples }) {
+  const header = Buffer.alloc(44);
+  const dataSize = samples.length * 2;
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  fs.writeFileSync(filePath, Buffer.concat([header, Buffer.from(samples.buffer, samples.byteOffset, dataSize)]));
+}
+
+function toDb(amplitude) {
+  return amplitude > 0 ? 20 * Math.log10(amplitude / FULL_SCALE) : -Infinity;
+}
+
+// RMS level (dBFS) of each TRIM_FRAME_SECONDS frame
+function frameLevels(samples, sampleRate) {
+  const size = Math.max(1, Math.round(sampleRate * TRIM_FRAME_SECONDS));
+  const levels = [];
+  for (let start = 0; start < samples.length; start += size) {
+    const end = Math.min(samples.length, start + size);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    levels.push(toDb(Math.sqrt(sum / (end - start))));
+  }
+  return { size, levels };
+}
+
+/**
+ * Where the sound starts and ends, in seconds, padded by
+ * TRIM_PADDING_SECONDS. A recording that is silent throughout is kept whole
+ * (`silent: true`).
+ */
+function findSoundBounds({ samples, sampleRate }) {
+  const duration = samples.length / sampleRate;
+  const { size, levels } = frameLevels(samples, sampleRate);
+  const first = levels.findIndex(db => db > SILENCE_DB);
+  if (first === -1) return { start: 0, end: duration, silent: true };
+
+  let last = levels.length - 1;
+  while (levels[last] <= SILENCE_DB) last--;
+  return {
+    start: Math.max(0, first * size / sampleRate - TRIM_PADDING_SECONDS),
+    end: Math.min(duration, (last + 1) * size / sampleRate + TRIM_PADDING_SECONDS),
+    silent: false
+  };
+}
+
+/**
+ * One gain for the whole recording that brings the sounding frames to
+ * TARGET_RMS_DB without pushing the peak past PEAK_LIMIT_DB. A single gain
+ * keeps the speaker's own loudness changes intact.
+ */
+function normalizeLoudness(samples, sampleRate) {
+  const { size, levels } = frameLevels(samples, sampleRate);
+  let energy = 0;
+  let count = 0;
+  levels.forEach((db, f) => {
+    if (db <= SILENCE_DB) return;
+    for (let i = f * size; i < Math.min(samples.length, (f + 1) * size); i++) energy += samples[i] * samples[i];
+    count += Math.min(size, samples.length - f * size);
+  });
+  if (count === 0) return { samples, gainDb: 0 };
+
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+  const gainDb = Math.min(MAX_GAIN_DB, TARGET_RMS_DB - toDb(Math.sqrt(energy / count)), PEAK_LIMIT_DB - toDb(peak));
+  const gain = Math.pow(10, gainDb / 20);
+
+  const output = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    output[i] = Math.max(-FULL_SCALE, Math.min(FULL_SCALE - 1, Math.round(samples[i] * gain)));
+  }
+  return { samples: output, gainDb: Math.round(gainDb * 10) / 10 };
+}
+
+/**
+ * Decodes the audio and writes the transcription copy `<input>.speech.wav`:
+ * leading/trailing silence trimmed, loudness normalized. Resolves with
+ * { rawPath, path, trim: { start, end, leading, trailing }, gainDb, duration,
+ * silent }.
+ * `rawPath` is the untouched decode; times in a transcript of `path` are
+ * `trim.start` seconds earlier than in the original file.
+ */
+async function prepareAudio(inputPath) {
+  const rawPath = await extractAudio(inputPath);
+  const decoded = readWav(rawPath);
+  const bounds = findSoundBounds(decoded);
+  const from = Math.round(bounds.start * decoded.sampleRate);
+  const to = Math.round(bounds.end * decoded.sampleRate);
+  const { samples, gainDb } = normalizeLoudness(decoded.samples.subarray(from, to), decoded.sampleRate);
+
+  const path = `${inputPath}.speech.wav`;
+  writeWav(path, { sampleRate: decoded.sampleRate, samples });
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    rawPath,
+    path,
+    trim: {
+      start: round(bounds.start),
+      end: round(bounds.end),
+      leading: round(bounds.start),
+      trailing: round(decoded.duration - bounds.end)
+    },
+    gainDb,
+    duration: round(decoded.duration),
+    silent: bounds.silent
+  };
+}
+
+/**
+ * Places decoded clips ({ sampleRate, samples, offset }) on one timeline,
+ * each starting `offset` seconds in, with silence where nothing was
+ * recorded. All clips must share a sample rate (extractAudio's output does).
+ */
+function concatWavs(parts) {
+  const sampleRate = parts.length > 0 ? parts[0].sampleRate : SAMPLE_RATE;
+  if (parts.some(p => p.sampleRate !== sampleRate)) throw new MediaError('INVALID_WAV', 'Clips have different sample rates');
+
+  const placed = parts.map(p => ({ start: Math.round((p.offset || 0) * sampleRate), samples: p.samples }));
+  const length = placed.reduce((acc, p) => Math.max(acc, p.start + p.samples.length), 0);
+  const samples = new Int16Array(length);
+  placed.forEach(p => samples.set(p.samples, p.start));
+  return { sampleRate, duration: length / sampleRate, samples };
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  MediaError,
+  isAvailable,
+  isProbeAvailable,
+  probe,
+  assertHasAudio,
+  extractAudio,
+  readWav,
+  writeWav,
+  prepareAudio,
+  concatWavs
+};
@@ -0,0 +1,41 @@
+/**
+ * Candidate profiles, kept in the embedded `profiles` collection: one per
+ * user, holding the resume text they uploaded and what parseResume made of
+ * it. Uploading a new resume replaces the old one.
+ */
+const db = require('./db');
+const resume = require('./resume');
+
+function profiles() {
+  return db.collection('profiles');
+}
+
+function getProfile(userId) {
+  return profiles().findOne(p => p.userId === userId);
+}
+
+// Parses `text` first, so a resume that cannot be parsed leaves the stored one in place (throws a ResumeError)
+function saveResume(userId, { text, filename, format }) {
+  const parsed = resume.parseResume(text);
+  const now = new Date().toISOString();
+  const details = {
+    resume: { filename: filename || null, format: format || 'text', characters: text.length, uploadedAt: now },
+    text,
+    profile: parsed,
+    updatedAt: now
+  };
+  const existing = getProfile(userId);
+  if (existing) return profiles().update(existing.id, details);
+  return profiles().insert({ userId, ...details, createdAt: now });
+}
+
+function deleteProfile(userId) {
+  return profiles().removeWhere(p => p.userId === userId) > 0;
+}
+
+// What the client is shown: the parsed profile and the file it came from, not the stored text
+function summary(stored) {
+  return { resume: stored.resume, profile: stored.profile, updatedAt: stored.updatedAt };
+}
+
+module.exports = { getProfile, saveResume, deleteProfile, summary };
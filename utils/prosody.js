@@ -0,0 +1,341 @@
+/**
+ * Delivery metrics from the decoded audio track (16-bit PCM, mono).
+ *
+ * Everything runs on the samples in plain JavaScript: a frame-energy voice
+ * activity detector finds speech and pauses, 500 ms loudness blocks give
+ * volume consistency, autocorrelation on voiced frames gives pitch, and the
+ * transcript's word times give speaking rate over time. The result is what
+ * the app shows as `analysis.videoMetrics`.
+ */
+const { formatTimestamp } = require('./timeline');
+const { t } = require('./languages');
+
+const FRAME_SECONDS = 0.02;
+const BLOCK_SECONDS = 0.5;
+const WPM_WINDOW_SECONDS = 20;
+// Silences shorter than this are part of normal articulation, not pauses
+const MIN_PAUSE_SECONDS = 0.3;
+const LONG_SILENCE_SECONDS = 3;
+const PAUSE_BUCKETS = [
+  { label: '0.3-0.5s', max: 0.5 },
+  { label: '0.5-1s', max: 1 },
+  { label: '1-2s', max: 2 },
+  { label: '2-3s', max: 3 },
+  { label: '3s+', max: Infinity }
+];
+const PACE = { slow: 110, fast: 170 };
+// Pitch search range (covers low male to high female voices)
+const PITCH_MIN_HZ = 75;
+const PITCH_MAX_HZ = 400;
+const PITCH_RATE = 8000;
+const PITCH_HOP_SECONDS = 0.05;
+const MIN_VOICING = 0.5;
+// Share of the best correlation a shorter lag needs to count as the period
+const PEAK_TOLERANCE = 0.9;
+const MONOTONE_SEMITONES = 2;
+const MIN_PITCHED_FRAMES = 20;
+const CLIP_LEVEL = 32700;
+const CLIP_RATIO = 0.001;
+const SILENCE_DB = -100;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((acc, v) => acc + v, 0) / values.length;
+  return Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / values.length);
+}
+
+// RMS level of each 20 ms frame in dBFS
+function frameLevels(samples, frameSize) {
+  const count = Math.floor(samples.length / frameSize);
+  const levels = new Float64Array(count);
+  for (let f = 0; f < count; f++) {
+    let sum = 0;
+    for (let i = f * frameSize; i < (f + 1) * frameSize; i++) sum += samples[i] * samples[i];
+    const rms = Math.sqrt(sum / frameSize) / 32768;
+    levels[f] = rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms)) : SILENCE_DB;
+  }
+  return levels;
+}
+
+/**
+ * Marks frames as speech when they are well above the noise floor and within
+ * reach of the loudest speech, so both quiet rooms and noisy ones work.
+ */
+function detectVoice(levels) {
+  const floor = percentile(levels, 0.1);
+  const peak = percentile(levels, 0.99);
+  const threshold = Math.max(floor + 12, peak - 35);
+  return { floor, peak, threshold, voiced: Array.from(levels, level => level > threshold) };
+}
+
+// Silent runs between the first and last voiced frame
+function findPauses(voiced) {
+  const first = voiced.indexOf(true);
+  const last = voiced.lastIndexOf(true);
+  const pauses = [];
+  if (first === -1) return pauses;
+
+  let start = null;
+  for (let f = first; f <= last; f++) {
+    if (!voiced[f] && start === null) start = f;
+    if (voiced[f] && start !== null) {
+      const seconds = (f - start) * FRAME_SECONDS;
+      if (seconds >= MIN_PAUSE_SECONDS) pauses.push({ start: start * FRAME_SECONDS, end: f * FRAME_SECONDS, duration: seconds });
+      start = null;
+    }
+  }
+  return pauses;
+}
+
+function pauseMetrics(pauses) {
+  const durations = pauses.map(p => p.duration);
+  const distribution = PAUSE_BUCKETS.map((bucket, i) => ({
+    label: bucket.label,
+    count: durations.filter(d => d < bucket.max && (i === 0 || d >= PAUSE_BUCKETS[i - 1].max)).length
+  }));
+  const longSilences = pauses.filter(p => p.duration >= LONG_SILENCE_SECONDS).map(p => ({
+    start: round(p.start, 2),
+    end: round(p.end, 2),
+    duration: round(p.duration),
+    timestamp: formatTimestamp(p.start)
+  }));
+  return {
+    count: pauses.length,
+    totalSeconds: round(durations.reduce((acc, d) => acc + d, 0)),
+    averageSeconds: durations.length > 0 ? round(durations.reduce((acc, d) => acc + d, 0) / durations.length, 2) : 0,
+    longestSeconds: durations.length > 0 ? round(Math.max(...durations)) : 0,
+    distribution,
+    longSilences
+  };
+}
+
+// Standard deviation of the loudness of 500 ms blocks that are mostly speech
+function volumeMetrics(levels, voiced) {
+  const perBlock = Math.round(BLOCK_SECONDS / FRAME_SECONDS);
+  const blocks = [];
+  for (let b = 0; b + perBlock <= levels.length; b += perBlock) {
+    const speech = [];
+    for (let f = b; f < b + perBlock; f++) if (voiced[f]) speech.push(levels[f]);
+    if (speech.length >= perBlock / 2) blocks.push(speech.reduce((acc, v) => acc + v, 0) / speech.length);
+  }
+  if (blocks.length < 2) return null;
+
+  const deviation = stdDev(blocks);
+  return {
+    averageDb: round(blocks.reduce((acc, v) => acc + v, 0) / blocks.length),
+    deviationDb: round(deviation),
+    consistency: Math.round(clamp(100 - deviation * 8, 0, 100)),
+    rating: deviation <= 4 ? 'steady' : deviation <= 8 ? 'variable' : 'inconsistent'
+  };
+}
+
+// 2:1 decimation with a two-tap average is enough low-pass for pitch tracking
+function decimate(samples, factor) {
+  const out = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (let k = 0; k < factor; k++) sum += samples[i * factor + k];
+    out[i] = sum / factor;
+  }
+  return out;
+}
+
+// Normalized autocorrelation pitch of one window; null when unvoiced. A periodic
+// signal correlates almost as well at two or three periods as at one, so the
+// shortest lag that peaks within PEAK_TOLERANCE of the best is the period
+// (taking the best one outright reports half or a third of the pitch)
+function windowPitch(x, start, size, minLag, maxLag, rate) {
+  const r = new Float64Array(maxLag + 2);
+  let best = 0;
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    let cross = 0;
+    let energyA = 0;
+    let energyB = 0;
+    for (let i = start; i < start + size; i++) {
+      const a = x[i];
+      const b = x[i + lag];
+      cross += a * b;
+      energyA += a * a;
+      energyB += b * b;
+    }
+    r[lag] = energyA > 0 && energyB > 0 ? cross / Math.sqrt(energyA * energyB) : 0;
+    if (lag <= maxLag && r[lag] > best) best = r[lag];
+  }
+  if (best < MIN_VOICING) return null;
+
+  for (let lag = minLag + 1; lag <= maxLag; lag++) {
+    if (r[lag] < best * PEAK_TOLERANCE || r[lag] < r[lag - 1] || r[lag] < r[lag + 1]) continue;
+    // Parabolic interpolation between the neighbouring lags for a sub-sample period
+    const curve = r[lag - 1] - 2 * r[lag] + r[lag + 1];
+    const shift = curve < 0 ? clamp(0.5 * (r[lag - 1] - r[lag + 1]) / curve, -0.5, 0.5) : 0;
+    return rate / (lag + shift);
+  }
+  return null;
+}
+
+function pitchMetrics(samples, sampleRate, voiced) {
+  const factor = Math.max(1, Math.round(sampleRate / PITCH_RATE));
+  const x = decimate(samples, factor);
+  const rate = sampleRate / factor;
+  const minLag = Math.floor(rate / PITCH_MAX_HZ);
+  const maxLag = Math.ceil(rate / PITCH_MIN_HZ);
+  const size = maxLag * 2;
+  const hop = Math.round(PITCH_HOP_SECONDS * rate);
+
+  const pitches = [];
+  for (let start = 0; start + size + maxLag < x.length; start += hop) {
+    const frame = Math.floor((start + size / 2) / rate / FRAME_SECONDS);
+    if (!voiced[frame]) continue;
+    const pitch = windowPitch(x, start, size, minLag, maxLag, rate);
+    if (pitch) pitches.push(pitch);
+  }
+  if (pitches.length < MIN_PITCHED_FRAMES) return null;
+
+  const median = percentile(pitches, 0.5);
+  const semitones = pitches.map(p => 12 * Math.log2(p / median));
+  const variation = stdDev(semitones);
+  return {
+    medianHz: Math.round(median),
+    rangeHz: [Math.round(percentile(pitches, 0.05)), Math.round(percentile(pitches, 0.95))],
+    variationSemitones: round(variation),
+    monotone: variation < MONOTONE_SEMITONES
+  };
+}
+
+function clippingMetrics(samples) {
+  let clipped = 0;
+  for (let i = 0; i < samples.length; i++) if (Math.abs(samples[i]) >= CLIP_LEVEL) clipped++;
+  const ratio = samples.length > 0 ? clipped / samples.length : 0;
+  return { samples: clipped, percent: round(ratio * 100, 2), clipped: ratio > CLIP_RATIO };
+}
+
+function paceOf(wpm) {
+  if (wpm === null) return null;
+  return wpm < PACE.slow ? 'slow' : wpm > PACE.fast ? 'fast' : 'good';
+}
+
+// Words per minute overall and per 20 s window, from transcript word times
+function rateMetrics(words, duration) {
+  const timed = (words || []).filter(w => typeof w.start === 'number');
+  if (timed.length === 0) return { speechRate: null, pace: null, timeline: [] };
+
+  const span = Math.max(1, timed[timed.length - 1].end - timed[0].start);
+  const speechRate = Math.round(timed.length / (span / 60));
+  const end = Math.max(duration, timed[timed.length - 1].end);
+
+  const timeline = [];
+  for (let start = 0; start < end; start += WPM_WINDOW_SECONDS) {
+    // Fold a short tail into the previous window instead of reporting a noisy rate
+    const windowEnd = end - (start + WPM_WINDOW_SECONDS) < WPM_WINDOW_SECONDS / 4 ? end : start + WPM_WINDOW_SECONDS;
+    const count = timed.filter(w => w.start >= start && w.start < windowEnd).length;
+    const wpm = Math.round(count / ((windowEnd - start) / 60));
+    timeline.push({ start, end: round(windowEnd, 2), timestamp: formatTimestamp(start), words: count, wpm, pace: paceOf(wpm) });
+    if (windowEnd === end) break;
+  }
+  return { speechRate, pace: paceOf(speechRate), timeline };
+}
+
+/**
+ * Analyzes decoded audio. `words` are the transcript's timed words (may be
+ * empty). Returns the videoMetrics object: speechRate, pace, wpmTimeline,
+ * pauses, volume, pitch, clipping and the derived clarity/confidence
+ * percentages. `volume` and `pitch` are null when there is too little speech.
+ */
+function analyzeProsody({ samples, sampleRate }, words = []) {
+  const duration = samples.length / sampleRate;
+  const levels = frameLevels(samples, Math.round(sampleRate * FRAME_SECONDS));
+  const vad = detectVoice(levels);
+  const speechSeconds = vad.voiced.filter(Boolean).length * FRAME_SECONDS;
+
+  const rate = rateMetrics(words, duration);
+  const pauses = pauseMetrics(findPauses(vad.voiced));
+  const volume = volumeMetrics(levels, vad.voiced);
+  const pitch = pitchMetrics(samples, sampleRate, vad.voiced);
+  const clipping = clippingMetrics(samples);
+
+  // Clarity: how far speech sits above the noise floor, less clipping damage
+  const snr = vad.peak - vad.floor;
+  const clarity = Math.round(clamp(snr * 2.5 - Math.min(30, clipping.percent * 30), 0, 100));
+
+  // Confidence: steady volume, a lively pitch, a comfortable pace and few long silences
+  const paceScore = rate.pace === 'good' ? 1 : rate.pace ? 0.6 : 0.8;
+  const confidence = Math.round(clamp(
+    (volume ? volume.consistency / 100 : 0.7) * 40 +
+    (pitch ? Math.min(1, pitch.variationSemitones / 4) : 0.7) * 30 +
+    paceScore * 30 -
+    pauses.longSilences.length * 5,
+    0, 100));
+
+  return {
+    source: 'audio',
+    duration: round(duration),
+    speechSeconds: round(speechSeconds),
+    speechRate: rate.speechRate,
+    pace: rate.pace,
+    wpmTimeline: rate.timeline,
+    pauses,
+    volume,
+    pitch,
+    clipping,
+    noiseFloorDb: round(vad.floor),
+    clarity,
+    confidence
+  };
+}
+
+// Tips that explain each metric in plain words, in the interview language
+function prosodyTips(metrics, language) {
+  if (!metrics) return [];
+  const tips = [];
+
+  if (metrics.speechRate !== null) {
+    const advice = t(language, `prosody.rateAdvice.${metrics.pace}`, PACE);
+    tips.push(t(language, 'prosody.rate', { wpm: metrics.speechRate, advice }));
+    const swings = metrics.wpmTimeline.filter(w => w.words > 0 && w.pace !== 'good');
+    if (swings.length > 0 && metrics.wpmTimeline.length > 1) {
+      const moments = swings.slice(0, 3).map(w => t(language, 'prosody.paceMoment', {
+        timestamp: w.timestamp,
+        wpm: w.wpm,
+        pace: t(language, `prosody.pace.${w.pace}`)
+      }));
+      tips.push(t(language, 'prosody.paceDrift', { moments: moments.join(', ') }));
+    }
+  }
+
+  if (metrics.pauses.longSilences.length > 0) {
+    tips.push(t(language, 'prosody.longSilences', {
+      seconds: LONG_SILENCE_SECONDS,
+      timestamps: metrics.pauses.longSilences.map(s => s.timestamp).join(', ')
+    }));
+  } else if (metrics.pauses.count > 0) {
+    tips.push(t(language, 'prosody.pauses', { count: metrics.pauses.count, seconds: metrics.pauses.averageSeconds }));
+  }
+
+  if (metrics.volume) {
+    tips.push(metrics.volume.rating === 'steady' ?
+      t(language, 'prosody.volumeSteady', { consistency: metrics.volume.consistency }) :
+      t(language, 'prosody.volumeVaries', { consistency: metrics.volume.consistency, deviation: metrics.volume.deviationDb }));
+  }
+
+  if (metrics.pitch) {
+    tips.push(t(language, metrics.pitch.monotone ? 'prosody.pitchMonotone' : 'prosody.pitchEngaged', {
+      semitones: metrics.pitch.variationSemitones
+    }));
+  }
+
+  if (metrics.clipping.clipped) {
+    tips.push(t(language, 'prosody.clipping', { percent: metrics.clipping.percent }));
+  }
+  return tips;
+}
+
+module.exports = { analyzeProsody, prosodyTips };
@@ -0,0 +1,448 @@
+/**
+ * Question bank (data/questions/*.json).
+ *
+ * Each file is a set of questions tagged with a type (behavioral, technical,
+ * system-design), the roles it fits (vocabulary pack ids, or "any"), the
+ * seniority levels it suits, the skills it probes, a 1-5 difficulty and an
+ * outline of what a good answer covers. Roles are matched through the
+ * vocabulary packs, so a field picks its questions the same fuzzy way it
+ * picks its terms. Sets are validated on load. The shipped sets are never
+ * written: when an admin adds, edits or imports questions, the changed set is
+ * saved whole under DATA_DIR/questions and replaces the shipped set of the
+ * same id from then on. Questions served to a user are
+ * remembered so the next set does not repeat them. A question may carry
+ * `translations` ({ es: { text, outline? } }) used for interviews in that
+ * language.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const vocabulary = require('./vocabulary');
+const languages = require('./languages');
+
+const BANK_DIR = process.env.QUESTION_BANK_DIR || path.join(__dirname, '..', 'data', 'questions');
+// Admin changes; a set here replaces the shipped set with the same id
+const OVERRIDES_DIR = process.env.QUESTION_OVERRIDES_DIR || path.join(db.DATA_DIR, 'questions');
+const TYPES = ['behavioral', 'technical', 'system-design'];
+const SENIORITY = ['entry', 'mid', 'senior'];
+const ANY_ROLE = 'any';
+const DEFAULT_SET = 'custom';
+// Share of each question type in a set, by seniority
+const MIX = {
+  entry: { technical: 0.5, behavioral: 0.5, 'system-design': 0 },
+  mid: { technical: 0.5, behavioral: 0.3, 'system-design': 0.2 },
+  senior: { technical: 0.4, behavioral: 0.3, 'system-design': 0.3 }
+};
+const SENIORITY_PATTERNS = {
+  entry: /\b(intern|internship|junior|jr|entry|graduate|grad|student|trainee|apprentice|associate)\b/i,
+  senior: /\b(senior|sr|staff|principal|lead|head|director|architect)\b/i
+};
+// How many served questions to remember per user
+const HISTORY_LIMIT = Number(process.env.QUESTION_HISTORY_LIMIT) || 200;
+
+let sets = null;
+
+class QuestionBankError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'QuestionBankError';
+    this.errors = errors;
+  }
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9{} ]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function roleIds() {
+  return new Set([ANY_ROLE, ...vocabulary.listPacks().map(pack => pack.id)]);
+}
+
+// Problems with one question, prefixed with `at`
+function validateQuestion(question, at, roles = roleIds()) {
+  const errors = [];
+  const where = (message) => errors.push(`${at}: ${message}`);
+  if (!question || typeof question !== 'object') return [`${at}: must be an object`];
+
+  if (typeof question.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(question.id)) where('"id" must be a lowercase slug');
+  if (typeof question.text !== 'string' || question.text.trim().length < 10) where('"text" must be at least 10 characters');
+  if (!(Number.isInteger(question.difficulty) && question.difficulty >= 1 && question.difficulty <= 5)) where('"difficulty" must be an integer from 1 to 5');
+  if (!isStringList(question.outline) || question.outline.length === 0) where('"outline" must be a non-empty array of strings');
+
+  const tags = question.tags || {};
+  if (!TYPES.includes(tags.type)) where(`"tags.type" must be one of ${TYPES.join(', ')}`);
+  if (!isStringList(tags.roles) || tags.roles.length === 0) {
+    where('"tags.roles" must be a non-empty array of strings');
+  } else {
+    tags.roles.filter(role => !roles.has(role)).forEach(role => where(`unknown role "${role}" (use a vocabulary pack id or "${ANY_ROLE}")`));
+  }
+  if (tags.seniority !== undefined && !(Array.isArray(tags.seniority) && tags.seniority.every(level => SENIORITY.includes(level)))) {
+    where(`"tags.seniority" may only contain ${SENIORITY.join(', ')}`);
+  }
+  if (tags.skills !== undefined && !isStringList(tags.skills)) where('"tags.skills" must be an array of strings');
+
+  if (question.translations !== undefined) {
+    if (!question.translations || typeof question.translations !== 'object' || Array.isArray(question.translations)) {
+      where('"translations" must be an object keyed by language code');
+    } else {
+      Object.entries(question.translations).forEach(([code, translation]) => {
+        const at = `"translations.${code}"`;
+        if (code === languages.BASE_LANGUAGE || !languages.isSupported(code) || code !== code.toLowerCase()) {
+          return where(`${at}: not a supported translation language`);
+        }
+        if (!translation || typeof translation.text !== 'string' || translation.text.trim().length < 10) where(`${at}.text must be at least 10 characters`);
+        if (translation && translation.outline !== undefined && !isStringList(translation.outline)) where(`${at}.outline must be an array of strings`);
+      });
+    }
+  }
+  return errors;
+}
+
+function validateSet(set, file, roles) {
+  const errors = [];
+  if (set.id !== path.basename(file, '.json')) errors.push(`${file}: "id" must match the file name`);
+  if (typeof set.name !== 'string' || !set.name) errors.push(`${file}: "name" must be a non-empty string`);
+  if (!Array.isArray(set.questions)) {
+    errors.push(`${file}: "questions" must be an array`);
+    return errors;
+  }
+  set.questions.forEach((question, i) => errors.push(...validateQuestion(question, `${file}: questions[${i}]`, roles)));
+  return errors;
+}
+
+// Ids and texts must be unique across every set
+function duplicateErrors(allSets) {
+  const errors = [];
+  const ids = new Map();
+  const texts = new Map();
+  Object.values(allSets).forEach(set => set.questions.forEach(question => {
+    if (ids.has(question.id)) errors.push(`${set.id}: duplicate id "${question.id}" (also in ${ids.get(question.id)})`);
+    ids.set(question.id, set.id);
+    const text = normalizeText(question.text);
+    if (texts.has(text)) errors.push(`${set.id}: "${question.id}" repeats the text of "${texts.get(text)}"`);
+    texts.set(text, question.id);
+  }));
+  return errors;
+}
+
+// Reads and validates every set in `dir`, then the admin overrides; throws QuestionBankError
+function loadBank(dir = BANK_DIR, overridesDir = OVERRIDES_DIR) {
+  const loaded = {};
+  const errors = [];
+  const roles = roleIds();
+  const read = (from, label) => fs.readdirSync(from).filter(file => file.endsWith('.json')).forEach(file => {
+    try {
+      const set = JSON.parse(fs.readFileSync(path.join(from, file), 'utf8'));
+      const problems = validateSet(set, file, roles).map(problem => `${label}${problem}`);
+      if (problems.length > 0) return errors.push(...problems);
+      loaded[set.id] = set;
+    } catch (e) {
+      errors.push(`${label}${file}: ${e.message}`);
+    }
+  });
+  read(dir, '');
+  if (fs.existsSync(overridesDir)) read(overridesDir, `${overridesDir}/`);
+  errors.push(...duplicateErrors(loaded));
+  if (errors.length > 0) throw new QuestionBankError(`Invalid question bank in ${dir}`, errors);
+
+  sets = loaded;
+  return sets;
+}
+
+function allSets() {
+  return sets || loadBank();
+}
+
+function allQuestions() {
+  return Object.values(allSets()).flatMap(set => set.questions.map(question => ({
+    ...question,
+    tags: { seniority: [], skills: [], ...question.tags },
+    set: set.id
+  })));
+}
+
+function persistSet(set) {
+  fs.mkdirSync(OVERRIDES_DIR, { recursive: true });
+  const target = path.join(OVERRIDES_DIR, `${set.id}.json`);
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(set, null, 2)}\n`);
+  fs.renameSync(tmp, target);
+}
+
+// Validates the bank as it would be after `change`, then writes the touched sets
+function commit(change) {
+  const next = JSON.parse(JSON.stringify(allSets()));
+  const touched = change(next);
+  const roles = roleIds();
+  const errors = touched.flatMap(id => validateSet(next[id], `${id}.json`, roles));
+  errors.push(...duplicateErrors(next));
+  if (errors.length > 0) throw new QuestionBankError('Invalid question', errors);
+
+  touched.forEach(id => persistSet(next[id]));
+  sets = next;
+}
+
+function slug(text) {
+  const base = normalizeText(text).replace(/[{}]/g, '').split(' ').slice(0, 6).join('-');
+  return `${base || 'question'}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Fills in what an admin may leave out: id, seniority and skills
+function withDefaults(question) {
+  const tags = question.tags || {};
+  return {
+    id: question.id || slug(question.text),
+    text: typeof question.text === 'string' ? question.text.trim() : question.text,
+    tags: { ...tags, seniority: tags.seniority || [], skills: tags.skills || [] },
+    difficulty: question.difficulty,
+    outline: question.outline,
+    ...(question.translations !== undefined ? { translations: question.translations } : {})
+  };
+}
+
+function ensureSet(next, setId) {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(setId)) throw new QuestionBankError(`Invalid set id "${setId}"`);
+  if (!next[setId]) next[setId] = { id: setId, name: setId === DEFAULT_SET ? 'Custom questions' : setId, questions: [] };
+  return next[setId];
+}
+
+function getQuestion(id) {
+  return allQuestions().find(question => question.id === id) || null;
+}
+
+/**
+ * Filters the bank: { role, type, seniority, skill, q } (all optional).
+ * `role` matches the role tag exactly; "any" questions are not included.
+ */
+function listQuestions({ role, type, seniority, skill, q } = {}) {
+  const text = normalizeText(q);
+  return allQuestions().filter(question =>
+    (!role || question.tags.roles.includes(role)) &&
+    (!type || question.tags.type === type) &&
+    (!seniority || question.tags.seniority.length === 0 || question.tags.seniority.includes(seniority)) &&
+    (!skill || question.tags.skills.some(s => s.toLowerCase() === String(skill).toLowerCase())) &&
+    (!text || normalizeText(question.text).includes(text)));
+}
+
+function addQuestion(question, { set = DEFAULT_SET } = {}) {
+  const entry = withDefaults(question);
+  commit(next => {
+    ensureSet(next, set).questions.push(entry);
+    return [set];
+  });
+  return getQuestion(entry.id);
+}
+
+// Replaces the fields given in `patch` (tags merge); the id cannot change
+function updateQuestion(id, patch) {
+  const current = getQuestion(id);
+  if (!current) return null;
+  commit(next => {
+    const list = next[current.set].questions;
+    const index = list.findIndex(question => question.id === id);
+    const { id: ignoredId, set: ignoredSet, ...fields } = patch || {};
+    list[index] = { ...list[index], ...fields, id, tags: { ...list[index].tags, ...(fields.tags || {}) } };
+    return [current.set];
+  });
+  return getQuestion(id);
+}
+
+/**
+ * Adds many questions to one set. Questions whose text is already in the
+ * bank (or repeated in the import) are skipped and reported; anything
+ * invalid rejects the whole import. With `replace`, the set's existing
+ * questions are dropped first. Returns { set, imported, skipped }.
+ */
+function importQuestions(questions, { set = DEFAULT_SET, replace = false } = {}) {
+  if (!Array.isArray(questions) || questions.length === 0) throw new QuestionBankError('"questions" must be a non-empty array');
+
+  const result = { set, imported: [], skipped: [] };
+  commit(next => {
+    const target = ensureSet(next, set);
+    if (replace) target.questions = [];
+    const known = new Set(Object.values(next).flatMap(s => s.questions.map(question => normalizeText(question.text))));
+    const knownIds = new Set(Object.values(next).flatMap(s => s.questions.map(question => question.id)));
+
+    questions.forEach((question, i) => {
+      const text = normalizeText(question && question.text);
+      if (text && known.has(text)) return result.skipped.push({ index: i, text: question.text, reason: 'duplicate text' });
+      if (question && question.id && knownIds.has(question.id)) return result.skipped.push({ index: i, text: question.text, reason: 'duplicate id' });
+      const entry = withDefaults(question || {});
+      target.questions.push(entry);
+      known.add(text);
+      knownIds.add(entry.id);
+      result.imported.push(entry.id);
+    });
+    return [set];
+  });
+  return result;
+}
+
+// "Senior Java Developer" -> senior; "Software Engineering Intern" -> entry; otherwise mid
+function inferSeniority(field) {
+  if (SENIORITY_PATTERNS.entry.test(field)) return 'entry';
+  if (SENIORITY_PATTERNS.senior.test(field)) return 'senior';
+  return 'mid';
+}
+
+// Question id -> when this user was last served it
+function servedIds(userId) {
+  if (!userId) return new Map();
+  return new Map(db.collection('questionHistory')
+    .find(entry => entry.userId === userId)
+    .map(entry => [entry.questionId, entry.servedAt]));
+}
+
+// One write for the whole set of questions, not one per question
+function recordServed(userId, questionIds) {
+  if (!userId || questionIds.length === 0) return;
+  const history = db.collection('questionHistory');
+  const servedAt = new Date().toISOString();
+  history.batch(() => {
+    questionIds.forEach(questionId => {
+      const existing = history.findOne(entry => entry.userId === userId && entry.questionId === questionId);
+      if (existing) history.update(existing.id, { servedAt });
+      else history.insert({ userId, questionId, servedAt });
+    });
+    const own = history.find(entry => entry.userId === userId).sort((a, b) => b.servedAt.localeCompare(a.servedAt));
+    const stale = new Set(own.slice(HISTORY_LIMIT).map(entry => entry.id));
+    if (stale.size > 0) history.removeWhere(entry => stale.has(entry.id));
+  });
+}
+
+// Largest-remainder split of `count` over the mix, limited to what is available
+function quotas(count, mix, available) {
+  const types = TYPES.filter(type => mix[type] > 0 && available[type] > 0);
+  const total = types.reduce((acc, type) => acc + mix[type], 0) || 1;
+  const result = Object.fromEntries(TYPES.map(type => [type, 0]));
+  const raw = types.map(type => ({ type, exact: count * mix[type] / total }));
+  raw.forEach(r => { result[r.type] = Math.min(available[r.type], Math.floor(r.exact)); });
+  raw.sort((a, b) => (b.exact % 1) - (a.exact % 1));
+
+  let missing = count - TYPES.reduce((acc, type) => acc + result[type], 0);
+  // Remainders first, then any type with questions left
+  for (const candidates of [raw.map(r => r.type), TYPES]) {
+    for (const type of candidates) {
+      if (missing <= 0) break;
+      if (result[type] < available[type]) {
+        result[type]++;
+        missing--;
+      }
+    }
+  }
+  return result;
+}
+
+function shuffle(list) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// The question's text and outline in `language`, or in English when it has no translation
+function localized(question, language) {
+  const translation = (question.translations || {})[language];
+  if (!translation) return { text: question.text, outline: question.outline, language: languages.BASE_LANGUAGE };
+  return { text: translation.text, outline: translation.outline || question.outline, language };
+}
+
+function fill(text, field) {
+  return text.replace(/\{field\}/g, field);
+}
+
+/**
+ * Picks `count` questions for a field: questions for the field's role (via
+ * the vocabulary pack) and the seniority, split across types by MIX, never
+ * repeating what this user was served before until the pool runs out,
+ * spreading skills and ordered from easiest to hardest. For a `language`
+ * other than English, questions translated into it are preferred. Returns
+ * { questions, role, seniority, mix, exhausted, language } where every
+ * question has the filled-in `text` plus its tags, difficulty, outline and
+ * the language the text is in. `record: false` leaves the user's history
+ * alone, for callers that pick from the selection and record what they keep.
+ */
+function selectQuestions({ field, count = 5, seniority, userId, types, language = languages.BASE_LANGUAGE, record = true } = {}) {
+  const level = SENIORITY.includes(seniority) ? seniority : inferSeniority(field);
+  const { pack } = vocabulary.selectPack(field);
+  const fieldWords = new Set(normalizeText(field).split(' '));
+  const served = servedIds(userId);
+
+  const fits = allQuestions().filter(question =>
+    (question.tags.roles.includes(pack.id) || question.tags.roles.includes(ANY_ROLE)) &&
+    (question.tags.seniority.length === 0 || question.tags.seniority.includes(level)) &&
+    (!types || types.includes(question.tags.type)));
+
+  // Role-specific and skill-matching questions first; unseen before served (oldest served first)
+  const relevance = (question) =>
+    (question.tags.roles.includes(pack.id) ? 2 : 0) +
+    (language !== languages.BASE_LANGUAGE && (question.translations || {})[language] ? 3 : 0) +
+    question.tags.skills.filter(skill => normalizeText(skill).split(' ').every(word => fieldWords.has(word))).length;
+  const ranked = shuffle(fits).sort((a, b) =>
+    (served.has(a.id) ? 1 : 0) - (served.has(b.id) ? 1 : 0) ||
+    (served.get(a.id) || '').localeCompare(served.get(b.id) || '') ||
+    relevance(b) - relevance(a));
+
+  const available = Object.fromEntries(TYPES.map(type => [type, ranked.filter(q => q.tags.type === type).length]));
+  const mix = types ? Object.fromEntries(TYPES.map(type => [type, types.includes(type) ? 1 : 0])) : MIX[level];
+  const wanted = quotas(Math.min(count, ranked.length), mix, available);
+
+  // Greedy pick per type, preferring skills not yet covered
+  const picked = [];
+  const skillsUsed = new Set();
+  TYPES.forEach(type => {
+    const pool = ranked.filter(q => q.tags.type === type);
+    while (picked.filter(q => q.tags.type === type).length < wanted[type] && pool.length > 0) {
+      const index = Math.max(0, pool.findIndex(q => !served.has(q.id) && q.tags.skills.every(s => !skillsUsed.has(s))));
+      const [question] = pool.splice(index, 1);
+      question.tags.skills.forEach(s => skillsUsed.add(s));
+      picked.push(question);
+    }
+  });
+
+  picked.sort((a, b) => a.difficulty - b.difficulty);
+  if (record) recordServed(userId, picked.map(q => q.id));
+
+  return {
+    questions: picked.map(question => {
+      const local = localized(question, language);
+      return {
+        id: question.id,
+        text: fill(local.text, field),
+        type: question.tags.type,
+        difficulty: question.difficulty,
+        skills: question.tags.skills,
+        outline: local.outline,
+        language: local.language
+      };
+    }),
+    role: pack.id,
+    seniority: level,
+    mix: wanted,
+    exhausted: picked.some(q => served.has(q.id)),
+    language
+  };
+}
+
+module.exports = {
+  TYPES,
+  SENIORITY,
+  QuestionBankError,
+  loadBank,
+  listQuestions,
+  getQuestion,
+  addQuestion,
+  updateQuestion,
+  importQuestions,
+  inferSeniority,
+  servedIds,
+  recordServed,
+  selectQuestions
+};
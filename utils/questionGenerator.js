@@ -0,0 +1,404 @@
+/**
+ * Question generation with Cohere.
+ *
+ * The model is asked for a JSON object matching RESPONSE_SCHEMA (question,
+ * type, difficulty, skill, follow-ups). Replies are validated; a reply that
+ * fails is sent back once more with the problems listed (the repair prompt)
+ * before giving up. Validated questions are cached per field, seniority,
+ * language and count, and questions a user was already served are filtered out, so a
+ * cached pool is reused until it runs dry for that user. `questionsFor` is
+ * what the endpoints call: Cohere when configured, otherwise (or when
+ * generation fails) the question bank, with the reason in the response.
+ * Given a parsed job description, every question is tied to the job
+ * requirement it probes: the model is sent the requirements and must name
+ * one per question, and bank questions are planned against them. Given the
+ * candidate's parsed resume, some of the questions ask about their own
+ * claims instead.
+ */
+const crypto = require('crypto');
+const cohere = require('./cohere');
+const questionBank = require('./questionBank');
+const jobDescription = require('./jobDescription');
+const resume = require('./resume');
+const vocabulary = require('./vocabulary');
+const languages = require('./languages');
+
+const TYPES = questionBank.TYPES;
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.QUESTION_GENERATION_ATTEMPTS) || 2);
+const CACHE_TTL_MS = Number(process.env.QUESTION_CACHE_TTL_MS) || 6 * 60 * 60 * 1000;
+const CACHE_SIZE = Number(process.env.QUESTION_CACHE_SIZE) || 100;
+const MAX_FOLLOW_UPS = 3;
+
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['question', 'type', 'difficulty', 'skill', 'followUps'],
+        properties: {
+          question: { type: 'string' },
+          type: { type: 'string', enum: TYPES },
+          difficulty: { type: 'integer' },
+          skill: { type: 'string' },
+          followUps: { type: 'array', items: { type: 'string' } },
+          requirement: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const PREAMBLE = `You are an expert interviewer writing realistic interview questions.
+Reply ONLY with a JSON object: {"questions": [{"question": "..", "type": "${TYPES.join('|')}", "difficulty": 1-5, "skill": "..", "followUps": [".."]}]}.
+Each question is one sentence of 10-40 words, specific to the role and different from the others.
+"skill" names the one skill the question probes; "followUps" has 1-${MAX_FOLLOW_UPS} short probing follow-up questions.
+When job requirements are listed, add "requirement": the id of the one requirement the question probes, and cover as many requirements as you can.`;
+
+const cache = new Map();
+const counters = { hits: 0, misses: 0, evictions: 0, requests: 0, repairs: 0, failures: 0 };
+
+class QuestionGenerationError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'QuestionGenerationError';
+    this.errors = errors;
+  }
+}
+
+function normalizeText(text) {
+  return languages.fold(text).replace(/[^\p{L}\p{M}\p{N} ]+/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Generated questions are identified by their wording, so the same question
+// generated twice has the same id in the user's question history
+function questionId(text) {
+  return `gen-${crypto.createHash('sha1').update(normalizeText(text)).digest('hex').slice(0, 12)}`;
+}
+
+// Questions for a job description are cached per set of requirements
+function cacheKey(field, seniority, language, count, requirements = []) {
+  const key = `${normalizeText(field)}|${seniority}|${language}|${count}`;
+  if (requirements.length === 0) return key;
+  const job = crypto.createHash('sha1').update(requirements.map(r => `${r.id}:${normalizeText(r.text)}`).join('\n')).digest('hex').slice(0, 12);
+  return `${key}|${job}`;
+}
+
+function cacheGet(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.createdAt > CACHE_TTL_MS) {
+    cache.delete(key);
+    return null;
+  }
+  // Re-insert so the Map stays in least-recently-used order
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry;
+}
+
+function cacheSet(key, questions) {
+  cache.delete(key);
+  cache.set(key, { questions, createdAt: Date.now() });
+  while (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+    counters.evictions++;
+  }
+}
+
+// Pulls the JSON object out of a reply that may be wrapped in prose or code fences
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new QuestionGenerationError('Model reply contains no JSON object');
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (e) {
+    throw new QuestionGenerationError(`Model reply is not valid JSON: ${e.message}`);
+  }
+}
+
+// Problems with one generated question, prefixed with `at`
+function questionErrors(item, at, requirements) {
+  if (!item || typeof item !== 'object') return [`${at}: must be an object`];
+  const errors = [];
+  const words = typeof item.question === 'string' ? item.question.trim().split(/\s+/).length : 0;
+  if (words < 5 || words > 60) errors.push(`${at}.question: must be a question of 5-60 words`);
+  if (!TYPES.includes(item.type)) errors.push(`${at}.type: must be one of ${TYPES.join(', ')}`);
+  if (!Number.isInteger(item.difficulty) || item.difficulty < 1 || item.difficulty > 5) {
+    errors.push(`${at}.difficulty: must be an integer from 1 to 5`);
+  }
+  if (typeof item.skill !== 'string' || !item.skill.trim()) errors.push(`${at}.skill: must be a non-empty string`);
+  if (!Array.isArray(item.followUps) || item.followUps.length === 0 ||
+      !item.followUps.every(f => typeof f === 'string' && f.trim().length > 0)) {
+    errors.push(`${at}.followUps: must be a non-empty array of strings`);
+  }
+  if (requirements.length > 0 && !requirements.some(r => r.id === item.requirement)) {
+    errors.push(`${at}.requirement: must be one of ${requirements.map(r => r.id).join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Checks a parsed reply against RESPONSE_SCHEMA and normalizes it into
+ * question items ({ id, text, type, difficulty, skills, followUps, outline }).
+ * With job `requirements`, each question must name one of their ids and its
+ * item carries that `requirement` ({ id, kind, text }).
+ * Invalid or repeated questions are dropped; the reply only fails when fewer
+ * than `count` usable questions remain, listing what was wrong.
+ */
+function validateQuestions(reply, count, language = languages.BASE_LANGUAGE, requirements = []) {
+  if (!reply || typeof reply !== 'object' || !Array.isArray(reply.questions)) {
+    throw new QuestionGenerationError('Reply must be an object with a "questions" array');
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const items = [];
+  reply.questions.forEach((item, i) => {
+    const problems = questionErrors(item, `questions[${i}]`, requirements);
+    if (problems.length > 0) return errors.push(...problems);
+    const text = item.question.trim().replace(/\s+/g, ' ');
+    const id = questionId(text);
+    if (seen.has(id)) return errors.push(`questions[${i}].question: repeats an earlier question`);
+    seen.add(id);
+    items.push({
+      id,
+      text,
+      type: item.type,
+      difficulty: item.difficulty,
+      skills: [item.skill.trim()],
+      followUps: item.followUps.map(f => f.trim()).slice(0, MAX_FOLLOW_UPS),
+      outline: [],
+      language,
+      ...(requirements.length > 0 ? { requirement: reference(requirements.find(r => r.id === item.requirement)) } : {})
+    });
+  });
+
+  if (items.length < count) {
+    throw new QuestionGenerationError(`Reply has ${items.length} usable questions, ${count} required`, errors);
+  }
+  return items;
+}
+
+function reference({ id, kind, text }) {
+  return { id, kind, text };
+}
+
+function requestMessage({ field, seniority, language, count, avoid, requirements = [] }) {
+  const lines = [
+    `Role / field: ${field}`,
+    `Seniority: ${seniority}`,
+    `Write exactly ${count} interview questions mixing ${TYPES.join(', ')} questions suited to this seniority, ordered from easiest to hardest.`
+  ];
+  if (language !== languages.BASE_LANGUAGE) {
+    const { name, nativeName } = languages.getLanguage(language);
+    lines.push(`Write the questions, skills and follow-ups in ${name} (${nativeName}); keep the JSON keys and "type" values in English.`);
+  }
+  if (requirements.length > 0) {
+    lines.push('Job requirements (tag each question with the id of the one it probes):');
+    requirements.forEach(r => lines.push(`- ${r.id} (${r.kind}${r.required ? '' : ', nice to have'}): ${r.text}`));
+  }
+  if (avoid.length > 0) {
+    lines.push('Do not repeat or rephrase any of these questions the candidate has already answered:');
+    avoid.forEach(text => lines.push(`- ${text}`));
+  }
+  return lines.join('\n');
+}
+
+function repairMessage(original, replyText, error) {
+  return [
+    original,
+    '',
+    'Your previous reply did not match the required JSON schema.',
+    `Problems: ${error.message}`,
+    `Previous reply: """${replyText.slice(0, 4000)}"""`,
+    'Reply again with only the corrected JSON object.'
+  ].join('\n');
+}
+
+// Asks Cohere for `count` questions, retrying with the repair prompt
+async function generate({ field, seniority, language, count, avoid, requirements }) {
+  const original = requestMessage({ field, seniority, language, count, avoid, requirements });
+  let message = original;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    counters.requests++;
+    if (attempt > 1) counters.repairs++;
+    const response = await cohere.chat(message, {
+      preamble: PREAMBLE,
+      temperature: attempt === 1 ? 0.7 : 0.2,
+      maxTokens: 250 * count,
+      responseFormat: { type: 'json_object', schema: RESPONSE_SCHEMA }
+    });
+    const text = String((response && response.text) || '');
+    try {
+      return validateQuestions(extractJson(text), count, language, requirements);
+    } catch (error) {
+      if (!(error instanceof QuestionGenerationError)) throw error;
+      console.warn(`⚠️ Generated questions failed validation (attempt ${attempt}/${MAX_ATTEMPTS}):`, error.message);
+      lastError = error;
+      message = repairMessage(original, text, error);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Returns `count` generated questions for a field the user has not been
+ * served yet: from the cache when it still has enough of them, otherwise
+ * freshly generated (the user's recent questions are listed in the prompt
+ * so the model avoids them) and merged into the cached pool. Questions are
+ * written in `language` (a supported code, default English) and, given job
+ * `requirements`, each tagged with the one it probes.
+ * Resolves with { questions, seniority, cached }; rejects when Cohere is
+ * unavailable or every attempt fails validation.
+ */
+async function generateQuestions({ field, count = 5, seniority, language = languages.BASE_LANGUAGE, userId, requirements = [] } = {}) {
+  if (!cohere.isEnabled()) throw new QuestionGenerationError('COHERE_DISABLED');
+  const level = questionBank.SENIORITY.includes(seniority) ? seniority : questionBank.inferSeniority(field);
+  const key = cacheKey(field, level, language, count, requirements);
+  const served = questionBank.servedIds(userId);
+  const unseen = (questions) => questions.filter(q => !served.has(q.id));
+
+  const entry = cacheGet(key);
+  if (entry && unseen(entry.questions).length >= count) {
+    counters.hits++;
+    const questions = unseen(entry.questions).slice(0, count);
+    questionBank.recordServed(userId, questions.map(q => q.id));
+    return { questions, seniority: level, cached: true };
+  }
+
+  counters.misses++;
+  const avoid = entry ? entry.questions.filter(q => served.has(q.id)).map(q => q.text) : [];
+  let generated;
+  try {
+    generated = await generate({ field, seniority: level, language, count, avoid, requirements });
+  } catch (error) {
+    counters.failures++;
+    throw error;
+  }
+
+  const pool = entry ? entry.questions : [];
+  const known = new Set(pool.map(q => q.id));
+  cacheSet(key, [...pool, ...generated.filter(q => !known.has(q.id))]);
+
+  // The model may still repeat a served question; top up from the rest of the pool
+  const fresh = unseen(generated);
+  const questions = [...fresh, ...unseen(pool).filter(q => !fresh.some(f => f.id === q.id))]
+    .slice(0, count)
+    .sort((a, b) => a.difficulty - b.difficulty);
+  if (questions.length < count) throw new QuestionGenerationError('Generated questions repeat ones already served');
+
+  questionBank.recordServed(userId, questions.map(q => q.id));
+  return { questions, seniority: level, cached: false };
+}
+
+// Generated or bank questions for questionsFor, before any resume questions are added
+async function fieldQuestions({ field, count, seniority, language, userId, source, job }) {
+  const role = vocabulary.selectPack(field).pack.id;
+  let fallbackReason = null;
+
+  if (source !== 'bank' && cohere.isEnabled()) {
+    try {
+      const result = await generateQuestions({ field, count, seniority, language, userId, requirements: job ? job.requirements : [] });
+      return {
+        questions: result.questions.map(q => q.text),
+        items: result.questions,
+        role,
+        seniority: result.seniority,
+        language,
+        ai: true,
+        source: 'cohere',
+        model: cohere.model(),
+        cached: result.cached,
+        ...(job ? { job } : {})
+      };
+    } catch (error) {
+      console.error('Question generation failed, using the question bank:', error.message);
+      fallbackReason = error.message.split('\n')[0];
+    }
+  }
+
+  // For a job, a wider selection is planned against its requirements and only what is kept is recorded
+  const selection = questionBank.selectQuestions({ field, count: job ? count * 3 : count, seniority, language, userId, record: !job });
+  const items = job ?
+    jobDescription.planQuestions(selection.questions, job, { count, field, language, seniority: selection.seniority }) :
+    selection.questions;
+  if (job) questionBank.recordServed(userId, items.map(q => q.id));
+  return {
+    questions: items.map(q => q.text),
+    items,
+    role: selection.role,
+    seniority: selection.seniority,
+    language,
+    ai: false,
+    source: 'bank',
+    ...(fallbackReason ? { fallbackReason } : {}),
+    ...(job ? { job } : {})
+  };
+}
+
+/**
+ * The question endpoints' answer for { field, count, seniority, language,
+ * userId }: generated questions when Cohere is configured and `source` is
+ * not "bank", otherwise a question bank selection (translated questions
+ * where the bank has them). A failed generation falls back to the bank with
+ * `fallbackReason` set instead of failing the request. With a parsed `job`
+ * description every item carries the `requirement` it probes, and the job
+ * is returned with the questions. With the candidate's parsed `resume` up to
+ * half the questions (always leaving one) ask about its claims, each
+ * carrying the `claim` it probes.
+ */
+async function questionsFor({ field, count = 5, seniority, language = languages.BASE_LANGUAGE, userId, source, job, resume: profile } = {}) {
+  if (!profile) return fieldQuestions({ field, count, seniority, language, userId, source, job });
+
+  // Resume questions are picked first; field questions fill whatever they leave of `count`
+  const level = questionBank.SENIORITY.includes(seniority) ? seniority : questionBank.inferSeniority(field);
+  const claimed = resume.resumeQuestions(profile, {
+    count: Math.min(profile.claims.length, Math.ceil(count / 2), count - 1),
+    language,
+    seniority: level,
+    served: questionBank.servedIds(userId)
+  });
+  questionBank.recordServed(userId, claimed.map(q => q.id));
+  const result = await fieldQuestions({ field, count: count - claimed.length, seniority: level, language, userId, source, job });
+  const items = [...result.items.map(q => ({ ...q, claim: null })), ...claimed].sort((a, b) => a.difficulty - b.difficulty);
+  return {
+    ...result,
+    questions: items.map(q => q.text),
+    items,
+    resume: { name: profile.name, claims: profile.claims.length }
+  };
+}
+
+// Cache and retry counters for /api/health
+function stats() {
+  const lookups = counters.hits + counters.misses;
+  return {
+    provider: cohere.isEnabled() ? 'cohere' : 'bank',
+    cache: {
+      entries: cache.size,
+      hits: counters.hits,
+      misses: counters.misses,
+      hitRate: lookups > 0 ? Math.round(counters.hits / lookups * 100) / 100 : null,
+      evictions: counters.evictions,
+      ttlSeconds: Math.round(CACHE_TTL_MS / 1000)
+    },
+    requests: counters.requests,
+    repairs: counters.repairs,
+    failures: counters.failures
+  };
+}
+
+module.exports = {
+  RESPONSE_SCHEMA,
+  QuestionGenerationError,
+  validateQuestions,
+  generateQuestions,
+  questionsFor,
+  stats
+};
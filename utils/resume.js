@@ -0,0 +1,511 @@
+/**
+ * Resumes.
+ *
+ * A resume's text (typed, or extracted from a .pdf or .docx by
+ * documentText) is reduced to what an interviewer would ask about: the
+ * candidate's roles, projects, skills and education, and the claims made in
+ * them - the bullet points under experience, projects and achievements, and
+ * summary sentences with a number in them - each with an id ("claim-3"),
+ * the metrics it quotes ("40%", "$2M", "3x", "12 engineers") and how strong
+ * it is. Headings are recognized in English. `resumeQuestions` then asks
+ * about the strongest claims, and `checkAnswer` compares an answer with the
+ * resume: a metric that disagrees with the one on the resume is a
+ * contradiction, and a claim the question was about (or strong material
+ * the answer could have used) that the answer leaves out gets a tip.
+ */
+const crypto = require('crypto');
+const vocabulary = require('./vocabulary');
+const languages = require('./languages');
+const timeline = require('./timeline');
+
+// Longest resume text accepted, in characters
+const MAX_CHARS = 50000;
+// Largest resume file accepted for upload
+const MAX_FILE_BYTES = Number(process.env.RESUME_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_CLAIMS = 30;
+const MAX_CLAIM_CHARS = 300;
+const MAX_SKILLS = 40;
+const MAX_KEYWORDS = 6;
+// A claim needs this many words to say anything an interviewer could ask about
+const MIN_CLAIM_WORDS = 4;
+// Claims this strong (a metric, or an action with named skills) are worth bringing up unprompted
+const STRONG = 3;
+// Two figures for the same thing further apart than this (relative to the larger) disagree
+const TOLERANCE = 0.2;
+// Difficulty of resume questions, by seniority
+const DIFFICULTY = { entry: 2, mid: 3, senior: 4 };
+
+// Section headings; `id: null` sections (interests, references...) hold nothing we ask about
+const SECTIONS = [
+  { id: 'summary', pattern: /^((professional |career )?(summary|profile|overview)|about( me)?|objective|personal statement)$/i },
+  { id: 'experience', pattern: /^((work|professional|relevant|industry) )?(experience|employment( history)?|work history|career( history)?)$/i },
+  { id: 'projects', pattern: /^((selected|personal|key|side|academic|notable) )?projects$/i },
+  { id: 'skills', pattern: /^((technical|core|key|professional) )?(skills|competencies|technologies|tech stack|tools|expertise)( (and|&) (tools|technologies|skills))?$/i },
+  { id: 'education', pattern: /^(education|academic background|qualifications|certifications?|training|(education|degrees?) (and|&) certifications?)$/i },
+  { id: 'achievements', pattern: /^((key )?(achievements|accomplishments)|awards( (and|&) honou?rs)?|honou?rs|publications|leadership)$/i },
+  { id: null, pattern: /^(references|interests|hobbies|(spoken )?languages|contact( details| information)?|personal (details|information)|volunteering|activities)$/i }
+];
+const MAX_HEADING_WORDS = 5;
+const BULLET = /^(?:[-*•·▪◦‣–—+➢►✓]|\d{1,2}[.)])\s*/;
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATES = new RegExp(`(?:${MONTH}\\s+|\\d{1,2}/)?(?:19|20)\\d{2}\\s*(?:-|–|—|to|until)\\s*(?:(?:${MONTH}\\s+|\\d{1,2}/)?(?:19|20)\\d{2}|present|current|now|today)|(?:${MONTH}\\s+)?(?:19|20)\\d{2}`, 'i');
+// Words that make part of an entry line the job title rather than the organization
+const ROLE_WORDS = /\b(engineer|developer|programmer|manager|analyst|designer|scientist|lead|intern|consultant|director|architect|specialist|coordinator|associate|head|officer|administrator|researcher|assistant|executive|representative|owner|founder|co-?founder|cto|ceo|vp|president|teacher|nurse|accountant|strategist|technician|tester|writer|editor|marketer|recruiter|advisor|partner|fellow|trainee|apprentice|contractor|freelancer?)\b/i;
+// Bullet openings that say what the candidate did
+const ACTION_START = /^(led|built|designed|developed|launched|created|reduced|cut|increased|grew|improved|migrated|automated|implemented|delivered|shipped|owned|managed|drove|scaled|optimi[sz]ed|saved|generated|introduced|established|mentored|architected|negotiated|won|raised|closed|boosted|streamlined|rebuilt|redesigned|spearheaded|founded|hired|trained|achieved|doubled|tripled|halved|eliminated|accelerated|consolidated|deployed|wrote|authored|organized|coordinated|ran)\b/i;
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90, hundred: 100
+};
+// Currencies said as words count as their sign
+const CURRENCY_WORDS = { dollar: '$', usd: '$', euro: '€', eur: '€', pound: '£', gbp: '£', rupee: '₹', inr: '₹' };
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9, hundred: 100 };
+// A figure: currency, a number (digits or words), a multiplier, then a percent or times sign
+const METRIC = new RegExp(
+  '(?<![\\p{L}\\p{N}.,])([$€£₹])?\\s?' +
+  `(\\d+(?:[.,]\\d+)*|(?:${Object.keys(NUMBER_WORDS).join('|')})(?:[\\s-](?:one|two|three|four|five|six|seven|eight|nine))?\\b)` +
+  '(?:\\s?(k|mm|m|bn|b|thousand|million|billion)\\b)?' +
+  '(?:\\s?(%|percent\\b|per cent\\b|x\\b|×|times\\b|fold\\b))?',
+  'giu');
+// Words too common on resumes to identify a claim
+const NOISE = [
+  'responsible', 'team', 'teams', 'work', 'worked', 'working', 'project', 'projects', 'company', 'using', 'used',
+  'various', 'multiple', 'across', 'within', 'including', 'new', 'key', 'successfully', 'helped', 'help',
+  'role', 'day', 'daily', 'year', 'month', 'week', 'percent', 'time', 'times', 'over', 'under', 'more', 'less',
+  'the', 'and', 'for', 'with', 'from', 'into', 'about', 'such', 'than', 'who', 'what', 'how', 'all', 'any', 'both',
+  'each', 'most', 'this', 'that', 'these', 'those', 'are', 'have', 'has', 'been', 'being', 'where', 'while', 'by'
+];
+
+let noise = null;
+
+class ResumeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ResumeError';
+    this.code = code;
+  }
+}
+
+function noiseLemmas() {
+  if (!noise) {
+    const stopwords = languages.getLanguage(languages.BASE_LANGUAGE).stopwords;
+    noise = new Set([...stopwords, ...NOISE].map(vocabulary.lemmatize));
+  }
+  return noise;
+}
+
+function numberOf(raw) {
+  const word = raw.toLowerCase();
+  if (/^\d/.test(word)) {
+    // "1,200" and "1.200" group thousands; "2.5" and "2,5" are decimals
+    const grouped = /^\d{1,3}([.,]\d{3})+$/.test(word);
+    return Number(grouped ? word.replace(/[.,]/g, '') : word.replace(',', '.'));
+  }
+  return word.split(/[\s-]+/).reduce((acc, part) => acc + (NUMBER_WORDS[part] || 0), 0);
+}
+
+/**
+ * The figures in a piece of text: [{ value, unit, text }] where `unit` is
+ * "%", "x", the currency sign, or the word the number counts ("engineer",
+ * "ms"). Numbers without one, and years, are left out.
+ */
+function metricsIn(text) {
+  const source = String(text || '');
+  const found = [];
+  for (const match of source.matchAll(METRIC)) {
+    const [whole, currency, number, multiplier, sign] = match;
+    if (!number) continue;
+    let value = numberOf(number);
+    if (multiplier) value *= MULTIPLIERS[multiplier.toLowerCase()];
+    let unit = currency || null;
+    let said = whole.trim();
+    if (sign) unit = /^(x|×|times|fold)$/i.test(sign) ? 'x' : '%';
+    if (!unit) {
+      const next = source.slice(match.index + whole.length).match(/^\s*([\p{L}]+)/u);
+      const lemma = next ? vocabulary.lemmatize(next[1].toLowerCase()) : '';
+      if (CURRENCY_WORDS[lemma]) unit = CURRENCY_WORDS[lemma];
+      else if (lemma && lemma.length > 1 && !noiseLemmas().has(lemma)) unit = lemma;
+      else if (multiplier) unit = 'count';
+      if (unit && unit !== 'count') said = `${said} ${next[1]}`;
+    }
+    const year = /^(19|20)\d{2}$/.test(number) && !currency && !sign && !multiplier;
+    if (!unit || year || !Number.isFinite(value) || value === 0) continue;
+    found.push({ value, unit, text: said });
+  }
+  return found;
+}
+
+function agrees(a, b) {
+  return Math.abs(a - b) <= TOLERANCE * Math.max(Math.abs(a), Math.abs(b));
+}
+
+// The vocabulary terms a claim names and up to MAX_KEYWORDS other content words, one per lemma
+function describe(text, pack) {
+  const terms = vocabulary.termsIn(text, pack).map(entry => entry.term);
+  const taken = new Set([...noiseLemmas(), ...terms.flatMap(term => term.split(/[\s/-]+/).map(vocabulary.lemmatize))]);
+  const keywords = [];
+  String(text).split(/[\s/,()]+/).forEach(raw => {
+    const word = raw.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}+#]+$/gu, '');
+    const lemma = vocabulary.lemmatize(word);
+    if (word.length < 3 || /\d/.test(word) || !lemma || taken.has(lemma) || keywords.length >= MAX_KEYWORDS) return;
+    taken.add(lemma);
+    keywords.push(word);
+  });
+  return { terms, keywords };
+}
+
+function cleanLine(line) {
+  let clean = line.replace(BULLET, '').replace(/^#+\s*/, '').replace(/\*\*|__/g, '').replace(/\s+/g, ' ').replace(/[.;,]+$/, '').trim();
+  if (clean.length > MAX_CLAIM_CHARS) clean = clean.slice(0, MAX_CLAIM_CHARS).replace(/\s+\S*$/, '') + '…';
+  return clean;
+}
+
+function headingOf(line) {
+  const plain = line.replace(/^#+\s*/, '').replace(/[*_]+/g, '').replace(/[:\s]+$/, '').trim();
+  if (!plain || BULLET.test(line) || plain.split(/\s+/).length > MAX_HEADING_WORDS) return undefined;
+  const section = SECTIONS.find(s => s.pattern.test(plain));
+  return section ? section.id : undefined;
+}
+
+// A name is the first line when it looks like one: a few capitalized words, no contact details
+function nameOf(lines) {
+  const first = lines[0] ? lines[0].replace(/^#+\s*/, '').replace(/[*_]+/g, '').trim() : '';
+  const words = first.split(/\s+/);
+  return words.length >= 2 && words.length <= 4 && words.every(w => /^\p{Lu}[\p{L}'.-]*$/u.test(w)) && headingOf(first) === undefined ? first : null;
+}
+
+/**
+ * An experience or project line: "Senior Engineer, Acme Corp (2019 - 2022)",
+ * "Acme Corp | Senior Engineer | Jan 2019 - Present", "Engineer at Acme".
+ * Returns { title, organization, dates }.
+ */
+function entryOf(line) {
+  const clean = cleanLine(line);
+  const dates = (clean.match(DATES) || [null])[0];
+  const rest = clean.replace(DATES, ' ').replace(/[()[\]]/g, ' ');
+  const parts = rest.split(/\s+(?:at|@)\s+|\s*[|,·•–—]\s*|\s+-\s+/i).map(part => part.trim()).filter(Boolean);
+  const title = parts.find(part => ROLE_WORDS.test(part)) || null;
+  const organization = parts.find(part => part !== title) || null;
+  return { title, organization, dates: dates ? dates.replace(/\s+/g, ' ') : null };
+}
+
+function claimFrom(text, { section, entry }, pack) {
+  const { terms, keywords } = describe(text, pack);
+  const metrics = metricsIn(text);
+  const strength = (metrics.length > 0 ? 2 : 0) + (ACTION_START.test(text) ? 1 : 0) + Math.min(terms.length, 2) / 2;
+  return {
+    text,
+    section,
+    organization: entry ? entry.organization : null,
+    title: entry ? entry.title : null,
+    metrics,
+    terms,
+    keywords,
+    strength: Math.round(strength * 10) / 10
+  };
+}
+
+function skillsFrom(line) {
+  const items = line.replace(BULLET, '').replace(/^[^:]{1,30}:\s*/, '');
+  return items.split(/\s*[,;|•·]\s*|\s+\/\s+/).map(skill => skill.replace(/[.]+$/, '').trim()).filter(skill => skill && skill.split(/\s+/).length <= 4);
+}
+
+/**
+ * Parses a resume's text into { name, experience: [{ title, organization,
+ * dates, claims }], projects, skills, education, claims, skillTerms }.
+ * Claims are [{ id, text, section, organization, title, metrics, terms,
+ * keywords, strength }], the strongest MAX_CLAIMS in resume order; the
+ * experience and project entries list their claim ids. Throws a
+ * ResumeError (EMPTY, TOO_LONG, NO_CLAIMS).
+ */
+function parseResume(raw) {
+  const source = String(raw || '').trim();
+  if (!source) throw new ResumeError('EMPTY', 'The resume is empty');
+  if (source.length > MAX_CHARS) throw new ResumeError('TOO_LONG', `The resume must be at most ${MAX_CHARS} characters`);
+  const lines = source.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const { pack } = vocabulary.selectPack('');
+
+  const experience = [];
+  const projects = [];
+  const skills = [];
+  const education = [];
+  const found = [];
+  let section = null;
+  let entry = null;
+  const sectioned = lines.some(line => headingOf(line) !== undefined);
+
+  lines.forEach((line, i) => {
+    const heading = headingOf(line);
+    if (heading !== undefined) {
+      section = heading;
+      entry = null;
+      return;
+    }
+    const bullet = BULLET.test(line);
+    const text = cleanLine(line);
+    if (section === 'skills') {
+      skills.push(...skillsFrom(line));
+    } else if (section === 'education') {
+      education.push(text);
+    } else if (section === 'experience' || section === 'projects') {
+      const list = section === 'experience' ? experience : projects;
+      if (!bullet && text.split(/\s+/).length <= 12) {
+        const parsed = entryOf(line);
+        // An organization on one line and the title (or dates) on the next belong to one entry
+        if (entry && entry.claims.length === 0 && (!entry.title || !entry.dates)) {
+          entry.title = entry.title || parsed.title || (section === 'projects' ? null : parsed.organization);
+          entry.dates = entry.dates || parsed.dates;
+          if (!entry.organization) entry.organization = parsed.organization;
+        } else {
+          entry = { ...parsed, claims: [] };
+          if (section === 'projects' && !entry.organization) entry.organization = text;
+          list.push(entry);
+        }
+      } else {
+        found.push({ text, section, entry });
+      }
+    } else if (section === 'achievements' || (!sectioned && bullet && i > 0)) {
+      found.push({ text, section: section || 'experience', entry: null });
+    } else if (section === 'summary' || section === null) {
+      // Outside the sections that list claims, only sentences with a figure in them count
+      text.split(/(?<=[.!?])\s+(?=\p{Lu})/u)
+        .filter(sentence => metricsIn(sentence).length > 0 && sentence.split(/\s+/).length >= MIN_CLAIM_WORDS)
+        .forEach(sentence => found.push({ text: cleanLine(sentence), section: 'summary', entry: null }));
+    }
+  });
+
+  const seen = new Set();
+  const candidates = found
+    .filter(item => item.text.split(/\s+/).length >= MIN_CLAIM_WORDS)
+    .filter(item => {
+      const key = item.text.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((item, order) => ({ ...claimFrom(item.text, item, pack), order, entry: item.entry }));
+  if (candidates.length === 0) {
+    throw new ResumeError('NO_CLAIMS', 'No experience, projects or achievements found in the resume - check that it has bullet points under those headings');
+  }
+
+  // The strongest claims are kept, in the order the resume lists them
+  const kept = [...candidates].sort((a, b) => b.strength - a.strength || a.order - b.order).slice(0, MAX_CLAIMS).sort((a, b) => a.order - b.order);
+  const claims = kept.map(({ order, entry: owner, ...claim }, i) => {
+    const id = `claim-${i + 1}`;
+    if (owner) owner.claims.push(id);
+    return { id, ...claim };
+  });
+
+  const uniqueSkills = [...new Map(skills.map(skill => [skill.toLowerCase(), skill])).values()].slice(0, MAX_SKILLS);
+  return {
+    name: nameOf(lines),
+    experience,
+    projects,
+    skills: uniqueSkills,
+    education: education.slice(0, 5),
+    claims,
+    skillTerms: [...new Set([...uniqueSkills.flatMap(skill => vocabulary.termsIn(skill, pack).map(entry => entry.term)), ...claims.flatMap(c => c.terms)])]
+  };
+}
+
+function shortLabel(text, max = 90) {
+  return text.length > max ? `${text.slice(0, max).replace(/\s+\S*$/, '')}…` : text;
+}
+
+function questionId(claim) {
+  return `cv-${crypto.createHash('sha1').update(claim.text.toLowerCase()).digest('hex').slice(0, 12)}`;
+}
+
+function reference(claim) {
+  return { id: claim.id, text: claim.text, organization: claim.organization || null };
+}
+
+// A result someone measured: a percentage, a multiple or an amount of money, not a count
+function isMeasure(metric) {
+  return metric.unit === '%' || metric.unit === 'x' || /^\p{Sc}$/u.test(metric.unit);
+}
+
+// The claim's headline figure, as the resume writes it
+function headline(claim) {
+  const metric = claim.metrics.find(isMeasure) || claim.metrics[0];
+  return metric ? metric.text : null;
+}
+
+function claimQuestion(claim, { language, seniority }) {
+  const metric = claim.metrics.some(isMeasure) ? headline(claim) : null;
+  const kind = metric ? 'metric' : 'achievement';
+  // Projects are named in the claim's context, not as an employer
+  const at = claim.organization && claim.section === 'experience';
+  const params = { claim: claim.text, organization: claim.organization || '', metric: metric || '' };
+  return {
+    id: questionId(claim),
+    text: languages.t(language, `resume.questions.${kind}${at ? 'At' : ''}`, params),
+    type: 'behavioral',
+    difficulty: DIFFICULTY[seniority] || DIFFICULTY.mid,
+    skills: claim.terms.slice(0, 3),
+    outline: languages.t(language, `resume.questions.outline.${kind}`, params),
+    language,
+    claim: reference(claim)
+  };
+}
+
+/**
+ * Up to `count` questions about the candidate's own claims, strongest
+ * first: claims not asked about yet (by `served`, question id -> when) ahead
+ * of ones that were, and one claim per organization before a second. Items
+ * are shaped like question bank items, with the `claim` each probes.
+ */
+function resumeQuestions(profile, { count = 2, language = languages.BASE_LANGUAGE, seniority = 'mid', served = new Map() } = {}) {
+  const ranked = profile.claims
+    .map(claim => ({ claim, served: served.get(questionId(claim)) || '' }))
+    .sort((a, b) => a.served.localeCompare(b.served) || b.claim.strength - a.claim.strength)
+    .map(entry => entry.claim);
+
+  const picked = [];
+  const organizations = new Set();
+  ranked.forEach(claim => {
+    const key = (claim.organization || '').toLowerCase();
+    if (picked.length < count && (!key || !organizations.has(key))) {
+      picked.push(claim);
+      organizations.add(key);
+    }
+  });
+  ranked.filter(claim => !picked.includes(claim)).slice(0, Math.max(0, count - picked.length)).forEach(claim => picked.push(claim));
+  return picked.map(claim => claimQuestion(claim, { language, seniority }));
+}
+
+// Terms and keywords of a claim found in `words` (timed words or text)
+function hitsIn(words, claim) {
+  const keywords = claim.keywords.map(term => ({ term }));
+  const matches = vocabulary.matchTerms(words, vocabulary.phraseIndex([...claim.terms.map(term => ({ term })), ...keywords])).matches;
+  return {
+    matches,
+    terms: matches.filter(m => claim.terms.includes(m.term)).length,
+    keywords: matches.filter(m => claim.keywords.includes(m.term)).length
+  };
+}
+
+// One named term or two keywords; one keyword when the question asked about the claim
+function touches(hits, claim, probed = false) {
+  return hits.terms > 0 || hits.keywords >= Math.min(probed ? 1 : 2, claim.keywords.length || 1);
+}
+
+// Where in the sentence a figure was said
+function occurrenceOf(sentence, metric) {
+  const digits = metric.text.match(/[\p{N}]+|\p{L}+/u);
+  const word = sentence.words.find(w => digits && String(w.text).toLowerCase().includes(digits[0].toLowerCase())) || sentence.words[0];
+  return { start: word.start, end: word.end, timestamp: timeline.formatTimestamp(word.start), text: sentence.text };
+}
+
+/**
+ * Checks one answer against the resume `profile`. `words` are the answer's
+ * timed words, `question` the question it answers and `claimId` the claim
+ * that question asked about, if any. A sentence about a claim that quotes
+ * a figure in the claim's unit the claim does not agree with is a
+ * contradiction. Returns { check: { claims: [{ id, text, organization,
+ * status: 'used' | 'contradicted' | 'unused', probed, metricMentioned,
+ * said, occurrences }] }, mistakes, tips } in `language`.
+ */
+function checkAnswer(profile, { words = [], question = '', claimId = null, language = languages.BASE_LANGUAGE, answerStart = 0 } = {}) {
+  const sentences = timeline.splitSentences(words);
+  const results = [];
+  const mistakes = [];
+  const tips = [];
+
+  profile.claims.forEach(claim => {
+    const probed = claim.id === claimId;
+    const hits = hitsIn(words, claim);
+    const used = touches(hits, claim, probed);
+    if (!used && !probed) return;
+
+    // Figures said about this claim, in the units the claim uses; a figure counts only in a
+    // sentence that touches the claim, even when the question asked about it
+    const said = sentences
+      .filter(sentence => touches(hitsIn(sentence.words, claim), claim, true))
+      .flatMap(sentence => metricsIn(sentence.text).map(metric => ({ metric, sentence })))
+      .filter(({ metric }) => claim.metrics.some(c => c.unit === metric.unit));
+    const conflicting = said.filter(({ metric }) => !claim.metrics.some(c => c.unit === metric.unit && agrees(c.value, metric.value)));
+    const matching = said.filter(({ metric }) => !conflicting.some(c => c.metric === metric));
+    const status = conflicting.length > 0 && matching.length === 0 ? 'contradicted' : used ? 'used' : 'unused';
+    const occurrences = (status === 'contradicted' ? conflicting : matching).map(({ metric, sentence }) => occurrenceOf(sentence, metric));
+
+    results.push({
+      ...reference(claim),
+      status,
+      probed,
+      metricMentioned: matching.length > 0,
+      said: conflicting.map(({ metric }) => metric.text),
+      occurrences
+    });
+
+    const label = shortLabel(claim.text);
+    if (status === 'contradicted') {
+      mistakes.push(timeline.makeMistake('resume-contradiction',
+        languages.t(language, 'resume.contradiction', { said: conflicting[0].metric.text, claim: label }),
+        occurrences, answerStart));
+    } else if (status === 'unused') {
+      tips.push(languages.t(language, 'resume.claimUnused', { claim: label }));
+    } else if (claim.metrics.some(isMeasure) && matching.length === 0) {
+      tips.push(languages.t(language, 'resume.metricMissing', { metric: headline(claim), claim: label }));
+    }
+  });
+
+  // Strong material for this question the answer never reached
+  if (!claimId && question && !results.some(r => r.status !== 'unused')) {
+    const missed = profile.claims
+      .filter(claim => claim.strength >= STRONG && touches(hitsIn(question, claim), claim))
+      .sort((a, b) => b.strength - a.strength)[0];
+    if (missed) {
+      results.push({ ...reference(missed), status: 'unused', probed: false, metricMentioned: false, said: [], occurrences: [] });
+      tips.push(languages.t(language, 'resume.unusedClaim', { claim: shortLabel(missed.text) }));
+    }
+  }
+  return { check: { claims: results }, mistakes, tips };
+}
+
+const STATUS_ORDER = ['contradicted', 'used', 'unused'];
+
+/**
+ * The resume report for a whole interview from the answers' checks
+ * (in question order): each claim that came up, with the worst status any
+ * answer gave it and the questions it came up in, and the counts.
+ */
+function summarize(profile, checks) {
+  const byClaim = new Map();
+  checks.forEach((check, questionIndex) => {
+    if (!check) return;
+    check.claims.forEach(entry => {
+      const existing = byClaim.get(entry.id);
+      if (!existing) {
+        byClaim.set(entry.id, { ...entry, questions: [questionIndex] });
+        return;
+      }
+      if (STATUS_ORDER.indexOf(entry.status) < STATUS_ORDER.indexOf(existing.status)) existing.status = entry.status;
+      existing.probed = existing.probed || entry.probed;
+      existing.metricMentioned = existing.metricMentioned || entry.metricMentioned;
+      existing.said = [...existing.said, ...entry.said];
+      existing.occurrences = [...existing.occurrences, ...entry.occurrences];
+      existing.questions.push(questionIndex);
+    });
+  });
+  const claims = profile.claims.map(claim => byClaim.get(claim.id)).filter(Boolean);
+  const count = (status) => claims.filter(c => c.status === status).length;
+  return { claims, used: count('used'), contradicted: count('contradicted'), unused: count('unused'), total: profile.claims.length };
+}
+
+function summaryTip(report, language) {
+  return languages.t(language, 'resume.summary', { used: report.used + report.contradicted, total: report.total, contradicted: report.contradicted });
+}
+
+module.exports = {
+  MAX_CHARS,
+  MAX_FILE_BYTES,
+  ResumeError,
+  metricsIn,
+  parseResume,
+  resumeQuestions,
+  checkAnswer,
+  summarize,
+  summaryTip
+};
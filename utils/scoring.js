@@ -0,0 +1,350 @@
+/**
+ * Declarative scoring profiles (data/scoring-profiles/*.json).
+ *
+ * A profile turns measured answer metrics into a rating: `base` plus the
+ * points of every threshold a metric meets (times the metric's `weight`),
+ * then `caps`, then rounding and clamping to `scale`. Profiles may `extend`
+ * another one; vocabularies merge, everything else is replaced. All
+ * profiles are validated when first loaded and the server refuses to start
+ * on an invalid one. Technical terms come from the field's vocabulary pack
+ * (utils/vocabulary.js), not from the profile. The profile vocabularies are
+ * English; other interview languages bring their own confidence words and
+ * fillers (utils/languages.js).
+ */
+const fs = require('fs');
+const path = require('path');
+const vocabulary = require('./vocabulary');
+const disfluency = require('./disfluency');
+const languages = require('./languages');
+
+const PROFILE_DIR = process.env.SCORING_PROFILE_DIR || path.join(__dirname, '..', 'data', 'scoring-profiles');
+const DEFAULT_PROFILE = 'default';
+
+// Values an analyzer can measure; null means "not applicable to this answer"
+const METRICS = {
+  wordCount: 'Words spoken',
+  technicalTerms: 'Weighted distinct terms from the field vocabulary pack',
+  confidenceWords: 'Confident / achievement words used',
+  fillerRate: 'Filler words per word',
+  specificMetrics: 'Numbers and measurable results mentioned',
+  questionWords: 'Questions asked back',
+  longPauses: 'Silences of 3s or more',
+  ramblingStretches: 'Over-long sentences or runs',
+  starCoverage: 'Share of STAR parts covered (behavioral answers only)'
+};
+
+const VOCABULARIES = ['confidence', 'fillers'];
+
+let profiles = null;
+const patterns = new Map();
+
+class ProfileError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'ProfileError';
+    this.errors = errors;
+  }
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+
+function merge(parent, child) {
+  const merged = { ...parent, ...child };
+  merged.vocabularies = { ...(parent.vocabularies || {}) };
+  Object.entries(child.vocabularies || {}).forEach(([name, terms]) => {
+    merged.vocabularies[name] = [...new Set([...(merged.vocabularies[name] || []), ...terms])];
+  });
+  delete merged.extends;
+  return merged;
+}
+
+// Returns a list of problems with a resolved profile (empty when valid)
+function validateProfile(profile) {
+  const errors = [];
+  const where = (message) => errors.push(`${profile.id || '?'}: ${message}`);
+
+  if (typeof profile.id !== 'string' || !profile.id) where('"id" must be a non-empty string');
+  if (typeof profile.name !== 'string' || !profile.name) where('"name" must be a non-empty string');
+  if (!Array.isArray(profile.match) || !isStringList(profile.match)) where('"match" must be an array of strings');
+  if (!isNumber(profile.base)) where('"base" must be a number');
+
+  const scale = profile.scale || {};
+  if (!isNumber(scale.min) || !isNumber(scale.max) || scale.min >= scale.max) where('"scale" needs numeric min < max');
+  if (!isNumber(scale.step) || scale.step <= 0) where('"scale.step" must be a positive number');
+
+  const gates = profile.gates || {};
+  ['noSpeechWords', 'briefWords', 'briefRating'].forEach(key => {
+    if (!isNumber(gates[key])) where(`"gates.${key}" must be a number`);
+  });
+
+  if (!Array.isArray(profile.metrics) || profile.metrics.length === 0) {
+    where('"metrics" must be a non-empty array');
+  } else {
+    const seen = new Set();
+    profile.metrics.forEach((metric, i) => {
+      const at = `metrics[${i}]`;
+      if (!METRICS[metric.id]) where(`${at}: unknown metric "${metric.id}" (known: ${Object.keys(METRICS).join(', ')})`);
+      if (seen.has(metric.id)) where(`${at}: metric "${metric.id}" listed twice`);
+      seen.add(metric.id);
+      if (metric.weight !== undefined && (!isNumber(metric.weight) || metric.weight < 0)) where(`${at}: "weight" must be a non-negative number`);
+      if (!Array.isArray(metric.thresholds) || metric.thresholds.length === 0) {
+        where(`${at}: "thresholds" must be a non-empty array`);
+        return;
+      }
+      metric.thresholds.forEach((t, k) => {
+        if (!isNumber(t.points)) where(`${at}.thresholds[${k}]: "points" must be a number`);
+        if (!isNumber(t.min) && !isNumber(t.max)) where(`${at}.thresholds[${k}]: needs a numeric "min" or "max"`);
+      });
+    });
+  }
+
+  (Array.isArray(profile.caps) ? profile.caps : [null]).forEach((cap, i) => {
+    if (!cap) return where('"caps" must be an array');
+    const at = `caps[${i}]`;
+    if (!METRICS[cap.metric]) where(`${at}: unknown metric "${cap.metric}"`);
+    if (!isNumber(cap.below) && !isNumber(cap.above)) where(`${at}: needs a numeric "below" or "above"`);
+    if (!isNumber(cap.max)) where(`${at}: "max" must be a number`);
+    if (typeof cap.reason !== 'string' || !cap.reason) where(`${at}: "reason" must be a non-empty string`);
+  });
+
+  VOCABULARIES.forEach(name => {
+    if (!isStringList((profile.vocabularies || {})[name])) where(`"vocabularies.${name}" must be an array of strings`);
+  });
+  if (profile.fieldVocabularies !== undefined) where('"fieldVocabularies" moved to vocabulary packs in data/vocabularies');
+  if ((profile.vocabularies || {}).technical !== undefined) where('"vocabularies.technical" moved to vocabulary packs in data/vocabularies');
+
+  return errors;
+}
+
+// Reads, resolves `extends` and validates every profile in `dir`; throws ProfileError
+function loadProfiles(dir = PROFILE_DIR) {
+  const raw = {};
+  const errors = [];
+  fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+    try {
+      const profile = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (profile.id !== path.basename(file, '.json')) errors.push(`${file}: "id" must match the file name`);
+      raw[profile.id] = profile;
+    } catch (e) {
+      errors.push(`${file}: ${e.message}`);
+    }
+  });
+
+  const resolved = {};
+  const resolve = (id, chain = []) => {
+    if (resolved[id]) return resolved[id];
+    const profile = raw[id];
+    if (!profile) throw new ProfileError(`Scoring profile "${chain[chain.length - 1]}" extends unknown profile "${id}"`);
+    if (chain.includes(id)) throw new ProfileError(`Scoring profiles extend each other in a cycle: ${[...chain, id].join(' -> ')}`);
+    resolved[id] = profile.extends ? merge(resolve(profile.extends, [...chain, id]), profile) : merge({}, profile);
+    return resolved[id];
+  };
+  Object.keys(raw).forEach(id => {
+    try {
+      resolve(id);
+    } catch (e) {
+      errors.push(e.message);
+    }
+  });
+
+  Object.values(resolved).forEach(profile => errors.push(...validateProfile(profile)));
+  if (!resolved[DEFAULT_PROFILE]) errors.push(`A "${DEFAULT_PROFILE}" profile is required`);
+  if (errors.length > 0) throw new ProfileError(`Invalid scoring profiles in ${dir}`, errors);
+
+  profiles = resolved;
+  return profiles;
+}
+
+function allProfiles() {
+  return profiles || loadProfiles();
+}
+
+function listProfiles() {
+  return Object.values(allProfiles()).map(({ id, name, description, match }) => ({ id, name, description: description || '', match }));
+}
+
+function getProfile(id) {
+  return allProfiles()[id] || null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word keyword match, so "ui" does not match "building"
+function mentions(text, keyword) {
+  return new RegExp(`(?<![\\w])${escapeRegExp(keyword.toLowerCase())}(?![\\w])`).test(String(text || '').toLowerCase());
+}
+
+/**
+ * The profile for a request: the explicit `profile` id when given (unknown
+ * ids throw), otherwise the first profile whose `match` keywords appear in
+ * the field, otherwise the default.
+ */
+function selectProfile({ profile, field } = {}) {
+  const all = allProfiles();
+  if (profile) {
+    if (!all[profile]) throw new ProfileError(`Unknown scoring profile "${profile}"`);
+    return all[profile];
+  }
+  const matched = Object.values(all).find(p => p.id !== DEFAULT_PROFILE && p.match.some(keyword => mentions(field, keyword)));
+  return matched || all[DEFAULT_PROFILE];
+}
+
+/**
+ * The profile's vocabularies plus the vocabulary pack picked from the field.
+ * For an interview in another language the confidence words come from that
+ * language and its filler sounds replace the profile's English ones.
+ */
+function vocabularyFor(profile, field, language) {
+  const { pack, matchedBy, alias } = vocabulary.selectPack(field);
+  const lang = languages.getLanguage(language);
+  const own = lang.code === languages.BASE_LANGUAGE ?
+    Object.fromEntries(VOCABULARIES.map(name => [name, profile.vocabularies[name]])) :
+    { confidence: lang.lexicon.confidence, fillers: [] };
+  return {
+    ...own,
+    language: lang.code,
+    pack,
+    packMatch: { id: pack.id, name: pack.name, matchedBy, alias }
+  };
+}
+
+// Whole-word (or whole-phrase) occurrences of any of `terms` in `text`
+function countTerms(text, terms) {
+  if (!terms || terms.length === 0) return 0;
+  return (languages.fold(text).match(languages.phrasePattern(terms, 'gu')) || []).length;
+}
+
+// Numbers with a unit ("40%", "3 months") and questions asked back, per language
+function patternsFor(language) {
+  const lang = languages.getLanguage(language);
+  if (!patterns.has(lang.code)) {
+    const units = languages.phrasePattern(lang.lexicon.metricUnits).source;
+    patterns.set(lang.code, {
+      specificMetrics: new RegExp(`(?<![\\p{L}\\p{M}\\p{N}_])\\p{Nd}+(?:\\s*%|\\s*${units})`, 'gu'),
+      questionWords: languages.phrasePattern(lang.lexicon.questionWords, 'gu')
+    });
+  }
+  return patterns.get(lang.code);
+}
+
+/**
+ * Metric values for one answer. Timeline findings (filler occurrences,
+ * pauses, rambling, STAR result) come from the caller, which also turns
+ * them into mistakes. Pack terms are matched on the timed `words` when
+ * given, so each matched term carries its occurrences; `terms` holds them.
+ */
+function measure(text, vocab, { words = [], fillerWords, longPauses = 0, ramblingStretches = 0, star = null } = {}) {
+  const wordCount = String(text || '').split(/\s+/).filter(w => w.length > 0).length;
+  const terms = vocabulary.matchTerms(words.length > 0 ? words : String(text || ''), vocab.pack);
+  const fillers = isNumber(fillerWords) ? fillerWords : disfluency.analyzeDisfluency(String(text || ''), { fillers: vocab.fillers, language: vocab.language }).total;
+  const pattern = patternsFor(vocab.language);
+  const starCoverage = star ?
+    Object.values(star.parts).reduce((acc, part) => acc + (part.status === 'ok' ? 1 : part.status === 'thin' ? 0.5 : 0), 0) / 4 :
+    null;
+
+  return {
+    wordCount,
+    technicalTerms: terms.score,
+    confidenceWords: countTerms(text, vocab.confidence),
+    fillerWords: fillers,
+    fillerRate: wordCount > 0 ? fillers / wordCount : 0,
+    specificMetrics: (languages.fold(text).match(pattern.specificMetrics) || []).length,
+    questionWords: (languages.fold(text).match(pattern.questionWords) || []).length,
+    longPauses,
+    ramblingStretches,
+    starCoverage,
+    terms
+  };
+}
+
+function meets(threshold, value) {
+  return (!isNumber(threshold.min) || value >= threshold.min) && (!isNumber(threshold.max) || value <= threshold.max);
+}
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
+
+/**
+ * Scores measured `values` with a profile. Returns the rating and a
+ * breakdown listing every metric's value, the thresholds it met, the points
+ * it earned and any caps that lowered the score.
+ */
+function score(profile, values) {
+  const metrics = profile.metrics.map(metric => {
+    const value = values[metric.id];
+    const weight = isNumber(metric.weight) ? metric.weight : 1;
+    if (value === null || value === undefined) {
+      return { id: metric.id, label: metric.label || METRICS[metric.id], value: null, weight, points: 0, met: [], applicable: false };
+    }
+    const met = metric.thresholds.filter(t => meets(t, value));
+    const points = met.reduce((acc, t) => acc + t.points, 0) * weight;
+    return {
+      id: metric.id,
+      label: metric.label || METRICS[metric.id],
+      value: Math.round(value * 1000) / 1000,
+      weight,
+      points: Math.round(points * 100) / 100,
+      met: met.map(t => ({ ...t })),
+      applicable: true
+    };
+  });
+
+  const raw = profile.base + metrics.reduce((acc, m) => acc + m.points, 0);
+  const caps = profile.caps.filter(cap => {
+    const value = values[cap.metric];
+    if (value === null || value === undefined) return false;
+    return (isNumber(cap.below) && value < cap.below) || (isNumber(cap.above) && value > cap.above);
+  });
+  const capped = caps.reduce((acc, cap) => Math.min(acc, cap.max), raw);
+  const rating = Math.min(profile.scale.max, Math.max(profile.scale.min, roundTo(capped, profile.scale.step)));
+
+  return {
+    rating,
+    breakdown: {
+      profile: profile.id,
+      profileName: profile.name,
+      base: profile.base,
+      metrics,
+      caps: caps.map(cap => ({ metric: cap.metric, max: cap.max, reason: cap.reason })),
+      raw: Math.round(raw * 100) / 100,
+      rating,
+      scale: { ...profile.scale }
+    }
+  };
+}
+
+// Rating for answers stopped by a gate (no speech / too brief), with the same breakdown shape
+function gated(profile, gate) {
+  const rating = gate === 'noSpeech' ? 0 : profile.gates.briefRating;
+  return {
+    rating,
+    breakdown: {
+      profile: profile.id,
+      profileName: profile.name,
+      gate,
+      reason: gate === 'noSpeech' ?
+        `Fewer than ${profile.gates.noSpeechWords} words spoken` :
+        `Fewer than ${profile.gates.briefWords} words spoken`,
+      rating
+    }
+  };
+}
+
+module.exports = {
+  METRICS,
+  ProfileError,
+  loadProfiles,
+  listProfiles,
+  getProfile,
+  selectProfile,
+  validateProfile,
+  vocabularyFor,
+  countTerms,
+  measure,
+  score,
+  gated
+};
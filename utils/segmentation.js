@@ -0,0 +1,158 @@
+/**
+ * Splits a single-video transcript into one answer per question.
+ *
+ * Boundaries come from (in order of preference) user-supplied markers,
+ * the candidate reading the question aloud, and the longest pauses
+ * between segments. Whatever is left is split evenly.
+ */
+
+const MIN_PAUSE_SECONDS = 1.5;
+const READ_ALOUD_OVERLAP = 0.6;
+const READ_ALOUD_WINDOW = 3;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'me', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who',
+  'why', 'with', 'you', 'your'
+]);
+
+// Whisper segments used "HH:MM:SS" strings, AssemblyAI uses float seconds.
+function toSeconds(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : 0;
+  if (typeof value !== 'string' || !value.trim()) return 0;
+  return value.trim().split(':').reduce((acc, part) => acc * 60 + (parseFloat(part) || 0), 0);
+}
+
+function normalizeSegments(segments) {
+  return (segments || [])
+    .map(s => ({ ...s, start: toSeconds(s.start), end: toSeconds(s.end), text: (s.text || '').trim() }))
+    .filter(s => s.text.length > 0)
+    .sort((a, b) => a.start - b.start);
+}
+
+function contentWords(text) {
+  return (text.toLowerCase().match(/[a-z0-9']+/g) || []).filter(w => w.length > 1 && !STOP_WORDS.has(w));
+}
+
+// Fraction of the question's content words spoken within the window.
+function questionOverlap(question, text) {
+  const wanted = new Set(contentWords(question));
+  if (wanted.size === 0) return 0;
+  const spoken = new Set(contentWords(text));
+  let hits = 0;
+  wanted.forEach(w => { if (spoken.has(w)) hits++; });
+  return hits / wanted.size;
+}
+
+// Finds the earliest-ending, shortest run of segments at or after `from`
+// that reads the question aloud.
+function findReadAloud(segments, question, from) {
+  for (let end = from; end < segments.length; end++) {
+    let text = '';
+    for (let start = end; start >= from && end - start < READ_ALOUD_WINDOW; start--) {
+      text = segments[start].text + ' ' + text;
+      if (questionOverlap(question, text) >= READ_ALOUD_OVERLAP) {
+        return { index: start, length: end - start + 1 };
+      }
+    }
+  }
+  return null;
+}
+
+function boundariesFromMarkers(segments, count, markers) {
+  const times = (markers || []).map(toSeconds).filter(t => t > 0).sort((a, b) => a - b);
+  if (times.length === count) times.shift();
+  if (times.length !== count - 1) return null;
+  return times.map(t => {
+    const idx = segments.findIndex(s => (s.start + s.end) / 2 >= t);
+    return idx === -1 ? segments.length : idx;
+  });
+}
+
+// Places `needed` boundaries strictly inside (lo, hi) at the longest pauses.
+function boundariesFromPauses(segments, lo, hi, needed) {
+  const gaps = [];
+  for (let i = lo + 1; i < hi; i++) {
+    gaps.push({ index: i, gap: segments[i].start - segments[i - 1].end });
+  }
+  const chosen = gaps
+    .filter(g => g.gap >= MIN_PAUSE_SECONDS)
+    .sort((a, b) => b.gap - a.gap)
+    .slice(0, needed)
+    .map(g => g.index)
+    .sort((a, b) => a - b);
+  return chosen.length === needed ? chosen : null;
+}
+
+function evenBoundaries(lo, hi, needed) {
+  const span = hi - lo;
+  return Array.from({ length: needed }, (_, k) => lo + Math.round((span * (k + 1)) / (needed + 1)));
+}
+
+/**
+ * Returns one answer per question: { index, question, start, end, text,
+ * segments, splitBy, questionReadAloud }.
+ */
+function segmentAnswers(rawSegments, questions, options = {}) {
+  const segments = normalizeSegments(rawSegments);
+  const count = questions.length;
+  const starts = new Array(count).fill(null);
+  const splitBy = new Array(count).fill('even');
+  const readAloud = new Array(count).fill(0);
+  starts[0] = 0;
+  splitBy[0] = 'start';
+
+  const fromMarkers = count > 1 ? boundariesFromMarkers(segments, count, options.markers) : null;
+  if (fromMarkers) {
+    fromMarkers.forEach((b, k) => { starts[k + 1] = b; splitBy[k + 1] = 'marker'; });
+  } else {
+    // Pass 1: questions read aloud, matched in order.
+    let cursor = 0;
+    questions.forEach((question, q) => {
+      const match = findReadAloud(segments, question, q === 0 ? 0 : cursor + 1);
+      if (!match || (q === 0 && match.index > 0)) return;
+      starts[q] = match.index;
+      splitBy[q] = q === 0 ? 'start' : 'read-aloud';
+      readAloud[q] = match.length;
+      cursor = match.index + match.length - 1;
+    });
+
+    // Pass 2: fill the gaps between known boundaries with pauses, else evenly.
+    let q = 1;
+    while (q < count) {
+      if (starts[q] !== null) { q++; continue; }
+      let next = q;
+      while (next < count && starts[next] === null) next++;
+      const lo = starts[q - 1] + readAloud[q - 1];
+      const hi = next < count ? starts[next] : segments.length;
+      const needed = next - q;
+      const pauses = boundariesFromPauses(segments, lo, hi, needed);
+      const placed = pauses || evenBoundaries(lo, hi, needed);
+      placed.forEach((b, k) => {
+        starts[q + k] = Math.max(b, lo);
+        splitBy[q + k] = pauses ? 'pause' : 'even';
+      });
+      q = next;
+    }
+  }
+
+  return questions.map((question, q) => {
+    const from = starts[q] + readAloud[q];
+    const to = q + 1 < count ? Math.max(starts[q + 1], from) : segments.length;
+    const answerSegments = segments.slice(from, to);
+    const first = answerSegments[0];
+    const last = answerSegments[answerSegments.length - 1];
+    return {
+      index: q,
+      question,
+      start: first ? first.start : 0,
+      end: last ? last.end : 0,
+      text: answerSegments.map(s => s.text).join(' ').trim(),
+      segments: answerSegments,
+      splitBy: splitBy[q],
+      questionReadAloud: readAloud[q] > 0
+    };
+  });
+}
+
+module.exports = { segmentAnswers, normalizeSegments, toSeconds };
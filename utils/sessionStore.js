@@ -0,0 +1,103 @@
+/**
+ * Practice session history, kept in the embedded `sessions` collection.
+ *
+ * A session holds everything needed to reopen its report later: the
+ * questions, the timed transcript, the full analysis and summary metrics.
+ * A follow-up round points at the session it probes (`parentSessionId`)
+ * and counts its `round` from 1 for the original session.
+ */
+const db = require('./db');
+
+function sessions() {
+  return db.collection('sessions');
+}
+
+// Metrics callers may add to the computed ones; anything else they send is dropped
+const EXTRA_METRICS = ['input', 'provider', 'profile', 'clips', 'media'];
+
+function segmentWords(segment) {
+  if (!segment) return 0;
+  if (Array.isArray(segment.words)) return segment.words.length;
+  return typeof segment.text === 'string' ? segment.text.split(/\s+/).filter(Boolean).length : 0;
+}
+
+// Computed metrics come last, so `extra` cannot overwrite them
+function metricsFor(analysis, transcript, extra = {}) {
+  const allowed = Object.fromEntries(EXTRA_METRICS.filter(key => extra && extra[key] !== undefined).map(key => [key, extra[key]]));
+  return {
+    ...allowed,
+    rating: typeof analysis.rating === 'number' ? analysis.rating : 0,
+    mistakes: (analysis.mistakes || []).length,
+    tips: (analysis.tips || []).length,
+    questionCount: (analysis.questions || []).length,
+    wordCount: transcript && Array.isArray(transcript.segments) ?
+      transcript.segments.reduce((acc, s) => acc + segmentWords(s), 0) : 0,
+    duration: transcript && transcript.duration ? transcript.duration : 0
+  };
+}
+
+// `parentSessionId` must be one of the user's sessions (check with getSession first)
+function createSession(userId, { field, questions, language, transcript, analysis, metrics, source, parentSessionId }) {
+  const now = new Date().toISOString();
+  const parent = parentSessionId ? getSession(userId, parentSessionId) : null;
+  return sessions().insert({
+    userId,
+    field: field || '',
+    questions: questions || [],
+    language: language || null,
+    transcript: transcript || null,
+    analysis,
+    metrics: metricsFor(analysis, transcript, metrics),
+    source: source || null,
+    parentSessionId: parent ? parent.id : null,
+    round: parent ? (parent.round || 1) + 1 : 1,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+function summary(session) {
+  return {
+    id: session.id,
+    field: session.field,
+    language: session.language || null,
+    createdAt: session.createdAt,
+    rating: session.metrics.rating,
+    mistakes: session.metrics.mistakes,
+    tips: session.metrics.tips,
+    questionCount: session.metrics.questionCount,
+    parentSessionId: session.parentSessionId || null,
+    round: session.round || 1
+  };
+}
+
+// Newest first
+function listSessions(userId) {
+  return sessions()
+    .find(s => s.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getSession(userId, id) {
+  const session = sessions().get(id);
+  return session && session.userId === userId ? session : null;
+}
+
+// Follow-up rounds recorded for a session, oldest first
+function listFollowUps(userId, id) {
+  return sessions()
+    .find(s => s.userId === userId && s.parentSessionId === id)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Follow-up rounds outlive the session they probed; they become sessions of their own
+function deleteSession(userId, id) {
+  if (!getSession(userId, id)) return false;
+  const collection = sessions();
+  return collection.batch(() => {
+    listFollowUps(userId, id).forEach(followUp => collection.update(followUp.id, { parentSessionId: null }));
+    return collection.remove(id);
+  });
+}
+
+module.exports = { createSession, listSessions, getSession, listFollowUps, deleteSession, summary };
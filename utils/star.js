@@ -0,0 +1,187 @@
+/**
+ * STAR-structure detection for behavioral answers.
+ *
+ * Every timed sentence of an answer is labelled Situation, Task, Action or
+ * Result from cue phrases plus its position in the answer (stories usually
+ * open with the situation and close with the result). Sentences without cues
+ * continue the part before them. Each part reports its sentences, words and
+ * speaking time, and is `missing` or `thin` when the story skips it.
+ * The cues below are English; other languages bring their cue phrases in
+ * their language file (utils/languages.js).
+ */
+const timeline = require('./timeline');
+const languages = require('./languages');
+
+const PARTS = ['situation', 'task', 'action', 'result'];
+
+const CUES = {
+  situation: [
+    /\b(at|in) my (previous|last|current|first|old) (job|role|company|team|position|internship)\b/,
+    /\b(when|while) i was (working|at|in|on|leading|an?)\b/,
+    /\bback (in|when)\b/,
+    /\bin (19|20)\d\d\b/,
+    /\b(there was|there were|we had|we were|our team|the team was|the company|the client|the project was|the situation)\b/,
+    /\b(background|context)\b/
+  ],
+  task: [
+    /\bi was (responsible|tasked|asked|assigned|expected|in charge)\b/,
+    /\b(my|our) (role|job|task|goal|responsibility|objective|mission|assignment) was\b/,
+    /\b(i|we) (needed|had|wanted) to\b/,
+    /\bthe (goal|task|challenge|problem|requirement|deadline) was\b/,
+    /\b(deadline|objective|requirement)s?\b/
+  ],
+  action: [
+    /\bi (built|implemented|designed|created|wrote|decided|led|organized|organised|set up|started|introduced|proposed|analyzed|analysed|investigated|reached out|scheduled|added|migrated|automated|profiled|debugged|refactored|talked|met|spoke|coordinated|prioritized|prioritised|researched|tested|rewrote|broke|split|reviewed|negotiated|trained|mentored|took)\b/,
+    /\b(so i|then i|first i|i then|next i|after that i|i made sure|i focused on|i worked with|i went)\b/,
+    /^(first|then|next|after that|so|to do that|to fix (this|that))\b/
+  ],
+  result: [
+    /\b(as a result|the result|resulted in|in the end|eventually|ultimately|finally|the outcome|outcome was|which meant|which led|this led|that led)\b/,
+    /\b(we|i|it|this|that) (reduced|increased|improved|saved|shipped|delivered|launched|cut|grew|doubled|halved|won|achieved|hit|exceeded|went live)\b/,
+    /\b\d+(\.\d+)?\s*(%|percent|x\b|times\b)/,
+    /\b(learned|learnt|lesson|feedback|since then|going forward)\b/,
+    /\bsuccessful(ly)?\b/
+  ]
+};
+
+// A cue is worth this much more than the positional prior
+const CUE_WEIGHT = 2;
+const POSITION_WEIGHT = 0.6;
+// A part is thin below this share of the answer's words (action carries the story, so it needs more)
+const THIN_SHARE = { situation: 0.08, task: 0.05, action: 0.25, result: 0.08 };
+const MIN_STORY_SENTENCES = 3;
+
+const BEHAVIORAL_QUESTION = /\b(tell me about a time|describe a (time|situation|challenging|difficult|project|moment|conflict)|give (me )?an example|walk me through a|how did you (handle|deal|resolve|manage)|have you ever|share an? (experience|example|situation)|talk about a time|what did you do when)\b/i;
+
+const ENGLISH_NARRATIVE = /\b(i|we) \w+ed\b|\b(i|we) (was|were|had|did|made|led|built|took|went)\b/i;
+
+// Cue patterns per language code: { cues, behavioralQuestion, narrative }
+const patterns = new Map();
+
+function patternsFor(language) {
+  const lang = languages.getLanguage(language);
+  if (!patterns.has(lang.code)) {
+    patterns.set(lang.code, lang.star ? {
+      cues: Object.fromEntries(PARTS.map(part => [part, lang.star[part].map(phrase => languages.phrasePattern([phrase]))])),
+      behavioralQuestion: languages.phrasePattern(lang.star.behavioralQuestion, 'iu'),
+      narrative: languages.phrasePattern(lang.star.narrative, 'iu')
+    } : { cues: CUES, behavioralQuestion: BEHAVIORAL_QUESTION, narrative: ENGLISH_NARRATIVE });
+  }
+  return patterns.get(lang.code);
+}
+
+// Bank questions may still be in English when the interview is not, so English phrasing always counts
+function isBehavioralQuestion(question, language) {
+  const text = languages.fold(question);
+  return BEHAVIORAL_QUESTION.test(text) || patternsFor(language).behavioralQuestion.test(text);
+}
+
+// Without a question, treat first-person past-tense narratives as stories
+function looksLikeStory(sentences, language) {
+  const { narrative: pattern } = patternsFor(language);
+  const narrative = sentences.filter(s => pattern.test(languages.fold(s.text)));
+  return sentences.length >= MIN_STORY_SENTENCES && narrative.length >= Math.ceil(sentences.length / 2);
+}
+
+// Where in the answer each part is expected, as a 0..1 position
+const EXPECTED_POSITION = { situation: 0.05, task: 0.25, action: 0.55, result: 0.9 };
+
+function classify(sentences, cues) {
+  let previous = null;
+  return sentences.map((sentence, index) => {
+    const text = languages.fold(sentence.text);
+    const position = sentences.length > 1 ? index / (sentences.length - 1) : 0.5;
+    const cueScores = Object.fromEntries(PARTS.map(part => [part, cues[part].filter(re => re.test(text)).length]));
+    const hasCue = PARTS.some(part => cueScores[part] > 0);
+
+    let part;
+    if (!hasCue && previous) {
+      part = previous;
+    } else {
+      part = PARTS.reduce((best, candidate) => {
+        const score = (c) => cueScores[c] * CUE_WEIGHT + POSITION_WEIGHT * (1 - Math.abs(position - EXPECTED_POSITION[c]));
+        return score(candidate) > score(best) ? candidate : best;
+      }, PARTS[0]);
+    }
+    previous = part;
+    return { ...sentence, part, cues: hasCue };
+  });
+}
+
+/**
+ * Analyzes one answer ({ text, segments | words }). Returns null when the
+ * answer is not a behavioral story. `question` decides that when given;
+ * `language` is the interview language code (default English).
+ */
+function analyzeStar(answer, { question, language } = {}) {
+  const words = timeline.wordsOf(answer);
+  const sentences = timeline.splitSentences(words);
+  if (sentences.length === 0) return null;
+
+  const behavioral = question ? isBehavioralQuestion(question, language) : looksLikeStory(sentences, language);
+  if (!behavioral) return null;
+
+  const labelled = classify(sentences, patternsFor(language).cues);
+  const totalWords = words.length;
+  const totalSeconds = Math.max(0.001, labelled.reduce((acc, s) => acc + (s.end - s.start), 0));
+
+  const parts = Object.fromEntries(PARTS.map(part => {
+    const own = labelled.filter(s => s.part === part);
+    const wordCount = own.reduce((acc, s) => acc + s.words.length, 0);
+    const seconds = own.reduce((acc, s) => acc + (s.end - s.start), 0);
+    const share = totalWords > 0 ? wordCount / totalWords : 0;
+    const status = own.length === 0 ? 'missing' : share < THIN_SHARE[part] ? 'thin' : 'ok';
+    return [part, {
+      label: languages.t(language, `star.labels.${part}`),
+      status,
+      sentences: own.length,
+      words: wordCount,
+      seconds: Math.round(seconds * 10) / 10,
+      timeShare: Math.round(seconds / totalSeconds * 100),
+      spans: own.map(s => ({ start: s.start, end: s.end, timestamp: timeline.formatTimestamp(s.start), text: s.text }))
+    }];
+  }));
+
+  return {
+    behavioral: true,
+    complete: PARTS.every(part => parts[part].status === 'ok'),
+    missing: PARTS.filter(part => parts[part].status === 'missing'),
+    thin: PARTS.filter(part => parts[part].status === 'thin'),
+    parts,
+    sentences: labelled.map(s => ({ start: s.start, end: s.end, text: s.text, part: s.part }))
+  };
+}
+
+const label = (language, part) => languages.t(language, `star.labels.${part}`);
+const advice = (language, part) => languages.t(language, `star.advice.${part}`);
+
+// Mistakes for missing/thin parts, anchored where the part is (or should be)
+function starMistakes(star, answerStart = 0, answerEnd = answerStart, language) {
+  if (!star) return [];
+  const mistakes = [];
+  if (star.missing.length > 0) {
+    const anchor = star.missing.includes('result') && star.missing.length === 1 ? answerEnd : answerStart;
+    mistakes.push(timeline.makeMistake('star-missing',
+      languages.t(language, 'star.missing', {
+        parts: languages.formatList(language, star.missing.map(part => label(language, part))),
+        advice: advice(language, star.missing[0])
+      }),
+      [], anchor));
+  }
+  star.thin.forEach(part => {
+    mistakes.push(timeline.makeMistake('star-thin',
+      languages.t(language, 'star.thin', { part: label(language, part), share: star.parts[part].timeShare, advice: advice(language, part) }),
+      star.parts[part].spans, answerStart));
+  });
+  return mistakes;
+}
+
+function starTips(star, language) {
+  if (!star) return [];
+  if (star.complete) {
+    return [languages.t(language, 'star.complete')];
+  }
+  return [...star.missing, ...star.thin].map(part => languages.t(language, 'star.partTip', { part: label(language, part), advice: advice(language, part) }));
+}
+
+module.exports = { PARTS, analyzeStar, isBehavioralQuestion, starMistakes, starTips };
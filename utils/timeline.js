@@ -0,0 +1,127 @@
+/**
+ * Locates problems on the transcript's word timeline so every mistake can
+ * point at the moment it happened instead of a made-up timestamp.
+ *
+ * Occurrences are { start, end, timestamp, text } with times in seconds.
+ */
+
+const LONG_PAUSE_SECONDS = 3;
+const RAMBLING_SENTENCE_WORDS = 45;
+const RAMBLING_RUN_SECONDS = 45;
+const RUN_BREAK_SECONDS = 1;
+const MAX_SENTENCE_WORDS = 40;
+// Sentence-final punctuation, including the Devanagari danda
+const SENTENCE_END = /[.!?।]$/;
+
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+}
+
+// Flat word list for a transcript or an answer slice ({ words } or { segments: [{ words }] }).
+function wordsOf(transcript) {
+  if (transcript.words && transcript.words.length > 0) return transcript.words;
+  return (transcript.segments || []).reduce((acc, s) => acc.concat(s.words || []), []);
+}
+
+function occurrence(start, end, text) {
+  return { start, end, timestamp: formatTimestamp(start), text };
+}
+
+// Silences between consecutive words of at least `minSeconds`.
+function findLongPauses(words, minSeconds = LONG_PAUSE_SECONDS) {
+  const found = [];
+  for (let i = 1; i < words.length; i++) {
+    const gap = words[i].start - words[i - 1].end;
+    if (gap >= minSeconds) {
+      found.push({ ...occurrence(words[i - 1].end, words[i].start, `${gap.toFixed(1)}s pause`), duration: gap });
+    }
+  }
+  return found;
+}
+
+// Over-long sentences, and long runs of speech with no breathing pause.
+function findRamblingStretches(words, options = {}) {
+  const maxWords = options.maxSentenceWords || RAMBLING_SENTENCE_WORDS;
+  const maxSeconds = options.maxRunSeconds || RAMBLING_RUN_SECONDS;
+  const found = [];
+
+  let sentenceStart = 0;
+  let runStart = 0;
+  for (let i = 0; i < words.length; i++) {
+    const endsSentence = SENTENCE_END.test(words[i].text) || i === words.length - 1;
+    if (endsSentence) {
+      const count = i - sentenceStart + 1;
+      if (count > maxWords) {
+        found.push(occurrence(words[sentenceStart].start, words[i].end, `${count}-word sentence`));
+      }
+      sentenceStart = i + 1;
+    }
+
+    const breaksRun = i === words.length - 1 || words[i + 1].start - words[i].end >= RUN_BREAK_SECONDS;
+    if (breaksRun) {
+      const seconds = words[i].end - words[runStart].start;
+      const overlaps = found.some(f => f.start <= words[i].end && f.end >= words[runStart].start);
+      if (seconds > maxSeconds && !overlaps) {
+        found.push(occurrence(words[runStart].start, words[i].end, `${Math.round(seconds)}s without a pause`));
+      }
+      runStart = i + 1;
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+// Timed sentences: split at sentence punctuation, at breathing pauses when the
+// transcript has no punctuation, and every MAX_SENTENCE_WORDS words at worst.
+function splitSentences(words) {
+  const sentences = [];
+  let current = [];
+  const flush = () => {
+    if (current.length === 0) return;
+    sentences.push({
+      start: current[0].start,
+      end: current[current.length - 1].end,
+      text: current.map(w => w.text).join(' '),
+      words: current
+    });
+    current = [];
+  };
+
+  const punctuated = words.some(w => SENTENCE_END.test(w.text));
+  for (let i = 0; i < words.length; i++) {
+    current.push(words[i]);
+    const next = words[i + 1];
+    if (SENTENCE_END.test(words[i].text) ||
+        (!punctuated && next && next.start - words[i].end >= RUN_BREAK_SECONDS) ||
+        current.length >= MAX_SENTENCE_WORDS) {
+      flush();
+    }
+  }
+  flush();
+  return sentences;
+}
+
+/**
+ * Builds a mistake anchored at its first occurrence. Without occurrences
+ * (e.g. "no metrics mentioned") it is anchored at `fallbackStart`, normally
+ * the beginning of the answer.
+ */
+function makeMistake(type, text, occurrences = [], fallbackStart = 0) {
+  const time = occurrences.length > 0 ? occurrences[0].start : fallbackStart;
+  return {
+    type,
+    timestamp: formatTimestamp(time),
+    time,
+    text,
+    occurrences
+  };
+}
+
+module.exports = {
+  formatTimestamp,
+  wordsOf,
+  findLongPauses,
+  findRamblingStretches,
+  splitSentences,
+  makeMistake
+};
@@ -0,0 +1,121 @@
+/**
+ * AssemblyAI provider: uploads the file, requests a transcript and polls until it completes.
+ * Aborting options.signal stops the upload or the polling.
+ */
+const fs = require('fs');
+
+const API_URL = 'https://api.assemblyai.com/v2';
+const POLL_INTERVAL_MS = 3000;
+const MAX_ATTEMPTS = 100; // ~5 minutes max
+
+function isAvailable() {
+  return !!process.env.ASSEMBLYAI_API_KEY;
+}
+
+async function request(pathname, options = {}) {
+  const response = await fetch(`${API_URL}${pathname}`, {
+    ...options,
+    headers: { 'Authorization': process.env.ASSEMBLYAI_API_KEY, ...(options.headers || {}) }
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`AssemblyAI ${pathname} failed: ${response.status} ${errorText}`);
+  }
+  return response.json();
+}
+
+function checkCancelled(signal) {
+  if (signal && signal.aborted) throw new Error('Transcription cancelled');
+}
+
+// Waits between polls; an abort ends the wait early
+function wait(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+// options.language is a language code, or "auto" to let AssemblyAI detect it
+async function transcribe(filePath, options = {}) {
+  if (!isAvailable()) throw new Error('No transcription API key configured');
+  const { signal } = options;
+  checkCancelled(signal);
+
+  console.log('🎤 Uploading media to AssemblyAI...');
+
+  // Read file as buffer (instead of stream for Vercel compatibility)
+  const { upload_url } = await request('/upload', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: fs.readFileSync(filePath),
+    duplex: 'half', // Required for Vercel
+    signal
+  });
+
+  const { id } = await request('/transcript', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      audio_url: upload_url,
+      speaker_labels: true,
+      ...(options.language === 'auto' ? { language_detection: true } : { language_code: options.language || 'en' }),
+      punctuate: true,
+      format_text: true
+    }),
+    signal
+  });
+  console.log('⏳ Transcription in progress, ID:', id);
+
+  let transcript;
+  let attempts = 0;
+  do {
+    await wait(POLL_INTERVAL_MS, signal);
+    checkCancelled(signal);
+    transcript = await request(`/transcript/${id}`, { signal });
+    attempts++;
+    console.log(`📊 Transcription status: ${transcript.status} (attempt ${attempts}/${MAX_ATTEMPTS})`);
+  } while ((transcript.status === 'processing' || transcript.status === 'queued') && attempts < MAX_ATTEMPTS);
+
+  if (transcript.status === 'error') {
+    throw new Error(`Transcription failed: ${transcript.error || 'Unknown error'}`);
+  }
+  if (transcript.status !== 'completed') {
+    throw new Error(`Transcription timed out after ${MAX_ATTEMPTS} attempts`);
+  }
+
+  // AssemblyAI reports milliseconds; normalizeTranscript expects seconds
+  const toWord = w => ({ text: w.text, start: w.start / 1000, end: w.end / 1000, confidence: w.confidence, speaker: w.speaker });
+  const utterances = transcript.utterances || [];
+  const segments = utterances.length > 0 ?
+    utterances.map(u => ({
+      start: u.start / 1000,
+      end: u.end / 1000,
+      text: u.text,
+      speaker: u.speaker,
+      confidence: u.confidence,
+      words: (u.words || []).map(toWord)
+    })) :
+    [{
+      start: 0,
+      end: transcript.audio_duration || 0,
+      text: transcript.text || '',
+      confidence: transcript.confidence,
+      words: (transcript.words || []).map(toWord)
+    }];
+
+  return {
+    text: transcript.text || '',
+    language: transcript.language_code || (options.language !== 'auto' && options.language) || 'en',
+    duration: transcript.audio_duration || 0,
+    confidence: transcript.confidence,
+    segments
+  };
+}
+
+module.exports = { name: 'assemblyai', isAvailable, transcribe };
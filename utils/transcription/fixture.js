@@ -0,0 +1,25 @@
+/**
+ * Fixture provider: returns a canned transcript from fixtures/transcripts/<name>.json.
+ * Lets the whole pipeline run offline, without Whisper or an API key.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = process.env.TRANSCRIPT_FIXTURE_DIR || path.join(__dirname, '..', '..', 'fixtures', 'transcripts');
+
+function isAvailable() {
+  return fs.existsSync(FIXTURE_DIR);
+}
+
+async function transcribe(filePath, options = {}) {
+  const name = options.fixture || process.env.TRANSCRIPT_FIXTURE || 'sample';
+  if (!/^[\w-]+$/.test(name)) throw new Error(`Invalid fixture name: ${name}`);
+
+  const fixturePath = path.join(FIXTURE_DIR, `${name}.json`);
+  if (!fs.existsSync(fixturePath)) throw new Error(`Transcript fixture not found: ${name}`);
+
+  console.log('🧪 Using transcript fixture:', name);
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+}
+
+module.exports = { name: 'fixture', isAvailable, transcribe };
@@ -0,0 +1,79 @@
+/**
+ * Transcription provider layer.
+ *
+ * Every provider exposes { name, isAvailable(), transcribe(filePath, options) }
+ * and returns raw output that normalizeTranscript turns into the shared format.
+ * The chain comes from TRANSCRIPTION_PROVIDERS (comma separated, default
+ * "whisper,assemblyai"); a per-request provider is tried first. Providers are
+ * tried in order until one succeeds. A cancelled request (options.signal) or
+ * one refused because the server is shutting down ends the chain.
+ */
+const whisper = require('./whisper');
+const assemblyai = require('./assemblyai');
+const fixture = require('./fixture');
+const { normalizeTranscript, joinTranscripts, textTranscript } = require('./normalize');
+
+const providers = { whisper, assemblyai, fixture };
+
+const DEFAULT_CHAIN = 'whisper,assemblyai';
+
+function parseChain(value) {
+  return String(value || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+// The fixture provider is only selectable per request outside production.
+function providerChain(requested) {
+  const chain = parseChain(process.env.TRANSCRIPTION_PROVIDERS || DEFAULT_CHAIN);
+  const first = parseChain(requested).filter(name => name !== 'fixture' || process.env.NODE_ENV !== 'production');
+  return [...new Set([...first, ...chain])];
+}
+
+async function transcribe(filePath, options = {}) {
+  const attempts = [];
+
+  for (const name of providerChain(options.provider)) {
+    const provider = providers[name];
+    if (!provider) {
+      attempts.push(`${name}: unknown provider`);
+      continue;
+    }
+    if (!provider.isAvailable()) {
+      attempts.push(`${name}: not configured`);
+      continue;
+    }
+    try {
+      const raw = await provider.transcribe(filePath, options);
+      const transcript = normalizeTranscript(raw, name);
+      console.log(`✅ Transcription via ${name}:`, transcript.text.substring(0, 100) + '...');
+      return transcript;
+    } catch (error) {
+      if ((options.signal && options.signal.aborted) || error.code === 'CANCELLED' || error.code === 'SHUTTING_DOWN') throw error;
+      console.error(`❌ ${name} transcription failed:`, error.message);
+      attempts.push(`${name}: ${error.message}`);
+    }
+  }
+
+  const error = new Error(`All transcription providers failed (${attempts.join('; ')})`);
+  error.attempts = attempts;
+  throw error;
+}
+
+function availableProviders() {
+  return Object.keys(providers).filter(name => providers[name].isAvailable());
+}
+
+// Stops the local worker pool; resolves once its workers have exited
+function shutdown(options) {
+  return whisper.shutdown(options);
+}
+
+module.exports = {
+  transcribe,
+  providerChain,
+  availableProviders,
+  shutdown,
+  normalizeTranscript,
+  joinTranscripts,
+  textTranscript,
+  providers
+};
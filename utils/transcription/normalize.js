@@ -0,0 +1,146 @@
+/**
+ * Normalized transcript format shared by every transcription provider.
+ *
+ * {
+ *   provider, text, language, duration, confidence,
+ *   segments: [{ start, end, text, speaker, confidence, words }],
+ *   words:    [{ text, start, end, confidence, speaker }]
+ * }
+ *
+ * All times are float seconds from the start of the recording. Providers
+ * hand their raw output to normalizeTranscript and never build this shape
+ * themselves. When a provider gives no word timings they are estimated by
+ * spreading each segment's words over its span (`estimated: true`, and
+ * `wordTimings: 'estimated'` on the transcript).
+ */
+const { toSeconds } = require('../segmentation');
+
+// Typed answers are timed as if read aloud: 150 words per minute, a breath between sentences
+const WRITTEN_WORD_SECONDS = 0.4;
+const WRITTEN_SENTENCE_GAP = 1;
+
+function toNumber(value, fallback = null) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeWord(word, defaults = {}) {
+  return {
+    text: String(word.text != null ? word.text : word.word || '').trim(),
+    start: toSeconds(word.start),
+    end: toSeconds(word.end),
+    confidence: toNumber(word.confidence != null ? word.confidence : word.probability),
+    speaker: word.speaker != null ? String(word.speaker) : defaults.speaker || null
+  };
+}
+
+function estimateWords(text, start, end, speaker) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const step = (end - start) / (tokens.length || 1);
+  return tokens.map((token, i) => ({
+    text: token,
+    start: start + i * step,
+    end: start + (i + 1) * step,
+    confidence: null,
+    speaker,
+    estimated: true
+  }));
+}
+
+function normalizeSegment(segment) {
+  const speaker = segment.speaker != null ? String(segment.speaker) : null;
+  const start = toSeconds(segment.start);
+  const end = toSeconds(segment.end);
+  const text = String(segment.text || '').trim();
+  const words = (segment.words || []).map(w => normalizeWord(w, { speaker })).filter(w => w.text);
+  return {
+    start,
+    end,
+    text,
+    speaker,
+    confidence: toNumber(segment.confidence),
+    words: words.length > 0 ? words : estimateWords(text, start, end, speaker)
+  };
+}
+
+function normalizeTranscript(raw, provider) {
+  const segments = (raw.segments || [])
+    .map(normalizeSegment)
+    .filter(s => s.text.length > 0)
+    .sort((a, b) => a.start - b.start);
+  const words = segments.reduce((acc, s) => acc.concat(s.words), []);
+  const text = String(raw.text || segments.map(s => s.text).join(' ')).replace(/\s+/g, ' ').trim();
+  const lastEnd = segments.length > 0 ? segments[segments.length - 1].end : 0;
+
+  const confidences = words.map(w => w.confidence).filter(c => c !== null);
+  const confidence = toNumber(raw.confidence,
+    confidences.length > 0 ? confidences.reduce((a, b) => a + b, 0) / confidences.length : null);
+
+  return {
+    provider,
+    text,
+    language: raw.language || null,
+    duration: toNumber(raw.duration, lastEnd) || lastEnd,
+    confidence,
+    wordTimings: words.some(w => w.estimated) ? 'estimated' : 'provider',
+    segments,
+    words
+  };
+}
+
+// Times in seconds, kept to the millisecond so shifted offsets do not drift
+function shift(time, offset) {
+  return Math.round((time + offset) * 1000) / 1000;
+}
+
+function shiftWord(word, offset) {
+  return { ...word, start: shift(word.start, offset), end: shift(word.end, offset) };
+}
+
+/**
+ * Joins normalized transcripts of consecutive clips into one transcript,
+ * shifting each clip's times by its offset (seconds from the start of the
+ * first clip). `duration` is the end of the last clip when known.
+ */
+function joinTranscripts(parts, duration) {
+  const segments = parts.reduce((acc, { transcript, offset }) => acc.concat(transcript.segments.map(s => ({
+    ...s,
+    start: shift(s.start, offset),
+    end: shift(s.end, offset),
+    words: s.words.map(w => shiftWord(w, offset))
+  }))), []);
+  const words = segments.reduce((acc, s) => acc.concat(s.words), []);
+  const confidences = parts.map(p => p.transcript.confidence).filter(c => c !== null);
+  const timings = parts.map(p => p.transcript.wordTimings);
+  const last = parts[parts.length - 1];
+
+  return {
+    provider: [...new Set(parts.map(p => p.transcript.provider))].join('+'),
+    text: parts.map(p => p.transcript.text).filter(Boolean).join(' '),
+    language: parts.map(p => p.transcript.language).find(Boolean) || null,
+    duration: duration || (last ? last.offset + last.transcript.duration : 0),
+    confidence: confidences.length > 0 ? confidences.reduce((a, b) => a + b, 0) / confidences.length : null,
+    wordTimings: ['written', 'estimated'].find(kind => timings.includes(kind)) || 'provider',
+    segments,
+    words
+  };
+}
+
+/**
+ * A typed answer in the normalized format (provider "text",
+ * `wordTimings: 'written'`): one segment per sentence with words spread at
+ * a steady speaking pace, so the analyzer and answer segmentation treat it
+ * like speech. There is no audio, so nothing timing-based is measured.
+ */
+function textTranscript(text) {
+  const sentences = String(text || '').replace(/\s+/g, ' ').trim().split(/(?<=[.!?])\s+/).filter(Boolean);
+  let time = 0;
+  const segments = sentences.map(sentence => {
+    const segment = { start: time, end: time + sentence.split(' ').length * WRITTEN_WORD_SECONDS, text: sentence };
+    time = segment.end + WRITTEN_SENTENCE_GAP;
+    return segment;
+  });
+  return { ...normalizeTranscript({ segments }, 'text'), wordTimings: 'written' };
+}
+
+module.exports = { normalizeTranscript, joinTranscripts, textTranscript };
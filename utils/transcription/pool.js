@@ -0,0 +1,208 @@
+/**
+ * Bounded pool of long-lived transcription workers.
+ *
+ * Workers come from `createWorker({ onExit })`, which returns a client like
+ * the one in whisperClient.js: `ready`, `transcribe(file, options)`,
+ * `ping()`, `close()` and `kill()`. At most `size` workers run; further
+ * requests wait in a FIFO queue and hear their position through `onQueue`.
+ * Every request has its own timeout, counted from when its worker is ready,
+ * and can be cancelled with an AbortSignal. A worker whose request timed out
+ * or was cancelled is killed (the model cannot be interrupted mid-file) and
+ * replaced when the queue needs it. So is a worker that is not ready within
+ * `startupTimeoutMs`; the request waiting for it fails with STARTUP_TIMEOUT.
+ */
+
+class PoolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PoolError';
+    this.code = code;
+  }
+}
+
+/**
+ * `timeoutMs` limits one request once a worker has picked it up;
+ * `startupTimeoutMs` limits how long a new worker may take to get ready;
+ * `queueLimit` caps waiting requests (QUEUE_FULL).
+ */
+function createPool({ name = 'worker', createWorker, size = 1, timeoutMs = 3 * 60 * 1000, startupTimeoutMs = 5 * 60 * 1000, queueLimit = Infinity }) {
+  const workers = new Set();
+  const queue = [];
+  let closed = false;
+  let drained = null;
+
+  function settle(job, err, value) {
+    if (job.settled) return;
+    job.settled = true;
+    clearTimeout(job.timer);
+    if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+    if (err) job.reject(err); else job.resolve(value);
+  }
+
+  // Tells a request its place when it changes: 1 = next in line, 0 = a worker has it
+  function report(job, position) {
+    if (job.position === position) return;
+    job.position = position;
+    if (job.onQueue) job.onQueue(position);
+  }
+
+  function reportPositions() {
+    queue.forEach((job, i) => report(job, i + 1));
+  }
+
+  function spawnWorker() {
+    const worker = { job: null, killed: false, started: false };
+    worker.client = createWorker({ onExit: () => onExit(worker) });
+    workers.add(worker);
+
+    // A worker stuck loading would hold its slot forever; its exit starts a replacement
+    worker.startupTimer = setTimeout(() => {
+      const job = worker.job;
+      kill(worker);
+      if (job) settle(job, new PoolError('STARTUP_TIMEOUT', `${name} worker did not start within ${Math.round(startupTimeoutMs / 1000)}s`));
+    }, startupTimeoutMs);
+    worker.client.ready.then(() => {
+      worker.started = true;
+      clearTimeout(worker.startupTimer);
+    }, () => clearTimeout(worker.startupTimer));
+    return worker;
+  }
+
+  function onExit(worker) {
+    clearTimeout(worker.startupTimer);
+    workers.delete(worker);
+    worker.job = null;
+    if (closed && workers.size === 0 && drained) drained();
+    // Its request (if any) is rejected by the client right after this; start a replacement
+    setImmediate(pump);
+  }
+
+  // A killed worker takes no more requests but counts against `size` until it has exited
+  function kill(worker) {
+    worker.job = null;
+    worker.killed = true;
+    worker.client.kill();
+  }
+
+  function done(worker, job, err, value) {
+    if (worker.job === job) {
+      worker.job = null;
+      if (closed) worker.client.close();
+    }
+    settle(job, err, value);
+    pump();
+  }
+
+  function start(worker, job) {
+    worker.job = job;
+    job.worker = worker;
+    report(job, 0);
+
+    // Loading the model does not count against the request's time
+    worker.client.ready.then(() => {
+      if (job.settled) return;
+      job.timer = setTimeout(() => {
+        settle(job, new PoolError('TIMEOUT', `${name} timeout (${Math.round(timeoutMs / 1000)}s)`));
+        kill(worker);
+      }, timeoutMs);
+    }, () => {});
+
+    worker.client.transcribe(job.filePath, job.options)
+      .then(result => done(worker, job, null, result), error => done(worker, job, error));
+  }
+
+  // Hands queued requests to idle workers, starting new ones up to `size`
+  function pump() {
+    if (closed) return;
+    while (queue.length > 0) {
+      let worker = [...workers].find(w => !w.job && !w.killed && !w.client.exited);
+      if (!worker && workers.size < size) worker = spawnWorker();
+      if (!worker) break;
+      start(worker, queue.shift());
+    }
+    reportPositions();
+  }
+
+  /**
+   * Transcribes one file; `options` go to the worker's `transcribe`.
+   * `onQueue(position)` hears the request's place in the queue (1 = next)
+   * and 0 once a worker has it; aborting `signal` rejects with CANCELLED.
+   */
+  function run(filePath, { signal, onQueue, ...options } = {}) {
+    return new Promise((resolve, reject) => {
+      if (closed) return reject(new PoolError('SHUTTING_DOWN', 'The server is shutting down'));
+      if (signal && signal.aborted) return reject(new PoolError('CANCELLED', 'Transcription cancelled'));
+      if (queue.length >= queueLimit) {
+        return reject(new PoolError('QUEUE_FULL', `Transcription queue is full (${queueLimit} waiting) - try again shortly`));
+      }
+
+      const job = { filePath, options, resolve, reject, signal, onQueue, position: null, worker: null, settled: false };
+      job.onAbort = () => {
+        const index = queue.indexOf(job);
+        if (index !== -1) {
+          queue.splice(index, 1);
+          reportPositions();
+        } else if (job.worker && job.worker.job === job) {
+          kill(job.worker);
+        }
+        settle(job, new PoolError('CANCELLED', 'Transcription cancelled'));
+      };
+      if (signal) signal.addEventListener('abort', job.onAbort, { once: true });
+
+      queue.push(job);
+      pump();
+    });
+  }
+
+  function stats() {
+    const busy = [...workers].filter(w => w.job).length;
+    const idle = [...workers].filter(w => !w.job && !w.killed).length;
+    return { size, workers: workers.size, busy, idle, queued: queue.length };
+  }
+
+  /**
+   * Pings every running worker: [{ pid, ok, latencyMs, models, busy, uptime }] or
+   * [{ pid, ok: false, error }]. Workers still loading their model are reported
+   * at once as { pid, ok: false, starting: true } rather than waited for.
+   */
+  function ping(options) {
+    return Promise.all([...workers].filter(w => !w.killed).map(async (worker) => {
+      if (!worker.started) return { pid: worker.client.pid, ok: false, starting: true };
+      const started = Date.now();
+      try {
+        const pong = await worker.client.ping(options);
+        return { pid: worker.client.pid, ok: true, latencyMs: Date.now() - started, models: pong.models, busy: Boolean(pong.busy), uptime: pong.uptime };
+      } catch (error) {
+        return { pid: worker.client.pid, ok: false, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Stops taking requests: queued ones fail with SHUTTING_DOWN, running ones
+   * get `graceMs` to finish before their workers are killed. Resolves once
+   * every worker has exited.
+   */
+  function shutdown({ graceMs = 10000 } = {}) {
+    if (closed) return Promise.resolve();
+    closed = true;
+    queue.splice(0).forEach(job => settle(job, new PoolError('SHUTTING_DOWN', 'The server is shutting down')));
+    if (workers.size === 0) return Promise.resolve();
+
+    // Idle workers leave when their input closes; busy ones after their current file
+    workers.forEach((worker) => {
+      if (!worker.job) worker.client.close();
+    });
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => workers.forEach(kill), graceMs);
+      drained = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  return { run, stats, ping, shutdown };
+}
+
+module.exports = { PoolError, createPool };
@@ -0,0 +1,91 @@
+/**
+ * Local Whisper provider: a pool of long-lived `transcribe_whisper.py --serve`
+ * workers that keep the model loaded between files, driven through the line
+ * protocol in whisperClient.js.
+ *
+ * WHISPER_WORKERS (default 1) bounds how many models are in memory at once;
+ * WHISPER_QUEUE_LIMIT (default 20) bounds how many files may wait for one.
+ * WHISPER_TIMEOUT_MS applies to each file once its worker is ready;
+ * WHISPER_STARTUP_TIMEOUT_MS (default 5 minutes) to loading the model.
+ * WHISPER_LANGUAGE (default "en", "auto" to detect) is used when a request
+ * names no language. WHISPER_WORKER_COMMAND replaces the Python worker with
+ * any command that speaks the protocol (e.g. scripts/mock-whisper-worker.js).
+ */
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('./pool');
+const { createWhisperClient } = require('./whisperClient');
+
+const SCRIPT = path.join(__dirname, '..', '..', 'transcribe_whisper.py');
+const TIMEOUT_MS = Number(process.env.WHISPER_TIMEOUT_MS) || 3 * 60 * 1000;
+const STARTUP_TIMEOUT_MS = Number(process.env.WHISPER_STARTUP_TIMEOUT_MS) || 5 * 60 * 1000;
+const WORKERS = Math.max(1, Math.floor(Number(process.env.WHISPER_WORKERS) || 1));
+const QUEUE_LIMIT = Math.max(0, Math.floor(Number(process.env.WHISPER_QUEUE_LIMIT) || 20));
+
+let pool = null;
+
+// The worker command line: the Python script unless WHISPER_WORKER_COMMAND names another
+function workerCommand(model) {
+  const custom = String(process.env.WHISPER_WORKER_COMMAND || '').trim().split(/\s+/).filter(Boolean);
+  const [command, ...args] = custom.length > 0 ? custom : [process.env.PYTHON_BIN || 'python3', SCRIPT];
+  return { command, args: [...args, '--serve', '--model', model] };
+}
+
+// Started on first use, so nothing is spawned when Whisper is never asked for
+function getPool() {
+  if (!pool) {
+    const model = process.env.WHISPER_MODEL || 'base';
+    const { command, args } = workerCommand(model);
+    console.log('🎤 Starting Whisper worker pool:', { model, workers: WORKERS, queueLimit: QUEUE_LIMIT });
+    pool = createPool({
+      name: 'Whisper',
+      createWorker: ({ onExit }) => createWhisperClient({ command, args, name: 'Whisper', onExit }),
+      size: WORKERS,
+      timeoutMs: TIMEOUT_MS,
+      startupTimeoutMs: STARTUP_TIMEOUT_MS,
+      queueLimit: QUEUE_LIMIT
+    });
+  }
+  return pool;
+}
+
+function isAvailable() {
+  return Boolean(process.env.WHISPER_WORKER_COMMAND) || fs.existsSync(SCRIPT);
+}
+
+function defaultLanguage() {
+  const language = process.env.WHISPER_LANGUAGE || 'en';
+  return language === 'auto' ? null : language;
+}
+
+/**
+ * options.signal cancels the file; options.onQueue(position) hears its place
+ * in the queue and options.onProgress(fraction) the worker's progress.
+ * options.language and options.model override the defaults.
+ */
+function transcribe(filePath, options = {}) {
+  console.log('🎤 Queueing Whisper transcription:', filePath);
+  return getPool().run(filePath, {
+    signal: options.signal,
+    onQueue: options.onQueue,
+    onProgress: options.onProgress,
+    model: options.model,
+    language: options.language !== undefined ? options.language : defaultLanguage(),
+    wordTimestamps: true
+  });
+}
+
+function stats() {
+  return pool ? pool.stats() : { size: WORKERS, workers: 0, busy: 0, idle: 0, queued: 0 };
+}
+
+// Pings the running workers; none are started just to answer
+function ping(options) {
+  return pool ? pool.ping(options) : Promise.resolve([]);
+}
+
+function shutdown(options) {
+  return pool ? pool.shutdown(options) : Promise.resolve();
+}
+
+module.exports = { name: 'whisper', isAvailable, transcribe, stats, ping, shutdown };
@@ -0,0 +1,181 @@
+/**
+ * Client for one Whisper worker process (`transcribe_whisper.py --serve`).
+ *
+ * The two sides exchange one JSON object per line (protocol version 1; the
+ * full message list is at the top of transcribe_whisper.py). Every request
+ * carries an id, and the worker's `progress`, `result`, `pong` and `error`
+ * replies are matched back to it. The worker announces `ready` once its
+ * default model is loaded; requests sent before that wait in its input.
+ *
+ * Any command that speaks the protocol works as a worker, which is how the
+ * client is exercised without Whisper: see scripts/mock-whisper-worker.js.
+ */
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+const PROTOCOL_VERSION = 1;
+const STDERR_TAIL = 2000;
+const PING_TIMEOUT_MS = 2000;
+
+// `code` is the worker's error code (FILE_NOT_FOUND, UNKNOWN_MODEL, UNSUPPORTED_LANGUAGE,
+// TRANSCRIPTION_FAILED, ...) or one of the client's own (WORKER_EXITED, PROTOCOL_MISMATCH, PING_TIMEOUT)
+class WhisperError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'WhisperError';
+    this.code = code;
+  }
+}
+
+/**
+ * Starts a worker. `onExit(error)` is called once when the process ends,
+ * before its pending requests are rejected with the same error.
+ */
+function createWhisperClient({ command, args = [], name = 'Whisper', onExit } = {}) {
+  const pending = new Map();
+  let nextId = 1;
+  let stderr = '';
+  let exited = false;
+  let info = null;
+  let startupError = null;
+
+  let resolveReady;
+  let rejectReady;
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  // Callers that never wait for `ready` still hear the failure through their request
+  ready.catch(() => {});
+
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'], env: { ...process.env } });
+
+  readline.createInterface({ input: child.stdout }).on('line', onLine);
+  child.stderr.on('data', (data) => {
+    const text = data.toString();
+    stderr = (stderr + text).slice(-STDERR_TAIL);
+    console.log(`📋 ${name} worker:`, text.trim());
+  });
+  // Writing to a worker that just died raises EPIPE here; the exit handler reports it
+  child.stdin.on('error', () => {});
+  child.on('error', error => finish(new WhisperError('WORKER_EXITED', `Failed to start ${name} worker: ${error.message}`)));
+  child.on('exit', (code, signal) => {
+    const tail = stderr.trim().split('\n').pop();
+    const reason = `${name} worker exited (${signal || `code ${code}`})`;
+    finish(startupError || new WhisperError('WORKER_EXITED', tail ? `${reason}: ${tail}` : reason));
+  });
+
+  function onLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      console.log(`📤 ${name} worker:`, line.trim());
+      return;
+    }
+    if (!message || typeof message !== 'object') return;
+
+    if (message.type === 'ready') {
+      if (message.protocol !== PROTOCOL_VERSION) {
+        startupError = new WhisperError('PROTOCOL_MISMATCH', `${name} worker speaks protocol ${message.protocol}, expected ${PROTOCOL_VERSION}`);
+        rejectReady(startupError);
+        child.kill('SIGTERM');
+        return;
+      }
+      info = { model: message.model, pid: message.pid };
+      resolveReady(info);
+      return;
+    }
+
+    const error = message.type === 'error' ?
+      new WhisperError((message.error && message.error.code) || 'WORKER_ERROR', (message.error && message.error.message) || `${name} worker error`) :
+      null;
+    // Errors without an id concern the worker itself (a model that would not load, a garbled request)
+    if (message.id === null || message.id === undefined) {
+      if (error && !info) {
+        startupError = error;
+        rejectReady(error);
+      } else if (error) {
+        console.warn(`⚠️ ${name} worker:`, error.code, error.message);
+      }
+      return;
+    }
+
+    const request = pending.get(message.id);
+    if (!request) return;
+    if (message.type === 'progress') {
+      if (request.onProgress) request.onProgress(Number(message.progress) || 0);
+      return;
+    }
+    pending.delete(message.id);
+    if (error) request.reject(error);
+    else if (message.type === request.expects) request.resolve(message.type === 'result' ? message.result : message);
+    else request.reject(new WhisperError('PROTOCOL_ERROR', `Expected "${request.expects}" from ${name} worker, got "${message.type}"`));
+  }
+
+  function finish(error) {
+    if (exited) return;
+    exited = true;
+    rejectReady(error);
+    if (onExit) onExit(error);
+    pending.forEach(request => request.reject(error));
+    pending.clear();
+  }
+
+  // `timeout` ({ ms, code, message }) rejects the request and forgets its id if no reply comes in time
+  function send(type, payload, expects, onProgress, timeout) {
+    if (exited) return Promise.reject(startupError || new WhisperError('WORKER_EXITED', `${name} worker is not running`));
+    return new Promise((resolve, reject) => {
+      const id = String(nextId++);
+      const timer = timeout ? setTimeout(() => {
+        pending.delete(id);
+        reject(new WhisperError(timeout.code, timeout.message));
+      }, timeout.ms) : null;
+      pending.set(id, {
+        resolve: value => { clearTimeout(timer); resolve(value); },
+        reject: error => { clearTimeout(timer); reject(error); },
+        expects,
+        onProgress
+      });
+      child.stdin.write(`${JSON.stringify({ id, type, ...payload })}\n`);
+    });
+  }
+
+  /**
+   * Resolves with the raw Whisper transcript. `language` null or "auto"
+   * lets Whisper detect it; `model` defaults to the worker's own;
+   * `onProgress(fraction)` hears 0..1 while the file is decoded.
+   */
+  function transcribe(audio, { model, language, wordTimestamps = true, onProgress } = {}) {
+    return send('transcribe', { audio, model: model || undefined, language: language || null, wordTimestamps }, 'result', onProgress);
+  }
+
+  // Resolves with the worker's pong ({ models, busy, uptime }); answered even while it transcribes
+  function ping({ timeoutMs = PING_TIMEOUT_MS } = {}) {
+    return send('ping', {}, 'pong', null, { ms: timeoutMs, code: 'PING_TIMEOUT', message: `${name} worker did not answer within ${timeoutMs}ms` });
+  }
+
+  // Lets the worker finish what it has and exit
+  function close() {
+    if (!exited) child.stdin.end();
+  }
+
+  function kill(signal = 'SIGTERM') {
+    if (!exited) child.kill(signal);
+  }
+
+  return {
+    ready,
+    transcribe,
+    ping,
+    close,
+    kill,
+    get pid() { return child.pid; },
+    get exited() { return exited; },
+    // Requests still waiting for a reply
+    get pending() { return pending.size; },
+    get info() { return info; }
+  };
+}
+
+module.exports = { PROTOCOL_VERSION, WhisperError, createWhisperClient };
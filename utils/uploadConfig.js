@@ -0,0 +1,53 @@
+/**
+ * Upload limits shared by every upload path: the multipart /api/analyze
+ * handler, the resumable /api/uploads protocol, the Vercel function and the
+ * browser client (which reads them from GET /api/uploads/config).
+ */
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+const MAX_UPLOAD_BYTES = Math.floor((Number(process.env.MAX_UPLOAD_MB) || 100) * MB);
+// Size of one resumable chunk; the last chunk may be shorter
+const CHUNK_BYTES = Math.floor((Number(process.env.UPLOAD_CHUNK_MB) || 5) * MB);
+// Unfinished resumable uploads are discarded after this long without a chunk
+const UPLOAD_TTL_MS = Number(process.env.UPLOAD_TTL_MS) || 24 * 60 * 60 * 1000;
+// Any video, and the audio formats voice memo apps produce (mp3, m4a, wav, ogg, webm)
+const ACCEPTED_TYPES = [
+  'video/',
+  'audio/mpeg', 'audio/mp3',
+  'audio/mp4', 'audio/m4a', 'audio/x-m4a', 'audio/aac',
+  'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave',
+  'audio/ogg', 'audio/webm'
+];
+// Used when a phone or browser sends the file without a type
+const ACCEPTED_EXTENSIONS = ['.mp4', '.webm', '.mov', '.mkv', '.mp3', '.m4a', '.aac', '.wav', '.ogg', '.oga', '.opus'];
+
+function isAcceptedType(mimetype, filename = '') {
+  if (typeof mimetype === 'string' && ACCEPTED_TYPES.some(type => mimetype.startsWith(type))) return true;
+  return (!mimetype || mimetype === 'application/octet-stream') &&
+    ACCEPTED_EXTENSIONS.includes(path.extname(String(filename || '')).toLowerCase());
+}
+
+// What the client needs to split and validate uploads
+function clientConfig() {
+  return {
+    maxBytes: MAX_UPLOAD_BYTES,
+    chunkBytes: CHUNK_BYTES,
+    acceptedTypes: ACCEPTED_TYPES,
+    acceptedExtensions: ACCEPTED_EXTENSIONS
+  };
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  MAX_UPLOAD_BYTES,
+  CHUNK_BYTES,
+  UPLOAD_TTL_MS,
+  ACCEPTED_TYPES,
+  ACCEPTED_EXTENSIONS,
+  isAcceptedType,
+  clientConfig
+};
@@ -0,0 +1,267 @@
+/**
+ * Resumable uploads, kept in the embedded `uploads` collection.
+ *
+ * The client creates an upload with the file's name, type and size, then
+ * PUTs chunks in order, each at the byte offset the server has confirmed.
+ * After a dropped connection it asks for the current offset and carries on
+ * from there. Every chunk's SHA-256 is recorded when it arrives (and checked
+ * against the client's digest when one is sent); finalizing re-hashes the
+ * assembled file chunk by chunk, so a file that changed on disk or was
+ * stitched together wrongly is rejected before analysis.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { UPLOAD_DIR, MAX_UPLOAD_BYTES, CHUNK_BYTES, UPLOAD_TTL_MS, isAcceptedType } = require('./uploadConfig');
+
+const SHA256 = /^[a-f0-9]{64}$/;
+
+class UploadError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function uploads() {
+  return db.collection('uploads');
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Hex digest of `length` bytes of a file starting at `start` (the whole file without a range)
+function hashFile(filePath, start = 0, length = null) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const options = length === null ? {} : { start, end: start + length - 1 };
+    if (length === 0) return resolve(hash.digest('hex'));
+    fs.createReadStream(filePath, options)
+      .on('data', data => hash.update(data))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function removeFile(filePath) {
+  try {
+    if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } catch (error) {
+    console.warn('Upload cleanup error:', error.message);
+  }
+}
+
+// What the client sees: no file path or per-chunk records
+function describe(upload) {
+  return {
+    id: upload.id,
+    filename: upload.filename,
+    mimetype: upload.mimetype,
+    size: upload.size,
+    offset: upload.offset,
+    status: upload.status,
+    sha256: upload.sha256,
+    chunkBytes: CHUNK_BYTES,
+    expiresAt: new Date(Date.parse(upload.updatedAt) + UPLOAD_TTL_MS).toISOString()
+  };
+}
+
+// Drops uploads nobody has touched for UPLOAD_TTL_MS, with their files
+function purgeExpired(now = Date.now()) {
+  uploads().find(u => now - Date.parse(u.updatedAt) > UPLOAD_TTL_MS).forEach(upload => {
+    removeFile(upload.path);
+    uploads().remove(upload.id);
+  });
+}
+
+function findUpload(userId, id) {
+  const upload = uploads().get(id);
+  if (!upload || upload.userId !== userId) throw new UploadError('UPLOAD_NOT_FOUND', 'Upload not found');
+  return upload;
+}
+
+// Updates a record that may have been deleted or expired meanwhile (UPLOAD_NOT_FOUND then)
+function updateUpload(id, patch) {
+  const updated = uploads().update(id, patch);
+  if (!updated) throw new UploadError('UPLOAD_NOT_FOUND', 'Upload not found');
+  return updated;
+}
+
+/**
+ * Starts an upload. `sha256` (hex) is the whole file's digest when the
+ * client computed one; finalize then checks the assembled file against it.
+ */
+function createUpload(userId, { filename, mimetype, size, sha256: expected } = {}) {
+  purgeExpired();
+  const bytes = Number(size);
+  if (!Number.isInteger(bytes) || bytes <= 0) {
+    throw new UploadError('INVALID_UPLOAD', 'size must be a positive whole number of bytes');
+  }
+  if (bytes > MAX_UPLOAD_BYTES) {
+    throw new UploadError('UPLOAD_TOO_LARGE', `Files must be at most ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))}MB`, { maxBytes: MAX_UPLOAD_BYTES });
+  }
+  if (!isAcceptedType(mimetype, filename)) {
+    throw new UploadError('UNSUPPORTED_TYPE', `Unsupported file type: ${mimetype || 'unknown'}`);
+  }
+  if (expected !== undefined && expected !== null && !SHA256.test(String(expected).toLowerCase())) {
+    throw new UploadError('INVALID_UPLOAD', 'sha256 must be a hex SHA-256 digest');
+  }
+
+  const now = new Date().toISOString();
+  const id = uuidv4();
+  const filePath = path.join(UPLOAD_DIR, `upload-${id}.part`);
+  if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  fs.writeFileSync(filePath, Buffer.alloc(0));
+
+  return describe(uploads().insert({
+    id,
+    userId,
+    filename: path.basename(String(filename || 'video.webm')).slice(0, 200),
+    mimetype,
+    size: bytes,
+    offset: 0,
+    sha256: expected ? String(expected).toLowerCase() : null,
+    chunks: [],
+    status: 'uploading',
+    path: filePath,
+    createdAt: now,
+    updatedAt: now
+  }));
+}
+
+function getUpload(userId, id) {
+  return describe(findUpload(userId, id));
+}
+
+/**
+ * Writes one chunk at `offset`, which must be the offset the server has
+ * confirmed so far (a retried chunk that already arrived is refused with
+ * OFFSET_MISMATCH and the current offset). `checksum` is the chunk's hex
+ * SHA-256 when the client sent one. Returns the upload's new state.
+ */
+function appendChunk(userId, id, offset, data, checksum = null) {
+  const upload = findUpload(userId, id);
+  if (upload.status !== 'uploading') {
+    throw new UploadError('UPLOAD_COMPLETE', 'The upload is already finalized', { offset: upload.offset });
+  }
+  if (!Number.isInteger(offset) || offset !== upload.offset) {
+    throw new UploadError('OFFSET_MISMATCH', `Expected a chunk at offset ${upload.offset}`, { offset: upload.offset });
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw new UploadError('INVALID_CHUNK', 'The chunk is empty', { offset: upload.offset });
+  }
+  if (data.length > CHUNK_BYTES) {
+    throw new UploadError('CHUNK_TOO_LARGE', `Chunks must be at most ${CHUNK_BYTES} bytes`, { offset: upload.offset });
+  }
+  if (offset + data.length > upload.size) {
+    throw new UploadError('INVALID_CHUNK', `The chunk runs past the declared size (${upload.size} bytes)`, { offset: upload.offset });
+  }
+
+  const digest = sha256(data);
+  if (checksum && digest !== String(checksum).toLowerCase()) {
+    throw new UploadError('CHUNK_CHECKSUM_MISMATCH', 'The chunk arrived corrupted; send it again', { offset: upload.offset });
+  }
+
+  // Truncate first so bytes left by an interrupted write never stay behind the confirmed offset
+  const fd = fs.openSync(upload.path, 'r+');
+  try {
+    fs.ftruncateSync(fd, offset);
+    fs.writeSync(fd, data, 0, data.length, offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return describe(updateUpload(id, {
+    offset: offset + data.length,
+    chunks: [...upload.chunks, { offset, length: data.length, sha256: digest }],
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Checks the assembled file: every byte received, each chunk still hashing
+ * to what arrived, and the whole file matching the client's digest when it
+ * sent one. A file that fails is discarded (the client starts over).
+ */
+async function finalizeUpload(userId, id) {
+  const upload = findUpload(userId, id);
+  if (upload.status === 'complete') return describe(upload);
+  if (upload.offset !== upload.size) {
+    throw new UploadError('UPLOAD_INCOMPLETE', `Received ${upload.offset} of ${upload.size} bytes`, { offset: upload.offset });
+  }
+
+  const onDisk = fs.existsSync(upload.path) ? fs.statSync(upload.path).size : null;
+  let problem = onDisk === null ? 'the file is missing' :
+    onDisk !== upload.size ? `the assembled file has ${onDisk} bytes` : null;
+  let digest = null;
+  try {
+    for (const chunk of upload.chunks) {
+      if (problem) break;
+      if (await hashFile(upload.path, chunk.offset, chunk.length) !== chunk.sha256) {
+        problem = `the chunk at offset ${chunk.offset} does not match what was received`;
+      }
+    }
+    digest = problem ? null : await hashFile(upload.path);
+  } catch (error) {
+    problem = `the file could not be read (${error.code || error.message})`;
+  }
+  // Hashing takes a while: the upload may have been deleted or expired (and its file removed) meanwhile
+  findUpload(userId, id);
+  if (!problem && upload.sha256 && digest !== upload.sha256) problem = 'the file does not match its SHA-256';
+
+  if (problem) {
+    removeFile(upload.path);
+    uploads().remove(id);
+    throw new UploadError('CHECKSUM_MISMATCH', `Upload verification failed: ${problem}`);
+  }
+
+  return describe(updateUpload(id, { status: 'complete', sha256: digest, updatedAt: new Date().toISOString() }));
+}
+
+/**
+ * A finalized upload as a multer-style file ({ path, filename, originalname,
+ * mimetype, size }) for /api/analyze. The upload stays listed until
+ * `releaseUpload` hands the file over to an analysis job.
+ */
+function completedUpload(userId, id) {
+  const upload = findUpload(userId, id);
+  if (upload.status !== 'complete') {
+    throw new UploadError('UPLOAD_INCOMPLETE', 'Finalize the upload before analyzing it', { offset: upload.offset });
+  }
+  return {
+    path: upload.path,
+    filename: path.basename(upload.path),
+    originalname: upload.filename,
+    mimetype: upload.mimetype,
+    size: upload.size
+  };
+}
+
+// Forgets the upload record; the file now belongs to whoever took it
+function releaseUpload(id) {
+  uploads().remove(id);
+}
+
+// Aborts an upload and deletes what was received
+function deleteUpload(userId, id) {
+  const upload = findUpload(userId, id);
+  removeFile(upload.path);
+  uploads().remove(id);
+}
+
+module.exports = {
+  UploadError,
+  createUpload,
+  getUpload,
+  appendChunk,
+  finalizeUpload,
+  completedUpload,
+  releaseUpload,
+  deleteUpload,
+  purgeExpired
+};
@@ -0,0 +1,315 @@
+/**
+ * Field vocabulary packs (data/vocabularies/*.json).
+ *
+ * A pack lists the terms that show domain knowledge for one family of roles,
+ * each with optional synonyms and a weight. The pack is picked from the
+ * interview field by fuzzy alias matching ("Registered Nurce" finds nursing),
+ * falling back to the `fallback` pack. Terms and transcript words are both
+ * lemmatized before matching, so "deployed", "deploying" and "deployments"
+ * all count for "deploy"/"deployment".
+ */
+const fs = require('fs');
+const path = require('path');
+const { formatTimestamp } = require('./timeline');
+
+const PACK_DIR = process.env.VOCABULARY_DIR || path.join(__dirname, '..', 'data', 'vocabularies');
+// Minimum alias similarity for a fuzzy field match
+const MIN_FIELD_SIMILARITY = 0.8;
+
+const IRREGULAR = {
+  was: 'be', were: 'be', been: 'be', is: 'be', are: 'be', am: 'be',
+  had: 'have', has: 'have', did: 'do', does: 'do', done: 'do',
+  built: 'build', led: 'lead', wrote: 'write', written: 'write', ran: 'run', made: 'make',
+  took: 'take', taken: 'take', gave: 'give', given: 'give', went: 'go', gone: 'go',
+  saw: 'see', seen: 'see', found: 'find', thought: 'think', taught: 'teach', brought: 'bring',
+  bought: 'buy', sold: 'sell', told: 'tell', kept: 'keep', felt: 'feel', met: 'meet',
+  began: 'begin', begun: 'begin', chose: 'choose', chosen: 'choose', drove: 'drive', driven: 'drive',
+  grew: 'grow', grown: 'grow', knew: 'know', known: 'know', spent: 'spend', sent: 'send',
+  children: 'child', people: 'person', analyses: 'analysis', criteria: 'criterion'
+};
+
+// Words whose trailing "s" is not a plural
+const KEEP_S = /(ss|us|is|ics|ous|sis|as)$/;
+
+let packs = null;
+
+class VocabularyError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'VocabularyError';
+    this.errors = errors;
+  }
+}
+
+function normalizeToken(token) {
+  return String(token || '').toLowerCase().replace(/^[^a-z0-9]+|[^a-z0-9+#%]+$/g, '').replace(/['’]s$/, '');
+}
+
+// A stem needs a vowel left, so "thing", "red" and "comment" keep their endings
+function hasVowel(stem) {
+  return stem.length >= 2 && /[aeiou]|.y/.test(stem);
+}
+
+/**
+ * Light rule-based English lemmatizer. It only has to be consistent: terms
+ * and transcript words go through the same rules, so "optimizing",
+ * "optimized" and "optimizes" all meet at "optimiz", and "use", "using" and
+ * "used" at "us". A silent final "e" is always dropped, which is what lets the
+ * base form meet its -ing and -ed forms.
+ */
+function lemmatize(token) {
+  const word = normalizeToken(token);
+  if (IRREGULAR[word]) return IRREGULAR[word];
+  if (word.length < 3 || /\d/.test(word)) return word;
+
+  let stem = word;
+  if (/ies$/.test(stem) && stem.length > 4) stem = stem.slice(0, -3) + 'y';
+  else if (/(ches|shes|xes|zes|sses)$/.test(stem)) stem = stem.slice(0, -2);
+  else if (/s$/.test(stem) && stem.length > 3 && !KEEP_S.test(stem)) stem = stem.slice(0, -1);
+
+  if (/ing$/.test(stem) && hasVowel(stem.slice(0, -3))) stem = stem.slice(0, -3);
+  else if (/ied$/.test(stem) && stem.length > 4) stem = stem.slice(0, -3) + 'y';
+  else if (/ed$/.test(stem) && !/eed$/.test(stem) && hasVowel(stem.slice(0, -2))) stem = stem.slice(0, -2);
+
+  // "deployment" -> "deploy", "management" -> "manage"
+  if (/ment$/.test(stem) && stem.length >= 8 && hasVowel(stem.slice(0, -4))) stem = stem.slice(0, -4);
+
+  // "planned" -> "plann" -> "plan", "running" -> "runn" -> "run"
+  if (/([bdfgklmnprt])\1$/.test(stem) && !/(ll|ss)$/.test(stem)) stem = stem.slice(0, -1);
+  if (/[^e]e$/.test(stem) && hasVowel(stem.slice(0, -1))) stem = stem.slice(0, -1);
+  return stem;
+}
+
+function tokens(text) {
+  return String(text || '').split(/[\s/-]+/).map(normalizeToken).filter(Boolean);
+}
+
+function lemmas(text) {
+  return tokens(text).map(lemmatize);
+}
+
+// 0..1 similarity from the edit distance
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+}
+
+function validatePack(pack, file) {
+  const errors = [];
+  const where = (message) => errors.push(`${file}: ${message}`);
+
+  if (pack.id !== path.basename(file, '.json')) where('"id" must match the file name');
+  if (typeof pack.name !== 'string' || !pack.name) where('"name" must be a non-empty string');
+  if (!isStringList(pack.aliases) || (pack.aliases.length === 0 && !pack.fallback)) {
+    where('"aliases" must be a non-empty array of strings (only the fallback pack may leave it empty)');
+  }
+  if (!Array.isArray(pack.terms) || pack.terms.length === 0) {
+    where('"terms" must be a non-empty array');
+    return errors;
+  }
+
+  const seen = new Set();
+  pack.terms.forEach((entry, i) => {
+    const at = `terms[${i}]`;
+    if (!entry || typeof entry.term !== 'string' || !entry.term.trim()) return where(`${at}: "term" must be a non-empty string`);
+    if (entry.synonyms !== undefined && !isStringList(entry.synonyms)) where(`${at}: "synonyms" must be an array of strings`);
+    if (entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight > 0)) where(`${at}: "weight" must be a positive number`);
+    const key = lemmas(entry.term).join(' ');
+    if (seen.has(key)) where(`${at}: duplicate term "${entry.term}"`);
+    seen.add(key);
+  });
+  return errors;
+}
+
+/**
+ * Every phrase of a term list ([{ term, synonyms?, weight? }]) as lemma
+ * sequences, longest first: the `{ phrases }` matchTerms looks for. Packs
+ * are compiled with it; any other term list can be matched the same way.
+ */
+function phraseIndex(entries) {
+  const phrases = [];
+  entries.forEach(entry => {
+    [entry.term, ...(entry.synonyms || [])].forEach(phrase => {
+      phrases.push({ term: entry.term, weight: entry.weight || 1, lemmas: lemmas(phrase) });
+    });
+  });
+  return { phrases: phrases.filter(p => p.lemmas.length > 0).sort((a, b) => b.lemmas.length - a.lemmas.length) };
+}
+
+function compile(pack) {
+  return {
+    ...pack,
+    aliasTokens: pack.aliases.map(alias => ({ lemmas: lemmas(alias), tokens: tokens(alias) })),
+    phrases: phraseIndex(pack.terms).phrases
+  };
+}
+
+// Reads and validates every pack in `dir`; throws VocabularyError
+function loadPacks(dir = PACK_DIR) {
+  const loaded = {};
+  const errors = [];
+  fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+    try {
+      const pack = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const problems = validatePack(pack, file);
+      if (problems.length > 0) return errors.push(...problems);
+      loaded[pack.id] = compile(pack);
+    } catch (e) {
+      errors.push(`${file}: ${e.message}`);
+    }
+  });
+
+  const fallbacks = Object.values(loaded).filter(pack => pack.fallback);
+  if (fallbacks.length !== 1) errors.push(`Exactly one pack must be marked "fallback" (found ${fallbacks.length})`);
+  if (errors.length > 0) throw new VocabularyError(`Invalid vocabulary packs in ${dir}`, errors);
+
+  packs = loaded;
+  return packs;
+}
+
+function allPacks() {
+  return packs || loadPacks();
+}
+
+// How well one alias matches the field: 1 when its lemmas appear in order,
+// else the weakest of its tokens' best spelling similarity to a field word
+function aliasScore(alias, field) {
+  if (` ${field.lemmas.join(' ')} `.includes(` ${alias.lemmas.join(' ')} `)) return 1;
+  return Math.min(...alias.tokens.map(token => Math.max(0, ...field.tokens.map(f => similarity(token, f)))));
+}
+
+/**
+ * The pack for an interview field: the best fuzzy alias match scoring at
+ * least MIN_FIELD_SIMILARITY, otherwise the fallback pack. Returns
+ * { pack, matchedBy: 'alias' | 'fuzzy' | 'fallback', alias, similarity }.
+ */
+function selectPack(field) {
+  const all = Object.values(allPacks());
+  const fieldWords = { lemmas: lemmas(field), tokens: tokens(field) };
+  let best = { score: 0 };
+
+  all.forEach(pack => {
+    pack.aliasTokens.forEach((alias, i) => {
+      const score = aliasScore(alias, fieldWords);
+      // Prefer the longer alias on ties ("data analyst" over "analyst")
+      if (score > best.score || (score === best.score && best.pack && alias.tokens.length > best.length)) {
+        best = { score, pack, alias: pack.aliases[i], length: alias.tokens.length };
+      }
+    });
+  });
+
+  if (best.pack && best.score >= MIN_FIELD_SIMILARITY) {
+    return {
+      pack: best.pack,
+      matchedBy: best.score === 1 ? 'alias' : 'fuzzy',
+      alias: best.alias,
+      similarity: Math.round(best.score * 100) / 100
+    };
+  }
+  return { pack: all.find(pack => pack.fallback), matchedBy: 'fallback', alias: null, similarity: Math.round(best.score * 100) / 100 };
+}
+
+/**
+ * Finds pack terms in an answer. `words` are timed transcript words
+ * ({ text, start, end }); plain text works too, without times.
+ * Returns { score, matches: [{ term, weight, count, occurrences }] } where
+ * the score sums the weight of each distinct term once.
+ */
+function matchTerms(words, pack) {
+  const spokenTokens = (typeof words === 'string' ? words.split(/\s+/).map(text => ({ text })) : words)
+    .flatMap(w => String(w.text).split(/[/-]+/).map(part => ({ ...w, lemma: lemmatize(part) })))
+    .filter(w => w.lemma);
+
+  const byTerm = new Map();
+  for (let i = 0; i < spokenTokens.length; i++) {
+    const phrase = pack.phrases.find(p => p.lemmas.every((lemma, k) => spokenTokens[i + k] && spokenTokens[i + k].lemma === lemma));
+    if (!phrase) continue;
+
+    const spoken = spokenTokens.slice(i, i + phrase.lemmas.length);
+    const match = byTerm.get(phrase.term) || { term: phrase.term, weight: phrase.weight, count: 0, occurrences: [] };
+    match.count++;
+    match.occurrences.push({
+      start: spoken[0].start,
+      end: spoken[spoken.length - 1].end,
+      // "Kafka," was said; "Kafka" is what gets quoted
+      text: spoken.map(t => t.text).join(' ').replace(/[^\p{L}\p{N}+#%]+$/u, '')
+    });
+    byTerm.set(phrase.term, match);
+    i += phrase.lemmas.length - 1;
+  }
+
+  const matches = [...byTerm.values()].sort((a, b) => b.weight - a.weight || b.count - a.count);
+  return {
+    score: Math.round(matches.reduce((acc, m) => acc + m.weight, 0) * 10) / 10,
+    matches
+  };
+}
+
+/**
+ * The terms that appear in `text`, once each: `pack`'s terms by name or
+ * synonym, and other packs' terms only where named outright (a synonym such
+ * as "pipeline" means different things in different fields). Returns
+ * [{ term, synonyms, weight }], `pack`'s terms first.
+ */
+function termsIn(text, pack) {
+  const found = new Map();
+  const ordered = Object.values(allPacks()).sort((a, b) => (b === pack ? 1 : 0) - (a === pack ? 1 : 0));
+  ordered.forEach(candidate => {
+    matchTerms(text, candidate).matches.forEach(match => {
+      if (found.has(match.term)) return;
+      const named = match.occurrences.some(o => lemmas(o.text).join(' ') === lemmas(match.term).join(' '));
+      if (candidate !== pack && !named) return;
+      const entry = candidate.terms.find(e => e.term === match.term);
+      found.set(match.term, { term: entry.term, synonyms: entry.synonyms || [], weight: entry.weight || 1 });
+    });
+  });
+  return [...found.values()];
+}
+
+// A few of the pack's heaviest terms the answer did not use, for feedback
+function suggestTerms(pack, matches, count = 3) {
+  const used = new Set(matches.map(m => m.term));
+  return [...pack.terms]
+    .filter(entry => !used.has(entry.term))
+    .sort((a, b) => (b.weight || 1) - (a.weight || 1))
+    .slice(0, count)
+    .map(entry => entry.term);
+}
+
+// What goes into an analysis: which pack was used and the terms found, with timestamps
+function report(packMatch, terms, pack) {
+  return {
+    pack: packMatch,
+    score: terms.score,
+    matched: terms.matches.map(m => ({
+      term: m.term,
+      weight: m.weight,
+      count: m.count,
+      occurrences: m.occurrences.map(o => (typeof o.start === 'number' ? { ...o, timestamp: formatTimestamp(o.start) } : { text: o.text }))
+    })),
+    suggestions: suggestTerms(pack, terms.matches)
+  };
+}
+
+function listPacks() {
+  return Object.values(allPacks()).map(({ id, name, aliases, fallback, terms }) => ({
+    id, name, aliases, fallback: !!fallback, termCount: terms.length
+  }));
+}
+
+module.exports = { VocabularyError, lemmatize, similarity, loadPacks, listPacks, selectPack, phraseIndex, matchTerms, termsIn, suggestTerms, report };